@@ -0,0 +1,244 @@
+import addressModel from "../Models/address.js";
+import ErrorResponse from "../Utils/errorResponse.js";
+import Logger from "../Utils/Logger.js";
+import Joi from 'joi';
+
+class Address {
+    constructor() {
+        this.model = addressModel;
+        this.logger = new Logger();
+    }
+
+    // Schéma de validation pour les ID MongoDB
+    idSchema = Joi.object({
+        id: Joi.string().hex().length(24).required().messages({
+            'string.base': 'L\'ID doit être une chaîne de caractères.',
+            'string.hex': 'L\'ID doit être une chaîne hexadécimale.',
+            'string.length': 'L\'ID doit avoir une longueur de 24 caractères.',
+            'any.required': 'L\'ID est requis.'
+        })
+    });
+
+    // Schéma de validation pour la création d'une adresse
+    createSchema = Joi.object({
+        label: Joi.string().trim().max(50).optional(),
+        fullName: Joi.string().trim().required().messages({
+            'any.required': 'Le nom du destinataire est requis.',
+            'string.empty': 'Le nom du destinataire ne peut pas être vide.'
+        }),
+        line1: Joi.string().trim().required().messages({
+            'any.required': 'La première ligne d\'adresse est requise.',
+            'string.empty': 'La première ligne d\'adresse ne peut pas être vide.'
+        }),
+        line2: Joi.string().trim().allow('').optional(),
+        city: Joi.string().trim().required().messages({
+            'any.required': 'La ville est requise.',
+            'string.empty': 'La ville ne peut pas être vide.'
+        }),
+        state: Joi.string().trim().allow('').optional(),
+        postalCode: Joi.string().trim().optional(), // Validé par pays dans le modèle
+        country: Joi.string().trim().length(2).required().messages({
+            'any.required': 'Le pays est requis.',
+            'string.length': 'Le pays doit être un code ISO à 2 lettres.'
+        }),
+        phone: Joi.string().trim().required().messages({
+            'any.required': 'Le numéro de téléphone est requis.'
+        }),
+        isDefaultShipping: Joi.boolean(),
+        isDefaultBilling: Joi.boolean()
+    });
+
+    // Schéma de validation pour la mise à jour d'une adresse
+    updateSchema = Joi.object({
+        label: Joi.string().trim().max(50),
+        fullName: Joi.string().trim().messages({
+            'string.empty': 'Le nom du destinataire ne peut pas être vide.'
+        }),
+        line1: Joi.string().trim().messages({
+            'string.empty': 'La première ligne d\'adresse ne peut pas être vide.'
+        }),
+        line2: Joi.string().trim().allow(''),
+        city: Joi.string().trim().messages({
+            'string.empty': 'La ville ne peut pas être vide.'
+        }),
+        state: Joi.string().trim().allow(''),
+        postalCode: Joi.string().trim(),
+        country: Joi.string().trim().length(2).messages({
+            'string.length': 'Le pays doit être un code ISO à 2 lettres.'
+        }),
+        phone: Joi.string().trim(),
+        isDefaultShipping: Joi.boolean(),
+        isDefaultBilling: Joi.boolean()
+    }).min(1).messages({
+        'object.min': 'Au moins un champ est requis pour la mise à jour.'
+    });
+
+    /**
+     * Récupère le carnet d'adresses de l'utilisateur connecté.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getAll(request, response, next) {
+        try {
+            const addresses = await this.model
+                .find({ user: request.auth.userId })
+                .sort('-isDefaultShipping -updatedAt');
+            this.logger.logger.info("Addresses retrieved successfully");
+            response.status(200).json({
+                success: true,
+                count: addresses.length,
+                addresses
+            });
+        } catch (error) {
+            this.handleError(error, "Error retrieving addresses", next);
+        }
+    }
+
+    /**
+     * Récupère une adresse de l'utilisateur connecté.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getOne(request, response, next) {
+        try {
+            const { error: idError } = this.idSchema.validate(request.params);
+            if (idError) {
+                this.logger.logger.error("Validation Error (ID): ", idError.details);
+                return next(new ErrorResponse(idError.details[0].message, 400));
+            }
+
+            const address = await this.model.findOne({ _id: request.params.id, user: request.auth.userId });
+            if (!address) {
+                this.logger.logger.error(`Address not found with ID ${request.params.id}`);
+                return next(new ErrorResponse('Aucune adresse trouvée avec cet ID', 404));
+            }
+            this.logger.logger.info(`Address retrieved successfully with ID ${request.params.id}`);
+            response.status(200).json({
+                success: true,
+                address
+            });
+        } catch (error) {
+            this.handleError(error, "Error retrieving address", next);
+        }
+    }
+
+    /**
+     * Ajoute une adresse au carnet de l'utilisateur connecté.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async create(request, response, next) {
+        try {
+            const { error } = this.createSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Create Address Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const address = await this.model.create({ ...request.body, user: request.auth.userId });
+            this.logger.logger.info(`Address created successfully with ID ${address._id}`);
+            response.status(201).json({
+                success: true,
+                address
+            });
+        } catch (error) {
+            this.handleError(error, "Error creating address", next);
+        }
+    }
+
+    /**
+     * Met à jour une adresse de l'utilisateur connecté.
+     * Les commandes déjà passées conservent leur propre copie de l'adresse.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async update(request, response, next) {
+        try {
+            const { error: idError } = this.idSchema.validate(request.params);
+            if (idError) {
+                this.logger.logger.error("Validation Error (ID): ", idError.details);
+                return next(new ErrorResponse(idError.details[0].message, 400));
+            }
+            const { error: bodyError } = this.updateSchema.validate(request.body);
+            if (bodyError) {
+                this.logger.logger.error("Validation Error (Update Address Body): ", bodyError.details);
+                return next(new ErrorResponse(bodyError.details[0].message, 400));
+            }
+
+            const address = await this.model.findOne({ _id: request.params.id, user: request.auth.userId });
+            if (!address) {
+                this.logger.logger.error(`Address not found with ID ${request.params.id}`);
+                return next(new ErrorResponse('Aucune adresse trouvée avec cet ID', 404));
+            }
+
+            // save() plutôt que findByIdAndUpdate : les validations par pays dépendent de plusieurs champs
+            address.set(request.body);
+            await address.save();
+            this.logger.logger.info(`Address updated successfully with ID ${request.params.id}`);
+            response.status(200).json({
+                success: true,
+                address
+            });
+        } catch (error) {
+            this.handleError(error, "Error updating address", next);
+        }
+    }
+
+    /**
+     * Supprime une adresse du carnet de l'utilisateur connecté.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async delete(request, response, next) {
+        try {
+            const { error: idError } = this.idSchema.validate(request.params);
+            if (idError) {
+                this.logger.logger.error("Validation Error (ID): ", idError.details);
+                return next(new ErrorResponse(idError.details[0].message, 400));
+            }
+
+            const address = await this.model.findOneAndDelete({ _id: request.params.id, user: request.auth.userId });
+            if (!address) {
+                this.logger.logger.error(`Address not found with ID ${request.params.id}`);
+                return next(new ErrorResponse('Aucune adresse trouvée avec cet ID', 404));
+            }
+            this.logger.logger.info(`Address deleted successfully with ID ${request.params.id}`);
+            response.status(204).json({
+                success: true,
+                data: null
+            });
+        } catch (error) {
+            this.handleError(error, "Error deleting address", next);
+        }
+    }
+
+    /**
+     * Fonction de gestion des erreurs centralisée.
+     * @param {Error} error - L'erreur à gérer.
+     * @param {string} message - Le message d'erreur personnalisé.
+     * @param {function} next - La fonction next Express.
+     * @returns {void}
+     */
+    handleError(error, message, next) {
+        this.logger.logger.error(message + ": ", error.message);
+        if (error.name === 'CastError') {
+            next(new ErrorResponse('ID invalide', 400)); // Gérer spécifiquement les erreurs CastError
+        } else if (error.name === 'ValidationError') {
+            next(new ErrorResponse(error.message, 422)); // Gérer les erreurs de validation
+        } else {
+            next(new ErrorResponse(message, 500)); // Erreur interne du serveur par défaut
+        }
+    }
+}
+
+export default Address;
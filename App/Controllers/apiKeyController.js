@@ -0,0 +1,217 @@
+import apiKeyModel from "../Models/apiKey.js";
+import userModel from "../Models/user.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+import Permissions from "../Utils/Permissions.js";
+import ErrorResponse from "../Utils/errorResponse.js";
+import Logger from "../Utils/Logger.js";
+import Joi from 'joi';
+
+class ApiKey {
+    constructor() {
+        this.model = apiKeyModel;
+        this.userModel = userModel;
+        this.apiKeys = AuthMiddleware.apiKeys; // Compteurs de limitation partagés avec le middleware
+        this.permissions = AuthMiddleware.permissions;
+        this.logger = new Logger();
+    }
+
+    // Schéma de validation pour les ID MongoDB
+    idSchema = Joi.object({
+        id: Joi.string().hex().length(24).required().messages({
+            'string.hex': 'L\'ID doit être une chaîne hexadécimale.',
+            'string.length': 'L\'ID doit avoir une longueur de 24 caractères.',
+            'any.required': 'L\'ID est requis.'
+        })
+    });
+
+    // Schéma de validation pour la liste des clés
+    querySchema = Joi.object({
+        user: Joi.string().hex().length(24),
+        active: Joi.boolean()
+    });
+
+    // Schéma de validation pour l'émission d'une clé
+    createSchema = Joi.object({
+        name: Joi.string().trim().max(100).required().messages({
+            'any.required': 'Le nom de la clé est requis.'
+        }),
+        user: Joi.string().hex().length(24), // Utilisateur au nom duquel la clé agit (par défaut, l'émetteur)
+        scopes: Joi.array().items(
+            Joi.string().custom((value, helpers) => (
+                // Une clé ne peut ni tout faire ("*") ni gérer d'autres clés
+                Permissions.isKnown(value) && value !== '*' && !Permissions.matches(value, 'apikey:manage')
+                    ? value
+                    : helpers.error('any.invalid')
+            )).messages({
+                'any.invalid': 'Scope non autorisé : {#value}.'
+            })
+        ).min(1).unique().required().messages({
+            'any.required': 'Les scopes de la clé sont requis.',
+            'array.min': 'Indiquez au moins un scope.'
+        }),
+        expiresAt: Joi.date().greater('now').messages({
+            'date.greater': 'La date d\'expiration doit être dans le futur.'
+        }),
+        rateLimitPerMinute: Joi.number().integer().min(1).max(10000)
+    });
+
+    /**
+     * Récupère les clés d'API (sans leur hash).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getAll(request, response, next) {
+        try {
+            const { error, value } = this.querySchema.validate(request.query);
+            if (error) {
+                this.logger.logger.error("Validation Error (Query): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const filter = {};
+            if (value.user) filter.user = value.user;
+            if (value.active === true) {
+                filter.revokedAt = null;
+                filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+            }
+
+            const apiKeys = await this.model.find(filter).populate('user', 'name email role').sort('-createdAt');
+            this.logger.logger.info("API keys retrieved successfully");
+            response.status(200).json({
+                success: true,
+                count: apiKeys.length,
+                apiKeys
+            });
+        } catch (error) {
+            this.handleError(error, "Error retrieving API keys", next);
+        }
+    }
+
+    /**
+     * Récupère une clé d'API par ID.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getOne(request, response, next) {
+        try {
+            const { error } = this.idSchema.validate(request.params);
+            if (error) {
+                this.logger.logger.error("Validation Error (ID): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const apiKey = await this.model.findById(request.params.id).populate('user', 'name email role');
+            if (!apiKey) {
+                this.logger.logger.error(`API key not found with ID ${request.params.id}`);
+                return next(new ErrorResponse('Aucune clé d\'API trouvée avec cet ID', 404));
+            }
+            response.status(200).json({
+                success: true,
+                apiKey
+            });
+        } catch (error) {
+            this.handleError(error, "Error retrieving API key", next);
+        }
+    }
+
+    /**
+     * Émet une clé d'API. La clé en clair n'est renvoyée qu'ici.
+     * Ses scopes doivent être couverts à la fois par les permissions de l'émetteur et par le rôle de
+     * l'utilisateur au nom duquel elle agit.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async create(request, response, next) {
+        try {
+            const { error, value } = this.createSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const user = await this.userModel.findById(value.user || request.auth.userId).select('+isActive');
+            if (!user || user.isActive === false) {
+                return next(new ErrorResponse('Aucun utilisateur actif trouvé avec cet ID', 404));
+            }
+
+            const denied = [];
+            for (const scope of value.scopes) {
+                for (const permission of Permissions.expand(scope)) {
+                    if (!(await AuthMiddleware.can(request, permission)) || !(await this.permissions.can(user.role, permission))) {
+                        denied.push(scope);
+                        break;
+                    }
+                }
+            }
+            if (denied.length > 0) {
+                return next(new ErrorResponse(
+                    `Scopes non couverts par vos permissions ou par le rôle de l'utilisateur : ${denied.join(', ')}`,
+                    422,
+                    { scopes: denied }
+                ));
+            }
+
+            const { apiKey, key } = await this.apiKeys.issue({ ...value, user: user._id, createdBy: request.auth.userId });
+            this.logger.logSecurityEvent('api_key_issued', { apiKeyId: String(apiKey._id), userId: String(user._id), by: request.auth.userId });
+            response.status(201).json({
+                success: true,
+                key, // Affichée une seule fois : seul son hash est conservé
+                apiKey
+            });
+        } catch (error) {
+            this.handleError(error, "Error issuing API key", next);
+        }
+    }
+
+    /**
+     * Révoque une clé d'API : elle est refusée dès la requête suivante.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async revoke(request, response, next) {
+        try {
+            const { error } = this.idSchema.validate(request.params);
+            if (error) {
+                this.logger.logger.error("Validation Error (ID): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const apiKey = await this.apiKeys.revoke(request.params.id, request.auth.userId);
+            this.logger.logSecurityEvent('api_key_revoked', { apiKeyId: String(apiKey._id), by: request.auth.userId });
+            response.status(200).json({
+                success: true,
+                apiKey
+            });
+        } catch (error) {
+            this.handleError(error, "Error revoking API key", next);
+        }
+    }
+
+    /**
+     * Fonction de gestion des erreurs centralisée.
+     * @param {Error} error - L'erreur à gérer.
+     * @param {string} message - Le message d'erreur personnalisé.
+     * @param {function} next - La fonction next Express.
+     * @returns {void}
+     */
+    handleError(error, message, next) {
+        this.logger.logger.error(message + ": ", error.message);
+        if (error instanceof ErrorResponse) {
+            next(error);
+        } else if (error.name === 'ValidationError') {
+            next(new ErrorResponse(error.message, 422)); // Gérer les erreurs de validation
+        } else {
+            next(new ErrorResponse(message, 500)); // Erreur interne du serveur par défaut
+        }
+    }
+}
+
+export default ApiKey;
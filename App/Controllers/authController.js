@@ -1,17 +1,28 @@
 import userModel from "../Models/user.js";
+import cartModel from "../Models/cart.js";
 import AuthMiddleware from "../Middlewares/authMiddleware.js"
 import ErrorResponse from "../Utils/errorResponse.js";
 import Mailer from "../Utils/Mailer.js";
 import Logger from "../Utils/Logger.js";
+import Sessions from "../Utils/Sessions.js";
+import LoginGuard from "../Utils/LoginGuard.js";
+import TwoFactor from "../Utils/TwoFactor.js";
+import SocialLogin from "../Utils/SocialLogin.js";
+import IdentityProvider from "../Utils/IdentityProvider.js";
 import Joi from 'joi';
-import mongoose from 'mongoose';
+import crypto from 'crypto';
 
 class Authentication {
     constructor() {
         this.userModel = userModel;
+        this.cartModel = cartModel;
         this.authMiddleware = AuthMiddleware;
         this.errorResponse = ErrorResponse;
         this.mailer = new Mailer();
+        this.sessions = new Sessions();
+        this.loginGuard = new LoginGuard();
+        this.twoFactor = new TwoFactor();
+        this.socialLogin = new SocialLogin();
         this.logger = new Logger();
     }
 
@@ -26,8 +37,89 @@ class Authentication {
     loginSchema = Joi.object({
         email: Joi.string().email().required(),
         password: Joi.string().required(),
+        cartToken: Joi.string().hex().optional(), // Panier visiteur à fusionner dans celui de l'utilisateur
     });
 
+    // Validation schema pour le rafraîchissement de l'access token
+    refreshSchema = Joi.object({
+        refreshToken: Joi.string().hex().length(96).required().messages({
+            'string.hex': 'Le refresh token doit être une chaîne hexadécimale.',
+            'string.length': 'Le refresh token n\'a pas la longueur attendue.',
+            'any.required': 'Le refresh token est requis.'
+        })
+    });
+
+    // Validation schema pour la déconnexion (appareil courant ou tous les appareils)
+    logoutSchema = Joi.object({
+        refreshToken: Joi.string().hex().length(96).optional(),
+        allDevices: Joi.boolean().default(false)
+    });
+
+    // Validation schema pour le token de vérification de l'adresse e-mail (paramètre de route)
+    verifyEmailSchema = Joi.object({
+        token: Joi.string().pattern(/^[\w-]+\.[\w-]+\.[\w-]+$/).required().messages({
+            'string.pattern.base': 'Le lien de vérification est invalide.',
+            'any.required': 'Le token de vérification est requis.'
+        })
+    });
+
+    // Validation schema pour la seconde étape de connexion (code TOTP ou code de secours)
+    twoFactorChallengeSchema = Joi.object({
+        challengeToken: Joi.string().required().messages({
+            'any.required': 'Le token de seconde étape est requis.'
+        }),
+        code: Joi.string().pattern(/^\d{6}$/).messages({
+            'string.pattern.base': 'Le code doit comporter 6 chiffres.'
+        }),
+        backupCode: Joi.string().trim().max(20),
+        cartToken: Joi.string().hex().optional()
+    }).xor('code', 'backupCode').messages({
+        'object.missing': 'Un code de vérification ou un code de secours est requis.',
+        'object.xor': 'Fournissez soit un code de vérification, soit un code de secours.'
+    });
+
+    // Validation schema pour l'activation de la double authentification et la régénération des codes de secours
+    twoFactorCodeSchema = Joi.object({
+        code: Joi.string().pattern(/^\d{6}$/).required().messages({
+            'string.pattern.base': 'Le code doit comporter 6 chiffres.',
+            'any.required': 'Le code de vérification est requis.'
+        })
+    });
+
+    // Validation schema pour la désactivation de la double authentification
+    twoFactorDisableSchema = Joi.object({
+        password: Joi.string().required().messages({
+            'any.required': 'Le mot de passe est requis.'
+        }),
+        code: Joi.string().pattern(/^\d{6}$/).messages({
+            'string.pattern.base': 'Le code doit comporter 6 chiffres.'
+        }),
+        backupCode: Joi.string().trim().max(20)
+    }).xor('code', 'backupCode').messages({
+        'object.missing': 'Un code de vérification ou un code de secours est requis.',
+        'object.xor': 'Fournissez soit un code de vérification, soit un code de secours.'
+    });
+
+    // Validation schema pour le nom du fournisseur d'identité (paramètre de route)
+    providerSchema = Joi.object({
+        provider: Joi.string().alphanum().max(30).required().messages({
+            'string.alphanum': 'Le fournisseur d\'identité est invalide.',
+            'any.required': 'Le fournisseur d\'identité est requis.'
+        })
+    });
+
+    // Validation schema pour le retour du fournisseur d'identité (paramètres de requête)
+    oauthCallbackSchema = Joi.object({
+        code: Joi.string().max(2048),
+        state: Joi.string().hex().length(64).required().messages({
+            'string.hex': 'Le paramètre state est invalide.',
+            'string.length': 'Le paramètre state est invalide.',
+            'any.required': 'Le paramètre state est requis.'
+        }),
+        error: Joi.string().max(200),
+        error_description: Joi.string().max(1000)
+    }).or('code', 'error').unknown(true);
+
     // Validation schema pour la demande de réinitialisation du mot de passe
     forgotPasswordSchema = Joi.object({
         email: Joi.string().email().required().messages({
@@ -38,15 +130,15 @@ class Authentication {
 
     // Validation schema pour la réinitialisation du mot de passe
     resetPasswordSchema = Joi.object({
-        password: Joi.string().min(6).required().messages({
-            'string.min': 'Le mot de passe doit contenir au moins 6 caractères.',
+        password: Joi.string().min(8).required().messages({
+            'string.min': 'Le mot de passe doit contenir au moins 8 caractères.',
             'any.required': 'Le mot de passe est requis.'
         })
     });
 
     // Validation schema pour le token de réinitialisation du mot de passe (paramètre de route)
     resetTokenSchema = Joi.object({
-        resettoken: Joi.string().hex().length(64).required().messages({ // Assumant que le token hashé a une longueur de 64 caractères hexadécimaux
+        token: Joi.string().hex().length(64).required().messages({ // 32 octets aléatoires encodés en hexadécimal
             'string.hex': 'Le token de réinitialisation doit être une chaîne hexadécimale.',
             'string.length': 'Le token de réinitialisation n\'a pas la longueur attendue.',
             'any.required': 'Le token de réinitialisation est requis.'
@@ -70,11 +162,16 @@ class Authentication {
             }
 
             const user = await this.userModel.create(request.body);
-            const token = this.authMiddleware.generateToken(user._id);
+            user.password = undefined; // Ne jamais renvoyer le hash du mot de passe
+            const { accessToken, refreshToken } = await this.sessions.issue(user, this.clientInfo(request));
+            if (await this.claimVerificationEmail(user._id)) {
+                await this.sendEmailVerification(user, request);
+            }
             this.logger.logger.info("User registered successfully");
             response.status(201).json({
                 success: true,
-                token,
+                token: accessToken,
+                refreshToken,
                 user
             });
         } catch (err) {
@@ -85,6 +182,7 @@ class Authentication {
 
     /**
      * Connecte un utilisateur existant.
+     * Les échecs sont comptés par IP et par compte (délai progressif, verrouillage temporaire).
      * @param {Object} request - L'objet de requête Express.
      * @param {Object} response - L'objet de réponse Express.
      * @param {function} next - La fonction next Express.
@@ -100,31 +198,723 @@ class Authentication {
             }
 
             const { email, password } = request.body;
-            const user = await this.userModel.findOne({ email }).select("+password");
-            if (!user) {
-                this.logger.logger.error("Invalid credentials");
-                return next(new ErrorResponse("Invalid credentials", 401));
+            const attempt = { ip: request.ip, email };
+            await this.loginGuard.assertAllowed(attempt);
+
+            const user = await this.userModel.findOne({ email: email.toLowerCase() }).select("+password +isActive +lockUntil");
+            if (user && user.isLocked) {
+                this.logger.logSecurityEvent('login_attempt_on_locked_account', { userId: String(user._id), ip: request.ip });
+                return next(new ErrorResponse("Compte temporairement verrouillé suite à de trop nombreux échecs de connexion", 423, { lockUntil: user.lockUntil }));
             }
-            const isMatch = await user.matchPassword(password);
+            const isMatch = Boolean(user) && user.isActive !== false && await user.correctPassword(password, user.password);
             if (!isMatch) {
+                const { locked, unlockToken } = await this.loginGuard.recordFailure({ ...attempt, user: user && user.isActive !== false ? user : undefined });
+                if (locked) {
+                    await this.sendAccountLocked(user, unlockToken, request);
+                }
                 this.logger.logger.error("Invalid credentials");
                 return next(new ErrorResponse("Invalid credentials", 401));
             }
-            const token = this.authMiddleware.generateToken(user._id);
-            this.logger.logger.info("User logged in successfully");
+            await this.loginGuard.recordSuccess({ ...attempt, user });
+
+            // Double authentification : les tokens ne sont émis qu'après la seconde étape
+            if (user.twoFactor?.enabled) {
+                this.logger.logger.info(`Password verified, second factor required for user ${user._id}`);
+                return response.status(200).json({
+                    success: true,
+                    twoFactorRequired: true,
+                    challengeToken: this.authMiddleware.generateTwoFactorChallenge(user)
+                });
+            }
+            await this.completeLogin(user, request, response);
+        } catch (err) {
+            if (err.statusCode === 429) {
+                response.set('Retry-After', String(err.data.retryAfter));
+                this.logger.logger.warn("Login attempt throttled", { ip: request.ip, retryAfter: err.data.retryAfter });
+            } else {
+                this.logger.logger.error("Error while logging in user", err);
+            }
+            next(err);
+        }
+    }
+
+    /**
+     * Seconde étape de connexion : vérifie le code TOTP (ou un code de secours) associé
+     * au token émis par login, puis ouvre la session.
+     * Les codes erronés sont comptés comme des échecs de connexion.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async twoFactorChallenge(request, response, next) {
+        try {
+            const { error } = this.twoFactorChallengeSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Two Factor Challenge Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            let decoded;
+            try {
+                decoded = this.authMiddleware.verifyTwoFactorChallenge(request.body.challengeToken);
+            } catch (err) {
+                this.logger.logger.warn("Invalid two factor challenge token", { error: err.message });
+                return next(new ErrorResponse("La session de connexion a expiré, veuillez recommencer", 401));
+            }
+
+            const user = await this.twoFactor.load(decoded._id, "+isActive +lockUntil");
+            if (!user || user.isActive === false) {
+                return next(new ErrorResponse("Invalid credentials", 401));
+            }
+            const attempt = { ip: request.ip, email: user.email };
+            await this.loginGuard.assertAllowed(attempt);
+            if (user.isLocked) {
+                this.logger.logSecurityEvent('login_attempt_on_locked_account', { userId: String(user._id), ip: request.ip });
+                return next(new ErrorResponse("Compte temporairement verrouillé suite à de trop nombreux échecs de connexion", 423, { lockUntil: user.lockUntil }));
+            }
+
+            const { valid, method, remainingBackupCodes } = await this.twoFactor.verify(user, request.body);
+            if (!valid) {
+                const { locked, unlockToken } = await this.loginGuard.recordFailure({ ...attempt, user });
+                if (locked) {
+                    await this.sendAccountLocked(user, unlockToken, request);
+                }
+                this.logger.logSecurityEvent('two_factor_failed', { userId: String(user._id), ip: request.ip });
+                return next(new ErrorResponse("Code de vérification invalide", 401));
+            }
+            if (method === 'backup_code') {
+                this.logger.logSecurityEvent('two_factor_backup_code_used', { userId: String(user._id), ip: request.ip, remainingBackupCodes });
+            }
+
+            await this.loginGuard.recordSuccess({ ...attempt, user });
+            await this.completeLogin(user, request, response);
+        } catch (err) {
+            if (err.statusCode === 429) {
+                response.set('Retry-After', String(err.data.retryAfter));
+            }
+            this.logger.logger.error("Error during two factor challenge", err.message);
+            next(err);
+        }
+    }
+
+    /**
+     * Ouvre la session d'un utilisateur authentifié et renvoie ses tokens.
+     * @param {Object} user - Le document utilisateur.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {Object} [details] - Informations supplémentaires à renvoyer (ex : compte créé via un fournisseur).
+     * @returns {Promise<void>}
+     */
+    async completeLogin(user, request, response, details = {}) {
+        const { accessToken, refreshToken } = await this.sessions.issue(user, this.clientInfo(request));
+        await this.userModel.updateOne({ _id: user._id }, { lastLoginAt: new Date() });
+        await this.mergeGuestCart(request.get('x-cart-token') || request.body.cartToken, user._id);
+        const twoFactorSetupRequired = this.authMiddleware.requiresTwoFactor(user) && !user.twoFactor?.enabled;
+        this.logger.logger.info("User logged in successfully");
+        response.status(200).json({
+            success: true,
+            token: accessToken,
+            refreshToken,
+            twoFactorSetupRequired,
+            ...details,
+            user: this.publicProfile(user)
+        });
+    }
+
+    /**
+     * Retire d'un document utilisateur les champs sensibles chargés pour l'authentification.
+     * @param {Object} user - Le document utilisateur.
+     * @returns {Object}
+     */
+    publicProfile(user) {
+        const { password, isActive, lockUntil, isLocked, twoFactor = {}, ...profile } = user.toJSON();
+        return { ...profile, twoFactor: { enabled: Boolean(twoFactor.enabled), enabledAt: twoFactor.enabledAt } };
+    }
+
+    /**
+     * Liste les fournisseurs d'identité disponibles.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @returns {void}
+     */
+    listProviders(request, response) {
+        response.status(200).json({
+            success: true,
+            providers: IdentityProvider.enabled()
+        });
+    }
+
+    /**
+     * Démarre une connexion via un fournisseur d'identité : redirige le navigateur vers la page
+     * d'autorisation, ou renvoie son URL aux clients qui attendent du JSON.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async oauthStart(request, response, next) {
+        try {
+            const { error } = this.providerSchema.validate(request.params);
+            if (error) {
+                this.logger.logger.error("Validation Error (OAuth Provider Params): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const authorizationUrl = await this.socialLogin.start(request.params.provider, {
+                redirectUri: this.oauthRedirectUri(request)
+            });
+            if (request.accepts(['json', 'html']) === 'html') {
+                return response.redirect(authorizationUrl);
+            }
             response.status(200).json({
                 success: true,
-                token,
-                user
+                authorizationUrl
+            });
+        } catch (err) {
+            this.logger.logger.error("Error while starting OAuth flow", err.message);
+            next(err);
+        }
+    }
+
+    /**
+     * Démarre la liaison d'un fournisseur d'identité au compte de l'utilisateur connecté.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async oauthLink(request, response, next) {
+        try {
+            const { error } = this.providerSchema.validate(request.params);
+            if (error) {
+                this.logger.logger.error("Validation Error (OAuth Provider Params): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const authorizationUrl = await this.socialLogin.start(request.params.provider, {
+                redirectUri: this.oauthRedirectUri(request),
+                linkUserId: request.auth.userId
+            });
+            response.status(200).json({
+                success: true,
+                authorizationUrl
+            });
+        } catch (err) {
+            this.logger.logger.error("Error while starting OAuth link flow", err.message);
+            next(err);
+        }
+    }
+
+    /**
+     * Retour du fournisseur d'identité : termine le flux puis connecte l'utilisateur
+     * (ou confirme la liaison au compte connecté qui l'a demandée).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async oauthCallback(request, response, next) {
+        try {
+            const { error: paramsError } = this.providerSchema.validate(request.params);
+            if (paramsError) {
+                this.logger.logger.error("Validation Error (OAuth Provider Params): ", paramsError.details);
+                return next(new ErrorResponse(paramsError.details[0].message, 400));
+            }
+            const { error: queryError } = this.oauthCallbackSchema.validate(request.query);
+            if (queryError) {
+                this.logger.logger.error("Validation Error (OAuth Callback Query): ", queryError.details);
+                return next(new ErrorResponse(queryError.details[0].message, 400));
+            }
+            if (request.query.error) {
+                this.logger.logger.warn("OAuth authorization denied", { provider: request.params.provider, error: request.query.error });
+                return next(new ErrorResponse("L'autorisation a été refusée par le fournisseur d'identité", 401, { error: request.query.error }));
+            }
+
+            const { provider } = request.params;
+            const result = await this.socialLogin.complete(provider, request.query);
+            if (result.linkedTo) {
+                this.logger.logSecurityEvent('identity_linked', { userId: result.linkedTo, provider, ip: request.ip });
+                return response.status(200).json({
+                    success: true,
+                    data: `Compte lié à ${provider}.`
+                });
+            }
+
+            const user = await this.userModel.findById(result.user._id).select("+isActive +lockUntil");
+            if (user.isActive === false) {
+                return next(new ErrorResponse("Invalid credentials", 401));
+            }
+            if (user.isLocked) {
+                this.logger.logSecurityEvent('login_attempt_on_locked_account', { userId: String(user._id), ip: request.ip, provider });
+                return next(new ErrorResponse("Compte temporairement verrouillé suite à de trop nombreux échecs de connexion", 423, { lockUntil: user.lockUntil }));
+            }
+            if (result.linked) {
+                this.logger.logSecurityEvent('identity_linked', { userId: String(user._id), provider, ip: request.ip, byVerifiedEmail: true });
+            }
+
+            // La double authentification s'applique aussi aux connexions via un fournisseur
+            if (user.twoFactor?.enabled) {
+                return response.status(200).json({
+                    success: true,
+                    twoFactorRequired: true,
+                    challengeToken: this.authMiddleware.generateTwoFactorChallenge(user)
+                });
+            }
+            await this.completeLogin(user, request, response, { provider, created: result.created });
+        } catch (err) {
+            this.logger.logger.error("Error during OAuth callback", err.message);
+            next(err);
+        }
+    }
+
+    /**
+     * Retire la liaison entre le compte connecté et un fournisseur d'identité.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async oauthUnlink(request, response, next) {
+        try {
+            const { error } = this.providerSchema.validate(request.params);
+            if (error) {
+                this.logger.logger.error("Validation Error (OAuth Provider Params): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            await this.socialLogin.unlink(request.auth.userId, request.params.provider);
+            this.logger.logSecurityEvent('identity_unlinked', { userId: request.auth.userId, provider: request.params.provider, ip: request.ip });
+            response.status(200).json({
+                success: true,
+                data: `Compte délié de ${request.params.provider}.`
+            });
+        } catch (err) {
+            this.logger.logger.error("Error while unlinking identity provider", err.message);
+            next(err);
+        }
+    }
+
+    /**
+     * URL de retour transmise au fournisseur d'identité
+     * (OAUTH_REDIRECT_BASE_URL permet de la fixer derrière un proxy).
+     * @param {Object} request - L'objet de requête Express.
+     * @returns {string}
+     */
+    oauthRedirectUri(request) {
+        const baseUrl = process.env.OAUTH_REDIRECT_BASE_URL || `${request.protocol}://${request.get("host")}${request.baseUrl}/oauth`;
+        return `${baseUrl}/${request.params.provider}/callback`;
+    }
+
+    /**
+     * Démarre l'activation de la double authentification : renvoie le secret et l'URI otpauth://
+     * à afficher sous forme de QR code.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async setupTwoFactor(request, response, next) {
+        try {
+            const { secret, otpauthUrl } = await this.twoFactor.setup(request.user);
+            this.logger.logger.info(`Two factor enrollment started for user ${request.auth.userId}`);
+            response.status(200).json({
+                success: true,
+                secret,
+                otpauthUrl
+            });
+        } catch (err) {
+            this.logger.logger.error("Error while starting two factor enrollment", err.message);
+            next(err);
+        }
+    }
+
+    /**
+     * Active la double authentification après vérification d'un premier code
+     * et renvoie les codes de secours (affichés une seule fois).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async verifyTwoFactor(request, response, next) {
+        try {
+            const { error } = this.twoFactorCodeSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Two Factor Code Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const backupCodes = await this.twoFactor.enable(request.auth.userId, request.body.code);
+            this.logger.logSecurityEvent('two_factor_enabled', { userId: request.auth.userId, ip: request.ip });
+            response.status(200).json({
+                success: true,
+                backupCodes
+            });
+        } catch (err) {
+            this.logger.logger.error("Error while enabling two factor authentication", err.message);
+            next(err);
+        }
+    }
+
+    /**
+     * Désactive la double authentification (mot de passe et second facteur requis).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async disableTwoFactor(request, response, next) {
+        try {
+            const { error } = this.twoFactorDisableSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Two Factor Disable Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const user = await this.twoFactor.load(request.auth.userId, "+password");
+            if (!(await user.correctPassword(request.body.password, user.password))) {
+                return next(new ErrorResponse("Mot de passe incorrect", 401));
+            }
+            await this.twoFactor.disable(user, request.body);
+            this.logger.logSecurityEvent('two_factor_disabled', { userId: request.auth.userId, ip: request.ip });
+            response.status(200).json({
+                success: true,
+                data: "Double authentification désactivée."
+            });
+        } catch (err) {
+            this.logger.logger.error("Error while disabling two factor authentication", err.message);
+            next(err);
+        }
+    }
+
+    /**
+     * Remplace les codes de secours de l'utilisateur connecté.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async regenerateBackupCodes(request, response, next) {
+        try {
+            const { error } = this.twoFactorCodeSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Two Factor Code Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const user = await this.twoFactor.load(request.auth.userId);
+            const backupCodes = await this.twoFactor.regenerateBackupCodes(user, request.body.code);
+            this.logger.logSecurityEvent('two_factor_backup_codes_regenerated', { userId: request.auth.userId, ip: request.ip });
+            response.status(200).json({
+                success: true,
+                backupCodes
+            });
+        } catch (err) {
+            this.logger.logger.error("Error while regenerating backup codes", err.message);
+            next(err);
+        }
+    }
+
+    /**
+     * Déverrouille un compte à partir du lien reçu par e-mail lors du verrouillage.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async unlockAccount(request, response, next) {
+        try {
+            const { error } = this.resetTokenSchema.validate(request.params);
+            if (error) {
+                this.logger.logger.error("Validation Error (Unlock Token Params): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const unlockToken = crypto.createHash("sha256").update(request.params.token).digest("hex");
+            const user = await this.userModel.findOne({
+                unlockToken,
+                unlockTokenExpires: { $gt: Date.now() }
+            });
+            if (!user) {
+                this.logger.logger.error("Invalid or expired unlock token");
+                return next(new ErrorResponse("Le lien de déverrouillage est invalide ou a expiré", 400));
+            }
+
+            user.unlock();
+            await user.save({ validateBeforeSave: false });
+            await this.loginGuard.reset(user.email);
+            this.logger.logSecurityEvent('account_unlocked', { userId: String(user._id), ip: request.ip });
+            response.status(200).json({
+                success: true,
+                data: "Compte déverrouillé, vous pouvez vous reconnecter."
+            });
+        } catch (err) {
+            this.logger.logger.error("Error while unlocking account", err);
+            next(err);
+        }
+    }
+
+    /**
+     * Prévient l'utilisateur du verrouillage de son compte et lui envoie le lien de déverrouillage.
+     * @param {Object} user - Le document utilisateur.
+     * @param {string} unlockToken - Le token de déverrouillage en clair.
+     * @param {Object} request - L'objet de requête Express.
+     * @returns {Promise<void>}
+     */
+    async sendAccountLocked(user, unlockToken, request) {
+        const baseUrl = process.env.ACCOUNT_UNLOCK_URL || `${request.protocol}://${request.get("host")}${request.baseUrl}/unlock`;
+        try {
+            await this.mailer
+                .setRecipient(user.email, user.name)
+                .setUrl(`${baseUrl}/${unlockToken}`)
+                .sendAccountLocked(this.loginGuard.lockMinutes);
+        } catch (err) {
+            this.logger.logger.error(`Account locked email could not be sent to user ${user._id}`, err.message);
+        }
+    }
+
+    /**
+     * Vérifie l'adresse e-mail d'un utilisateur à partir du lien signé reçu à l'inscription,
+     * puis lui envoie l'e-mail de bienvenue.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async verifyEmail(request, response, next) {
+        try {
+            const { error } = this.verifyEmailSchema.validate(request.params);
+            if (error) {
+                this.logger.logger.error("Validation Error (Verify Email Params): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            let decoded;
+            try {
+                decoded = this.authMiddleware.verifyEmailVerificationToken(request.params.token);
+            } catch (err) {
+                this.logger.logger.warn("Invalid email verification token", { error: err.message });
+                return next(new ErrorResponse("Le lien de vérification est invalide ou a expiré", 400));
+            }
+
+            const user = await this.userModel.findById(decoded._id);
+            // Le lien ne vaut que pour l'adresse à laquelle il a été envoyé
+            if (!user || user.email !== decoded.email) {
+                this.logger.logger.warn("Email verification token does not match any user", { userId: decoded._id });
+                return next(new ErrorResponse("Le lien de vérification est invalide ou a expiré", 400));
+            }
+
+            if (!user.isEmailVerified) {
+                user.isEmailVerified = true;
+                user.emailVerifiedAt = new Date();
+                await user.save({ validateBeforeSave: false });
+                await this.sendWelcome(user);
+                this.logger.logger.info(`Email verified for user ${user._id}`);
+            }
+            response.status(200).json({
+                success: true,
+                data: "Adresse e-mail vérifiée."
+            });
+        } catch (err) {
+            this.logger.logger.error("Error while verifying email", err);
+            next(err);
+        }
+    }
+
+    /**
+     * Renvoie l'e-mail de vérification à l'utilisateur connecté.
+     * Un seul envoi est autorisé par période de EMAIL_VERIFICATION_RESEND_SECONDS (60 s par défaut).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async resendVerification(request, response, next) {
+        try {
+            const user = request.user;
+            if (user.isEmailVerified) {
+                return next(new ErrorResponse("L'adresse e-mail est déjà vérifiée", 409));
+            }
+
+            if (!(await this.claimVerificationEmail(user._id))) {
+                const { emailVerificationSentAt } = await this.userModel.findById(user._id).select("+emailVerificationSentAt");
+                const retryAfter = Math.max(1, Math.ceil(
+                    (emailVerificationSentAt.getTime() + this.verificationResendDelay() * 1000 - Date.now()) / 1000
+                ));
+                response.set('Retry-After', String(retryAfter));
+                this.logger.logger.warn(`Verification email resend throttled for user ${user._id}`);
+                return next(new ErrorResponse(`Veuillez patienter ${retryAfter} secondes avant de demander un nouvel e-mail`, 429, { retryAfter }));
+            }
+
+            await this.sendEmailVerification(user, request);
+            response.status(200).json({
+                success: true,
+                data: "E-mail de vérification envoyé."
+            });
+        } catch (err) {
+            this.logger.logger.error("Error while resending verification email", err);
+            next(err);
+        }
+    }
+
+    /**
+     * Délai minimal entre deux envois de l'e-mail de vérification, en secondes.
+     * @returns {number}
+     */
+    verificationResendDelay() {
+        return parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60;
+    }
+
+    /**
+     * Réserve l'envoi d'un e-mail de vérification : la mise à jour conditionnelle
+     * échoue si un e-mail a été envoyé pendant le délai de renvoi.
+     * @param {string} userId - L'ID de l'utilisateur.
+     * @returns {Promise<boolean>} - true si l'envoi est autorisé.
+     */
+    async claimVerificationEmail(userId) {
+        const now = new Date();
+        const threshold = new Date(now.getTime() - this.verificationResendDelay() * 1000);
+        const { modifiedCount } = await this.userModel.updateOne(
+            {
+                _id: userId,
+                $or: [{ emailVerificationSentAt: null }, { emailVerificationSentAt: { $lte: threshold } }]
+            },
+            { emailVerificationSentAt: now }
+        );
+        return modifiedCount === 1;
+    }
+
+    /**
+     * Envoie le lien de vérification de l'adresse e-mail.
+     * Un échec d'envoi est journalisé sans faire échouer la requête (l'utilisateur peut redemander l'e-mail).
+     * @param {Object} user - Le document utilisateur.
+     * @param {Object} request - L'objet de requête Express.
+     * @returns {Promise<void>}
+     */
+    async sendEmailVerification(user, request) {
+        // EMAIL_VERIFICATION_URL permet de pointer vers la page du front-end plutôt que vers l'API
+        const baseUrl = process.env.EMAIL_VERIFICATION_URL || `${request.protocol}://${request.get("host")}${request.baseUrl}/verify-email`;
+        try {
+            await this.mailer
+                .setRecipient(user.email, user.name)
+                .setUrl(`${baseUrl}/${this.authMiddleware.generateEmailVerificationToken(user)}`)
+                .sendEmailVerification();
+            this.logger.logger.info(`Verification email sent to user ${user._id}`);
+        } catch (err) {
+            this.logger.logger.error(`Verification email could not be sent to user ${user._id}`, err.message);
+        }
+    }
+
+    /**
+     * Envoie l'e-mail de bienvenue une fois l'adresse vérifiée.
+     * @param {Object} user - Le document utilisateur.
+     * @returns {Promise<void>}
+     */
+    async sendWelcome(user) {
+        try {
+            await this.mailer
+                .setRecipient(user.email, user.name)
+                .setUrl(process.env.CLIENT_URL || '')
+                .sendWelcome();
+        } catch (err) {
+            this.logger.logger.error(`Welcome email could not be sent to user ${user._id}`, err.message);
+        }
+    }
+
+    /**
+     * Échange un refresh token contre une nouvelle paire de tokens (rotation).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async refresh(request, response, next) {
+        try {
+            const { error } = this.refreshSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Refresh Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const { accessToken, refreshToken } = await this.sessions.rotate(request.body.refreshToken, this.clientInfo(request));
+            this.logger.logger.info("Access token refreshed");
+            response.status(200).json({
+                success: true,
+                token: accessToken,
+                refreshToken
+            });
+        } catch (err) {
+            if (err.data?.reason === 'reuse_detected') {
+                this.logger.logger.warn("Refresh token reuse detected", { ...err.data, ip: request.ip });
+            } else {
+                this.logger.logger.error("Error while refreshing token", err.message);
+            }
+            next(err instanceof ErrorResponse ? err : new ErrorResponse("Error while refreshing token", 500));
+        }
+    }
+
+    /**
+     * Déconnecte la session courante (refresh token fourni ou session de l'access token),
+     * ou toutes les sessions de l'utilisateur avec allDevices.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async logout(request, response, next) {
+        try {
+            const { error, value } = this.logoutSchema.validate(request.body || {});
+            if (error) {
+                this.logger.logger.error("Validation Error (Logout Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const { userId, sessionId } = request.auth;
+            const revoked = value.allDevices
+                ? await this.sessions.revokeAll(userId)
+                : await this.sessions.revoke(userId, { refreshToken: value.refreshToken, sessionId });
+            this.logger.logger.info(`User ${userId} logged out`, { allDevices: value.allDevices, revoked });
+            response.status(200).json({
+                success: true,
+                revoked
             });
         } catch (err) {
-            this.logger.logger.error("Error while logging in user", err);
+            this.logger.logger.error("Error while logging out", err);
             next(err);
         }
     }
 
+    /**
+     * Informations sur le client conservées avec la session.
+     * @param {Object} request - L'objet de requête Express.
+     * @returns {{userAgent: string, ip: string}}
+     */
+    clientInfo(request) {
+        return { userAgent: request.get('user-agent'), ip: request.ip };
+    }
+
+    /**
+     * Fusionne le panier visiteur dans le panier de l'utilisateur qui vient de se connecter.
+     * Un échec de fusion ne doit pas empêcher la connexion.
+     * @param {string} cartToken - Le jeton du panier visiteur.
+     * @param {string} userId - L'ID de l'utilisateur connecté.
+     * @returns {Promise<void>}
+     */
+    async mergeGuestCart(cartToken, userId) {
+        if (!cartToken) {
+            return;
+        }
+        try {
+            await this.cartModel.mergeGuestCart(cartToken, userId);
+        } catch (err) {
+            this.logger.logger.warn("Guest cart could not be merged", { error: err.message, userId });
+        }
+    }
+
     /**
      * Gestion de la demande de réinitialisation du mot de passe.
+     * La réponse est identique que l'adresse corresponde ou non à un compte.
      * @param {Object} request - L'objet de requête Express.
      * @param {Object} response - L'objet de réponse Express.
      * @param {function} next - La fonction next Express.
@@ -139,44 +929,17 @@ class Authentication {
                 return next(new ErrorResponse(bodyError.details[0].message, 400));
             }
 
-            const user = await this.userModel.findOne({ email: request.body.email });
-            if (!user) {
-                this.logger.logger.error("No user with that email");
-                return next(new ErrorResponse("No user with that email", 404));
-            }
-            const resetToken = user.getResetPasswordToken();
-            // Start a Mongoose session for the transaction
-            const session = await mongoose.startSession();
-            session.startTransaction();
-            try {
-                await user.save({ validateBeforeSave: false, session }); // Pass the session here
-                const resetUrl = `${request.protocol}://${request.get("host")}/api/v1/auth/resetpassword/${resetToken}`;
-                const message = `You are receiving this email because you (or someone else) has requested the reset of a password. Please make a PUT request to: \n\n ${resetUrl}`;
-                this.logger.logger.info("Data passed to mailer.send:", {
-                    email: user.email,
-                    subject: "Password Reset Token",
-                    message: message
-                });
-                await this.mailer
-                    .setRecipient(user.email, user.name)
-                    .setUrl(resetUrl)
-                    .send('reset', 'Password Reset Token', {
-                        message: message
-                    });
-                this.logger.logger.info("Email sent");
-                await session.commitTransaction(); // Commit the transaction
-                response.status(200).json({
-                    success: true,
-                    data: "Email sent"
-                });
-            } catch (err) {
-                // If there's an error, abort the transaction and undo any changes that might have happened
-                await session.abortTransaction();
-                this.logger.logger.error("Error sending email or saving token", err);
-                return next(new ErrorResponse("Email could not be sent", 500)); // Keep the 500 status
-            } finally {
-                session.endSession(); // Clean up the session
+            const user = await this.userModel.findOne({ email: request.body.email.toLowerCase() }).select("+isActive");
+            if (user && user.isActive !== false) {
+                await this.sendPasswordReset(user, request);
+            } else {
+                this.logger.logger.info("Password reset requested for an unknown or inactive email");
             }
+
+            response.status(200).json({
+                success: true,
+                data: "Si un compte correspond à cette adresse, un e-mail de réinitialisation a été envoyé."
+            });
         } catch (err) {
             this.logger.logger.error("Error while handling forgot password", err);
             next(err);
@@ -184,7 +947,34 @@ class Authentication {
     }
 
     /**
-     * Réinitialise le mot de passe d'un utilisateur.
+     * Génère le token de réinitialisation et envoie le lien par e-mail.
+     * En cas d'échec d'envoi, le token est effacé sans que l'erreur soit renvoyée au client.
+     * @param {Object} user - Le document utilisateur.
+     * @param {Object} request - L'objet de requête Express.
+     * @returns {Promise<void>}
+     */
+    async sendPasswordReset(user, request) {
+        const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 10;
+        const resetToken = user.createPasswordResetToken(expiresInMinutes);
+        await user.save({ validateBeforeSave: false });
+
+        // PASSWORD_RESET_URL permet de pointer vers la page du front-end plutôt que vers l'API
+        const baseUrl = process.env.PASSWORD_RESET_URL || `${request.protocol}://${request.get("host")}${request.baseUrl}/reset-password`;
+        try {
+            await this.mailer
+                .setRecipient(user.email, user.name)
+                .setUrl(`${baseUrl}/${resetToken}`)
+                .sendPasswordReset(expiresInMinutes);
+            this.logger.logger.info(`Password reset email sent to user ${user._id}`);
+        } catch (err) {
+            await this.userModel.updateOne({ _id: user._id }, { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } });
+            this.logger.logger.error(`Password reset email could not be sent to user ${user._id}`, err.message);
+        }
+    }
+
+    /**
+     * Réinitialise le mot de passe d'un utilisateur à partir du token reçu par e-mail,
+     * puis révoque toutes ses sessions.
      * @param {Object} request - L'objet de requête Express.
      * @param {Object} response - L'objet de réponse Express.
      * @param {function} next - La fonction next Express.
@@ -195,49 +985,39 @@ class Authentication {
             // Valider le token de la requête (paramètres de route)
             const { error: paramsError } = this.resetTokenSchema.validate(request.params);
             if (paramsError) {
-                this.logger.error("Validation Error (Reset Token Params): ", paramsError.details);
+                this.logger.logger.error("Validation Error (Reset Token Params): ", paramsError.details);
                 return next(new ErrorResponse(paramsError.details[0].message, 400));
             }
 
             // Valider le nouveau mot de passe (corps de la requête)
             const { error: bodyError } = this.resetPasswordSchema.validate(request.body);
             if (bodyError) {
-                this.logger.error("Validation Error (Reset Password Body): ", bodyError.details);
+                this.logger.logger.error("Validation Error (Reset Password Body): ", bodyError.details);
                 return next(new ErrorResponse(bodyError.details[0].message, 400));
             }
 
-            const resetPasswordToken = crypto.createHash("sha256").update(request.params.resettoken).digest("hex");
+            const passwordResetToken = crypto.createHash("sha256").update(request.params.token).digest("hex");
             const user = await this.userModel.findOne({
-                resetPasswordToken,
-                resetPasswordExpire: { $gt: Date.now() }
+                passwordResetToken,
+                passwordResetExpires: { $gt: Date.now() }
             });
             if (!user) {
-                this.logger.error("Invalid Token");
-                return next(new ErrorResponse("Invalid Token", 400));
+                this.logger.logger.error("Invalid or expired password reset token");
+                return next(new ErrorResponse("Le lien de réinitialisation est invalide ou a expiré", 400));
             }
+
             user.password = request.body.password;
-            user.resetPasswordToken = undefined;
-            user.resetPasswordExpire = undefined;
-             // Start a Mongoose session for the transaction
-            const session = await mongoose.startSession();
-            session.startTransaction();
-            try{
-                await user.save({session});
-                await session.commitTransaction();
-                this.logger.info("Password reset successfully");
-                response.status(200).json({
-                    success: true,
-                    data: "Password reset successfully"
-                });
-            } catch(error){
-                await session.abortTransaction();
-                this.logger.error("Error while resetting password", error);
-                next(error);
-            } finally {
-                session.endSession();
-            }
+            user.passwordResetToken = undefined;
+            user.passwordResetExpires = undefined;
+            await user.save(); // Met à jour passwordChangedAt : les tokens déjà émis sont invalidés
+            await this.sessions.revokeAll(user._id, 'password_changed');
+            this.logger.logger.info(`Password reset successfully for user ${user._id}`);
+            response.status(200).json({
+                success: true,
+                data: "Mot de passe réinitialisé, veuillez vous reconnecter."
+            });
         } catch (err) {
-            this.logger.error("Error while resetting password", err);
+            this.logger.logger.error("Error while resetting password", err);
             next(err);
         }
     }
@@ -251,14 +1031,14 @@ class Authentication {
      */
     async getMe(request, response, next) {
         try {
-            const user = await this.userModel.findById(request.user.id);
-            this.logger.info("User found");
+            const user = await this.userModel.findById(request.auth.userId);
+            this.logger.logger.info("User found");
             response.status(200).json({
                 success: true,
                 data: user
             });
         } catch (err) {
-            this.logger.error("Error while getting user", err);
+            this.logger.logger.error("Error while getting user", err);
             next(err);
         }
     }
@@ -21,8 +21,9 @@ class Brand {
         page: Joi.number().integer().min(1),
         limit: Joi.number().integer().min(1),
         search: Joi.string(),
-        filter: Joi.object() // Vous pouvez définir une structure plus précise pour l'objet de filtre si nécessaire
-    });
+        sort: Joi.string(),
+        fields: Joi.string()
+    }).unknown(true); // Filtres validés par APIFeatures (queryFields du modèle)
 
     // Schéma de validation pour la création
     createSchema = Joi.object({
@@ -76,23 +77,26 @@ class Brand {
             }
 
             const resPerPage = 4;
-            const brandsCount = await this.model.countDocuments();
             const apiFeatures = new APIFeatures(this.model.find(), request.query)
                 .search()
                 .filter()
-               .paginate();
-            const brands = await apiFeatures.query;
+                .sort()
+                .limitFields()
+                .paginate(resPerPage);
+            const { results: brands, pagination } = await apiFeatures.execute();
+            APIFeatures.setPaginationHeaders(request, response, pagination);
             this.logger.logger.info("Brands retrieved successfully");
             response.status(200).json({
                 success: true,
                 count: brands.length,
-                brandsCount,
-                resPerPage,
+                brandsCount: pagination.total,
+                resPerPage: pagination.limit,
+                pagination,
                 brands
             });
         } catch (error) {
             this.logger.logger.error("Error retrieving brands: " + error.message);
-            return next(new ErrorResponse("Error retrieving brands", 500));
+            return next(error instanceof ErrorResponse ? error : new ErrorResponse("Error retrieving brands", 500));
         }
     };
 
@@ -0,0 +1,433 @@
+import crypto from 'crypto';
+import cartModel from "../Models/cart.js";
+import ErrorResponse from "../Utils/errorResponse.js";
+import Checkout from "../Utils/Checkout.js";
+import Logger from "../Utils/Logger.js";
+import Joi from 'joi';
+
+class Cart {
+    constructor() {
+        this.model = cartModel;
+        this.checkout = new Checkout();
+        this.logger = new Logger();
+        this.guestTtlDays = parseInt(process.env.CART_TTL_DAYS, 10) || 30;
+    }
+
+    // Schéma de validation pour l'ID d'une ligne du panier
+    itemIdSchema = Joi.object({
+        itemId: Joi.string().hex().length(24).required().messages({
+            'string.hex': 'L\'ID de la ligne doit être une chaîne hexadécimale.',
+            'string.length': 'L\'ID de la ligne doit avoir une longueur de 24 caractères.',
+            'any.required': 'L\'ID de la ligne est requis.'
+        })
+    });
+
+    // Schéma de validation pour l'ajout d'un article
+    addItemSchema = Joi.object({
+        product: Joi.string().hex().length(24).required().messages({
+            'any.required': 'L\'ID du produit est requis.',
+            'string.hex': 'L\'ID du produit doit être une chaîne hexadécimale valide.',
+            'string.length': 'L\'ID du produit doit avoir 24 caractères.'
+        }),
+        variant: Joi.string().hex().length(24).optional().messages({
+            'string.hex': 'L\'ID de la variante doit être une chaîne hexadécimale valide.',
+            'string.length': 'L\'ID de la variante doit avoir 24 caractères.'
+        }),
+        quantity: Joi.number().integer().min(1).default(1).messages({
+            'number.base': 'La quantité doit être un nombre.',
+            'number.integer': 'La quantité doit être un entier.',
+            'number.min': 'La quantité doit être au moins de 1.'
+        })
+    });
+
+    // Schéma de validation pour la mise à jour de la quantité d'une ligne
+    updateItemSchema = Joi.object({
+        quantity: Joi.number().integer().min(1).required().messages({
+            'any.required': 'La quantité est requise.',
+            'number.base': 'La quantité doit être un nombre.',
+            'number.integer': 'La quantité doit être un entier.',
+            'number.min': 'La quantité doit être au moins de 1.'
+        })
+    });
+
+    // Schéma de validation pour l'application d'un code promo
+    couponSchema = Joi.object({
+        code: Joi.string().trim().required().messages({
+            'any.required': 'Le code promo est requis.',
+            'string.empty': 'Le code promo ne peut pas être vide.'
+        })
+    });
+
+    // Schéma de validation pour la transformation du panier en commande
+    checkoutSchema = Joi.object({
+        shippingAddress: Joi.string().hex().length(24).required().messages({
+            'any.required': 'L\'ID de l\'adresse de livraison est requis.',
+            'string.hex': 'L\'ID de l\'adresse de livraison doit être une chaîne hexadécimale valide.',
+            'string.length': 'L\'ID de l\'adresse de livraison doit avoir 24 caractères.'
+        }),
+        paymentMethod: Joi.string().valid('card', 'paypal', 'bank_transfer').required().messages({
+            'any.required': 'La méthode de paiement est requise.',
+            'any.only': 'Méthode de paiement non supportée.'
+        }),
+        quote: Joi.object({
+            signature: Joi.string().hex().required(),
+            expiresAt: Joi.date().iso().required(),
+            totalPrice: Joi.number().required()
+        }).unknown(true).optional()
+    });
+
+    /**
+     * Retrouve le panier de la requête : celui de l'utilisateur connecté, sinon celui du jeton X-Cart-Token.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {boolean} [create=false] - Crée le panier s'il n'existe pas encore.
+     * @returns {Promise<Object|null>} - Le panier.
+     */
+    async resolveCart(request, create = false) {
+        const userId = request.auth?.userId;
+        const token = request.get('x-cart-token');
+
+        let cart = null;
+        if (userId) {
+            cart = await this.model.findOne({ user: userId });
+        } else if (token) {
+            cart = await this.model.findOne({ token, user: null });
+        }
+
+        if (!cart && create) {
+            cart = new this.model(userId
+                ? { user: userId }
+                : {
+                    token: crypto.randomBytes(24).toString('hex'),
+                    expiresAt: new Date(Date.now() + this.guestTtlDays * 24 * 60 * 60 * 1000)
+                });
+        }
+        return cart;
+    }
+
+    /**
+     * Re-calcule le panier à partir du catalogue : disponibilité, stock et prix de chaque ligne.
+     * @param {Object} cart - Le panier.
+     * @returns {Promise<Object>} - Les lignes annotées et les totaux des lignes commandables.
+     */
+    async summarize(cart) {
+        const { products, variants } = await this.checkout.loadCatalog(cart.items);
+        const issues = [];
+        const purchasable = [];
+
+        cart.items.forEach((item) => {
+            const product = products.get(String(item.product));
+            const variant = item.variant ? variants.get(String(item.variant)) : null;
+            if (!product || product.isAvailable === false || (item.variant && !variant)) {
+                issues.push({ item: item._id, reason: 'unavailable' });
+                return;
+            }
+            const available = variant ? variant.stock : product.stock;
+            if (available < item.quantity) {
+                issues.push({ item: item._id, reason: 'insufficient_stock', available });
+                return;
+            }
+            purchasable.push(item);
+        });
+
+        let totals = null;
+        if (purchasable.length > 0) {
+            try {
+                totals = await this.checkout.price(purchasable, { couponCode: cart.couponCode, userId: cart.user });
+            } catch (error) {
+                // Un coupon devenu inapplicable ne doit pas empêcher l'affichage du panier
+                if (!(error instanceof ErrorResponse) || !error.data?.coupon) {
+                    throw error;
+                }
+                issues.push({ reason: 'coupon_not_applicable', coupon: cart.couponCode, couponReason: error.data.reason });
+                totals = await this.checkout.price(purchasable);
+            }
+        }
+
+        return {
+            id: cart._id,
+            token: cart.token,
+            couponCode: cart.couponCode,
+            items: cart.items,
+            issues,
+            totals
+        };
+    }
+
+    /**
+     * Vérifie qu'une quantité d'un produit (ou d'une variante) est disponible.
+     * @param {string} product - L'ID du produit.
+     * @param {string} [variant] - L'ID de la variante.
+     * @param {number} quantity - La quantité totale souhaitée.
+     * @throws {ErrorResponse} - 404 si l'article n'existe pas, 409 si le stock est insuffisant.
+     * @returns {Promise<void>}
+     */
+    async assertInStock(product, variant, quantity) {
+        const { products, variants } = await this.checkout.loadCatalog([{ product, variant }]);
+        const productDoc = products.get(String(product));
+        const variantDoc = variant ? variants.get(String(variant)) : null;
+        const belongsToProduct = !variant || (productDoc?.variants || []).some((v) => String(v._id || v) === String(variant));
+
+        if (!productDoc || productDoc.isAvailable === false || (variant && (!variantDoc || !belongsToProduct))) {
+            throw new ErrorResponse('Article introuvable ou indisponible', 404);
+        }
+        if (!variant && productDoc.variants?.length > 0) {
+            throw new ErrorResponse(`Choisissez une variante du produit "${productDoc.name}"`, 400);
+        }
+        const available = variantDoc ? variantDoc.stock : productDoc.stock;
+        if (available < quantity) {
+            throw new ErrorResponse('Stock insuffisant pour cet article', 409, {
+                items: [{ product, variant, name: productDoc.name, requested: quantity, available }]
+            });
+        }
+    }
+
+    /**
+     * Envoie le panier recalculé, avec son jeton pour les visiteurs.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {Object} cart - Le panier.
+     * @param {number} [status=200] - Le code HTTP.
+     * @returns {Promise<void>}
+     */
+    async sendCart(response, cart, status = 200) {
+        if (cart.token && !cart.isNew) {
+            response.set('X-Cart-Token', cart.token);
+        }
+        response.status(status).json({
+            success: true,
+            cart: await this.summarize(cart)
+        });
+    }
+
+    /**
+     * Récupère le panier courant avec ses totaux.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getCart(request, response, next) {
+        try {
+            // Sans panier, un résumé vide est renvoyé sans jeton : le panier n'est créé (et enregistré) qu'au premier ajout
+            const cart = await this.resolveCart(request) || new this.model({ user: request.auth?.userId });
+            this.logger.logger.info("Cart retrieved successfully");
+            await this.sendCart(response, cart);
+        } catch (error) {
+            this.handleError(error, "Error retrieving cart", next);
+        }
+    }
+
+    /**
+     * Ajoute un article au panier.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async addItem(request, response, next) {
+        try {
+            const { error, value } = this.addItemSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Add Cart Item Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const cart = await this.resolveCart(request, true);
+            const existing = cart.findLine(value.product, value.variant);
+            await this.assertInStock(value.product, value.variant, (existing ? existing.quantity : 0) + value.quantity);
+
+            cart.addItem(value.product, value.variant, value.quantity);
+            await cart.save();
+            this.logger.logger.info(`Product ${value.product} added to cart ${cart._id}`);
+            await this.sendCart(response, cart, 201);
+        } catch (error) {
+            this.handleError(error, "Error adding item to cart", next);
+        }
+    }
+
+    /**
+     * Modifie la quantité d'une ligne du panier.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async updateItem(request, response, next) {
+        try {
+            const { error: paramsError } = this.itemIdSchema.validate(request.params);
+            if (paramsError) {
+                this.logger.logger.error("Validation Error (Cart Item ID): ", paramsError.details);
+                return next(new ErrorResponse(paramsError.details[0].message, 400));
+            }
+            const { error: bodyError } = this.updateItemSchema.validate(request.body);
+            if (bodyError) {
+                this.logger.logger.error("Validation Error (Update Cart Item Body): ", bodyError.details);
+                return next(new ErrorResponse(bodyError.details[0].message, 400));
+            }
+
+            const cart = await this.resolveCart(request);
+            const line = cart && cart.items.id(request.params.itemId);
+            if (!line) {
+                this.logger.logger.error(`Cart item not found with ID ${request.params.itemId}`);
+                return next(new ErrorResponse('Aucune ligne de panier trouvée avec cet ID', 404));
+            }
+
+            await this.assertInStock(line.product, line.variant, request.body.quantity);
+            line.quantity = request.body.quantity;
+            await cart.save();
+            this.logger.logger.info(`Cart item ${line._id} updated successfully`);
+            await this.sendCart(response, cart);
+        } catch (error) {
+            this.handleError(error, "Error updating cart item", next);
+        }
+    }
+
+    /**
+     * Supprime une ligne du panier.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async removeItem(request, response, next) {
+        try {
+            const { error: paramsError } = this.itemIdSchema.validate(request.params);
+            if (paramsError) {
+                this.logger.logger.error("Validation Error (Cart Item ID): ", paramsError.details);
+                return next(new ErrorResponse(paramsError.details[0].message, 400));
+            }
+
+            const cart = await this.resolveCart(request);
+            const line = cart && cart.items.id(request.params.itemId);
+            if (!line) {
+                this.logger.logger.error(`Cart item not found with ID ${request.params.itemId}`);
+                return next(new ErrorResponse('Aucune ligne de panier trouvée avec cet ID', 404));
+            }
+
+            line.deleteOne();
+            await cart.save();
+            this.logger.logger.info(`Cart item ${request.params.itemId} removed successfully`);
+            await this.sendCart(response, cart);
+        } catch (error) {
+            this.handleError(error, "Error removing cart item", next);
+        }
+    }
+
+    /**
+     * Applique un code promo au panier après avoir vérifié qu'il s'applique à ses articles.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async applyCoupon(request, response, next) {
+        try {
+            const { error } = this.couponSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Coupon Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const cart = await this.resolveCart(request);
+            if (!cart || cart.items.length === 0) {
+                return next(new ErrorResponse('Le panier est vide', 400));
+            }
+
+            await this.checkout.price(cart.items, { couponCode: request.body.code, userId: request.auth?.userId });
+            cart.couponCode = request.body.code;
+            await cart.save();
+            this.logger.logger.info(`Coupon ${cart.couponCode} applied to cart ${cart._id}`);
+            await this.sendCart(response, cart);
+        } catch (error) {
+            this.handleError(error, "Error applying coupon", next);
+        }
+    }
+
+    /**
+     * Retire le code promo du panier.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async removeCoupon(request, response, next) {
+        try {
+            const cart = await this.resolveCart(request);
+            if (!cart) {
+                return next(new ErrorResponse('Panier introuvable', 404));
+            }
+
+            cart.couponCode = undefined;
+            await cart.save();
+            this.logger.logger.info(`Coupon removed from cart ${cart._id}`);
+            await this.sendCart(response, cart);
+        } catch (error) {
+            this.handleError(error, "Error removing coupon", next);
+        }
+    }
+
+    /**
+     * Transforme le panier de l'utilisateur connecté en commande puis le vide.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async checkoutCart(request, response, next) {
+        try {
+            const { error } = this.checkoutSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Cart Checkout Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+            if (!request.auth?.userId) {
+                return next(new ErrorResponse('Authentification requise pour passer commande', 401));
+            }
+
+            const cart = await this.resolveCart(request);
+            if (!cart || cart.items.length === 0) {
+                return next(new ErrorResponse('Le panier est vide', 400));
+            }
+
+            const order = await this.checkout.placeOrder({
+                user: request.auth.userId,
+                items: cart.items,
+                shippingAddress: request.body.shippingAddress,
+                paymentMethod: request.body.paymentMethod,
+                quote: request.body.quote,
+                couponCode: cart.couponCode
+            });
+
+            cart.clear();
+            await cart.save();
+            this.logger.logger.info(`Cart ${cart._id} checked out as order ${order._id}`);
+            response.status(201).json({
+                success: true,
+                order
+            });
+        } catch (error) {
+            this.handleError(error, "Error checking out cart", next);
+        }
+    }
+
+    /**
+     * Fonction de gestion des erreurs centralisée.
+     * @param {Error} error - L'erreur à gérer.
+     * @param {string} message - Le message d'erreur personnalisé.
+     * @param {function} next - La fonction next Express.
+     * @returns {void}
+     */
+    handleError(error, message, next) {
+        this.logger.logger.error(message + ": ", error.message);
+        if (error instanceof ErrorResponse) {
+            next(error);
+        } else if (error.name === 'CastError') {
+            next(new ErrorResponse('ID invalide', 400));
+        } else if (error.name === 'ValidationError') {
+            next(new ErrorResponse(error.message, 422));
+        } else {
+            next(new ErrorResponse(message, 500));
+        }
+    }
+}
+
+export default Cart;
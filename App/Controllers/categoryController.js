@@ -1,6 +1,8 @@
 import categoryModel from "../Models/category.js";
+import productModel from "../Models/product.js";
 import ErrorResponse from '../Utils/errorResponse.js';
 import APIFeatures from '../Utils/apiFeatures.js';
+import CategoryTree from '../Utils/CategoryTree.js';
 import Logger from '../Utils/Logger.js';
 import Joi from 'joi';
 
@@ -16,13 +18,30 @@ class Category {
         })
     });
 
+    // Schéma de validation pour le slug d'une catégorie
+    slugSchema = Joi.object({
+        slug: Joi.string().pattern(/^[a-z0-9-]+$/).max(100).required().messages({
+            'string.pattern.base': 'Le slug ne peut contenir que des lettres minuscules, chiffres et tirets.',
+            'any.required': 'Le slug est requis.'
+        })
+    });
+
+    // Schéma de validation pour la suppression (catégorie qui reçoit les produits)
+    deleteQuerySchema = Joi.object({
+        reassignTo: Joi.string().hex().length(24).messages({
+            'string.hex': 'L\'ID de la catégorie de réaffectation doit être une chaîne hexadécimale.',
+            'string.length': 'L\'ID de la catégorie de réaffectation doit avoir 24 caractères.'
+        })
+    });
+
     // Schéma de validation pour la pagination et la recherche
     querySchema = Joi.object({
         page: Joi.number().integer().min(1),
         limit: Joi.number().integer().min(1),
         search: Joi.string(),
-        filter: Joi.object() // Vous pouvez définir une structure plus précise pour l'objet de filtre si nécessaire
-    });
+        sort: Joi.string(),
+        fields: Joi.string()
+    }).unknown(true); // Filtres validés par APIFeatures (queryFields du modèle)
 
     // Schéma de validation pour la création
     createSchema = Joi.object({
@@ -38,6 +57,10 @@ class Category {
         image: Joi.string().required().messages({ // Modifié de .uri() pour accepter les chemins de fichiers locaux
             'any.required': 'L\'image de la catégorie est requise.',
             'string.uri': 'L\'image doit être une URL valide.'
+        }),
+        parent: Joi.string().hex().length(24).allow(null).messages({
+            'string.hex': 'L\'ID de la catégorie parente doit être une chaîne hexadécimale.',
+            'string.length': 'L\'ID de la catégorie parente doit avoir 24 caractères.'
         })
     });
 
@@ -52,11 +75,17 @@ class Category {
         }),
         image: Joi.string().messages({ // Modifié de .uri() pour accepter les chemins de fichiers locaux
             'string.uri': 'L\'image doit être une URL valide.'
+        }),
+        parent: Joi.string().hex().length(24).allow(null).messages({ // null : la catégorie devient une racine
+            'string.hex': 'L\'ID de la catégorie parente doit être une chaîne hexadécimale.',
+            'string.length': 'L\'ID de la catégorie parente doit avoir 24 caractères.'
         })
     }).min(1); // Au moins un champ doit être présent pour la mise à jour
 
     constructor() {
         this.model = categoryModel;
+        this.productModel = productModel;
+        this.tree = new CategoryTree();
         this.logger = new Logger();
     }
 
@@ -70,24 +99,27 @@ class Category {
             }
 
             const resPerPage = 4;
-            const productsCount = await this.model.countDocuments();
             const apiFeatures = new APIFeatures(this.model.find(), request.query)
                 .search()
                .filter()
-               .paginate();
+               .sort()
+               .limitFields()
+               .paginate(resPerPage);
 
-            const products = await apiFeatures.query;
+            const { results: products, pagination } = await apiFeatures.execute();
+            APIFeatures.setPaginationHeaders(request, response, pagination);
             this.logger.logger.info('Produits récupérés avec succès');
             response.status(200).json({
                 success: true,
                 count: products.length,
-                productsCount,
-                resPerPage,
+                productsCount: pagination.total,
+                resPerPage: pagination.limit,
+                pagination,
                 products
             });
         } catch (error) {
             this.logger.logger.error("Error retrieving products: " + error.message);
-            next(new ErrorResponse("Error retrieving products", 500));
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error retrieving products", 500));
         }
     }
 
@@ -130,18 +162,28 @@ class Category {
                 return next(new ErrorResponse(error.details[0].message, 400));
             }
 
-            const product = await this.model.create(request.body);
-            this.logger.logger.info(`Produit créé avec succès avec l'ID ${product._id}`);
+            // Le chemin des ancêtres est calculé à partir de la catégorie parente
+            const ancestors = await this.tree.ancestorsFor(request.body.parent);
+            const category = await this.model.create({ ...request.body, ancestors });
+            this.logger.logger.info(`Catégorie créée avec succès avec l'ID ${category._id}`);
             response.status(201).json({
                 success: true,
-                product
+                product: category // Clé de réponse historique de l'API
             });
         } catch (error) {
-            this.logger.logger.error("Error creating product: " + error.message);
-            next(new ErrorResponse("Error creating product", 500));
+            this.logger.logger.error("Error creating category: " + error.message);
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error creating category", 500));
         }
     };
 
+    /**
+     * Met à jour une catégorie. Un changement de parent déplace tout son sous-arbre (les cycles sont refusés)
+     * et un changement de nom est répercuté dans le chemin de ses descendants.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
     async update(request, response, next) {
         // Gérer le fichier uploadé
         if (request.file) {
@@ -163,26 +205,33 @@ class Category {
                 return next(new ErrorResponse(bodyError.details[0].message, 400));
             }
 
-            const product = await this.model.findByIdAndUpdate(request.params.id, request.body, {
-                new: true,
-                runValidators: true,
-                useFindAndModify: false
-            });
-            if (!product) {
-                this.logger.logger.error(`Produit non trouvé avec l'ID ${request.params.id}`);
-                return next(new ErrorResponse('Aucun produit trouvé avec cet ID', 404));
+            const category = await this.model.findById(request.params.id);
+            if (!category) {
+                this.logger.logger.error(`Catégorie non trouvée avec l'ID ${request.params.id}`);
+                return next(new ErrorResponse('Aucune catégorie trouvée avec cet ID', 404));
             }
-            this.logger.logger.info(`Produit mis à jour avec succès avec l'ID ${request.params.id}`);
+
+            const updated = await this.tree.update(category, request.body);
+
+            this.logger.logger.info(`Catégorie mise à jour avec succès avec l'ID ${request.params.id}`);
             response.status(200).json({
                 success: true,
-                product
+                product: updated // Clé de réponse historique de l'API
             });
         } catch (error) {
-            this.logger.logger.error("Error updating product: " + error.message);
-            next(new ErrorResponse("Error updating product", 500));
+            this.logger.logger.error("Error updating category: " + error.message);
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error updating category", 500));
         }
     };
 
+    /**
+     * Supprime une catégorie : ses sous-catégories remontent sous son parent et ses produits
+     * sont réaffectés à la catégorie indiquée par reassignTo (obligatoire si elle en contient).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
     async delete(request, response, next) {
         try {
             // Valider l'ID de la requête
@@ -191,19 +240,100 @@ class Category {
                 this.logger.logger.error("Validation Error (ID): ", idError.details);
                 return next(new ErrorResponse(idError.details[0].message, 400));
             }
+            const { error: queryError } = this.deleteQuerySchema.validate(request.query);
+            if (queryError) {
+                this.logger.logger.error("Validation Error (Query): ", queryError.details);
+                return next(new ErrorResponse(queryError.details[0].message, 400));
+            }
 
-            const product = await this.model.findByIdAndDelete(request.params.id);
-            if (!product) {
-                return next(new ErrorResponse('Aucun produit trouvé avec cet ID', 404));
+            const category = await this.model.findById(request.params.id);
+            if (!category) {
+                return next(new ErrorResponse('Aucune catégorie trouvée avec cet ID', 404));
             }
-            this.logger.logger.info(`Produit supprimé avec succès avec l'ID ${request.params.id}`);
+            const moved = await this.tree.remove(category, { reassignTo: request.query.reassignTo });
+            this.logger.logger.info(`Catégorie supprimée avec succès avec l'ID ${request.params.id}`, moved);
             response.status(200).json({
                 success: true,
-                message: 'Produit supprimé avec succès'
+                message: 'Catégorie supprimée avec succès',
+                moved
             })
         } catch (error) {
-            this.logger.logger.error("Error deleting product: " + error.message);
-            next(new ErrorResponse("Error deleting product", 500));
+            this.logger.logger.error("Error deleting category: " + error.message);
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error deleting category", 500));
+        }
+    }
+
+    /**
+     * Récupère l'arbre complet des catégories.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getTree(request, response, next) {
+        try {
+            const tree = await this.tree.tree();
+            this.logger.logger.info('Arbre des catégories récupéré avec succès');
+            response.status(200).json({
+                success: true,
+                tree
+            });
+        } catch (error) {
+            this.logger.logger.error("Error retrieving category tree: " + error.message);
+            next(new ErrorResponse("Error retrieving category tree", 500));
+        }
+    }
+
+    /**
+     * Récupère les produits d'une catégorie et de toutes ses sous-catégories, avec son fil d'Ariane.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getProducts(request, response, next) {
+        try {
+            const { error: slugError } = this.slugSchema.validate(request.params);
+            if (slugError) {
+                this.logger.logger.error("Validation Error (Slug): ", slugError.details);
+                return next(new ErrorResponse(slugError.details[0].message, 400));
+            }
+            const { error: queryError } = this.querySchema.validate(request.query);
+            if (queryError) {
+                this.logger.logger.error("Validation Error (Query): ", queryError.details);
+                return next(new ErrorResponse(queryError.details[0].message, 400));
+            }
+
+            const category = await this.model.findOne({ slug: request.params.slug });
+            if (!category) {
+                return next(new ErrorResponse('Aucune catégorie trouvée avec ce slug', 404));
+            }
+
+            const filter = { category: { $in: await this.tree.subtreeIds(category._id) } };
+            const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 4;
+            const apiFeatures = new APIFeatures(this.productModel.find(filter), request.query)
+                .search(['name', 'description'])
+                .filter()
+                .sort()
+                .limitFields()
+                .paginate(resPerPage);
+
+            const { results: products, pagination } = await apiFeatures.execute();
+            APIFeatures.setPaginationHeaders(request, response, pagination);
+            this.logger.logger.info(`Produits de la catégorie ${category.slug} récupérés avec succès`);
+            response.status(200).json({
+                success: true,
+                category,
+                breadcrumbs: category.breadcrumbs,
+                count: products.length,
+                productsCount: pagination.total,
+                resPerPage: pagination.limit,
+                pagination,
+                products
+            });
+        } catch (error) {
+            this.logger.logger.error("Error retrieving category products: " + error.message);
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error retrieving category products", 500));
         }
     }
 }
@@ -2,6 +2,8 @@ import orderModel from "../Models/order.js"
 import ErrorResponse from "../Utils/errorResponse.js"
 import APIFeatures from "../Utils/apiFeatures.js"
 import Logger from "../Utils/Logger.js";
+import Checkout from "../Utils/Checkout.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
 import Joi from 'joi';
 
 class Order {
@@ -21,7 +23,26 @@ class Order {
         page: Joi.number().integer().min(1),
         limit: Joi.number().integer().min(1),
         search: Joi.string(),
-        filter: Joi.object() // Vous pouvez définir une structure plus précise pour l'objet de filtre si nécessaire
+        sort: Joi.string(),
+        fields: Joi.string(),
+        cursor: Joi.string().allow(''), // Pagination par curseur ; vide pour la première page
+        // Les commandes archivées sont masquées par défaut
+        archived: Joi.string().valid('true', 'false', 'all').messages({
+            'any.only': 'Le paramètre archived doit valoir "true", "false" ou "all".'
+        })
+    }).unknown(true); // Filtres validés par APIFeatures (queryFields du modèle)
+
+    // Schéma de validation pour l'export comptable
+    exportSchema = Joi.object({
+        from: Joi.date().iso().messages({
+            'date.format': 'La date de début doit être au format ISO.'
+        }),
+        to: Joi.date().iso().messages({
+            'date.format': 'La date de fin doit être au format ISO.'
+        }),
+        format: Joi.string().valid('csv', 'json').default('csv').messages({
+            'any.only': 'Le format doit être "csv" ou "json".'
+        })
     });
 
     // Schéma de validation pour un item de commande
@@ -41,17 +62,28 @@ class Order {
             'number.integer': 'La quantité doit être un entier.',
             'number.min': 'La quantité doit être au moins de 1.'
         }),
-        price: Joi.number().min(0).required().messages({
-            'any.required': 'Le prix est requis pour chaque article.',
+        // Toléré pour compatibilité mais ignoré : le prix est recalculé côté serveur
+        price: Joi.number().min(0).optional().messages({
             'number.base': 'Le prix doit être un nombre.',
             'number.min': 'Le prix ne peut pas être négatif.'
         })
     });
 
+    // Schéma de validation pour une demande de devis
+    quoteSchema = Joi.object({
+        items: Joi.array().items(this.orderItemSchema).min(1).required().messages({
+            'any.required': 'Au moins un article est requis pour le devis.',
+            'array.min': 'Le devis doit contenir au moins un article.'
+        }),
+        couponCode: Joi.string().trim().uppercase().alphanum().max(32).optional().messages({
+            'string.alphanum': 'Le code promo ne doit contenir que des lettres et des chiffres.'
+        })
+    });
+
     // Schéma de validation pour la création d'une commande
     createSchema = Joi.object({
-        user: Joi.string().hex().length(24).required().messages({
-            'any.required': 'L\'ID de l\'utilisateur est requis.',
+        // Réservé au personnel (commande passée pour un client) ; un client commande toujours pour lui-même
+        user: Joi.string().hex().length(24).optional().messages({
             'string.hex': 'L\'ID de l\'utilisateur doit être une chaîne hexadécimale valide.',
             'string.length': 'L\'ID de l\'utilisateur doit avoir 24 caractères.'
         }),
@@ -68,26 +100,52 @@ class Order {
             'any.required': 'La méthode de paiement est requise.',
             'any.only': 'Méthode de paiement non supportée.'
         }),
-        // Les champs comme taxPrice, shippingPrice, totalPrice sont généralement calculés côté serveur
+        couponCode: Joi.string().trim().uppercase().alphanum().max(32).optional().messages({
+            'string.alphanum': 'Le code promo ne doit contenir que des lettres et des chiffres.'
+        }),
+        // Devis signé renvoyé par POST /orders/quote : s'il est fourni, les prix ne doivent pas avoir changé
+        quote: Joi.object({
+            signature: Joi.string().hex().required(),
+            expiresAt: Joi.date().iso().required(),
+            totalPrice: Joi.number().required()
+        }).unknown(true).optional(),
+        // Les champs comme taxPrice, shippingPrice, totalPrice sont calculés côté serveur par le service Checkout
         // isPaid, paidAt, isDelivered, deliveredAt, status sont gérés par des processus ultérieurs
     });
 
-    // Schéma de validation pour la mise à jour d'une commande (principalement le statut)
+    // Schéma de validation pour la mise à jour d'une commande (hors statut)
     updateSchema = Joi.object({
-        status: Joi.string().valid('pending', 'processing', 'shipped', 'delivered', 'cancelled').messages({
-            'any.only': 'Statut de commande non valide.'
+        // Chaque changement de statut a ses effets (stock, coupon, remboursement) : il passe par sa route dédiée
+        status: Joi.forbidden().messages({
+            'any.unknown': 'Le statut se modifie via les routes dédiées (process, ship, deliver, cancel), les remboursements et les retours.'
         }),
         isPaid: Joi.boolean(),
-        paidAt: Joi.date().iso(),
-        isDelivered: Joi.boolean(),
-        deliveredAt: Joi.date().iso(),
-        // D'autres champs pourraient être ajoutés ici si nécessaire pour la mise à jour
+        carrier: Joi.string().trim(),
+        trackingNumber: Joi.string().trim(),
+        // paidAt, shippedAt, deliveredAt et isDelivered sont horodatés automatiquement par les transitions
     }).min(1).messages({
         'object.min': 'Au moins un champ est requis pour la mise à jour.'
     });
 
+    // Schéma de validation pour les changements de statut dédiés (ship, cancel, ...)
+    transitionSchema = Joi.object({
+        reason: Joi.string().trim().max(500),
+        carrier: Joi.string().trim(),
+        trackingNumber: Joi.string().trim()
+    });
+
+    // Schéma de validation pour l'annulation et l'archivage (le motif est obligatoire)
+    reasonSchema = Joi.object({
+        reason: Joi.string().trim().min(3).max(500).required().messages({
+            'any.required': 'Le motif est requis.',
+            'string.empty': 'Le motif ne peut pas être vide.',
+            'string.min': 'Le motif doit contenir au moins 3 caractères.'
+        })
+    });
+
     constructor() {
         this.model = orderModel; // Correction: utiliser directement le modèle importé
+        this.checkout = new Checkout();
         this.logger = new Logger();
     }
 
@@ -100,25 +158,37 @@ class Order {
                 return next(new ErrorResponse(queryError.details[0].message, 400));
             }
 
+            const { archived = 'false', ...query } = request.query;
+            const archiveFilter = archived === 'all' ? {} : archived === 'true' ? { isArchived: true } : { isArchived: { $ne: true } };
+            if (!(await AuthMiddleware.can(request, 'order:read'))) {
+                archiveFilter.user = request.auth.userId; // Un client ne voit que ses propres commandes
+            }
+
             const resPerPage = 4;
-            const ordersCount = await this.model.countDocuments();
-            const apiFeatures = new APIFeatures(this.model.find(), request.query)
-                .search()
+            const apiFeatures = new APIFeatures(this.model.find(archiveFilter), query)
+                .search(['shippingAddress.fullName', 'trackingNumber', 'couponCode'])
                 .filter()
-                .paginate();
+                .limitFields();
+            if (query.cursor !== undefined) {
+                apiFeatures.cursorPaginate(resPerPage); // Du plus récent au plus ancien, sans total
+            } else {
+                apiFeatures.sort().paginate(resPerPage);
+            }
 
-            const orders = await apiFeatures.query;
+            const { results: orders, pagination } = await apiFeatures.execute();
+            APIFeatures.setPaginationHeaders(request, response, pagination);
             this.logger.logger.info("Orders retrieved successfully");
             response.status(200).json({
                 success: true,
                 count: orders.length,
-                ordersCount,
-                resPerPage,
+                ordersCount: pagination.total,
+                resPerPage: pagination.limit,
+                pagination,
                 orders
             });
         } catch (error) {
             this.logger.logger.error("Error retrieving orders: " + error.message);
-            next(new ErrorResponse("Error retrieving orders", 500));
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error retrieving orders", 500));
         }
     };
 
@@ -132,7 +202,7 @@ class Order {
             }
 
             const order = await this.model.findById(request.params.id);
-            if (!order) {
+            if (!order || !(await this.canAccess(request, order))) {
                 this.logger.logger.error("Order not found");
                 return next(new ErrorResponse("Order not found", 404));
             }
@@ -147,6 +217,48 @@ class Order {
         }
     };
 
+    /**
+     * Indique si l'utilisateur connecté peut accéder à une commande : la sienne, ou toutes avec la permission demandée.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} order - Le document commande.
+     * @param {string} [permission] - La permission donnant accès aux commandes des autres clients.
+     * @returns {Promise<boolean>}
+     */
+    async canAccess(request, order, permission = 'order:read') {
+        return String(order.user._id || order.user) === String(request.auth?.userId)
+            || AuthMiddleware.can(request, permission);
+    }
+
+    /**
+     * Calcule un devis signé à partir des prix du catalogue, sans créer de commande.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async quote(request, response, next) {
+        try {
+            const { error } = this.quoteSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Quote Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const quote = await this.checkout.price(request.body.items, {
+                couponCode: request.body.couponCode,
+                userId: request.auth?.userId
+            });
+            this.logger.logger.info("Order quote computed successfully");
+            response.status(200).json({
+                success: true,
+                quote
+            });
+        } catch (error) {
+            this.logger.logger.error("Error computing quote: " + error.message);
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error computing quote", 500));
+        }
+    };
+
     async create(request, response, next) {
         try {
             // Valider les données du corps de la requête
@@ -156,7 +268,20 @@ class Order {
                 return next(new ErrorResponse(error.details[0].message, 400));
             }
 
-            const order = await this.model.create(request.body);
+            const canOrderForOthers = await AuthMiddleware.can(request, 'order:manage');
+            if (!canOrderForOthers && request.body.user && request.body.user !== request.auth.userId) {
+                return next(new ErrorResponse("Vous ne pouvez commander que pour votre propre compte", 403));
+            }
+
+            // Les prix sont recalculés à partir du catalogue et le stock réservé dans une transaction
+            const order = await this.checkout.placeOrder({
+                user: (canOrderForOthers && request.body.user) || request.auth.userId,
+                items: request.body.items,
+                shippingAddress: request.body.shippingAddress,
+                paymentMethod: request.body.paymentMethod,
+                quote: request.body.quote,
+                couponCode: request.body.couponCode
+            });
             this.logger.logger.info("Order created successfully");
             response.status(201).json({
                 success: true,
@@ -164,7 +289,7 @@ class Order {
             });
         } catch (error) {
             this.logger.logger.error("Error creating order: " + error.message);
-            next(new ErrorResponse("Error creating order", 500));
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error creating order", 500));
         }
     };
 
@@ -184,15 +309,14 @@ class Order {
                 return next(new ErrorResponse(bodyError.details[0].message, 400));
             }
 
-            const order = await this.model.findByIdAndUpdate(request.params.id, request.body, {
-                new: true,
-                runValidators: true,
-                useFindAndModify: false
-            });
+            const order = await this.model.findById(request.params.id);
             if (!order) {
                 this.logger.logger.error("Order not found");
                 return next(new ErrorResponse("Order not found", 404));
             }
+
+            order.set(request.body);
+            await order.save();
             this.logger.logger.info("Order updated successfully");
             response.status(200).json({
                 success: true,
@@ -200,33 +324,243 @@ class Order {
             });
         } catch(error) {
             this.logger.logger.error("Error updating order: " + error.message);
-            next(new ErrorResponse("Error updating order", 500));
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error updating order", 500));
         }
     };
 
-    async delete(request, response, next) {
+    /**
+     * Applique un changement de statut via la machine à états de la commande.
+     * L'annulation restitue le stock réservé à la création de la commande.
+     * @param {Object} order - Le document commande.
+     * @param {string} status - Le statut cible.
+     * @param {Object} options - Options de la transition (changedBy, reason).
+     * @returns {Promise<Object>} - La commande sauvegardée.
+     */
+    async applyTransition(order, status, options) {
+        if (status === 'cancelled') {
+            return this.checkout.cancelOrder(order, options);
+        }
+        order.transitionTo(status, options);
+        return order.save();
+    }
+
+    /**
+     * Crée un gestionnaire de route qui fait passer une commande au statut donné.
+     * @param {string} status - Le statut cible.
+     * @returns {function} - Le gestionnaire Express.
+     */
+    transition(status) {
+        return async (request, response, next) => {
+            try {
+                const { error: idError } = this.idSchema.validate(request.params);
+                if (idError) {
+                    this.logger.logger.error("Validation Error (ID): ", idError.details);
+                    return next(new ErrorResponse(idError.details[0].message, 400));
+                }
+
+                const { error: bodyError } = this.transitionSchema.validate(request.body || {});
+                if (bodyError) {
+                    this.logger.logger.error("Validation Error (Order Transition Body): ", bodyError.details);
+                    return next(new ErrorResponse(bodyError.details[0].message, 400));
+                }
+
+                let order = await this.model.findById(request.params.id);
+                if (!order) {
+                    this.logger.logger.error("Order not found");
+                    return next(new ErrorResponse("Order not found", 404));
+                }
+
+                const { reason, ...shipment } = request.body || {};
+                if (status === 'shipped') {
+                    order.set(shipment);
+                }
+                order = await this.applyTransition(order, status, { changedBy: request.auth?.userId, reason });
+                this.logger.logger.info(`Order ${order._id} moved to ${status}`);
+                response.status(200).json({
+                    success: true,
+                    order
+                });
+            } catch (error) {
+                this.logger.logger.error(`Error moving order to ${status}: ` + error.message);
+                next(error instanceof ErrorResponse ? error : new ErrorResponse("Error updating order status", 500));
+            }
+        };
+    }
+
+    /**
+     * Annule une commande avec un motif et restitue son stock.
+     * Le client ne peut annuler que ses propres commandes ; la machine à états refuse
+     * l'annulation d'une commande expédiée.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async cancel(request, response, next) {
         try {
-            // Valider l'ID de la requête
             const { error: idError } = this.idSchema.validate(request.params);
             if (idError) {
                 this.logger.logger.error("Validation Error (ID): ", idError.details);
                 return next(new ErrorResponse(idError.details[0].message, 400));
             }
+            const { error: bodyError } = this.reasonSchema.validate(request.body || {});
+            if (bodyError) {
+                this.logger.logger.error("Validation Error (Cancel Order Body): ", bodyError.details);
+                return next(new ErrorResponse(bodyError.details[0].message, 400));
+            }
 
-            const order = await this.model.findByIdAndDelete(request.params.id);
+            let order = await this.model.findById(request.params.id);
             if (!order) {
                 this.logger.logger.error("Order not found");
                 return next(new ErrorResponse("Order not found", 404));
             }
-            this.logger.logger.info("Order deleted successfully");
+            if (!(await this.canAccess(request, order, 'order:manage'))) {
+                return next(new ErrorResponse("Vous ne pouvez annuler que vos propres commandes", 403));
+            }
+
+            order = await this.checkout.cancelOrder(order, { changedBy: request.auth.userId, reason: request.body.reason });
+            this.logger.logger.info(`Order ${order._id} cancelled`);
             response.status(200).json({
                 success: true,
-                message: "Order deleted successfully"
+                order
             });
-        } catch(error) {
-            this.logger.logger.error("Error deleting order: " + error.message);
-            next(new ErrorResponse("Error deleting order", 500));
+        } catch (error) {
+            this.logger.logger.error("Error cancelling order: " + error.message);
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error cancelling order", 500));
+        }
+    }
+
+    /**
+     * Archive une commande (suppression logique, permission order:archive).
+     * Les commandes ne sont jamais supprimées : elles restent disponibles pour l'export comptable.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async archive(request, response, next) {
+        try {
+            const { error: idError } = this.idSchema.validate(request.params);
+            if (idError) {
+                this.logger.logger.error("Validation Error (ID): ", idError.details);
+                return next(new ErrorResponse(idError.details[0].message, 400));
+            }
+            const { error: bodyError } = this.reasonSchema.validate(request.body || {});
+            if (bodyError) {
+                this.logger.logger.error("Validation Error (Archive Order Body): ", bodyError.details);
+                return next(new ErrorResponse(bodyError.details[0].message, 400));
+            }
+
+            const order = await this.model.findById(request.params.id);
+            if (!order) {
+                this.logger.logger.error("Order not found");
+                return next(new ErrorResponse("Order not found", 404));
+            }
+
+            order.archive({ archivedBy: request.auth.userId, reason: request.body.reason });
+            await order.save();
+            this.logger.logger.info(`Order ${order._id} archived by ${request.auth.userId}`);
+            response.status(200).json({
+                success: true,
+                order
+            });
+        } catch (error) {
+            this.logger.logger.error("Error archiving order: " + error.message);
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error archiving order", 500));
+        }
+    }
+
+    /**
+     * Restaure une commande archivée (permission order:archive).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async restore(request, response, next) {
+        try {
+            const { error: idError } = this.idSchema.validate(request.params);
+            if (idError) {
+                this.logger.logger.error("Validation Error (ID): ", idError.details);
+                return next(new ErrorResponse(idError.details[0].message, 400));
+            }
+
+            const order = await this.model.findById(request.params.id);
+            if (!order || !order.isArchived) {
+                this.logger.logger.error("Archived order not found");
+                return next(new ErrorResponse("Aucune commande archivée trouvée avec cet ID", 404));
+            }
+
+            order.set({ isArchived: false, archivedAt: undefined, archivedBy: undefined, archiveReason: undefined });
+            await order.save();
+            this.logger.logger.info(`Order ${order._id} restored by ${request.auth.userId}`);
+            response.status(200).json({
+                success: true,
+                order
+            });
+        } catch (error) {
+            this.logger.logger.error("Error restoring order: " + error.message);
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error restoring order", 500));
+        }
+    }
+
+    /**
+     * Exporte les commandes d'une période pour la comptabilité, archivées comprises (permission order:export).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async export(request, response, next) {
+        try {
+            const { error, value } = this.exportSchema.validate(request.query);
+            if (error) {
+                this.logger.logger.error("Validation Error (Export Query): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const filter = {};
+            if (value.from || value.to) {
+                filter.createdAt = {};
+                if (value.from) filter.createdAt.$gte = value.from;
+                if (value.to) filter.createdAt.$lte = value.to;
+            }
+            const orders = await this.model.find(filter).sort('createdAt').lean();
+            const rows = orders.map((order) => this.model.accountingRow(order));
+            this.logger.logger.info(`Accounting export of ${rows.length} orders`);
+
+            if (value.format === 'json') {
+                return response.status(200).json({
+                    success: true,
+                    count: rows.length,
+                    orders: rows
+                });
+            }
+            response.status(200)
+                .attachment(`orders-${new Date().toISOString().slice(0, 10)}.csv`)
+                .type('text/csv')
+                .send(this.toCsv(rows));
+        } catch (error) {
+            this.logger.logger.error("Error exporting orders: " + error.message);
+            next(new ErrorResponse("Error exporting orders", 500));
+        }
+    }
+
+    /**
+     * Convertit des lignes en CSV (séparateur virgule, valeurs échappées).
+     * @param {Array<Object>} rows - Les lignes à exporter.
+     * @returns {string}
+     */
+    toCsv(rows) {
+        if (rows.length === 0) {
+            return '';
         }
+        const escape = (value) => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const columns = Object.keys(rows[0]);
+        return [columns.join(','), ...rows.map((row) => columns.map((column) => escape(row[column])).join(','))].join('\r\n');
     }
 
 }
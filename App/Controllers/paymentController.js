@@ -0,0 +1,321 @@
+import paymentModel from "../Models/payment.js";
+import orderModel from "../Models/order.js";
+import Payments from "../Utils/Payments.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+import ErrorResponse from "../Utils/errorResponse.js";
+import Logger from "../Utils/Logger.js";
+import Joi from 'joi';
+
+class Payment {
+    constructor() {
+        this.model = paymentModel;
+        this.orderModel = orderModel;
+        this.payments = new Payments();
+        this.logger = new Logger();
+    }
+
+    // Schéma de validation pour les ID MongoDB
+    idSchema = Joi.object({
+        id: Joi.string().hex().length(24).required().messages({
+            'string.base': 'L\'ID doit être une chaîne de caractères.',
+            'string.hex': 'L\'ID doit être une chaîne hexadécimale.',
+            'string.length': 'L\'ID doit avoir une longueur de 24 caractères.',
+            'any.required': 'L\'ID est requis.'
+        })
+    });
+
+    // Schéma de validation pour le filtrage des paiements
+    querySchema = Joi.object({
+        order: Joi.string().hex().length(24).messages({
+            'string.hex': 'L\'ID de la commande doit être une chaîne hexadécimale valide.',
+            'string.length': 'L\'ID de la commande doit avoir 24 caractères.'
+        }),
+        status: Joi.string()
+    });
+
+    // Schéma de validation pour la création d'un paiement
+    createSchema = Joi.object({
+        order: Joi.string().hex().length(24).required().messages({
+            'any.required': 'L\'ID de la commande est requis.',
+            'string.hex': 'L\'ID de la commande doit être une chaîne hexadécimale valide.',
+            'string.length': 'L\'ID de la commande doit avoir 24 caractères.'
+        }),
+        captureMethod: Joi.string().valid('automatic', 'manual').optional().messages({
+            'any.only': 'Le mode de capture doit être "automatic" ou "manual".'
+        })
+    });
+
+    // Schéma de validation pour la confirmation d'un paiement
+    confirmSchema = Joi.object({
+        paymentToken: Joi.string().trim().optional()
+    });
+
+    // Schéma de validation pour la capture d'un paiement
+    captureSchema = Joi.object({
+        amount: Joi.number().positive().optional().messages({
+            'number.positive': 'Le montant à capturer doit être positif.'
+        })
+    });
+
+    // Schéma de validation pour le remboursement d'un paiement
+    refundSchema = Joi.object({
+        amount: Joi.number().positive().optional().messages({
+            'number.positive': 'Le montant à rembourser doit être positif.'
+        }),
+        reason: Joi.string().trim().max(500).optional()
+    });
+
+    /**
+     * Charge un paiement en vérifiant que l'utilisateur connecté peut y accéder.
+     * @param {Object} request - L'objet de requête Express.
+     * @returns {Promise<Object>} - Le paiement.
+     */
+    async findAccessible(request) {
+        const payment = await this.model.findById(request.params.id);
+        if (!payment) {
+            throw new ErrorResponse('Aucun paiement trouvé avec cet ID', 404);
+        }
+        if (!(await AuthMiddleware.can(request, 'payment:read')) && String(payment.user) !== String(request.auth.userId)) {
+            throw new ErrorResponse('Accès refusé à ce paiement', 403);
+        }
+        return payment;
+    }
+
+    /**
+     * Récupère les paiements de l'utilisateur connecté (tous avec la permission payment:read).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getAll(request, response, next) {
+        try {
+            const { error } = this.querySchema.validate(request.query);
+            if (error) {
+                this.logger.logger.error("Validation Error (Query): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const filter = {};
+            if (!(await AuthMiddleware.can(request, 'payment:read'))) filter.user = request.auth.userId;
+            if (request.query.order) filter.order = request.query.order;
+            if (request.query.status) filter.status = request.query.status;
+
+            const payments = await this.model.find(filter).sort('-createdAt');
+            this.logger.logger.info("Payments retrieved successfully");
+            response.status(200).json({
+                success: true,
+                count: payments.length,
+                payments
+            });
+        } catch (error) {
+            this.handleError(error, "Error retrieving payments", next);
+        }
+    }
+
+    /**
+     * Récupère un paiement par ID.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getOne(request, response, next) {
+        try {
+            const { error } = this.idSchema.validate(request.params);
+            if (error) {
+                this.logger.logger.error("Validation Error (ID): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const payment = await this.findAccessible(request);
+            response.status(200).json({
+                success: true,
+                payment
+            });
+        } catch (error) {
+            this.handleError(error, "Error retrieving payment", next);
+        }
+    }
+
+    /**
+     * Crée un paiement pour une commande de l'utilisateur connecté.
+     * Le clientSecret renvoyé permet au client de finaliser le paiement chez le prestataire.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async create(request, response, next) {
+        try {
+            const { error } = this.createSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Create Payment Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const order = await this.orderModel.findById(request.body.order);
+            if (!order) {
+                return next(new ErrorResponse('Aucune commande trouvée avec cet ID', 404));
+            }
+            if (!(await AuthMiddleware.can(request, 'payment:manage')) && String(order.user._id || order.user) !== String(request.auth.userId)) {
+                return next(new ErrorResponse('Accès refusé à cette commande', 403));
+            }
+
+            // Le prestataire est choisi côté serveur (PAYMENT_PROVIDER), jamais par le client
+            const { payment, clientSecret } = await this.payments.createPayment(order, {
+                captureMethod: request.body.captureMethod
+            });
+            this.logger.logger.info(`Payment ${payment._id} created for order ${order._id}`);
+            response.status(201).json({
+                success: true,
+                payment,
+                clientSecret
+            });
+        } catch (error) {
+            this.handleError(error, "Error creating payment", next);
+        }
+    }
+
+    /**
+     * Confirme un paiement. En cas de succès, la commande est marquée comme payée.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async confirm(request, response, next) {
+        try {
+            const { error: idError } = this.idSchema.validate(request.params);
+            if (idError) {
+                this.logger.logger.error("Validation Error (ID): ", idError.details);
+                return next(new ErrorResponse(idError.details[0].message, 400));
+            }
+            const { error: bodyError } = this.confirmSchema.validate(request.body);
+            if (bodyError) {
+                this.logger.logger.error("Validation Error (Confirm Payment Body): ", bodyError.details);
+                return next(new ErrorResponse(bodyError.details[0].message, 400));
+            }
+
+            const payment = await this.payments.confirmPayment(await this.findAccessible(request), request.body);
+            this.logger.logger.info(`Payment ${payment._id} confirmed with status ${payment.status}`);
+            response.status(200).json({
+                success: true,
+                payment
+            });
+        } catch (error) {
+            this.handleError(error, "Error confirming payment", next);
+        }
+    }
+
+    /**
+     * Capture un paiement autorisé (permission payment:manage).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async capture(request, response, next) {
+        try {
+            const { error: idError } = this.idSchema.validate(request.params);
+            if (idError) {
+                this.logger.logger.error("Validation Error (ID): ", idError.details);
+                return next(new ErrorResponse(idError.details[0].message, 400));
+            }
+            const { error: bodyError } = this.captureSchema.validate(request.body);
+            if (bodyError) {
+                this.logger.logger.error("Validation Error (Capture Payment Body): ", bodyError.details);
+                return next(new ErrorResponse(bodyError.details[0].message, 400));
+            }
+
+            const payment = await this.payments.capturePayment(await this.findAccessible(request), request.body.amount);
+            this.logger.logger.info(`Payment ${payment._id} captured`);
+            response.status(200).json({
+                success: true,
+                payment
+            });
+        } catch (error) {
+            this.handleError(error, "Error capturing payment", next);
+        }
+    }
+
+    /**
+     * Rembourse tout ou partie d'un paiement (permission order:refund).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async refund(request, response, next) {
+        try {
+            const { error: idError } = this.idSchema.validate(request.params);
+            if (idError) {
+                this.logger.logger.error("Validation Error (ID): ", idError.details);
+                return next(new ErrorResponse(idError.details[0].message, 400));
+            }
+            const { error: bodyError } = this.refundSchema.validate(request.body);
+            if (bodyError) {
+                this.logger.logger.error("Validation Error (Refund Payment Body): ", bodyError.details);
+                return next(new ErrorResponse(bodyError.details[0].message, 400));
+            }
+
+            const payment = await this.payments.refundPayment(await this.findAccessible(request), request.body.amount, request.body.reason, {
+                changedBy: request.auth.userId
+            });
+            this.logger.logger.info(`Payment ${payment._id} refunded (${payment.amountRefunded})`);
+            response.status(200).json({
+                success: true,
+                payment
+            });
+        } catch (error) {
+            this.handleError(error, "Error refunding payment", next);
+        }
+    }
+
+    /**
+     * Reçoit les notifications (webhooks) d'un prestataire de paiement.
+     * La signature est vérifiée sur le corps brut de la requête.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async webhook(request, response, next) {
+        try {
+            const signature = request.get('x-payment-signature');
+            const { payment, duplicate } = await this.payments.handleWebhook(request.params.provider, request.rawBody, signature);
+            if (!payment) {
+                this.logger.logger.warn(`Webhook ${request.params.provider} received for an unknown payment`);
+            }
+            response.status(200).json({
+                success: true,
+                received: true,
+                duplicate
+            });
+        } catch (error) {
+            this.handleError(error, "Error handling payment webhook", next);
+        }
+    }
+
+    /**
+     * Fonction de gestion des erreurs centralisée.
+     * @param {Error} error - L'erreur à gérer.
+     * @param {string} message - Le message d'erreur personnalisé.
+     * @param {function} next - La fonction next Express.
+     * @returns {void}
+     */
+    handleError(error, message, next) {
+        this.logger.logger.error(message + ": ", error.message);
+        if (error instanceof ErrorResponse) {
+            next(error);
+        } else if (error.name === 'CastError') {
+            next(new ErrorResponse('ID invalide', 400));
+        } else if (error.name === 'ValidationError') {
+            next(new ErrorResponse(error.message, 422));
+        } else {
+            next(new ErrorResponse(message, 500));
+        }
+    }
+}
+
+export default Payment;
@@ -1,6 +1,9 @@
 import productModel from '../Models/product.js';
 import ErrorResponse from '../Utils/errorResponse.js';
 import APIFeatures from '../Utils/apiFeatures.js';
+import ProductVariants from '../Utils/ProductVariants.js';
+import Search from '../Utils/Search.js';
+import SearchEngine from '../Utils/SearchEngine.js';
 import Logger from '../Utils/Logger.js';
 import Joi from 'joi';
 
@@ -21,7 +24,40 @@ class Product {
         page: Joi.number().integer().min(1),
         limit: Joi.number().integer().min(1),
         search: Joi.string(),
-        filter: Joi.object() // Vous pouvez définir une structure plus précise pour l'objet de filtre si nécessaire
+        sort: Joi.string(),
+        fields: Joi.string()
+    }).unknown(true); // Filtres validés par APIFeatures (queryFields du modèle)
+
+    // Schéma de validation de la recherche de produits
+    searchSchema = Joi.object({
+        q: Joi.string().trim().max(200).allow(''),
+        brand: Joi.string().hex().length(24),
+        category: Joi.string().hex().length(24),
+        minPrice: Joi.number().min(0),
+        maxPrice: Joi.number().min(0).when('minPrice', {
+            is: Joi.exist(),
+            then: Joi.number().min(Joi.ref('minPrice'))
+        }).messages({
+            'number.min': 'Le prix maximal doit être supérieur ou égal au prix minimal.'
+        }),
+        color: Joi.string().trim(),
+        size: Joi.string().trim(),
+        inStock: Joi.boolean(),
+        sort: Joi.string().valid(...SearchEngine.SORTS),
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100)
+    });
+
+    // Types d'options des variantes (ex : { name: 'Taille', values: ['S', 'M', 'L'] }), noms et valeurs uniques
+    optionTypesSchema = Joi.array().items(Joi.object({
+        name: Joi.string().trim().required(),
+        values: Joi.array().items(Joi.string().trim()).min(1)
+            .unique((a, b) => a.toLowerCase() === b.toLowerCase()).required()
+    })).unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase()).messages({
+        'array.base': 'Les types d\'options doivent être un tableau d\'objets (name, values).',
+        'array.min': 'Chaque type d\'option doit avoir au moins une valeur.',
+        'array.unique': 'Les noms des types d\'options et leurs valeurs doivent être uniques.',
+        'any.required': 'Chaque type d\'option doit avoir un nom et des valeurs.'
     });
 
     // Schéma de validation pour la création d'un produit
@@ -53,11 +89,7 @@ class Product {
             'string.hex': 'L\'ID de la marque doit être une chaîne hexadécimale valide.',
             'string.length': 'L\'ID de la marque doit avoir 24 caractères.'
         }),
-        variants: Joi.array().items(Joi.string().hex().length(24)).optional().messages({
-            'array.base': 'Les variantes doivent être un tableau d\'IDs.',
-            'string.hex': 'Chaque ID de variante doit être une chaîne hexadécimale valide.',
-            'string.length': 'Chaque ID de variante doit avoir 24 caractères.'
-        }),
+        optionTypes: this.optionTypesSchema,
         stock: Joi.number().integer().min(0).required().messages({
             'any.required': 'Le stock est requis.',
             'number.base': 'Le stock doit être un nombre.',
@@ -97,11 +129,7 @@ class Product {
             'string.hex': 'L\'ID de la marque doit être une chaîne hexadécimale valide.',
             'string.length': 'L\'ID de la marque doit avoir 24 caractères.'
         }),
-        variants: Joi.array().items(Joi.string().hex().length(24)).optional().messages({
-            'array.base': 'Les variantes doivent être un tableau d\'IDs.',
-            'string.hex': 'Chaque ID de variante doit être une chaîne hexadécimale valide.',
-            'string.length': 'Chaque ID de variante doit avoir 24 caractères.'
-        }),
+        optionTypes: this.optionTypesSchema,
         stock: Joi.number().integer().min(0).messages({
             'number.base': 'Le stock doit être un nombre.',
             'number.integer': 'Le stock doit être un entier.',
@@ -117,6 +145,8 @@ class Product {
 
     constructor() {
         this.model = productModel;
+        this.variants = new ProductVariants();
+        this.search = new Search();
         this.logger = new Logger();
     }
 
@@ -130,27 +160,72 @@ class Product {
             }
 
             const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 4;
-            const productsCount = await this.model.countDocuments();
             const apiFeatures = new APIFeatures(this.model.find(), request.query)
-                .search()
+                .search(['name', 'description'])
                 .filter()
+                .sort()
+                .limitFields()
                 .paginate(resPerPage);
 
-            const products = await apiFeatures.query;
+            const { results: products, pagination } = await apiFeatures.execute();
+            APIFeatures.setPaginationHeaders(request, response, pagination);
             this.logger.logger.info("Products retrieved successfully");
             response.status(200).json({
                 success: true,
                 count: products.length,
-                productsCount,
-                resPerPage,
+                productsCount: pagination.total,
+                resPerPage: pagination.limit,
+                pagination,
                 products
             })
         } catch (error) {
             this.logger.logger.error("Error retrieving products: " + error.message);
-            next(new ErrorResponse("Error retrieving products", 500));
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error retrieving products", 500));
         }
     };
 
+    /**
+     * Recherche des produits par pertinence (nom, description, marque, catégorie), avec filtres,
+     * facettes et mise en évidence des termes trouvés.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async searchProducts(request, response, next) {
+        try {
+            const { error, value } = this.searchSchema.validate(request.query);
+            if (error) {
+                this.logger.logger.error("Validation Error (Query): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const resPerPage = value.limit || parseInt(process.env.RES_PER_PAGE, 10) || 4;
+            const result = await this.search.search({ ...value, limit: resPerPage });
+            const pagination = { page: value.page, limit: resPerPage, total: result.total, pages: Math.ceil(result.total / resPerPage) };
+            APIFeatures.setPaginationHeaders(request, response, pagination);
+            this.logger.logger.info(`Products searched successfully with engine ${result.engine}`);
+            response.status(200).json({
+                success: true,
+                engine: result.engine,
+                ...(result.correctedQuery && { correctedQuery: result.correctedQuery }),
+                count: result.hits.length,
+                productsCount: result.total,
+                resPerPage,
+                pagination,
+                facets: result.facets,
+                products: result.hits.map(({ product, score, highlights }) => ({
+                    ...(typeof product.toJSON === 'function' ? product.toJSON() : product),
+                    score,
+                    highlights
+                }))
+            });
+        } catch (error) {
+            this.logger.logger.error("Error searching products: " + error.message);
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error searching products", 500));
+        }
+    }
+
     async getOne(request, response, next) {
         try {
             // Valider l'ID de la requête
@@ -191,6 +266,7 @@ class Product {
             }
 
             const product = await this.model.create(request.body);
+            this.search.invalidate();
             this.logger.logger.info(`Product created successfully with ID ${product._id}`);
             response.status(201).json({
                 success: true,
@@ -223,6 +299,21 @@ class Product {
                 return next(new ErrorResponse(bodyError.details[0].message, 400));
             }
 
+            // Le stock d'un produit à variantes est la somme du stock de ses variantes
+            if (request.body.stock !== undefined || request.body.optionTypes !== undefined) {
+                const current = await this.model.findById(request.params.id).select('variants');
+                if (!current) {
+                    this.logger.logger.error(`Product not found with ID ${request.params.id}`);
+                    return next(new ErrorResponse('Aucun produit trouvé avec cet ID', 404));
+                }
+                if (request.body.stock !== undefined && current.variants.length > 0) {
+                    return next(new ErrorResponse('Le stock d\'un produit à variantes se modifie sur ses variantes', 400));
+                }
+                if (request.body.optionTypes !== undefined) {
+                    await this.variants.assertCompatible(request.params.id, request.body.optionTypes);
+                }
+            }
+
             const product = await this.model.findByIdAndUpdate(request.params.id, request.body, {
                 new: true,
                 runValidators: true,
@@ -232,6 +323,7 @@ class Product {
                 this.logger.logger.error(`Product not found with ID ${request.params.id}`);
                 return next(new ErrorResponse('Aucun produit trouvé avec cet ID', 404));
             }
+            this.search.invalidate();
             this.logger.logger.info(`Product updated successfully with ID ${request.params.id}`);
             response.status(200).json({
                 success: true,
@@ -239,7 +331,7 @@ class Product {
             });
         } catch (error) {
             this.logger.logger.error("Error updating product: " + error.message);
-            next(new ErrorResponse("Error updating product", 500));
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error updating product", 500));
         }
     };
 
@@ -257,6 +349,8 @@ class Product {
                 this.logger.logger.error(`Product not found with ID ${request.params.id}`);
                 return next(new ErrorResponse('Aucun produit trouvé avec cet ID', 404));
             }
+            await this.variants.removeAll(product._id);
+            this.search.invalidate();
             this.logger.logger.info(`Product deleted successfully with ID ${request.params.id}`);
             response.status(204).json({
                 success: true,
@@ -1,6 +1,9 @@
 import productVariantModel from "../Models/productVariant.js";
+import productModel from "../Models/product.js";
 import ErrorResponse from '../Utils/errorResponse.js';
 import APIFeatures from '../Utils/apiFeatures.js';
+import ProductVariants from '../Utils/ProductVariants.js';
+import Search from '../Utils/Search.js';
 import Logger from '../Utils/Logger.js';
 import Joi from 'joi';
 
@@ -9,16 +12,22 @@ class ProductVariantController {
     constructor() {
         // Injection de dépendance : le modèle est injecté, pas instancié ici
         this.model = productVariantModel;
+        this.productModel = productModel;
+        this.variants = new ProductVariants();
+        this.search = new Search();
         this.logger = new Logger();
     }
 
-    // Schéma de validation pour les ID MongoDB
-    idSchema = Joi.object({
+    // Schéma de validation pour les paramètres de route (produit et variante)
+    paramsSchema = Joi.object({
         id: Joi.string().hex().length(24).required().messages({
-            'string.base': 'L\'ID doit être une chaîne de caractères.',
-            'string.hex': 'L\'ID doit être une chaîne hexadécimale.',
-            'string.length': 'L\'ID doit avoir une longueur de 24 caractères.',
-            'any.required': 'L\'ID est requis.'
+            'string.hex': 'L\'ID du produit doit être une chaîne hexadécimale.',
+            'string.length': 'L\'ID du produit doit avoir une longueur de 24 caractères.',
+            'any.required': 'L\'ID du produit est requis.'
+        }),
+        variantId: Joi.string().hex().length(24).messages({
+            'string.hex': 'L\'ID de la variante doit être une chaîne hexadécimale.',
+            'string.length': 'L\'ID de la variante doit avoir une longueur de 24 caractères.'
         })
     });
 
@@ -27,46 +36,126 @@ class ProductVariantController {
         page: Joi.number().integer().min(1),
         limit: Joi.number().integer().min(1),
         search: Joi.string(),
-        filter: Joi.object() // Vous pouvez définir une structure plus précise pour l'objet de filtre si nécessaire
+        sort: Joi.string(),
+        fields: Joi.string()
+    }).unknown(true); // Filtres validés par APIFeatures (queryFields du modèle)
+
+    // Options de la variante, contrôlées ensuite par rapport aux types d'options du produit
+    optionsSchema = Joi.array().items(Joi.object({
+        name: Joi.string().trim().required(),
+        value: Joi.string().trim().required()
+    })).messages({
+        'array.base': 'Les options doivent être un tableau d\'objets (name, value).',
+        'any.required': 'Chaque option doit avoir un nom et une valeur.',
+        'string.empty': 'Le nom et la valeur d\'une option ne peuvent pas être vides.'
     });
 
     // Schéma de validation pour la création
     createSchema = Joi.object({
-        color: Joi.string().trim().required().valid('Rouge', 'Vert', 'Bleu', 'Orange', 'Noire', 'Blanche', 'Bordeaux', 'Rose', 'Jaune', 'Marron', 'Beige', 'Gris', 'Violet', 'Multicolore').messages({
-            'any.required': 'La couleur est requise.',
-            'string.empty': 'La couleur ne peut pas être vide.',
-            'any.only': 'Couleur non valide.'
+        sku: Joi.string().trim().max(64).pattern(/^[A-Za-z0-9][A-Za-z0-9._-]*$/).required().messages({
+            'any.required': 'La référence (SKU) est requise.',
+            'string.empty': 'La référence (SKU) ne peut pas être vide.',
+            'string.pattern.base': 'La référence (SKU) ne peut contenir que des lettres, des chiffres, des points, des tirets et des soulignés.'
+        }),
+        barcode: Joi.string().trim().pattern(/^\d{8,14}$/).messages({
+            'string.pattern.base': 'Le code-barres doit comporter de 8 à 14 chiffres (EAN, UPC).'
+        }),
+        options: this.optionsSchema.default([]),
+        price: Joi.number().min(0).messages({
+            'number.base': 'Le prix doit être un nombre.',
+            'number.min': 'Le prix ne peut pas être négatif.'
+        }),
+        weight: Joi.number().min(0).messages({
+            'number.base': 'Le poids doit être un nombre.',
+            'number.min': 'Le poids ne peut pas être négatif.'
         }),
-        size: Joi.string().trim().required().valid('S', 'M', 'L', 'XL', 'XXL', 'XXXL').messages({
-            'any.required': 'La taille est requise.',
-            'string.empty': 'La taille ne peut pas être vide.',
-            'any.only': 'Taille non valide.'
+        images: Joi.array().items(Joi.string().uri()).messages({
+            'array.base': 'Les images doivent être un tableau d\'URLs.',
+            'string.uri': 'Chaque image doit être une URL valide.'
         }),
-        stock: Joi.number().min(0).required().messages({
+        stock: Joi.number().integer().min(0).required().messages({
             'any.required': 'Le stock est requis.',
             'number.base': 'Le stock doit être un nombre.',
+            'number.integer': 'Le stock doit être un entier.',
             'number.min': 'Le stock ne peut pas être négatif.'
         })
     });
 
-    // Schéma de validation pour la mise à jour
+    // Schéma de validation pour la mise à jour (null retire le code-barres ou le prix propre à la variante)
     updateSchema = Joi.object({
-        color: Joi.string().trim().valid('Rouge', 'Vert', 'Bleu', 'Orange', 'Noire', 'Blanche', 'Bordeaux', 'Rose', 'Jaune', 'Marron', 'Beige', 'Gris', 'Violet', 'Multicolore').messages({
-            'string.empty': 'La couleur ne peut pas être vide.',
-            'any.only': 'Couleur non valide.'
+        sku: Joi.string().trim().max(64).pattern(/^[A-Za-z0-9][A-Za-z0-9._-]*$/).messages({
+            'string.empty': 'La référence (SKU) ne peut pas être vide.',
+            'string.pattern.base': 'La référence (SKU) ne peut contenir que des lettres, des chiffres, des points, des tirets et des soulignés.'
         }),
-        size: Joi.string().trim().valid('S', 'M', 'L', 'XL', 'XXL', 'XXXL').messages({
-            'string.empty': 'La taille ne peut pas être vide.',
-            'any.only': 'Taille non valide.'
+        barcode: Joi.string().trim().pattern(/^\d{8,14}$/).allow(null).messages({
+            'string.pattern.base': 'Le code-barres doit comporter de 8 à 14 chiffres (EAN, UPC).'
         }),
-        stock: Joi.number().min(0).messages({
+        options: this.optionsSchema,
+        price: Joi.number().min(0).allow(null).messages({
+            'number.base': 'Le prix doit être un nombre.',
+            'number.min': 'Le prix ne peut pas être négatif.'
+        }),
+        weight: Joi.number().min(0).allow(null).messages({
+            'number.base': 'Le poids doit être un nombre.',
+            'number.min': 'Le poids ne peut pas être négatif.'
+        }),
+        images: Joi.array().items(Joi.string().uri()).messages({
+            'array.base': 'Les images doivent être un tableau d\'URLs.',
+            'string.uri': 'Chaque image doit être une URL valide.'
+        }),
+        stock: Joi.number().integer().min(0).messages({
             'number.base': 'Le stock doit être un nombre.',
+            'number.integer': 'Le stock doit être un entier.',
             'number.min': 'Le stock ne peut pas être négatif.'
         })
-    }).min(1); // Au moins un champ doit être présent pour la mise à jour
+    }).min(1).messages({
+        'object.min': 'Au moins un champ est requis pour la mise à jour.'
+    });
+
+    /**
+     * Valide les paramètres de route et charge le produit parent.
+     * @param {Object} request - L'objet de requête Express.
+     * @throws {ErrorResponse} - 400 si les paramètres sont invalides, 404 si le produit n'existe pas.
+     * @returns {Promise<Object>}
+     */
+    async loadProduct(request) {
+        const { error } = this.paramsSchema.validate(request.params);
+        if (error) {
+            this.logger.logger.error("Validation Error (Params): ", error.details);
+            throw new ErrorResponse(error.details[0].message, 400);
+        }
+        const product = await this.productModel.findById(request.params.id).select('name optionTypes').lean();
+        if (!product) {
+            throw new ErrorResponse('Aucun produit trouvé avec cet ID', 404);
+        }
+        return product;
+    }
+
+    /**
+     * Écrit une variante et recalcule le stock de son produit dans une même transaction,
+     * puis signale la modification du catalogue.
+     * @param {string} productId
+     * @param {function(ClientSession): Promise<Object>} work - L'écriture de la variante.
+     * @returns {Promise<{result: Object, variants: Object[], stock: number}>}
+     */
+    async write(productId, work) {
+        const outcome = await this.variants.write(productId, work);
+        this.search.invalidate();
+        return outcome;
+    }
 
     /**
-     * Récupère toutes les variantes de produit avec pagination, recherche et filtrage.
+     * Erreur 404 d'une variante introuvable pour ce produit.
+     * @param {string} variantId
+     * @returns {ErrorResponse}
+     */
+    notFound(variantId) {
+        this.logger.logger.error(`Product Variant not found with id of ${variantId}`);
+        return new ErrorResponse(`Product Variant not found with id of ${variantId}`, 404);
+    }
+
+    /**
+     * Récupère les variantes d'un produit avec pagination, recherche et filtrage.
      * @param request - L'objet de requête Express.
      * @param response - L'objet de réponse Express.
      * @param next - La fonction next Express.
@@ -74,6 +163,8 @@ class ProductVariantController {
      */
     async getAll(request, response, next) {
         try {
+            const product = await this.loadProduct(request);
+
             // Valider les données de la requête
             const { error } = this.querySchema.validate(request.query);
             if (error) {
@@ -82,19 +173,23 @@ class ProductVariantController {
             }
 
             const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 4;
-            const productVariantCount = await this.model.countDocuments();
-            const apiFeatures = new APIFeatures(this.model.find(), request.query)
-                .search()
+            const apiFeatures = new APIFeatures(this.model.find({ product: product._id }), request.query)
+                .search(['sku', 'barcode', 'options.value'])
                 .filter()
+                .sort()
+                .limitFields()
                 .paginate(resPerPage);
 
-            const productVariants = await apiFeatures.query;
-            this.logger.logger.info(`Product Variants fetched successfully`);
+            const { results: productVariants, pagination } = await apiFeatures.execute();
+            APIFeatures.setPaginationHeaders(request, response, pagination);
+            this.logger.logger.info(`Product Variants fetched successfully for product ${product._id}`);
             response.status(200).json({
                 success: true,
                 count: productVariants.length,
-                productVariantCount,
-                resPerPage,
+                productVariantCount: pagination.total,
+                resPerPage: pagination.limit,
+                pagination,
+                optionTypes: product.optionTypes,
                 productVariants
             });
         } catch (error) {
@@ -104,7 +199,7 @@ class ProductVariantController {
     };
 
     /**
-     * Récupère une variante de produit par ID.
+     * Récupère une variante d'un produit par ID.
      * @param request - L'objet de requête Express.
      * @param response - L'objet de réponse Express.
      * @param next - La fonction next Express.
@@ -112,17 +207,11 @@ class ProductVariantController {
      */
     async getOne(request, response, next) {
         try {
-            // Valider l'ID de la requête
-            const { error: idError } = this.idSchema.validate(request.params);
-            if (idError) {
-                this.logger.logger.error("Validation Error (ID): ", idError.details);
-                return next(new ErrorResponse(idError.details[0].message, 400));
-            }
+            const product = await this.loadProduct(request);
 
-            const productVariant = await this.model.findById(request.params.id);
+            const productVariant = await this.model.findOne({ _id: request.params.variantId, product: product._id });
             if (!productVariant) {
-                this.logger.logger.error(`Product Variant not found with id of ${request.params.id}`);
-                return next(new ErrorResponse(`Product Variant not found with id of ${request.params.id}`, 404));
+                return next(this.notFound(request.params.variantId));
             }
             this.logger.logger.info(`Product Variant fetched successfully`);
             response.status(200).json({
@@ -136,7 +225,8 @@ class ProductVariantController {
     }
 
     /**
-     * Crée une nouvelle variante de produit.
+     * Crée une variante d'un produit. Ses options doivent donner une valeur à chacun des types
+     * d'options du produit ; le stock du produit est recalculé.
      * @param request - L'objet de requête Express.
      * @param response - L'objet de réponse Express.
      * @param next - La fonction next Express.
@@ -144,27 +234,34 @@ class ProductVariantController {
      */
     async create(request, response, next) {
         try {
+            const product = await this.loadProduct(request);
+
             // Valider les données de la requête
-            const { error } = this.createSchema.validate(request.body);
+            const { error, value } = this.createSchema.validate(request.body);
             if (error) {
                 this.logger.logger.error("Validation Error: ", error.details);
                 return next(new ErrorResponse(error.details[0].message, 400));
             }
 
-            const productVariant = await this.model.create(request.body);
-            this.logger.logger.info(`Product Variant created successfully`);
+            const options = ProductVariants.checkOptions(product.optionTypes, value.options);
+            const { result: productVariant, stock } = await this.write(product._id, async (session) => {
+                const [created] = await this.model.create([{ ...value, options, product: product._id }], { session });
+                return created;
+            });
+            this.logger.logger.info(`Product Variant ${productVariant.sku} created successfully for product ${product._id}`);
             response.status(201).json({
                 success: true,
+                productStock: stock,
                 productVariant
             });
         } catch (error) {
             this.logger.logger.error("Error creating product variant: ", error);
-            next(error);
+            next(ProductVariants.duplicateError(error));
         }
     };
 
     /**
-     * Met à jour une variante de produit par ID.
+     * Met à jour une variante d'un produit ; le stock du produit est recalculé.
      * @param request - L'objet de requête Express.
      * @param response - L'objet de réponse Express.
      * @param next - La fonction next Express.
@@ -172,40 +269,44 @@ class ProductVariantController {
      */
     async update(request, response, next) {
         try {
-            // Valider l'ID de la requête
-            const { error: idError } = this.idSchema.validate(request.params);
-            if (idError) {
-                this.logger.logger.error("Validation Error (ID): ", idError.details);
-                return next(new ErrorResponse(idError.details[0].message, 400));
-            }
+            const product = await this.loadProduct(request);
 
             // Valider les données de la requête
-            const { error } = this.updateSchema.validate(request.body);
+            const { error, value } = this.updateSchema.validate(request.body);
             if (error) {
                 this.logger.logger.error("Validation Error: ", error.details);
                 return next(new ErrorResponse(error.details[0].message, 400));
             }
-            const productVariant = await this.model.findByIdAndUpdate(request.params.id, request.body, {
-                new: true,
-                runValidators: true,
-            });
-            if (!productVariant) {
-                this.logger.logger.error(`Product Variant not found with id of ${request.params.id}`);
-                return next(new ErrorResponse(`Product Variant not found with id of ${request.params.id}`, 404));
+
+            if (value.options) {
+                value.options = ProductVariants.checkOptions(product.optionTypes, value.options);
             }
-            this.logger.logger.info(`Product Variant updated successfully`);
+            // La variante est relue dans la transaction, qui peut être rejouée
+            const { result: productVariant, stock } = await this.write(product._id, async (session) => {
+                const variant = await this.model.findOne({ _id: request.params.variantId, product: product._id }).session(session);
+                if (!variant) {
+                    throw this.notFound(request.params.variantId);
+                }
+                for (const [field, fieldValue] of Object.entries(value)) {
+                    variant.set(field, fieldValue === null ? undefined : fieldValue); // null retire la valeur
+                }
+                await variant.save({ session });
+                return variant;
+            });
+            this.logger.logger.info(`Product Variant ${productVariant.sku} updated successfully`);
             response.status(200).json({
                 success: true,
+                productStock: stock,
                 productVariant
             });
         } catch (error) {
             this.logger.logger.error("Error updating product variant: ", error);
-            next(error);
+            next(ProductVariants.duplicateError(error));
         }
     };
 
     /**
-     * Supprime une variante de produit par ID.
+     * Supprime une variante d'un produit ; le stock du produit est recalculé.
      * @param request - L'objet de requête Express.
      * @param response - L'objet de réponse Express.
      * @param next - La fonction next Express.
@@ -213,19 +314,16 @@ class ProductVariantController {
      */
     async delete(request, response, next) {
         try {
-            // Valider l'ID de la requête
-            const { error: idError } = this.idSchema.validate(request.params);
-            if (idError) {
-                this.logger.logger.error("Validation Error (ID): ", idError.details);
-                return next(new ErrorResponse(idError.details[0].message, 400));
-            }
+            const product = await this.loadProduct(request);
 
-            const productVariant = await this.model.findByIdAndDelete(request.params.id);
-            if (!productVariant) {
-                this.logger.logger.error(`Product Variant not found with id of ${request.params.id}`);
-                return next(new ErrorResponse(`Product Variant not found with id of ${request.params.id}`, 404));
-            }
-            this.logger.logger.info(`Product Variant deleted successfully`);
+            const { result: productVariant } = await this.write(product._id, async (session) => {
+                const deleted = await this.model.findOneAndDelete({ _id: request.params.variantId, product: product._id }, { session });
+                if (!deleted) {
+                    throw this.notFound(request.params.variantId);
+                }
+                return deleted;
+            });
+            this.logger.logger.info(`Product Variant ${productVariant.sku} deleted successfully`);
             response.status(204).json({ success: true }); // Utiliser le code 204
         } catch (error) {
             this.logger.logger.error("Error deleting product variant: ", error);
@@ -1,4 +1,5 @@
-import promotionModel from "../Models/promotion.js";
+import promotionModel, { PROMOTION_SCOPES } from "../Models/promotion.js";
+import Checkout from "../Utils/Checkout.js";
 import ErrorResponse from "../Utils/errorResponse.js";
 import APIFeatures from "../Utils/apiFeatures.js";
 import Logger from "../Utils/Logger.js";
@@ -23,6 +24,19 @@ class Promotion {
             'string.empty': 'Le nom de la promotion ne peut pas être vide.'
         }),
         description: Joi.string().trim().optional(),
+        code: Joi.string().trim().uppercase().alphanum().min(3).max(32).when('scope', {
+            is: Joi.valid('cart', 'category', 'brand').required(),
+            then: Joi.required(),
+            otherwise: Joi.optional()
+        }).messages({
+            'any.required': 'Un code est requis pour une promotion panier, catégorie ou marque.',
+            'string.alphanum': 'Le code promo ne doit contenir que des lettres et des chiffres.',
+            'string.min': 'Le code promo doit contenir au moins 3 caractères.',
+            'string.max': 'Le code promo ne peut pas dépasser 32 caractères.'
+        }),
+        scope: Joi.string().valid(...PROMOTION_SCOPES).optional().messages({
+            'any.only': 'La portée doit être "product", "cart", "category" ou "brand".'
+        }),
         type: Joi.string().valid('percentage', 'fixed').required().messages({
             'any.required': 'Le type de promotion est requis.',
             'any.only': 'Le type doit être soit "percentage" soit "fixed".'
@@ -39,11 +53,31 @@ class Promotion {
         }).messages({
             'any.required': 'La valeur de la promotion est requise.'
         }),
-        productId: Joi.string().hex().length(24).required().messages({
+        productId: Joi.string().hex().length(24).when('scope', {
+            is: Joi.valid('cart', 'category', 'brand').required(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+        }).messages({
             'any.required': 'L\'ID du produit est requis.',
             'string.hex': 'L\'ID du produit doit être une chaîne hexadécimale valide.',
             'string.length': 'L\'ID du produit doit avoir 24 caractères.'
         }),
+        category: Joi.string().hex().length(24).when('scope', {
+            is: 'category',
+            then: Joi.required()
+        }).messages({
+            'any.required': 'L\'ID de la catégorie est requis pour une promotion de catégorie.',
+            'string.hex': 'L\'ID de la catégorie doit être une chaîne hexadécimale valide.',
+            'string.length': 'L\'ID de la catégorie doit avoir 24 caractères.'
+        }),
+        brand: Joi.string().hex().length(24).when('scope', {
+            is: 'brand',
+            then: Joi.required()
+        }).messages({
+            'any.required': 'L\'ID de la marque est requis pour une promotion de marque.',
+            'string.hex': 'L\'ID de la marque doit être une chaîne hexadécimale valide.',
+            'string.length': 'L\'ID de la marque doit avoir 24 caractères.'
+        }),
         startDate: Joi.date().iso().min('now').required().messages({
             'any.required': 'La date de début est requise.',
             'date.format': 'La date de début doit être au format ISO.',
@@ -61,6 +95,11 @@ class Promotion {
             'number.integer': 'Le nombre maximum d\'utilisations doit être un entier.',
             'number.min': 'Le nombre maximum d\'utilisations doit être au moins de 1.'
         }),
+        usageLimitPerUser: Joi.number().integer().min(1).optional().messages({
+            'number.integer': 'Le nombre d\'utilisations par client doit être un entier.',
+            'number.min': 'Le nombre d\'utilisations par client doit être au moins de 1.'
+        }),
+        singleUse: Joi.boolean().optional(),
         conditions: Joi.object().optional() // Peut être affiné plus tard
     });
 
@@ -70,6 +109,11 @@ class Promotion {
             'string.empty': 'Le nom de la promotion ne peut pas être vide.'
         }),
         description: Joi.string().trim().optional(),
+        code: Joi.string().trim().uppercase().alphanum().min(3).max(32).messages({
+            'string.alphanum': 'Le code promo ne doit contenir que des lettres et des chiffres.',
+            'string.min': 'Le code promo doit contenir au moins 3 caractères.',
+            'string.max': 'Le code promo ne peut pas dépasser 32 caractères.'
+        }),
         type: Joi.string().valid('percentage', 'fixed').messages({
             'any.only': 'Le type doit être soit "percentage" soit "fixed".'
         }),
@@ -83,10 +127,21 @@ class Promotion {
                 'number.min': 'La valeur fixe doit être supérieure à 0.'
             })
         }),
+        scope: Joi.string().valid(...PROMOTION_SCOPES).messages({
+            'any.only': 'La portée doit être "product", "cart", "category" ou "brand".'
+        }),
         productId: Joi.string().hex().length(24).messages({
             'string.hex': 'L\'ID du produit doit être une chaîne hexadécimale valide.',
             'string.length': 'L\'ID du produit doit avoir 24 caractères.'
         }),
+        category: Joi.string().hex().length(24).messages({
+            'string.hex': 'L\'ID de la catégorie doit être une chaîne hexadécimale valide.',
+            'string.length': 'L\'ID de la catégorie doit avoir 24 caractères.'
+        }),
+        brand: Joi.string().hex().length(24).messages({
+            'string.hex': 'L\'ID de la marque doit être une chaîne hexadécimale valide.',
+            'string.length': 'L\'ID de la marque doit avoir 24 caractères.'
+        }),
         startDate: Joi.date().iso().min('now').messages({
             'date.format': 'La date de début doit être au format ISO.',
             'date.min': 'La date de début ne peut pas être antérieure à maintenant.'
@@ -103,13 +158,42 @@ class Promotion {
             'number.integer': 'Le nombre maximum d\'utilisations doit être un entier.',
             'number.min': 'Le nombre maximum d\'utilisations doit être au moins de 1.'
         }),
+        usageLimitPerUser: Joi.number().integer().min(1).messages({
+            'number.integer': 'Le nombre d\'utilisations par client doit être un entier.',
+            'number.min': 'Le nombre d\'utilisations par client doit être au moins de 1.'
+        }),
+        singleUse: Joi.boolean(),
         conditions: Joi.object().optional()
     }).min(1).messages({
         'object.min': 'Au moins un champ est requis pour la mise à jour.'
     });
 
+    // Schéma de validation pour la vérification d'un code promo
+    validateSchema = Joi.object({
+        code: Joi.string().trim().alphanum().max(32).required().messages({
+            'any.required': 'Le code promo est requis.',
+            'string.alphanum': 'Le code promo ne doit contenir que des lettres et des chiffres.'
+        }),
+        items: Joi.array().items(Joi.object({
+            product: Joi.string().hex().length(24).required().messages({
+                'any.required': 'L\'ID du produit est requis pour chaque article.',
+                'string.hex': 'L\'ID du produit doit être une chaîne hexadécimale valide.',
+                'string.length': 'L\'ID du produit doit avoir 24 caractères.'
+            }),
+            variant: Joi.string().hex().length(24).optional(),
+            quantity: Joi.number().integer().min(1).required().messages({
+                'any.required': 'La quantité est requise pour chaque article.',
+                'number.min': 'La quantité doit être au moins de 1.'
+            })
+        })).min(1).required().messages({
+            'any.required': 'Les articles du panier sont requis.',
+            'array.min': 'Le panier doit contenir au moins un article.'
+        })
+    });
+
     constructor() {
         this.model = promotionModel;
+        this.checkout = new Checkout();
         this.logger = new Logger();
     }
 
@@ -118,8 +202,9 @@ class Promotion {
         page: Joi.number().integer().min(1),
         limit: Joi.number().integer().min(1),
         search: Joi.string(),
-        filter: Joi.object() // Vous pouvez définir une structure plus précise pour l'objet de filtre si nécessaire
-    });
+        sort: Joi.string(),
+        fields: Joi.string()
+    }).unknown(true); // Filtres validés par APIFeatures (queryFields du modèle)
 
     /**
      * Récupère toutes les promotions avec pagination, recherche et filtrage.
@@ -138,19 +223,22 @@ class Promotion {
             }
 
             const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 4; // Récupérer à partir de la configuration
-            const promotionsCount = await this.model.countDocuments();
             const apiFeatures = new APIFeatures(this.model.find(), request.query)
-                .search()
+                .search(['name', 'code'])
                 .filter()
+                .sort()
+                .limitFields()
                 .paginate(resPerPage); // Passer resPerPage à paginate
 
-            const promotions = await apiFeatures.query;
+            const { results: promotions, pagination } = await apiFeatures.execute();
+            APIFeatures.setPaginationHeaders(request, response, pagination);
             this.logger.logger.info("Promotions retrieved successfully");
             response.status(200).json({
                 success: true,
                 count: promotions.length,
-                promotionsCount,
-                resPerPage,
+                promotionsCount: pagination.total,
+                resPerPage: pagination.limit,
+                pagination,
                 promotions
             });
         } catch (error) {
@@ -257,6 +345,36 @@ class Promotion {
         }
     }
 
+    /**
+     * Vérifie un code promo pour un panier et explique pourquoi il est refusé le cas échéant.
+     * Les limites par client ne sont vérifiées que si l'utilisateur est connecté.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async validate(request, response, next) {
+        try {
+            const { error } = this.validateSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Validate Coupon Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const result = await this.checkout.validateCoupon(request.body.items, request.body.code, {
+                userId: request.auth?.userId
+            });
+            this.logger.logger.info(`Coupon ${result.code} validated: ${result.valid ? 'valid' : result.reason}`);
+            response.status(200).json({
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            this.logger.logger.error("Error validating coupon: " + error.message);
+            next(error instanceof ErrorResponse ? error : new ErrorResponse("Error validating coupon", 500));
+        }
+    }
+
     /**
      * Supprime une promotion par ID.
      * @param {Object} request - L'objet de requête Express.
@@ -296,7 +414,9 @@ class Promotion {
      */
     handleError(error, message, next) {
         this.logger.logger.error(message + ": ", error.message);
-        if (error.name === 'CastError') {
+        if (error instanceof ErrorResponse) {
+            next(error);
+        } else if (error.name === 'CastError') {
             next(new ErrorResponse('ID invalide', 400)); // Gérer spécifiquement les erreurs CastError
         } else if (error.name === 'ValidationError') {
             next(new ErrorResponse(error.message, 422)); // Gérer les erreurs de validation
@@ -0,0 +1,253 @@
+import returnRequestModel, { RETURN_REASONS, RETURN_STATUSES } from "../Models/returnRequest.js";
+import orderModel from "../Models/order.js";
+import Returns from "../Utils/Returns.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+import ErrorResponse from "../Utils/errorResponse.js";
+import Logger from "../Utils/Logger.js";
+import Joi from 'joi';
+
+class ReturnRequest {
+    constructor() {
+        this.model = returnRequestModel;
+        this.orderModel = orderModel;
+        this.returns = new Returns();
+        this.logger = new Logger();
+    }
+
+    // Schéma de validation pour les ID MongoDB
+    idSchema = Joi.object({
+        id: Joi.string().hex().length(24).required().messages({
+            'string.base': 'L\'ID doit être une chaîne de caractères.',
+            'string.hex': 'L\'ID doit être une chaîne hexadécimale.',
+            'string.length': 'L\'ID doit avoir une longueur de 24 caractères.',
+            'any.required': 'L\'ID est requis.'
+        })
+    });
+
+    // Schéma de validation pour le filtrage des demandes de retour
+    querySchema = Joi.object({
+        order: Joi.string().hex().length(24).messages({
+            'string.hex': 'L\'ID de la commande doit être une chaîne hexadécimale valide.',
+            'string.length': 'L\'ID de la commande doit avoir 24 caractères.'
+        }),
+        status: Joi.string().valid(...RETURN_STATUSES).messages({
+            'any.only': 'Statut de retour non valide.'
+        })
+    });
+
+    // Schéma de validation pour la création d'une demande de retour
+    createSchema = Joi.object({
+        order: Joi.string().hex().length(24).required().messages({
+            'any.required': 'L\'ID de la commande est requis.',
+            'string.hex': 'L\'ID de la commande doit être une chaîne hexadécimale valide.',
+            'string.length': 'L\'ID de la commande doit avoir 24 caractères.'
+        }),
+        items: Joi.array().items(Joi.object({
+            item: Joi.string().hex().length(24).required().messages({
+                'any.required': 'L\'ID de la ligne de commande est requis pour chaque article.',
+                'string.hex': 'L\'ID de la ligne de commande doit être une chaîne hexadécimale valide.',
+                'string.length': 'L\'ID de la ligne de commande doit avoir 24 caractères.'
+            }),
+            quantity: Joi.number().integer().min(1).required().messages({
+                'any.required': 'La quantité est requise pour chaque article.',
+                'number.min': 'La quantité doit être au moins de 1.'
+            }),
+            reason: Joi.string().valid(...RETURN_REASONS).required().messages({
+                'any.required': 'Le motif du retour est requis pour chaque article.',
+                'any.only': 'Motif de retour non valide.'
+            }),
+            comment: Joi.string().trim().max(1000).optional()
+        })).min(1).unique('item').required().messages({
+            'any.required': 'Au moins un article est requis.',
+            'array.min': 'La demande de retour doit contenir au moins un article.',
+            'array.unique': 'Chaque ligne de commande ne peut apparaître qu\'une fois.'
+        })
+    });
+
+    // Schéma de validation pour les changements de statut
+    transitionSchema = Joi.object({
+        note: Joi.string().trim().max(500),
+        restock: Joi.boolean(),
+        amount: Joi.number().positive().messages({
+            'number.positive': 'Le montant à rembourser doit être positif.'
+        })
+    });
+
+    /**
+     * Charge une demande de retour en vérifiant que l'utilisateur connecté peut y accéder.
+     * @param {Object} request - L'objet de requête Express.
+     * @returns {Promise<Object>} - La demande de retour.
+     */
+    async findAccessible(request) {
+        const returnRequest = await this.model.findById(request.params.id);
+        if (!returnRequest) {
+            throw new ErrorResponse('Aucune demande de retour trouvée avec cet ID', 404);
+        }
+        if (!(await AuthMiddleware.can(request, 'return:read')) && String(returnRequest.user) !== String(request.auth.userId)) {
+            throw new ErrorResponse('Accès refusé à cette demande de retour', 403);
+        }
+        return returnRequest;
+    }
+
+    /**
+     * Récupère les demandes de retour de l'utilisateur connecté (toutes avec la permission return:read).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getAll(request, response, next) {
+        try {
+            const { error } = this.querySchema.validate(request.query);
+            if (error) {
+                this.logger.logger.error("Validation Error (Query): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const filter = {};
+            if (!(await AuthMiddleware.can(request, 'return:read'))) filter.user = request.auth.userId;
+            if (request.query.order) filter.order = request.query.order;
+            if (request.query.status) filter.status = request.query.status;
+
+            const returns = await this.model.find(filter).sort('-createdAt');
+            this.logger.logger.info("Return requests retrieved successfully");
+            response.status(200).json({
+                success: true,
+                count: returns.length,
+                returns
+            });
+        } catch (error) {
+            this.handleError(error, "Error retrieving return requests", next);
+        }
+    }
+
+    /**
+     * Récupère une demande de retour par ID.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getOne(request, response, next) {
+        try {
+            const { error } = this.idSchema.validate(request.params);
+            if (error) {
+                this.logger.logger.error("Validation Error (ID): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const returnRequest = await this.findAccessible(request);
+            response.status(200).json({
+                success: true,
+                returnRequest
+            });
+        } catch (error) {
+            this.handleError(error, "Error retrieving return request", next);
+        }
+    }
+
+    /**
+     * Crée une demande de retour pour des articles d'une commande livrée de l'utilisateur connecté.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async create(request, response, next) {
+        try {
+            const { error } = this.createSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Create Return Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const order = await this.orderModel.findById(request.body.order);
+            if (!order || String(order.user._id || order.user) !== String(request.auth.userId)) {
+                return next(new ErrorResponse('Aucune commande trouvée avec cet ID', 404));
+            }
+
+            const returnRequest = await this.returns.requestReturn(order, request.body.items, { user: request.auth.userId });
+            this.logger.logger.info(`Return request ${returnRequest._id} created for order ${order._id}`);
+            response.status(201).json({
+                success: true,
+                returnRequest
+            });
+        } catch (error) {
+            this.handleError(error, "Error creating return request", next);
+        }
+    }
+
+    /**
+     * Retourne un gestionnaire Express qui fait avancer la demande de retour
+     * (approve, reject, cancel, receive, refund).
+     * @param {string} action - L'action à appliquer.
+     * @returns {function} - Le gestionnaire de route.
+     */
+    transition(action) {
+        return async (request, response, next) => {
+            try {
+                const { error: idError } = this.idSchema.validate(request.params);
+                if (idError) {
+                    this.logger.logger.error("Validation Error (ID): ", idError.details);
+                    return next(new ErrorResponse(idError.details[0].message, 400));
+                }
+                const { error: bodyError } = this.transitionSchema.validate(request.body || {});
+                if (bodyError) {
+                    this.logger.logger.error("Validation Error (Return Transition Body): ", bodyError.details);
+                    return next(new ErrorResponse(bodyError.details[0].message, 400));
+                }
+
+                const { note, restock, amount } = request.body || {};
+                const options = { changedBy: request.auth.userId, reason: note };
+                let returnRequest = await this.findAccessible(request);
+
+                switch (action) {
+                    case 'receive':
+                        returnRequest = await this.returns.receive(returnRequest, { ...options, restock });
+                        break;
+                    case 'refund':
+                        returnRequest = await this.returns.refund(returnRequest, { ...options, amount });
+                        break;
+                    case 'approve':
+                        returnRequest = await this.returns.transition(returnRequest, 'approved', options);
+                        break;
+                    case 'reject':
+                        returnRequest = await this.returns.transition(returnRequest, 'rejected', options);
+                        break;
+                    default:
+                        returnRequest = await this.returns.transition(returnRequest, 'cancelled', options);
+                }
+
+                this.logger.logger.info(`Return request ${returnRequest._id} moved to ${returnRequest.status}`);
+                response.status(200).json({
+                    success: true,
+                    returnRequest
+                });
+            } catch (error) {
+                this.handleError(error, `Error processing return request (${action})`, next);
+            }
+        };
+    }
+
+    /**
+     * Fonction de gestion des erreurs centralisée.
+     * @param {Error} error - L'erreur à gérer.
+     * @param {string} message - Le message d'erreur personnalisé.
+     * @param {function} next - La fonction next Express.
+     * @returns {void}
+     */
+    handleError(error, message, next) {
+        this.logger.logger.error(message + ": ", error.message);
+        if (error instanceof ErrorResponse) {
+            next(error);
+        } else if (error.name === 'CastError') {
+            next(new ErrorResponse('ID invalide', 400));
+        } else if (error.name === 'ValidationError') {
+            next(new ErrorResponse(error.message, 422));
+        } else {
+            next(new ErrorResponse(message, 500));
+        }
+    }
+}
+
+export default ReturnRequest;
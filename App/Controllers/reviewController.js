@@ -0,0 +1,302 @@
+import reviewModel from "../Models/review.js";
+import productModel from "../Models/product.js";
+import orderModel from "../Models/order.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+import ErrorResponse from "../Utils/errorResponse.js";
+import APIFeatures from "../Utils/apiFeatures.js";
+import Logger from "../Utils/Logger.js";
+import Joi from 'joi';
+
+class Review {
+    constructor() {
+        this.model = reviewModel;
+        this.productModel = productModel;
+        this.orderModel = orderModel;
+        this.logger = new Logger();
+    }
+
+    // Schéma de validation pour les paramètres de route (produit et avis)
+    paramsSchema = Joi.object({
+        id: Joi.string().hex().length(24).required().messages({
+            'string.hex': 'L\'ID du produit doit être une chaîne hexadécimale.',
+            'string.length': 'L\'ID du produit doit avoir une longueur de 24 caractères.',
+            'any.required': 'L\'ID du produit est requis.'
+        }),
+        reviewId: Joi.string().hex().length(24).messages({
+            'string.hex': 'L\'ID de l\'avis doit être une chaîne hexadécimale.',
+            'string.length': 'L\'ID de l\'avis doit avoir une longueur de 24 caractères.'
+        })
+    });
+
+    // Schéma de validation pour la pagination et le filtrage par statut
+    querySchema = Joi.object({
+        page: Joi.number().integer().min(1),
+        limit: Joi.number().integer().min(1),
+        status: Joi.string().valid('pending', 'approved', 'rejected')
+    });
+
+    // Schéma de validation pour la création d'un avis
+    createSchema = Joi.object({
+        rating: Joi.number().integer().min(1).max(5).required().messages({
+            'any.required': 'La note est requise.',
+            'number.base': 'La note doit être un nombre.',
+            'number.integer': 'La note doit être un entier.',
+            'number.min': 'La note doit être au moins de 1.',
+            'number.max': 'La note ne peut pas dépasser 5.'
+        }),
+        title: Joi.string().trim().max(120).optional(),
+        comment: Joi.string().trim().max(2000).optional()
+    });
+
+    // Schéma de validation pour la mise à jour d'un avis
+    updateSchema = Joi.object({
+        rating: Joi.number().integer().min(1).max(5).messages({
+            'number.base': 'La note doit être un nombre.',
+            'number.integer': 'La note doit être un entier.',
+            'number.min': 'La note doit être au moins de 1.',
+            'number.max': 'La note ne peut pas dépasser 5.'
+        }),
+        title: Joi.string().trim().max(120),
+        comment: Joi.string().trim().max(2000)
+    }).min(1).messages({
+        'object.min': 'Au moins un champ est requis pour la mise à jour.'
+    });
+
+    // Schéma de validation pour la modération
+    moderationSchema = Joi.object({
+        status: Joi.string().valid('approved', 'rejected').required().messages({
+            'any.required': 'Le statut de modération est requis.',
+            'any.only': 'Le statut doit être "approved" ou "rejected".'
+        }),
+        note: Joi.string().trim().max(500).optional()
+    });
+
+    /**
+     * Récupère les avis d'un produit. Seuls les modérateurs (review:moderate) peuvent voir les avis non approuvés.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getAll(request, response, next) {
+        try {
+            const { error: paramsError } = this.paramsSchema.validate(request.params);
+            if (paramsError) {
+                this.logger.logger.error("Validation Error (Params): ", paramsError.details);
+                return next(new ErrorResponse(paramsError.details[0].message, 400));
+            }
+            const { error: queryError } = this.querySchema.validate(request.query);
+            if (queryError) {
+                this.logger.logger.error("Validation Error (Query): ", queryError.details);
+                return next(new ErrorResponse(queryError.details[0].message, 400));
+            }
+
+            const isModerator = await AuthMiddleware.can(request, 'review:moderate');
+            const status = isModerator && request.query.status ? request.query.status : 'approved';
+            const filter = { product: request.params.id, status };
+
+            const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 4;
+            const apiFeatures = new APIFeatures(this.model.find(filter).sort('-createdAt'), { page: request.query.page, limit: request.query.limit })
+                .paginate(resPerPage);
+
+            const { results: reviews, pagination } = await apiFeatures.execute();
+            APIFeatures.setPaginationHeaders(request, response, pagination);
+            this.logger.logger.info(`Reviews retrieved successfully for product ${request.params.id}`);
+            response.status(200).json({
+                success: true,
+                count: reviews.length,
+                reviewsCount: pagination.total,
+                resPerPage: pagination.limit,
+                pagination,
+                reviews
+            });
+        } catch (error) {
+            this.handleError(error, "Error retrieving reviews", next);
+        }
+    }
+
+    /**
+     * Publie l'avis de l'utilisateur connecté sur un produit.
+     * L'avis est marqué « achat vérifié » si l'utilisateur a reçu ce produit.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async create(request, response, next) {
+        try {
+            const { error: paramsError } = this.paramsSchema.validate(request.params);
+            if (paramsError) {
+                this.logger.logger.error("Validation Error (Params): ", paramsError.details);
+                return next(new ErrorResponse(paramsError.details[0].message, 400));
+            }
+            const { error: bodyError } = this.createSchema.validate(request.body);
+            if (bodyError) {
+                this.logger.logger.error("Validation Error (Create Review Body): ", bodyError.details);
+                return next(new ErrorResponse(bodyError.details[0].message, 400));
+            }
+
+            const product = await this.productModel.exists({ _id: request.params.id });
+            if (!product) {
+                this.logger.logger.error(`Product not found with ID ${request.params.id}`);
+                return next(new ErrorResponse('Aucun produit trouvé avec cet ID', 404));
+            }
+
+            const isVerifiedPurchase = Boolean(await this.orderModel.exists({
+                user: request.auth.userId,
+                status: 'delivered',
+                'items.product': request.params.id
+            }));
+
+            const review = await this.model.create({
+                ...request.body,
+                product: request.params.id,
+                user: request.auth.userId,
+                isVerifiedPurchase
+            });
+            this.logger.logger.info(`Review created successfully with ID ${review._id}`);
+            response.status(201).json({
+                success: true,
+                review
+            });
+        } catch (error) {
+            this.handleError(error, "Error creating review", next);
+        }
+    }
+
+    /**
+     * Modifie l'avis de l'utilisateur connecté (propriété vérifiée par la route).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async update(request, response, next) {
+        try {
+            const { error: paramsError } = this.paramsSchema.validate(request.params);
+            if (paramsError) {
+                this.logger.logger.error("Validation Error (Params): ", paramsError.details);
+                return next(new ErrorResponse(paramsError.details[0].message, 400));
+            }
+            const { error: bodyError } = this.updateSchema.validate(request.body);
+            if (bodyError) {
+                this.logger.logger.error("Validation Error (Update Review Body): ", bodyError.details);
+                return next(new ErrorResponse(bodyError.details[0].message, 400));
+            }
+
+            const review = await this.model.findOne({ _id: request.params.reviewId, product: request.params.id });
+            if (!review) {
+                this.logger.logger.error(`Review not found with ID ${request.params.reviewId}`);
+                return next(new ErrorResponse('Aucun avis trouvé avec cet ID', 404));
+            }
+
+            review.set(request.body);
+            if (process.env.REVIEW_MODERATION === 'true') {
+                review.status = 'pending'; // Un avis modifié repasse en modération
+            }
+            await review.save();
+            this.logger.logger.info(`Review updated successfully with ID ${review._id}`);
+            response.status(200).json({
+                success: true,
+                review
+            });
+        } catch (error) {
+            this.handleError(error, "Error updating review", next);
+        }
+    }
+
+    /**
+     * Supprime un avis (son auteur, ou tout avis avec la permission review:delete).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async delete(request, response, next) {
+        try {
+            const { error: paramsError } = this.paramsSchema.validate(request.params);
+            if (paramsError) {
+                this.logger.logger.error("Validation Error (Params): ", paramsError.details);
+                return next(new ErrorResponse(paramsError.details[0].message, 400));
+            }
+
+            const review = await this.model.findOne({ _id: request.params.reviewId, product: request.params.id });
+            if (!review) {
+                this.logger.logger.error(`Review not found with ID ${request.params.reviewId}`);
+                return next(new ErrorResponse('Aucun avis trouvé avec cet ID', 404));
+            }
+
+            await review.deleteOne();
+            this.logger.logger.info(`Review deleted successfully with ID ${request.params.reviewId}`);
+            response.status(204).json({
+                success: true,
+                data: null
+            });
+        } catch (error) {
+            this.handleError(error, "Error deleting review", next);
+        }
+    }
+
+    /**
+     * Approuve ou rejette un avis (permission review:moderate).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async moderate(request, response, next) {
+        try {
+            const { error: paramsError } = this.paramsSchema.validate(request.params);
+            if (paramsError) {
+                this.logger.logger.error("Validation Error (Params): ", paramsError.details);
+                return next(new ErrorResponse(paramsError.details[0].message, 400));
+            }
+            const { error: bodyError } = this.moderationSchema.validate(request.body);
+            if (bodyError) {
+                this.logger.logger.error("Validation Error (Moderation Body): ", bodyError.details);
+                return next(new ErrorResponse(bodyError.details[0].message, 400));
+            }
+
+            const review = await this.model.findOne({ _id: request.params.reviewId, product: request.params.id });
+            if (!review) {
+                this.logger.logger.error(`Review not found with ID ${request.params.reviewId}`);
+                return next(new ErrorResponse('Aucun avis trouvé avec cet ID', 404));
+            }
+
+            review.status = request.body.status;
+            review.moderationNote = request.body.note;
+            review.moderatedBy = request.auth.userId;
+            review.moderatedAt = new Date();
+            await review.save();
+            this.logger.logger.info(`Review ${review._id} ${review.status} by ${request.auth.userId}`);
+            response.status(200).json({
+                success: true,
+                review
+            });
+        } catch (error) {
+            this.handleError(error, "Error moderating review", next);
+        }
+    }
+
+    /**
+     * Fonction de gestion des erreurs centralisée.
+     * @param {Error} error - L'erreur à gérer.
+     * @param {string} message - Le message d'erreur personnalisé.
+     * @param {function} next - La fonction next Express.
+     * @returns {void}
+     */
+    handleError(error, message, next) {
+        this.logger.logger.error(message + ": ", error.message);
+        if (error.name === 'CastError') {
+            next(new ErrorResponse('ID invalide', 400));
+        } else if (error.name === 'ValidationError') {
+            next(new ErrorResponse(error.message, 422));
+        } else if (error.code === 11000) {
+            next(new ErrorResponse('Vous avez déjà laissé un avis sur ce produit', 409));
+        } else {
+            next(new ErrorResponse(message, 500));
+        }
+    }
+}
+
+export default Review;
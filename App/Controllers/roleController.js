@@ -0,0 +1,246 @@
+import roleModel from "../Models/role.js";
+import userModel from "../Models/user.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+import Permissions from "../Utils/Permissions.js";
+import ErrorResponse from "../Utils/errorResponse.js";
+import Logger from "../Utils/Logger.js";
+import Joi from 'joi';
+
+class Role {
+    constructor() {
+        this.model = roleModel;
+        this.userModel = userModel;
+        this.permissions = AuthMiddleware.permissions; // Cache partagé avec le middleware
+        this.logger = new Logger();
+    }
+
+    // Liste de permissions : entrées du catalogue ou jokers ("ressource:*", "*")
+    permissionsSchema = Joi.array().items(
+        Joi.string().custom((value, helpers) => (
+            Permissions.isKnown(value) ? value : helpers.error('any.invalid')
+        )).messages({
+            'any.invalid': 'Permission inconnue : {#value}.'
+        })
+    ).unique();
+
+    // Schéma de validation pour le nom du rôle (paramètre de route)
+    nameSchema = Joi.object({
+        name: Joi.string().lowercase().pattern(/^[a-z][a-z0-9_-]{1,31}$/).required().messages({
+            'string.pattern.base': 'Le nom du rôle ne peut contenir que des lettres, chiffres, tirets et underscores.',
+            'any.required': 'Le nom du rôle est requis.'
+        })
+    });
+
+    // Schéma de validation pour la création
+    createSchema = Joi.object({
+        name: Joi.string().lowercase().pattern(/^[a-z][a-z0-9_-]{1,31}$/).required().messages({
+            'string.pattern.base': 'Le nom du rôle ne peut contenir que des lettres, chiffres, tirets et underscores.',
+            'any.required': 'Le nom du rôle est requis.'
+        }),
+        description: Joi.string().trim().max(200),
+        permissions: this.permissionsSchema.required().messages({
+            'any.required': 'Les permissions du rôle sont requises.'
+        })
+    });
+
+    // Schéma de validation pour la mise à jour
+    updateSchema = Joi.object({
+        description: Joi.string().trim().max(200).allow(''),
+        permissions: this.permissionsSchema
+    }).min(1); // Au moins un champ doit être présent pour la mise à jour
+
+    /**
+     * Récupère tous les rôles.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getAll(request, response, next) {
+        try {
+            const roles = await this.model.find().sort('name');
+            this.logger.logger.info("Roles retrieved successfully");
+            response.status(200).json({
+                success: true,
+                count: roles.length,
+                roles
+            });
+        } catch (error) {
+            this.handleError(error, "Error retrieving roles", next);
+        }
+    }
+
+    /**
+     * Récupère le catalogue des permissions attribuables.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @returns {void}
+     */
+    getPermissions(request, response) {
+        response.status(200).json({
+            success: true,
+            permissions: Permissions.CATALOG
+        });
+    }
+
+    /**
+     * Récupère un rôle par son nom.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getOne(request, response, next) {
+        try {
+            const { error, value } = this.nameSchema.validate(request.params);
+            if (error) {
+                this.logger.logger.error("Validation Error (Params): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const role = await this.model.findOne({ name: value.name });
+            if (!role) {
+                this.logger.logger.error(`Role not found: ${value.name}`);
+                return next(new ErrorResponse('Aucun rôle trouvé avec ce nom', 404));
+            }
+            this.logger.logger.info(`Role retrieved successfully: ${value.name}`);
+            response.status(200).json({
+                success: true,
+                role,
+                usersCount: await this.userModel.countDocuments({ role: role.name })
+            });
+        } catch (error) {
+            this.handleError(error, "Error retrieving role", next);
+        }
+    }
+
+    /**
+     * Crée un rôle.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async create(request, response, next) {
+        try {
+            const { error, value } = this.createSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error (Body): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const role = await this.model.create({ ...value, isSystem: false });
+            this.permissions.invalidate(role.name);
+            this.logger.logger.info(`Role created by ${request.auth.userId}: ${role.name}`);
+            response.status(201).json({
+                success: true,
+                role
+            });
+        } catch (error) {
+            this.handleError(error, "Error creating role", next);
+        }
+    }
+
+    /**
+     * Met à jour la description ou les permissions d'un rôle.
+     * Les permissions du rôle admin ne sont pas modifiables.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async update(request, response, next) {
+        try {
+            const { error: paramsError, value: params } = this.nameSchema.validate(request.params);
+            if (paramsError) {
+                this.logger.logger.error("Validation Error (Params): ", paramsError.details);
+                return next(new ErrorResponse(paramsError.details[0].message, 400));
+            }
+            const { error: bodyError, value } = this.updateSchema.validate(request.body);
+            if (bodyError) {
+                this.logger.logger.error("Validation Error (Body): ", bodyError.details);
+                return next(new ErrorResponse(bodyError.details[0].message, 400));
+            }
+            if (params.name === Permissions.LOCKED_ROLE && value.permissions) {
+                return next(new ErrorResponse(`Les permissions du rôle ${Permissions.LOCKED_ROLE} ne sont pas modifiables`, 409));
+            }
+
+            const role = await this.model.findOneAndUpdate({ name: params.name }, value, {
+                new: true,
+                runValidators: true,
+            });
+            if (!role) {
+                this.logger.logger.error(`Role not found: ${params.name}`);
+                return next(new ErrorResponse('Aucun rôle trouvé avec ce nom', 404));
+            }
+            this.permissions.invalidate(role.name);
+            this.logger.logger.info(`Role updated by ${request.auth.userId}: ${role.name}`);
+            response.status(200).json({
+                success: true,
+                role
+            });
+        } catch (error) {
+            this.handleError(error, "Error updating role", next);
+        }
+    }
+
+    /**
+     * Supprime un rôle qui n'est ni fourni par l'application ni attribué à un utilisateur.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async delete(request, response, next) {
+        try {
+            const { error, value } = this.nameSchema.validate(request.params);
+            if (error) {
+                this.logger.logger.error("Validation Error (Params): ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const role = await this.model.findOne({ name: value.name });
+            if (!role) {
+                this.logger.logger.error(`Role not found: ${value.name}`);
+                return next(new ErrorResponse('Aucun rôle trouvé avec ce nom', 404));
+            }
+            if (role.isSystem || value.name in Permissions.DEFAULT_ROLES) {
+                return next(new ErrorResponse('Les rôles fournis par l\'application ne peuvent pas être supprimés', 409));
+            }
+            const usersCount = await this.userModel.countDocuments({ role: role.name });
+            if (usersCount > 0) {
+                return next(new ErrorResponse(`Ce rôle est attribué à ${usersCount} utilisateur(s)`, 409, { usersCount }));
+            }
+
+            await role.deleteOne();
+            this.permissions.invalidate(role.name);
+            this.logger.logger.info(`Role deleted by ${request.auth.userId}: ${role.name}`);
+            response.status(204).json({
+                success: true,
+                data: null
+            });
+        } catch (error) {
+            this.handleError(error, "Error deleting role", next);
+        }
+    }
+
+    /**
+     * Fonction de gestion des erreurs centralisée.
+     * @param {Error} error - L'erreur à gérer.
+     * @param {string} message - Le message d'erreur personnalisé.
+     * @param {function} next - La fonction next Express.
+     * @returns {void}
+     */
+    handleError(error, message, next) {
+        this.logger.logger.error(message + ": ", error.message);
+        if (error.name === 'ValidationError') {
+            next(new ErrorResponse(error.message, 422)); // Gérer les erreurs de validation
+        } else if (error.code === 11000) {
+            next(new ErrorResponse('Un rôle portant ce nom existe déjà', 409)); // Gérer les doublons
+        } else {
+            next(new ErrorResponse(message, 500)); // Erreur interne du serveur par défaut
+        }
+    }
+}
+
+export default Role;
@@ -58,8 +58,9 @@ class Supplier {
         page: Joi.number().integer().min(1),
         limit: Joi.number().integer().min(1),
         search: Joi.string(),
-        filter: Joi.object() // Vous pouvez définir une structure plus précise pour l'objet de filtre si nécessaire
-    });
+        sort: Joi.string(),
+        fields: Joi.string()
+    }).unknown(true); // Filtres validés par APIFeatures (queryFields du modèle)
 
     /**
      * Récupère tous les fournisseurs avec pagination, recherche et filtrage.
@@ -78,19 +79,22 @@ class Supplier {
             }
 
             const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 4; // Récupérer à partir de la configuration
-            const suppliersCount = await this.model.countDocuments();
             const apiFeatures = new APIFeatures(this.model.find(), request.query)
                 .search()
                 .filter()
+                .sort()
+                .limitFields()
                 .paginate(resPerPage); // Passer resPerPage à paginate
 
-            const suppliers = await apiFeatures.query;
+            const { results: suppliers, pagination } = await apiFeatures.execute();
+            APIFeatures.setPaginationHeaders(request, response, pagination);
             this.logger.logger.info("Suppliers retrieved successfully");
             response.status(200).json({
                 success: true,
                 count: suppliers.length,
-                suppliersCount,
-                resPerPage,
+                suppliersCount: pagination.total,
+                resPerPage: pagination.limit,
+                pagination,
                 suppliers
             });
         } catch (error) {
@@ -2,11 +2,15 @@ import userModel from "../Models/user.js";
 import ErrorResponse from "../Utils/errorResponse.js";
 import APIFeatures from "../Utils/apiFeatures.js";
 import Logger from "../Utils/Logger.js";
+import Sessions from "../Utils/Sessions.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
 import Joi from 'joi';
 
 class User {
     constructor() {
         this.model = userModel;
+        this.sessions = new Sessions();
+        this.permissions = AuthMiddleware.permissions;
         this.logger = new Logger();
     }
 
@@ -15,7 +19,57 @@ class User {
         page: Joi.number().integer().min(1),
         limit: Joi.number().integer().min(1),
         search: Joi.string(),
-        filter: Joi.object() // Vous pouvez définir une structure plus précise pour l'objet de filtre si nécessaire
+        sort: Joi.string(),
+        fields: Joi.string()
+    }).unknown(true); // Filtres validés par APIFeatures (queryFields du modèle)
+
+    // Schéma de validation pour la mise à jour d'un compte par un administrateur (le rôle s'attribue via PUT /users/:id/role)
+    updateSchema = Joi.object({
+        name: Joi.string().trim().messages({
+            'string.empty': 'Le nom ne peut pas être vide.'
+        }),
+        email: Joi.string().email(),
+        phone: Joi.string().trim().max(30).allow(''),
+        avatar: Joi.string().allow(''),
+        isActive: Joi.boolean()
+    }).min(1); // Au moins un champ doit être présent pour la mise à jour
+
+    // Schéma de validation pour l'attribution d'un rôle
+    assignRoleSchema = Joi.object({
+        role: Joi.string().lowercase().trim().required().messages({
+            'any.required': 'Le rôle est requis.'
+        })
+    });
+
+    // Schéma de validation pour la mise à jour de son propre profil : le rôle et l'e-mail n'en font pas partie
+    updateMeSchema = Joi.object({
+        name: Joi.string().trim().messages({
+            'string.empty': 'Le nom ne peut pas être vide.'
+        }),
+        phone: Joi.string().trim().max(30).allow(''),
+        avatar: Joi.string().allow('') // URL ou chemin du fichier uploadé
+    }).min(1).messages({
+        'object.min': 'Indiquez au moins un champ à modifier (name, phone, avatar).',
+        'object.unknown': 'Le champ {#label} ne peut pas être modifié depuis votre profil.'
+    });
+
+    // Schéma de validation pour le changement de mot de passe
+    changePasswordSchema = Joi.object({
+        currentPassword: Joi.string().required().messages({
+            'any.required': 'Le mot de passe actuel est requis.'
+        }),
+        password: Joi.string().min(8).invalid(Joi.ref('currentPassword')).required().messages({
+            'string.min': 'Le mot de passe doit contenir au moins 8 caractères.',
+            'any.invalid': 'Le nouveau mot de passe doit être différent de l\'actuel.',
+            'any.required': 'Le nouveau mot de passe est requis.'
+        })
+    });
+
+    // Schéma de validation pour la désactivation de son compte
+    deactivateSchema = Joi.object({
+        password: Joi.string().required().messages({
+            'any.required': 'Le mot de passe est requis pour désactiver le compte.'
+        })
     });
 
     /**
@@ -35,19 +89,22 @@ class User {
             }
 
             const resPerPage = parseInt(process.env.RES_PER_PAGE, 10) || 4; // Récupérer à partir de la configuration
-            const userCount = await this.model.countDocuments();
             const apiFeatures = new APIFeatures(this.model.find(), request.query)
-                .search()
+                .search(['name', 'email'])
                 .filter()
+                .sort()
+                .limitFields()
                 .paginate(resPerPage); // Passer resPerPage à paginate
 
-            const users = await apiFeatures.query;
+            const { results: users, pagination } = await apiFeatures.execute();
+            APIFeatures.setPaginationHeaders(request, response, pagination);
             this.logger.logger.info("Users retrieved successfully");
             response.status(200).json({
                 success: true,
                 count: users.length,
-                userCount,
-                resPerPage,
+                userCount: pagination.total,
+                resPerPage: pagination.limit,
+                pagination,
                 users
             });
         } catch (error) {
@@ -112,6 +169,13 @@ class User {
      */
     async update(request, response, next) {
         try {
+            // Valider les données de la requête : seuls les champs du profil et l'état du compte sont modifiables
+            const { error } = this.updateSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error: ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
             const user = await this.model.findByIdAndUpdate(request.params.id, request.body, {
                 new: true,
                 runValidators: true,
@@ -130,6 +194,174 @@ class User {
         }
     }
 
+    /**
+     * Attribue un rôle (de la collection Role) à un utilisateur.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async assignRole(request, response, next) {
+        try {
+            const { error, value } = this.assignRoleSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error: ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            // Un utilisateur ne peut jamais modifier son propre rôle (ni se retirer l'accès administrateur)
+            if (String(request.params.id) === String(request.auth.userId)) {
+                this.logger.logSecurityEvent('self_role_change_denied', { userId: request.auth.userId, role: value.role });
+                return next(new ErrorResponse('Vous ne pouvez pas modifier votre propre rôle', 403));
+            }
+            if (!(await this.permissions.exists(value.role))) {
+                return next(new ErrorResponse(`Rôle inconnu : ${value.role}`, 422));
+            }
+
+            const user = await this.model.findByIdAndUpdate(request.params.id, { role: value.role }, { new: true });
+            if (!user) {
+                this.logger.logger.error(`User not found with ID ${request.params.id}`);
+                return next(new ErrorResponse('Aucun utilisateur trouvé avec cet ID', 404));
+            }
+            this.logger.logSecurityEvent('role_assigned', { userId: String(user._id), role: value.role, by: request.auth.userId });
+            response.status(200).json({
+                success: true,
+                user
+            });
+        } catch (error) {
+            this.handleError(error, "Error assigning role", next);
+        }
+    }
+
+    /**
+     * Récupère le profil de l'utilisateur connecté.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async getMe(request, response, next) {
+        try {
+            const user = await this.model.findById(request.auth.userId);
+            this.logger.logger.info(`Profile retrieved for user ${request.auth.userId}`);
+            response.status(200).json({
+                success: true,
+                user
+            });
+        } catch (error) {
+            this.handleError(error, "Error retrieving profile", next);
+        }
+    }
+
+    /**
+     * Met à jour le profil de l'utilisateur connecté (nom, téléphone, photo de profil).
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async updateMe(request, response, next) {
+        // Gérer le fichier uploadé
+        if (request.file) {
+            request.body.avatar = request.file.path;
+        }
+
+        try {
+            const { error, value } = this.updateMeSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error: ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const user = await this.model.findByIdAndUpdate(request.auth.userId, value, {
+                new: true,
+                runValidators: true,
+            });
+            this.logger.logger.info(`Profile updated for user ${request.auth.userId}`);
+            response.status(200).json({
+                success: true,
+                user
+            });
+        } catch (error) {
+            this.handleError(error, "Error updating profile", next);
+        }
+    }
+
+    /**
+     * Change le mot de passe de l'utilisateur connecté après vérification du mot de passe actuel.
+     * Toutes les sessions sont révoquées et une nouvelle session est ouverte pour l'appareil courant.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async changeMyPassword(request, response, next) {
+        try {
+            const { error } = this.changePasswordSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error: ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const user = await this.model.findById(request.auth.userId).select('+password');
+            if (!(await user.correctPassword(request.body.currentPassword, user.password))) {
+                this.logger.logSecurityEvent('password_change_failed', { userId: request.auth.userId, ip: request.ip });
+                return next(new ErrorResponse('Le mot de passe actuel est incorrect', 401));
+            }
+
+            user.password = request.body.password;
+            await user.save(); // Met à jour passwordChangedAt : les tokens déjà émis sont invalidés
+            await this.sessions.revokeAll(user._id, 'password_changed');
+            const { accessToken, refreshToken } = await this.sessions.issue(user, {
+                userAgent: request.get('user-agent'),
+                ip: request.ip
+            });
+            this.logger.logger.info(`Password changed for user ${user._id}`);
+            response.status(200).json({
+                success: true,
+                token: accessToken,
+                refreshToken,
+                data: "Mot de passe modifié, vos autres appareils ont été déconnectés."
+            });
+        } catch (error) {
+            this.handleError(error, "Error changing password", next);
+        }
+    }
+
+    /**
+     * Désactive le compte de l'utilisateur connecté (isActive) et révoque toutes ses sessions.
+     * Le compte et son historique (commandes, avis) sont conservés.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {function} next - La fonction next Express.
+     * @returns {Promise<void>}
+     */
+    async deactivateMe(request, response, next) {
+        try {
+            const { error } = this.deactivateSchema.validate(request.body);
+            if (error) {
+                this.logger.logger.error("Validation Error: ", error.details);
+                return next(new ErrorResponse(error.details[0].message, 400));
+            }
+
+            const user = await this.model.findById(request.auth.userId).select('+password');
+            if (!(await user.correctPassword(request.body.password, user.password))) {
+                this.logger.logSecurityEvent('account_deactivation_failed', { userId: request.auth.userId, ip: request.ip });
+                return next(new ErrorResponse('Le mot de passe est incorrect', 401));
+            }
+
+            await this.model.updateOne({ _id: user._id }, { isActive: false, deactivatedAt: new Date() });
+            await this.sessions.revokeAll(user._id, 'account_deactivated');
+            this.logger.logger.info(`Account deactivated by user ${user._id}`);
+            response.status(200).json({
+                success: true,
+                data: "Votre compte a été désactivé."
+            });
+        } catch (error) {
+            this.handleError(error, "Error deactivating account", next);
+        }
+    }
+
     /**
      * Fonction de gestion des erreurs centralisée.
      * @param {Error} error - L'erreur à gérer.
@@ -139,10 +371,14 @@ class User {
      */
     handleError(error, message, next) {
         this.logger.logger.error(message + ": ", error.message);
-        if (error.name === 'CastError') {
+        if (error instanceof ErrorResponse) {
+            next(error);
+        } else if (error.name === 'CastError') {
             next(new ErrorResponse('ID invalide', 400)); // Gérer spécifiquement les erreurs CastError
         } else if (error.name === 'ValidationError') {
             next(new ErrorResponse(error.message, 422)); // Gérer les erreurs de validation
+        } else if (error.code === 11000) {
+            next(new ErrorResponse('Cette adresse e-mail est déjà utilisée', 409)); // Gérer les doublons
         }
          else {
             next(new ErrorResponse(message, 500)); // Erreur interne du serveur par défaut
@@ -1,17 +1,62 @@
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../Models/user.js';
+import sessionModel from '../Models/session.js';
 import Logger from '../Utils/Logger.js';
+import Permissions from '../Utils/Permissions.js';
+import ApiKeys from '../Utils/ApiKeys.js';
+
+const logger = new Logger();
 
 class AuthMiddleware {
   /**
-   * Middleware de vérification du token JWT
+   * Rôles du personnel autorisés à modifier le catalogue et à gérer les commandes
+   */
+  static STAFF_ROLES = ['admin', 'storekeeper'];
+
+  /**
+   * Service de résolution des permissions des rôles (voir Utils/Permissions.js)
+   */
+  static permissions = new Permissions();
+
+  /**
+   * Service d'authentification des intégrations par clé d'API (voir Utils/ApiKeys.js)
+   */
+  static apiKeys = new ApiKeys();
+
+  /**
+   * Rôles pour lesquels la double authentification est obligatoire
+   * (TWO_FACTOR_REQUIRED_ROLES, liste séparée par des virgules ; vide pour désactiver la règle)
+   * @returns {string[]}
+   */
+  static twoFactorRequiredRoles() {
+    const roles = process.env.TWO_FACTOR_REQUIRED_ROLES ?? AuthMiddleware.STAFF_ROLES.join(',');
+    return roles.split(',').map((role) => role.trim()).filter(Boolean);
+  }
+
+  /**
+   * Indique si la politique impose la double authentification à cet utilisateur
+   * @param {object} user - Le document utilisateur
+   * @returns {boolean}
+   */
+  static requiresTwoFactor(user) {
+    return AuthMiddleware.twoFactorRequiredRoles().includes(user.role);
+  }
+
+  /**
+   * Middleware de vérification du token JWT (ou, sans en-tête Authorization, de la clé d'API X-API-Key).
+   * Charge l'utilisateur depuis MongoDB et renseigne req.user (document) et req.auth (identité).
    */
   static authenticate = async (req, res, next) => {
+    if (req.headers['x-api-key'] && !req.headers['authorization']) {
+      return AuthMiddleware.authenticateApiKey(req, res, next);
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Format: Bearer <token>
 
     if (!token) {
-      Logger.warn('Tentative d\'accès non autorisée - Token manquant', {
+      logger.logger.warn('Tentative d\'accès non autorisée - Token manquant', {
         ip: req.ip,
         path: req.originalUrl,
       });
@@ -25,16 +70,18 @@ class AuthMiddleware {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Vérification que l'utilisateur existe toujours
-      const user = await User.findByPk(decoded._id, {
-        attributes: ['userId', 'username', 'role', 'lastLogin'],
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        algorithms: ['HS256'],
+        issuer: process.env.JWT_ISSUER || 'eshopping-api',
+        audience: process.env.JWT_AUDIENCE || 'eshopping-client',
       });
 
-      if (!user) {
-        Logger.warn('Token valide mais utilisateur inexistant', {
-          userId: decoded.userId,
+      // Vérification que l'utilisateur existe toujours et que son compte est actif
+      const user = await User.findById(decoded._id).select('+isActive');
+
+      if (!user || user.isActive === false) {
+        logger.logger.warn('Token valide mais utilisateur inexistant ou désactivé', {
+          userId: decoded._id,
         });
         return res.status(401).json({
           success: false,
@@ -45,26 +92,72 @@ class AuthMiddleware {
         });
       }
 
+      // Un changement de mot de passe invalide les tokens émis auparavant
+      if (user.changedPasswordAfter(decoded.iat * 1000)) {
+        logger.logger.warn('Token émis avant le dernier changement de mot de passe', {
+          userId: decoded._id,
+        });
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'PASSWORD_CHANGED',
+            message: 'Le mot de passe a été modifié, veuillez vous reconnecter',
+          },
+        });
+      }
+
+      // La déconnexion (d'un appareil ou de tous) révoque la session : ses access tokens cessent aussitôt de valoir
+      if (decoded.sid) {
+        const session = await sessionModel.findById(decoded.sid).select('revokedAt expiresAt');
+        if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+          logger.logger.warn('Token rattaché à une session révoquée ou expirée', {
+            userId: decoded._id,
+            sessionId: decoded.sid,
+          });
+          return res.status(401).json({
+            success: false,
+            error: {
+              code: 'SESSION_REVOKED',
+              message: 'Session expirée ou révoquée, veuillez vous reconnecter',
+            },
+          });
+        }
+      }
+
+      // Les rôles soumis à la double authentification ne peuvent que l'activer tant qu'elle ne l'est pas
+      if (AuthMiddleware.requiresTwoFactor(user) && !user.twoFactor?.enabled && !req.twoFactorEnrollment) {
+        logger.logger.warn('Accès refusé - Double authentification requise pour ce rôle', {
+          userId: decoded._id,
+          role: user.role,
+          path: req.originalUrl,
+        });
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'TWO_FACTOR_REQUIRED',
+            message: 'Veuillez activer la double authentification pour accéder à cette ressource',
+          },
+        });
+      }
+
       // Ajout des informations utilisateur à la requête
+      req.user = user;
       req.auth = {
-        userId: user.userId,
-        username: user.username,
+        userId: String(user._id),
+        name: user.name,
+        email: user.email,
         role: user.role,
+        sessionId: decoded.sid,
       };
 
-      // Mise à jour de la date de dernière connexion
-      user.lastLogin = new Date();
-      await user.save();
-
-      // Log de l'authentification réussie
-      Logger.info('Authentification réussie', {
-        userId: user.userId,
+      logger.logger.debug('Authentification réussie', {
+        userId: req.auth.userId,
         ip: req.ip,
         path: req.originalUrl,
       });
       next();
     } catch (error) {
-      Logger.error('Échec de l\'authentification', {
+      logger.logger.error('Échec de l\'authentification', {
         error: error.message,
         token: token.substring(0, 10) + '...', // Log partiel pour sécurité
       });
@@ -86,6 +179,105 @@ class AuthMiddleware {
     }
   };
 
+  /**
+   * Authentification d'une intégration serveur à serveur par clé d'API.
+   * La requête agit au nom de l'utilisateur de la clé, avec les scopes de la clé couverts par son rôle ;
+   * les en-têtes RateLimit-* indiquent la consommation de la limite propre à la clé.
+   */
+  static authenticateApiKey = async (req, res, next) => {
+    try {
+      const { apiKey, user, rateLimit } = await AuthMiddleware.apiKeys.authenticate(req.headers['x-api-key'], { ip: req.ip });
+      res.set({
+        'RateLimit-Limit': String(rateLimit.limit),
+        'RateLimit-Remaining': String(rateLimit.remaining),
+        'RateLimit-Reset': String(Math.ceil((rateLimit.resetAt - Date.now()) / 1000)),
+      });
+
+      const granted = await Promise.all(apiKey.scopes.map((scope) => AuthMiddleware.permissions.can(user.role, scope)));
+      req.user = user;
+      req.auth = {
+        userId: String(user._id),
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        apiKeyId: String(apiKey._id),
+      };
+      req.permissions = apiKey.scopes.filter((scope, index) => granted[index]);
+
+      logger.logger.debug('Authentification par clé d\'API réussie', {
+        apiKeyId: req.auth.apiKeyId,
+        userId: req.auth.userId,
+        path: req.originalUrl,
+      });
+      next();
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      logger.logger.warn('Échec de l\'authentification par clé d\'API', {
+        error: error.message,
+        ip: req.ip,
+        path: req.originalUrl,
+      });
+      if (statusCode === 429) {
+        res.set('Retry-After', String(error.data.retryAfter));
+      }
+      res.status(statusCode).json({
+        success: false,
+        error: {
+          code: error.data?.code || 'AUTHENTICATION_ERROR',
+          message: statusCode === 500 ? 'Erreur lors de la vérification de la clé d\'API' : error.message,
+        },
+      });
+    }
+  };
+
+  /**
+   * Middleware à placer avant authenticate sur les routes nécessaires à l'activation de la double
+   * authentification : elles restent accessibles aux comptes auxquels la politique l'impose.
+   */
+  static allowTwoFactorEnrollment = (req, res, next) => {
+    req.twoFactorEnrollment = true;
+    next();
+  };
+
+  /**
+   * Middleware d'authentification facultative : authentifie la requête si un token ou une clé d'API est fourni,
+   * sinon la laisse passer en tant que visiteur (ex : panier anonyme).
+   */
+  static optionalAuthenticate = async (req, res, next) => {
+    if (!req.headers['authorization'] && !req.headers['x-api-key']) {
+      return next();
+    }
+    return AuthMiddleware.authenticate(req, res, next);
+  };
+
+  /**
+   * Middleware bloquant le passage de commande tant que l'adresse e-mail n'est pas vérifiée.
+   * Actif uniquement avec REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT=true ; le personnel n'est pas concerné.
+   * Sans utilisateur connecté, la requête continue (le contrôleur exige l'authentification).
+   */
+  static requireVerifiedEmail = (req, res, next) => {
+    if (
+      process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT !== 'true' ||
+      !req.user ||
+      req.user.isEmailVerified ||
+      AuthMiddleware.STAFF_ROLES.includes(req.auth.role)
+    ) {
+      return next();
+    }
+
+    logger.logger.warn('Commande refusée - Adresse e-mail non vérifiée', {
+      userId: req.auth.userId,
+      path: req.originalUrl,
+    });
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Veuillez vérifier votre adresse e-mail avant de passer commande',
+      },
+    });
+  };
+
   /**
    * Middleware de vérification du rôle de l'utilisateur
    * @param {string[]} requiredRoles - Les rôles requis
@@ -93,13 +285,25 @@ class AuthMiddleware {
    * @param {boolean} options.ownershipRequired - Indique si la propriété est requise
    * @param {string} options.ownerField - Le champ contenant l'ID du propriétaire
    * @param {function} options.isOwner - Fonction de vérification personnalisée de la propriété
+   * @param {object} options.model - Le modèle Mongoose de la ressource (vérification standard)
+   * @param {string} options.param - Le paramètre de route contenant l'ID de la ressource (par défaut 'id')
    */
   static authorize = (requiredRoles = [], options = {}) => {
     return async (req, res, next) => {
       try {
+        if (!req.auth) {
+          return res.status(401).json({
+            success: false,
+            error: {
+              code: 'AUTH_REQUIRED',
+              message: 'Authentification requise',
+            },
+          });
+        }
+
         // Vérification basique des rôles
         if (requiredRoles.length > 0 && !requiredRoles.includes(req.auth.role)) {
-          Logger.warn('Tentative d\'accès non autorisée - Rôle insuffisant', {
+          logger.logger.warn('Tentative d\'accès non autorisée - Rôle insuffisant', {
             userId: req.auth.userId,
             requiredRoles,
             actualRole: req.auth.role,
@@ -116,43 +320,13 @@ class AuthMiddleware {
         }
 
         // Vérification supplémentaire si la propriété est requise
-        if (options.ownershipRequired) {
-          const ownerField = options.ownerField || 'userId'; // Default to 'userId'
-          const isOwner = options.isOwner;
-          let isOwnerAuthorized = false;
-
-          if (isOwner && typeof isOwner === 'function') {
-            // Utilisation de la fonction de vérification personnalisée
-            isOwnerAuthorized = await isOwner(req.auth, req.params.id); // Pass id
-          } else {
-            // Vérification standard de la propriété
-            const resource = await options.model.findByPk(req.params.id);
-            if (resource && resource[ownerField] === req.auth.userId) {
-              isOwnerAuthorized = true;
-            }
-          }
-          if (!isOwnerAuthorized) {
-            Logger.warn(
-              'Tentative d\'accès non autorisée - Propriété requise',
-              {
-                userId: req.auth.userId,
-                path: req.originalUrl,
-              }
-            );
-            return res.status(403).json({
-              success: false,
-              error: {
-                code: 'OWNERSHIP_REQUIRED',
-                message:
-                  'Vous devez être propriétaire de cette ressource pour effectuer cette action',
-              },
-            });
-          }
+        if (options.ownershipRequired && !(await AuthMiddleware.checkOwnership(req, res, options))) {
+          return;
         }
 
         next();
       } catch (error) {
-        Logger.error('Erreur lors de l\'autorisation', {
+        logger.logger.error('Erreur lors de l\'autorisation', {
           error: error.message,
           userId: req.auth?.userId,
         });
@@ -169,23 +343,238 @@ class AuthMiddleware {
   };
 
   /**
-   * Génère un token JWT
+   * Middleware de vérification d'une permission (voir Utils/Permissions.js).
+   * Avec un modèle (ou une fonction isOwner), un rôle qui ne dispose que de la variante ":own"
+   * de la permission n'accède qu'aux documents dont l'utilisateur est propriétaire.
+   * @param {string} permission - La permission requise (ex : 'product:write')
+   * @param {object} options - Options de vérification de la propriété (voir authorize)
+   * @param {object} options.model - Le modèle Mongoose de la ressource
+   * @param {string} options.ownerField - Le champ contenant l'ID du propriétaire (par défaut 'user')
+   * @param {string} options.param - Le paramètre de route contenant l'ID de la ressource (par défaut 'id')
+   * @param {function} options.isOwner - Fonction de vérification personnalisée de la propriété
+   */
+  static requirePermission = (permission, options = {}) => {
+    const ownershipAllowed = Boolean(options.model || options.isOwner);
+    return async (req, res, next) => {
+      try {
+        if (!req.auth) {
+          return res.status(401).json({
+            success: false,
+            error: {
+              code: 'AUTH_REQUIRED',
+              message: 'Authentification requise',
+            },
+          });
+        }
+
+        if (await AuthMiddleware.can(req, permission)) {
+          return next();
+        }
+
+        if (ownershipAllowed && await AuthMiddleware.can(req, `${permission}:own`)) {
+          if (await AuthMiddleware.checkOwnership(req, res, options)) {
+            next();
+          }
+          return;
+        }
+
+        logger.logger.warn('Tentative d\'accès non autorisée - Permission manquante', {
+          userId: req.auth.userId,
+          role: req.auth.role,
+          permission,
+          path: req.originalUrl,
+        });
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: 'Permissions insuffisantes pour cette action',
+            permission,
+          },
+        });
+      } catch (error) {
+        logger.logger.error('Erreur lors de la vérification des permissions', {
+          error: error.message,
+          userId: req.auth?.userId,
+          permission,
+        });
+        res.status(500).json({
+          success: false,
+          error: {
+            code: 'AUTHORIZATION_ERROR',
+            message: 'Erreur lors de la vérification des permissions',
+          },
+        });
+      }
+    };
+  };
+
+  /**
+   * Indique si l'utilisateur authentifié dispose d'une permission.
+   * Les permissions du rôle sont résolues une fois par requête.
+   * @param {object} req - La requête Express authentifiée
+   * @param {string} permission - La permission demandée
+   * @returns {Promise<boolean>}
+   */
+  static async can(req, permission) {
+    if (!req.auth) {
+      return false;
+    }
+    if (!req.permissions) {
+      req.permissions = await AuthMiddleware.permissions.forRole(req.auth.role);
+    }
+    return req.permissions.some((granted) => Permissions.matches(granted, permission));
+  }
+
+  /**
+   * Vérifie que l'utilisateur authentifié est propriétaire de la ressource visée et la place dans req.resource.
+   * Répond 404 si la ressource n'existe pas, 403 si elle appartient à un autre utilisateur.
+   * @param {object} req - La requête Express authentifiée
+   * @param {object} res - La réponse Express
+   * @param {object} options - Voir requirePermission
+   * @returns {Promise<boolean>} - true si l'accès est accordé, sinon la réponse a été envoyée
+   */
+  static async checkOwnership(req, res, options = {}) {
+    const id = req.params[options.param || 'id'];
+    let isOwnerAuthorized = false;
+
+    if (typeof options.isOwner === 'function') {
+      // Utilisation de la fonction de vérification personnalisée
+      isOwnerAuthorized = await options.isOwner(req.auth, id);
+    } else {
+      if (!options.model) {
+        throw new Error('Vérification de propriété sans modèle ni fonction isOwner');
+      }
+      // Vérification standard : le document référence son propriétaire (par défaut via "user")
+      const resource = mongoose.isValidObjectId(id) ? await options.model.findById(id) : null;
+      if (!resource) {
+        res.status(404).json({
+          success: false,
+          error: {
+            code: 'NOT_FOUND',
+            message: 'Ressource introuvable',
+          },
+        });
+        return false;
+      }
+      const owner = resource[options.ownerField || 'user'];
+      isOwnerAuthorized = Boolean(owner) && String(owner._id || owner) === req.auth.userId;
+      if (isOwnerAuthorized) {
+        req.resource = resource;
+      }
+    }
+
+    if (!isOwnerAuthorized) {
+      logger.logger.warn('Tentative d\'accès non autorisée - Propriété requise', {
+        userId: req.auth.userId,
+        path: req.originalUrl,
+      });
+      res.status(403).json({
+        success: false,
+        error: {
+          code: 'OWNERSHIP_REQUIRED',
+          message: 'Vous devez être propriétaire de cette ressource pour effectuer cette action',
+        },
+      });
+    }
+    return isOwnerAuthorized;
+  }
+
+  /**
+   * Génère un access token JWT de courte durée pour un utilisateur
+   * (renouvelable via un refresh token, voir Utils/Sessions.js)
+   * @param {object} user - Le document utilisateur
+   * @param {object} options - Options supplémentaires
+   * @param {string} options.sessionId - L'ID de la session à laquelle rattacher le token
+   * @returns {string}
    */
-  static generateToken(user) {
+  static generateToken(user, options = {}) {
     return jwt.sign(
       {
-        userId: user.userId,
+        _id: String(user._id),
         role: user.role,
+        sid: options.sessionId ? String(options.sessionId) : undefined,
         iss: process.env.JWT_ISSUER || 'eshopping-api',
         aud: process.env.JWT_AUDIENCE || 'eshopping-client',
       },
       process.env.JWT_SECRET,
       {
-        expiresIn: process.env.JWT_EXPIRES_IN || '1d',
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+        algorithm: 'HS256',
+      }
+    );
+  }
+
+  /**
+   * Génère le token de la seconde étape de connexion, émis après la vérification du mot de passe
+   * lorsque la double authentification est activée. Il ne donne accès à aucune ressource.
+   * @param {object} user - Le document utilisateur
+   * @returns {string}
+   */
+  static generateTwoFactorChallenge(user) {
+    return jwt.sign(
+      {
+        _id: String(user._id),
+        iss: process.env.JWT_ISSUER || 'eshopping-api',
+        aud: 'two-factor-challenge',
+      },
+      process.env.JWT_SECRET,
+      {
+        expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+        algorithm: 'HS256',
+      }
+    );
+  }
+
+  /**
+   * Vérifie un token de seconde étape de connexion.
+   * @param {string} token - Le token reçu à la première étape
+   * @returns {{_id: string}} - Le contenu du token
+   * @throws {Error} - Si le token est invalide ou expiré
+   */
+  static verifyTwoFactorChallenge(token) {
+    return jwt.verify(token, process.env.JWT_SECRET, {
+      algorithms: ['HS256'],
+      issuer: process.env.JWT_ISSUER || 'eshopping-api',
+      audience: 'two-factor-challenge',
+    });
+  }
+
+  /**
+   * Génère le token signé du lien de vérification de l'adresse e-mail.
+   * Son audience le distingue d'un access token ; il est lié à l'adresse à vérifier.
+   * @param {object} user - Le document utilisateur
+   * @returns {string}
+   */
+  static generateEmailVerificationToken(user) {
+    return jwt.sign(
+      {
+        _id: String(user._id),
+        email: user.email,
+        iss: process.env.JWT_ISSUER || 'eshopping-api',
+        aud: 'email-verification',
+      },
+      process.env.JWT_SECRET,
+      {
+        expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
         algorithm: 'HS256',
       }
     );
   }
+
+  /**
+   * Vérifie un token de vérification d'adresse e-mail.
+   * @param {string} token - Le token reçu dans le lien
+   * @returns {{_id: string, email: string}} - Le contenu du token
+   * @throws {Error} - Si le token est invalide ou expiré
+   */
+  static verifyEmailVerificationToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET, {
+      algorithms: ['HS256'],
+      issuer: process.env.JWT_ISSUER || 'eshopping-api',
+      audience: 'email-verification',
+    });
+  }
 }
 
 export default AuthMiddleware;
@@ -38,6 +38,7 @@ class ErrorHandler {
             message,
             error: {
                 code: statusCode,
+                data: statusCode < 500 ? err.data : undefined,
                 details: process.env.NODE_ENV === 'development' ? err.stack : undefined
             }
         };
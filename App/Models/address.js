@@ -0,0 +1,169 @@
+import mongoose from 'mongoose';
+import validator from 'validator';
+
+/**
+ * Locales de numéros de téléphone mobiles connues pour un pays (ex : 'FR' -> ['fr-FR']).
+ * @param {string} country - Le code pays ISO 3166-1 alpha-2.
+ * @returns {string[]}
+ */
+const mobileLocalesFor = (country) =>
+  validator.isMobilePhoneLocales.filter((locale) => locale.endsWith(`-${country}`));
+
+/**
+ * Indique si le pays utilise des codes postaux connus du validateur.
+ * @param {string} country - Le code pays ISO 3166-1 alpha-2.
+ * @returns {boolean}
+ */
+const hasPostalCodes = (country) => validator.isPostalCodeLocales.includes(country);
+
+/**
+ * Numéro de téléphone sans les séparateurs usuels (espaces, points, tirets, parenthèses).
+ * @param {string} phone
+ * @returns {string}
+ */
+const compactPhone = (phone) => String(phone).replace(/[\s.()-]/g, '');
+
+/**
+ * Schéma Mongoose pour les adresses.
+ * Définit le carnet d'adresses de livraison et de facturation d'un utilisateur.
+ */
+const addressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Une adresse doit appartenir à un utilisateur'],
+      index: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Le libellé ne peut pas dépasser 50 caractères'],
+    },
+    fullName: {
+      type: String,
+      required: [true, 'Le nom du destinataire est requis'],
+      trim: true,
+    },
+    line1: {
+      type: String,
+      required: [true, 'La première ligne d\'adresse est requise'],
+      trim: true,
+    },
+    line2: {
+      type: String,
+      trim: true,
+    },
+    city: {
+      type: String,
+      required: [true, 'La ville est requise'],
+      trim: true,
+    },
+    state: {
+      type: String,
+      trim: true,
+    },
+    postalCode: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function (val) {
+          return !val || !hasPostalCodes(this.country) || validator.isPostalCode(val, this.country);
+        },
+        message: 'Le code postal ({VALUE}) n\'est pas valide pour ce pays',
+      },
+    },
+    country: {
+      type: String,
+      required: [true, 'Le pays est requis'],
+      uppercase: true,
+      trim: true,
+      validate: [validator.isISO31661Alpha2, 'Le pays doit être un code ISO 3166-1 alpha-2 (ex : CI, FR)'],
+    },
+    phone: {
+      type: String,
+      required: [true, 'Le numéro de téléphone est requis'],
+      trim: true,
+      validate: {
+        validator: function (val) {
+          const phone = compactPhone(val);
+          const locales = mobileLocalesFor(this.country);
+          // Sans format connu pour le pays (ex : CI), seul le format international (E.164) ou national est contrôlé
+          return locales.length ? validator.isMobilePhone(phone, locales) : /^\+?\d{6,15}$/.test(phone);
+        },
+        message: 'Le numéro de téléphone ({VALUE}) n\'est pas valide pour ce pays',
+      },
+    },
+    isDefaultShipping: {
+      type: Boolean,
+      default: false,
+    },
+    isDefaultBilling: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Middleware pour imposer le code postal dans les pays qui en utilisent
+ * et pour faire de la première adresse de l'utilisateur son adresse par défaut.
+ */
+addressSchema.pre('validate', async function (next) {
+  if (hasPostalCodes(this.country) && !this.postalCode) {
+    this.invalidate('postalCode', 'Le code postal est requis pour ce pays');
+  }
+  if (this.isNew) {
+    const count = await this.constructor.countDocuments({ user: this.user });
+    if (count === 0) {
+      this.isDefaultShipping = true;
+      this.isDefaultBilling = true;
+    }
+  }
+  next();
+});
+
+/**
+ * Middleware pour garantir une seule adresse par défaut (livraison et facturation) par utilisateur.
+ */
+addressSchema.pre('save', async function (next) {
+  const unset = {};
+  if (this.isModified('isDefaultShipping') && this.isDefaultShipping) {
+    unset.isDefaultShipping = false;
+  }
+  if (this.isModified('isDefaultBilling') && this.isDefaultBilling) {
+    unset.isDefaultBilling = false;
+  }
+  if (Object.keys(unset).length > 0) {
+    await this.constructor.updateMany({ user: this.user, _id: { $ne: this._id } }, unset);
+  }
+  next();
+});
+
+/**
+ * Méthode pour copier l'adresse dans une commande.
+ * La copie est figée : modifier ou supprimer l'adresse ne change pas l'historique des commandes.
+ * @returns {object} - L'instantané de l'adresse
+ */
+addressSchema.methods.toSnapshot = function () {
+  return {
+    address: this._id,
+    fullName: this.fullName,
+    line1: this.line1,
+    line2: this.line2,
+    city: this.city,
+    state: this.state,
+    postalCode: this.postalCode,
+    country: this.country,
+    phone: this.phone,
+  };
+};
+
+const addressModel = mongoose.model('Address', addressSchema);
+
+export default addressModel;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+/**
+ * Schéma Mongoose des clés d'API des intégrations serveur à serveur (partenaires, outils internes).
+ * Seul le hash de la clé est conservé ; son préfixe permet de la reconnaître dans les listes.
+ * Une clé agit au nom d'un utilisateur, avec les seules permissions de ses scopes.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Le nom de la clé est requis'],
+      trim: true,
+      maxlength: 100,
+    },
+    prefix: {
+      type: String,
+      required: true, // Début de la clé en clair, affiché pour l'identifier
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Une clé d\'API doit agir au nom d\'un utilisateur'],
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    scopes: {
+      type: [String], // Permissions accordées à la clé (voir Utils/Permissions.js)
+      default: [],
+    },
+    rateLimitPerMinute: Number, // Limite propre à la clé ; à défaut, celle de la configuration
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.keyHash; // Présent sur le document juste créé : ne jamais le renvoyer
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+    timestamps: true,
+  }
+);
+
+/**
+ * Indique si la clé est utilisable (ni révoquée ni expirée).
+ */
+apiKeySchema.virtual('isActive').get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+/**
+ * Hache une clé d'API pour le stockage et la recherche.
+ * @param {string} key - La clé en clair.
+ * @returns {string}
+ */
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+const apiKeyModel = mongoose.model('ApiKey', apiKeySchema);
+
+export default apiKeyModel;
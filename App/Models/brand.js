@@ -34,6 +34,15 @@ const brandSchema = new mongoose.Schema({
   toObject: { virtuals: true },
 });
 
+/**
+ * Champs utilisables dans les paramètres de liste (filtres, tri, sélection) : voir Utils/apiFeatures.js.
+ */
+brandSchema.statics.queryFields = {
+  filter: { name: 'string', createdAt: 'date' },
+  sort: ['name', 'createdAt'],
+  select: ['name', 'description', 'logo', 'website', 'createdAt', 'updatedAt'],
+};
+
 const brandModel = mongoose.model('Brand', brandSchema);
 
 export default brandModel;
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schéma Mongoose pour les paniers.
+ * Un panier appartient soit à un utilisateur connecté, soit à un visiteur identifié par un jeton anonyme.
+ */
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      unique: true,
+      sparse: true,
+    },
+    token: {
+      type: String,
+      unique: true,
+      sparse: true, // Jeton anonyme des paniers visiteurs
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'Product',
+          required: [true, 'Un article du panier doit référencer un produit'],
+        },
+        variant: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'ProductVariant',
+        },
+        quantity: {
+          type: Number,
+          required: [true, 'Un article du panier doit avoir une quantité'],
+          min: [1, 'La quantité doit être au moins 1'],
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    couponCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    expiresAt: {
+      type: Date, // Uniquement pour les paniers visiteurs, purgés automatiquement
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Index TTL : MongoDB supprime les paniers visiteurs expirés
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Méthode pour retrouver la ligne correspondant à un produit et une variante
+ * @param {string} product - L'ID du produit
+ * @param {string} [variant] - L'ID de la variante
+ * @returns {object|undefined} - La ligne du panier
+ */
+cartSchema.methods.findLine = function (product, variant) {
+  return this.items.find((item) =>
+    String(item.product) === String(product)
+    && String(item.variant || '') === String(variant || ''));
+};
+
+/**
+ * Méthode pour ajouter un article au panier (les quantités d'une même ligne sont cumulées)
+ * @param {string} product - L'ID du produit
+ * @param {string} [variant] - L'ID de la variante
+ * @param {number} quantity - La quantité à ajouter
+ * @returns {object} - La ligne du panier
+ */
+cartSchema.methods.addItem = function (product, variant, quantity) {
+  const line = this.findLine(product, variant);
+  if (line) {
+    line.quantity += quantity;
+    return line;
+  }
+  this.items.push({ product, variant, quantity });
+  return this.items[this.items.length - 1];
+};
+
+/**
+ * Méthode pour vider le panier après le passage de commande
+ */
+cartSchema.methods.clear = function () {
+  this.items = [];
+  this.couponCode = undefined;
+};
+
+/**
+ * Fusionne le panier visiteur identifié par son jeton dans le panier de l'utilisateur.
+ * Le panier visiteur est supprimé après la fusion.
+ * @param {string} token - Le jeton du panier visiteur
+ * @param {string} userId - L'ID de l'utilisateur connecté
+ * @returns {Promise<object|null>} - Le panier de l'utilisateur, ou null s'il n'y avait rien à fusionner
+ */
+cartSchema.statics.mergeGuestCart = async function (token, userId) {
+  if (!token) {
+    return null;
+  }
+  const guestCart = await this.findOne({ token, user: null });
+  if (!guestCart) {
+    return null;
+  }
+
+  const userCart = (await this.findOne({ user: userId })) || new this({ user: userId });
+  guestCart.items.forEach((item) => userCart.addItem(item.product, item.variant, item.quantity));
+  if (!userCart.couponCode && guestCart.couponCode) {
+    userCart.couponCode = guestCart.couponCode;
+  }
+
+  await userCart.save();
+  await guestCart.deleteOne();
+  return userCart;
+};
+
+const cartModel = mongoose.model('Cart', cartSchema);
+
+export default cartModel;
@@ -5,6 +5,8 @@ import validator from 'validator';
 /**
  * Schéma Mongoose pour les catégories.
  * Définit la structure des documents de catégorie dans la base de données MongoDB.
+ * Les catégories forment un arbre : chacune référence sa catégorie parente et conserve le chemin
+ * de ses ancêtres (de la racine au parent), maintenu par Utils/CategoryTree.js.
  */
 const categorySchema = new mongoose.Schema({
   name: {
@@ -13,7 +15,26 @@ const categorySchema = new mongoose.Schema({
     unique: true,
     trim: true,
   },
-  slug: String,
+  slug: {
+    type: String,
+    index: true,
+  },
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
+    default: null, // null pour une catégorie racine
+    index: true,
+  },
+  ancestors: [
+    {
+      _id: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Category',
+      },
+      name: String,
+      slug: String,
+    },
+  ],
   description: {
     type: String,
     required: [true, 'Une catégorie doit avoir une description'],
@@ -31,6 +52,29 @@ const categorySchema = new mongoose.Schema({
   toObject: { virtuals: true },
 });
 
+// Recherche des descendants d'une catégorie
+categorySchema.index({ 'ancestors._id': 1 });
+
+/**
+ * Profondeur de la catégorie dans l'arbre (0 pour une racine).
+ */
+categorySchema.virtual('depth').get(function () {
+  return this.ancestors ? this.ancestors.length : 0;
+});
+
+/**
+ * Fil d'Ariane de la catégorie : ses ancêtres puis elle-même.
+ */
+categorySchema.virtual('breadcrumbs').get(function () {
+  if (!this.ancestors) {
+    return undefined;
+  }
+  return [
+    ...this.ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+    { _id: this._id, name: this.name, slug: this.slug },
+  ];
+});
+
 /**
  * Middleware pour créer un slug à partir du nom de la catégorie avant de l'enregistrer.
  */
@@ -39,6 +83,15 @@ categorySchema.pre('save', function (next) {
   next();
 });
 
+/**
+ * Champs utilisables dans les paramètres de liste (filtres, tri, sélection) : voir Utils/apiFeatures.js.
+ */
+categorySchema.statics.queryFields = {
+  filter: { name: 'string', slug: 'string', parent: 'objectId', createdAt: 'date' },
+  sort: ['name', 'createdAt'],
+  select: ['name', 'slug', 'parent', 'ancestors', 'description', 'image', 'createdAt', 'updatedAt'],
+};
+
 const categoryModel = mongoose.model('Category', categorySchema);
 
 export default categoryModel;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schéma Mongoose des compteurs d'échecs de connexion.
+ * Un document par clé surveillée ("ip:<adresse>" ou "email:<adresse e-mail>") sur une fenêtre glissante :
+ * nombre d'échecs, date avant laquelle une nouvelle tentative est refusée (délai progressif)
+ * et, pour les IP, les comptes visés.
+ */
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: Date,
+    accounts: [String], // Adresses e-mail essayées depuis une même IP (détection du credential stuffing)
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Les compteurs sont purgés automatiquement à la fin de leur fenêtre
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const loginThrottleModel = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+export default loginThrottleModel;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schéma Mongoose des flux de connexion OAuth2 / OpenID Connect en cours.
+ * Conserve, le temps de l'aller-retour chez le fournisseur, les valeurs à contrôler au retour
+ * (state anti-CSRF, nonce, vérificateur PKCE). Chaque flux n'est utilisable qu'une fois.
+ */
+const oauthStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    redirectUri: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User', // Renseigné lorsqu'un utilisateur connecté lie un fournisseur à son compte
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Les flux abandonnés sont purgés automatiquement
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const oauthStateModel = mongoose.model('OAuthState', oauthStateSchema);
+
+export default oauthStateModel;
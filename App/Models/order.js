@@ -1,5 +1,44 @@
 import mongoose from 'mongoose';
 import validator from 'validator';
+import ErrorResponse from '../Utils/errorResponse.js';
+import { round } from '../Utils/numbers.js';
+
+/**
+ * Transitions de statut autorisées pour une commande.
+ * Les statuts absents des clés ou sans successeur sont terminaux.
+ */
+export const ORDER_TRANSITIONS = Object.freeze({
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned', 'refunded'],
+  returned: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+});
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+/**
+ * Instantané de l'adresse de livraison copié dans la commande au moment du passage de commande.
+ */
+const addressSnapshotSchema = new mongoose.Schema(
+  {
+    address: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Address', // Adresse d'origine dans le carnet, à titre informatif
+    },
+    fullName: { type: String, required: true },
+    line1: { type: String, required: true },
+    line2: String,
+    city: { type: String, required: true },
+    state: String,
+    postalCode: String,
+    country: { type: String, required: true },
+    phone: String,
+  },
+  { _id: false }
+);
 
 /**
  * Schéma Mongoose pour les commandes.
@@ -28,16 +67,32 @@ const orderSchema = new mongoose.Schema(
           required: [true, 'Un item de commande doit avoir une quantité'],
           min: [1, 'La quantité doit être au moins 1'],
         },
+        name: String,
         price: {
           type: Number,
           required: [true, 'Un item de commande doit avoir un prix'],
+          min: [0, 'Le prix ne peut pas être négatif'],
+        },
+        discount: {
+          type: Number,
+          default: 0,
+          min: [0, 'La remise ne peut pas être négative'],
+        },
+        promotion: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'Promotion',
+        },
+        returnedQuantity: {
+          type: Number,
+          default: 0,
+          min: [0, 'La quantité retournée ne peut pas être négative'],
         },
       },
     ],
     shippingAddress: {
-      type: mongoose.Schema.ObjectId,
-      ref: 'Address',
+      type: addressSnapshotSchema,
       required: [true, 'Une commande doit avoir une adresse de livraison'],
+      immutable: true, // Instantané figé à la création : l'historique ne suit pas les modifications du carnet d'adresses
     },
     paymentMethod: {
       type: String,
@@ -56,6 +111,21 @@ const orderSchema = new mongoose.Schema(
         validate: [validator.isEmail, 'Veuillez entrer une adresse email valide'],
       },
     },
+    couponCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    itemsPrice: {
+      type: Number,
+      required: true,
+      default: 0.0,
+    },
+    discountPrice: {
+      type: Number,
+      required: true,
+      default: 0.0,
+    },
     taxPrice: {
       type: Number,
       required: true,
@@ -71,6 +141,11 @@ const orderSchema = new mongoose.Schema(
       required: true,
       default: 0.0,
     },
+    refundedPrice: {
+      type: Number,
+      default: 0, // Montant déjà remboursé au client (retours)
+      min: [0, 'Le montant remboursé ne peut pas être négatif'],
+    },
     isPaid: {
       type: Boolean,
       required: true,
@@ -87,11 +162,62 @@ const orderSchema = new mongoose.Schema(
     deliveredAt: {
       type: Date,
     },
+    shippedAt: {
+      type: Date,
+    },
+    carrier: {
+      type: String,
+      trim: true,
+    },
+    trackingNumber: {
+      type: String,
+      trim: true,
+    },
+    inventoryReserved: {
+      type: Boolean,
+      default: false, // Indique si le stock des articles a été décrémenté et doit être restitué à l'annulation
+    },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+      enum: ORDER_STATUSES,
       default: 'pending',
     },
+    statusHistory: [
+      {
+        from: String,
+        to: {
+          type: String,
+          enum: ORDER_STATUSES,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+        },
+        reason: {
+          type: String,
+          trim: true,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    isArchived: {
+      type: Boolean,
+      default: false, // Archivage (suppression logique) : la commande reste disponible pour la comptabilité
+      index: true,
+    },
+    archivedAt: Date,
+    archivedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    archiveReason: {
+      type: String,
+      trim: true,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -103,34 +229,160 @@ const orderSchema = new mongoose.Schema(
   }
 );
 
+// Index de la pagination par curseur des listes de commandes (toutes, ou celles d'un client)
+orderSchema.index({ createdAt: -1, _id: -1 });
+orderSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
 /**
  * Middleware pour calculer le prix total de la commande avant de l'enregistrer.
- * Dépend des prix des articles commandés.
+ * Les prix unitaires et remises des articles sont fixés côté serveur par le service Checkout :
+ * ce hook se contente de garantir la cohérence des totaux.
+ */
+orderSchema.pre('save', function (next) {
+  this.itemsPrice = round(this.items.reduce((acc, item) => acc + item.quantity * item.price, 0));
+  this.discountPrice = round(this.items.reduce((acc, item) => acc + (item.discount || 0), 0));
+  this.totalPrice = round(
+    Math.max(0, this.itemsPrice - this.discountPrice) + this.taxPrice + this.shippingPrice
+  );
+
+  next();
+});
+
+/**
+ * Middleware pour initialiser l'historique des statuts et horodater le paiement.
  */
-orderSchema.pre('save', async function (next) {
-  try {
-    // Calculer le prix des articles
-    const itemsPromises = this.items.map(async (item) => {
-      const product = await mongoose.model('Product').findById(item.product);
-      if (!product) {
-        throw new Error(`Produit non trouvé pour l'article : ${item.product}`);
-      }
-      // Utiliser item.price si fourni, sinon utiliser le prix du produit
-      const itemPrice = item.price !== undefined ? item.price : product.price;
-      return item.quantity * itemPrice;
-    });
-
-    const itemsPrices = await Promise.all(itemsPromises);
-    this.totalPrice =
-      itemsPrices.reduce((acc, price) => acc + price, 0) +
-      this.taxPrice +
-      this.shippingPrice;
-
-    next();
-  } catch (error) {
-    next(error); // Passer l'erreur au gestionnaire d'erreurs
+orderSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, changedAt: this.createdAt });
   }
+  if (this.isModified('isPaid') && this.isPaid && !this.paidAt) {
+    this.paidAt = new Date();
+  }
+  next();
 });
 
+/**
+ * Méthode pour vérifier si la commande peut passer au statut demandé
+ * @param {string} status - Le statut cible
+ * @returns {boolean}
+ */
+orderSchema.methods.canTransitionTo = function (status) {
+  return (ORDER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Méthode pour changer le statut de la commande en respectant la machine à états.
+ * Enregistre la transition dans l'historique et horodate l'expédition et la livraison.
+ * Le document n'est pas sauvegardé.
+ * @param {string} status - Le statut cible
+ * @param {object} [options] - Options de la transition
+ * @param {string} [options.changedBy] - L'ID de l'utilisateur à l'origine du changement
+ * @param {string} [options.reason] - Le motif du changement
+ * @throws {ErrorResponse} - 409 si la transition n'est pas autorisée
+ * @returns {object} - La commande modifiée
+ */
+orderSchema.methods.transitionTo = function (status, { changedBy, reason } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new ErrorResponse(
+      `Transition de statut non autorisée : ${this.status} → ${status}`,
+      409,
+      { from: this.status, to: status, allowed: ORDER_TRANSITIONS[this.status] || [] }
+    );
+  }
+
+  const now = new Date();
+  this.statusHistory.push({ from: this.status, to: status, changedBy, reason, changedAt: now });
+  this.status = status;
+
+  if (status === 'shipped' && !this.shippedAt) {
+    this.shippedAt = now;
+  }
+  if (status === 'delivered') {
+    this.isDelivered = true;
+    this.deliveredAt = this.deliveredAt || now;
+  }
+  return this;
+};
+
+/**
+ * Méthode pour archiver la commande (suppression logique réservée aux admins).
+ * Une commande en cours doit d'abord être annulée pour restituer son stock.
+ * Le document n'est pas sauvegardé.
+ * @param {object} [options]
+ * @param {string} [options.archivedBy] - L'ID de l'admin qui archive
+ * @param {string} [options.reason] - Le motif de l'archivage
+ * @throws {ErrorResponse} - 409 si la commande est en cours ou déjà archivée
+ * @returns {object} - La commande modifiée
+ */
+orderSchema.methods.archive = function ({ archivedBy, reason } = {}) {
+  if (this.isArchived) {
+    throw new ErrorResponse('Cette commande est déjà archivée', 409);
+  }
+  if (['pending', 'processing', 'shipped'].includes(this.status)) {
+    throw new ErrorResponse(`Une commande au statut "${this.status}" doit être annulée ou terminée avant d'être archivée`, 409);
+  }
+  this.isArchived = true;
+  this.archivedAt = new Date();
+  this.archivedBy = archivedBy;
+  this.archiveReason = reason;
+  return this;
+};
+
+/**
+ * Méthode pour vérifier si tous les articles de la commande ont été retournés
+ * @returns {boolean}
+ */
+orderSchema.methods.isFullyReturned = function () {
+  return this.items.every((item) => (item.returnedQuantity || 0) >= item.quantity);
+};
+
+/**
+ * Ligne de l'export comptable d'une commande ; l'ordre des champs est celui des colonnes du CSV.
+ * @param {object} order - La commande (document ou objet simple issu de lean())
+ * @returns {object}
+ */
+orderSchema.statics.accountingRow = function (order) {
+  return {
+    id: String(order._id),
+    createdAt: order.createdAt.toISOString(),
+    user: String(order.user),
+    status: order.status,
+    paymentMethod: order.paymentMethod,
+    isPaid: Boolean(order.isPaid),
+    paidAt: order.paidAt ? order.paidAt.toISOString() : '',
+    couponCode: order.couponCode || '',
+    itemsPrice: order.itemsPrice,
+    discountPrice: order.discountPrice,
+    taxPrice: order.taxPrice,
+    shippingPrice: order.shippingPrice,
+    totalPrice: order.totalPrice,
+    refundedPrice: order.refundedPrice || 0,
+    isArchived: Boolean(order.isArchived),
+  };
+};
+
+/**
+ * Champs utilisables dans les paramètres de liste (filtres, tri, sélection) : voir Utils/apiFeatures.js.
+ * L'archivage se filtre avec le paramètre archived du contrôleur.
+ */
+orderSchema.statics.queryFields = {
+  filter: {
+    user: 'objectId',
+    status: { type: 'string', values: ORDER_STATUSES },
+    paymentMethod: { type: 'string', values: orderSchema.path('paymentMethod').enumValues },
+    isPaid: 'boolean',
+    isDelivered: 'boolean',
+    totalPrice: 'number',
+    couponCode: 'string',
+    'shippingAddress.city': 'string',
+    'shippingAddress.country': 'string',
+    paidAt: 'date',
+    deliveredAt: 'date',
+    createdAt: 'date',
+  },
+  sort: ['totalPrice', 'status', 'paidAt', 'deliveredAt', 'createdAt'],
+  select: ['user', 'items', 'shippingAddress', 'paymentMethod', 'couponCode', 'itemsPrice', 'discountPrice', 'taxPrice', 'shippingPrice', 'totalPrice', 'refundedPrice', 'isPaid', 'paidAt', 'isDelivered', 'deliveredAt', 'shippedAt', 'carrier', 'trackingNumber', 'status', 'statusHistory', 'isArchived', 'archivedAt', 'createdAt'],
+};
+
 const orderModel = mongoose.model('Order', orderSchema);
 export default orderModel;
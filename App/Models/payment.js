@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+/**
+ * Statuts d'un paiement : en attente, autorisé (à capturer), réussi, échoué, annulé, remboursé.
+ */
+export const PAYMENT_STATUSES = ['pending', 'requires_capture', 'succeeded', 'failed', 'cancelled', 'partially_refunded', 'refunded'];
+
+/**
+ * Schéma Mongoose pour les paiements.
+ * Un paiement correspond à une intention de paiement chez un prestataire pour une commande.
+ */
+const paymentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Order',
+      required: [true, 'Un paiement doit être associé à une commande'],
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Un paiement doit appartenir à un utilisateur'],
+    },
+    provider: {
+      type: String,
+      required: [true, 'Le prestataire de paiement est requis'],
+    },
+    paymentMethod: {
+      type: String,
+      enum: {
+        values: ['card', 'paypal', 'bank_transfer'],
+        message: 'Mode de paiement non supporté',
+      },
+    },
+    transactionId: {
+      type: String,
+      required: [true, 'L\'identifiant de transaction du prestataire est requis'],
+      unique: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Le montant du paiement est requis'],
+      min: [0, 'Le montant ne peut pas être négatif'],
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    status: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: 'pending',
+    },
+    amountCaptured: {
+      type: Number,
+      default: 0,
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+    refunds: [
+      {
+        _id: false,
+        refundId: String,
+        amount: Number,
+        reason: String,
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    failureReason: String,
+    processedEvents: {
+      type: [String],
+      select: false, // Notifications déjà traitées (idempotence des webhooks)
+    },
+    succeededAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Montant encore remboursable.
+ */
+paymentSchema.virtual('refundableAmount').get(function () {
+  return Math.max(0, (this.amountCaptured || 0) - (this.amountRefunded || 0));
+});
+
+/**
+ * Middleware pour horodater la réussite du paiement.
+ */
+paymentSchema.pre('save', function (next) {
+  if (this.isModified('status') && this.status === 'succeeded' && !this.succeededAt) {
+    this.succeededAt = new Date();
+  }
+  next();
+});
+
+const paymentModel = mongoose.model('Payment', paymentSchema);
+
+export default paymentModel;
@@ -36,8 +36,8 @@ const productSchema = new mongoose.Schema(
     },
     ratingsAverage: {
       type: Number,
-      default: 4.5,
-      min: [1, 'La note doit être supérieure ou égale à 1.0'],
+      default: 0, // Maintenu par les avis (voir Review.calcAverageRatings) ; 0 tant qu'il n'y a aucun avis
+      min: [0, 'La note doit être supérieure ou égale à 0'],
       max: [5, 'La note doit être inférieure ou égale à 5.0'],
       set: (val) => Math.round(val * 10) / 10, // Arrondir à une décimale
     },
@@ -54,12 +54,29 @@ const productSchema = new mongoose.Schema(
       type: mongoose.Schema.ObjectId,
       ref: 'Brand',
     },
+    // Types d'options des variantes (ex : { name: 'Taille', values: ['S', 'M', 'L'] })
+    optionTypes: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: [true, 'Un type d\'option doit avoir un nom'],
+          trim: true,
+        },
+        values: {
+          type: [{ type: String, trim: true }],
+          validate: [(values) => values.length > 0, 'Un type d\'option doit avoir au moins une valeur'],
+        },
+      },
+    ],
+    // Maintenu par Utils/ProductVariants.js à partir des variantes (product)
     variants: [
       {
         type: mongoose.Schema.ObjectId,
         ref: 'ProductVariant',
       },
     ],
+    // Pour un produit à variantes : somme du stock des variantes
     stock: {
       type: Number,
       required: [true, 'Le stock est requis'],
@@ -98,6 +115,13 @@ const productSchema = new mongoose.Schema(
 // Index pour améliorer les performances des requêtes
 productSchema.index({ price: 1, ratingsAverage: -1 });
 productSchema.index({ slug: 1 });
+productSchema.index({ brand: 1 });
+productSchema.index({ category: 1 });
+// Index texte de la recherche (voir Utils/MongoSearchEngine.js) : le nom pèse plus que la description
+productSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'product_text', weights: { name: 10, description: 2 }, default_language: 'french' }
+);
 
 /**
  * Middleware pour créer un slug à partir du nom du produit avant de l'enregistrer.
@@ -118,15 +142,22 @@ productSchema.pre(/^find/, function (next) {
   })
     .populate({
       path: 'category',
-      select: 'name image',
+      select: 'name slug image ancestors',
     })
     .populate({
       path: 'variants',
-      select: '-__v',
+      select: '-__v -product',
     });
   next();
 });
 
+/**
+ * Fil d'Ariane du produit (catégories de la racine à celle du produit), lorsque la catégorie est peuplée.
+ */
+productSchema.virtual('breadcrumbs').get(function () {
+  return this.category && this.category.breadcrumbs;
+});
+
 /**
  * Applique une logique pour assurer la cohérence entre les champs isAvailable et stock.
  * Ce middleware est exécuté avant d'enregistrer ou de mettre à jour un produit.
@@ -141,6 +172,25 @@ productSchema.pre('save', function (next) {
 });
 
 // Exporter le modèle
+/**
+ * Champs utilisables dans les paramètres de liste (filtres, tri, sélection) : voir Utils/apiFeatures.js.
+ */
+productSchema.statics.queryFields = {
+  filter: {
+    name: 'string',
+    slug: 'string',
+    price: 'number',
+    priceDiscount: 'number',
+    stock: 'number',
+    category: 'objectId',
+    brand: 'objectId',
+    ratingsAverage: 'number',
+    createdAt: 'date',
+  },
+  sort: ['name', 'price', 'stock', 'ratingsAverage', 'createdAt'],
+  select: ['name', 'slug', 'description', 'price', 'priceDiscount', 'ratingsAverage', 'ratingsQuantity', 'category', 'brand', 'optionTypes', 'variants', 'stock', 'image', 'createdAt', 'updatedAt'],
+};
+
 const productModel = mongoose.model('Product', productSchema);
 
 export default productModel;
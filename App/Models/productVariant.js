@@ -1,28 +1,65 @@
 import mongoose from 'mongoose';
+import validator from 'validator';
 
 /**
  * Schéma Mongoose pour les variantes de produit.
- * Définit la structure des documents de variante de produit dans la base de données MongoDB.
+ * Une variante appartient à un produit et combine une valeur de chacun de ses types d'options
+ * (ex : Couleur = Rouge, Taille = M). Le stock du produit est la somme du stock de ses variantes
+ * (voir Utils/ProductVariants.js).
  */
 const productVariantSchema = new mongoose.Schema({
-  color: {
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: [true, 'Une variante doit appartenir à un produit'],
+  },
+  sku: {
     type: String,
-    required: [true, 'Une variante doit avoir une couleur'],
+    required: [true, 'Une variante doit avoir une référence (SKU)'],
+    unique: true,
     trim: true,
-    enum: {  
-        values: ['Rouge', 'Vert', 'Bleu', 'Orange', 'Noire', 'Blanche', 'Bordeaux', 'Rose', 'Jaune', 'Marron', 'Beige', 'Gris', 'Violet', 'Multicolore'],
-        message: 'Couleur non valide'
-    }
+    uppercase: true,
+    match: [/^[A-Z0-9][A-Z0-9._-]*$/, 'La référence (SKU) ne peut contenir que des lettres, des chiffres, des points, des tirets et des soulignés'],
   },
-  size: {
+  barcode: {
     type: String,
-    required: [true, 'Une variante doit avoir une taille'],
     trim: true,
-    enum: {  
-        values: ['S', 'M', 'L', 'XL', 'XXL', 'XXXL'],
-        message: 'Taille non valide'
-    }
+    match: [/^\d{8,14}$/, 'Le code-barres doit comporter de 8 à 14 chiffres (EAN, UPC)'],
+  },
+  options: [
+    {
+      _id: false,
+      name: {
+        type: String,
+        required: [true, 'Une option doit avoir un nom'],
+        trim: true,
+      },
+      value: {
+        type: String,
+        required: [true, 'Une option doit avoir une valeur'],
+        trim: true,
+      },
+    },
+  ],
+  // Combinaison normalisée des options (ex : "couleur=rouge|taille=m"), unique par produit
+  optionsKey: {
+    type: String,
+    select: false,
+  },
+  price: {
+    type: Number,
+    min: [0, 'Le prix ne peut pas être négatif'], // À défaut, le prix du produit s'applique
+  },
+  weight: {
+    type: Number,
+    min: [0, 'Le poids ne peut pas être négatif'], // En kilogrammes
   },
+  images: [
+    {
+      type: String,
+      validate: [validator.isURL, 'L\'image doit être une URL valide'],
+    },
+  ],
   stock: {
     type: Number,
     required: [true, 'Une variante doit avoir un stock'],
@@ -31,15 +68,49 @@ const productVariantSchema = new mongoose.Schema({
   },
 }, {
   timestamps: true,
-  index: [
-    {
-      unique: true,
-      fields: ['color', 'size'],
-      message: 'Une variante avec cette couleur et cette taille existe déjà',
-    },
-  ],
 });
 
+productVariantSchema.index({ product: 1, optionsKey: 1 }, { unique: true });
+// Le code-barres est facultatif : seules les variantes qui en ont un sont soumises à l'unicité
+productVariantSchema.index({ barcode: 1 }, { unique: true, partialFilterExpression: { barcode: { $type: 'string' } } });
+
+/**
+ * Clé normalisée d'une combinaison d'options, indépendante de l'ordre et de la casse.
+ * @param {Array<{name: string, value: string}>} options
+ * @returns {string}
+ */
+productVariantSchema.statics.optionsKey = function (options = []) {
+  return options
+    .map((option) => `${option.name.trim().toLowerCase()}=${option.value.trim().toLowerCase()}`)
+    .sort()
+    .join('|');
+};
+
+/**
+ * Middleware pour recalculer la clé des options avant la validation.
+ */
+productVariantSchema.pre('validate', function (next) {
+  this.optionsKey = this.constructor.optionsKey(this.options);
+  next();
+});
+
+/**
+ * Champs utilisables dans les paramètres de liste (filtres, tri, sélection) : voir Utils/apiFeatures.js.
+ */
+productVariantSchema.statics.queryFields = {
+  filter: {
+    sku: 'string',
+    barcode: 'string',
+    'options.value': 'string',
+    price: 'number',
+    weight: 'number',
+    stock: 'number',
+    createdAt: 'date',
+  },
+  sort: ['sku', 'price', 'weight', 'stock', 'createdAt'],
+  select: ['product', 'sku', 'barcode', 'options', 'price', 'weight', 'images', 'stock', 'createdAt', 'updatedAt'],
+};
+
 const productVariantModel = mongoose.model('ProductVariant', productVariantSchema);
 
 export default productVariantModel;
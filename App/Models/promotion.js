@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import ErrorResponse from '../Utils/errorResponse.js';
+
+/**
+ * Portées possibles d'une promotion : un produit, tout le panier, une catégorie ou une marque.
+ * Seules les promotions à code (coupons) peuvent porter sur autre chose qu'un produit.
+ */
+export const PROMOTION_SCOPES = ['product', 'cart', 'category', 'brand'];
 
 /**
  * Schéma Mongoose pour les promotions.
@@ -15,6 +22,27 @@ const promotionSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      unique: true,
+      sparse: true, // Seules les promotions saisies par le client (coupons) ont un code
+      required: [
+        function () {
+          return this.scope !== 'product';
+        },
+        'Un code est requis pour une promotion qui ne porte pas sur un produit',
+      ],
+    },
+    scope: {
+      type: String,
+      enum: {
+        values: PROMOTION_SCOPES,
+        message: 'La portée doit être "product", "cart", "category" ou "brand"',
+      },
+      default: 'product',
+    },
     type: {
       type: String,
       required: [true, 'Le type de promotion est requis'],
@@ -44,7 +72,32 @@ const promotionSchema = new mongoose.Schema(
     productId: {
       type: mongoose.Schema.ObjectId,
       ref: 'Product',
-      required: [true, 'Une promotion doit être associée à un produit'],
+      required: [
+        function () {
+          return this.scope === 'product';
+        },
+        'Une promotion doit être associée à un produit',
+      ],
+    },
+    category: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Category',
+      required: [
+        function () {
+          return this.scope === 'category';
+        },
+        'Une promotion de catégorie doit être associée à une catégorie',
+      ],
+    },
+    brand: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Brand',
+      required: [
+        function () {
+          return this.scope === 'brand';
+        },
+        'Une promotion de marque doit être associée à une marque',
+      ],
     },
     startDate: {
       type: Date,
@@ -83,6 +136,34 @@ const promotionSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    usageLimitPerUser: {
+      type: Number,
+      min: [1, 'Le nombre d\'utilisations par client doit être au moins 1'],
+    },
+    singleUse: {
+      type: Boolean,
+      default: false, // Un coupon à usage unique ne peut être utilisé qu'une seule fois, tous clients confondus
+    },
+    redemptions: {
+      type: [
+        {
+          _id: false,
+          user: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User',
+          },
+          order: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Order',
+          },
+          redeemedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      select: false, // Historique des utilisations, utilisé pour les limites par client
+    },
     conditions: {
       type: Map,
       of: mongoose.Schema.Types.Mixed,
@@ -99,6 +180,16 @@ const promotionSchema = new mongoose.Schema(
 promotionSchema.index({ productId: 1, startDate: 1, endDate: 1 });
 promotionSchema.index({ active: 1, endDate: 1 });
 
+/**
+ * Middleware de pré-validation : un coupon à usage unique a un maximum d'une utilisation
+ */
+promotionSchema.pre('validate', function (next) {
+  if (this.singleUse) {
+    this.maxUsage = 1;
+  }
+  next();
+});
+
 /**
  * Middleware de pré-sauvegarde pour mettre à jour l'état actif de la promotion
  */
@@ -123,6 +214,75 @@ promotionSchema.methods.isValid = function () {
   );
 };
 
+/**
+ * Méthode pour vérifier si la promotion porte sur un produit donné
+ * @param {object} product - Le document produit (catégorie et marque peuplées ou non)
+ * @returns {boolean}
+ */
+promotionSchema.methods.appliesTo = function (product) {
+  if (!product) return false;
+  const idOf = (ref) => String(ref?._id || ref);
+  switch (this.scope) {
+    case 'cart':
+      return true;
+    case 'category':
+      return idOf(product.category) === idOf(this.category);
+    case 'brand':
+      return Boolean(product.brand) && idOf(product.brand) === idOf(this.brand);
+    default:
+      return idOf(product._id) === idOf(this.productId);
+  }
+};
+
+/**
+ * Méthode pour compter les utilisations de la promotion par un client
+ * @param {string} userId - L'ID du client
+ * @param {object} [session] - La session MongoDB en cours
+ * @returns {Promise<number>}
+ */
+promotionSchema.methods.countRedemptions = async function (userId, session) {
+  const [result] = await this.constructor.aggregate([
+    { $match: { _id: this._id } },
+    { $project: { count: { $size: { $filter: {
+      input: { $ifNull: ['$redemptions', []] },
+      cond: { $eq: ['$$this.user', new mongoose.Types.ObjectId(String(userId))] },
+    } } } } },
+  ]).session(session || null);
+  return result ? result.count : 0;
+};
+
+/**
+ * Méthode pour expliquer pourquoi un coupon ne peut pas être utilisé
+ * @param {object} [options]
+ * @param {string} [options.userId] - L'ID du client (limites par client)
+ * @param {number} [options.subtotal] - Le sous-total du panier (montant minimum d'achat)
+ * @param {object} [options.session] - La session MongoDB en cours
+ * @returns {Promise<{reason: string, message: string}|null>} - null si le coupon est utilisable
+ */
+promotionSchema.methods.checkEligibility = async function ({ userId, subtotal, session } = {}) {
+  const now = new Date();
+  const label = `Le code promo "${this.code}"`;
+  if (!this.active) {
+    return { reason: 'inactive', message: `${label} n'est plus actif` };
+  }
+  if (now < this.startDate) {
+    return { reason: 'not_started', message: `${label} n'est pas encore valable` };
+  }
+  if (now > this.endDate) {
+    return { reason: 'expired', message: `${label} a expiré` };
+  }
+  if (this.maxUsage && this.currentUsage >= this.maxUsage) {
+    return { reason: 'usage_limit_reached', message: `${label} a atteint son nombre maximum d'utilisations` };
+  }
+  if (userId && this.usageLimitPerUser && (await this.countRedemptions(userId, session)) >= this.usageLimitPerUser) {
+    return { reason: 'user_limit_reached', message: `Vous avez déjà utilisé le code promo "${this.code}" le nombre de fois autorisé` };
+  }
+  if (subtotal !== undefined && subtotal < (this.minPurchase || 0)) {
+    return { reason: 'min_purchase_not_met', message: `${label} nécessite un minimum d'achat de ${this.minPurchase}` };
+  }
+  return null;
+};
+
 /**
  * Méthode pour appliquer la promotion au prix
  * @param {number} price - Le prix auquel la promotion doit être appliquée
@@ -139,18 +299,86 @@ promotionSchema.methods.apply = function (price) {
 };
 
 /**
- * Méthode pour incrémenter le compteur d'utilisation de la promotion
- * @throws {Error} - Si le nombre maximal d'utilisations est atteint
+ * Méthode pour incrémenter le compteur d'utilisation de la promotion.
+ * La vérification des limites et l'incrément se font en une seule mise à jour conditionnelle :
+ * des utilisations concurrentes ne peuvent pas dépasser maxUsage ni usageLimitPerUser.
+ * @param {object} [options]
+ * @param {string} [options.user] - L'ID du client qui utilise la promotion
+ * @param {string} [options.order] - L'ID de la commande concernée
+ * @param {object} [options.session] - La session MongoDB en cours
+ * @throws {ErrorResponse} - 409 si une limite d'utilisation est atteinte
  * @returns {Promise<void>}
  */
-promotionSchema.methods.incrementUsage = async function () {
-  if (this.maxUsage && this.currentUsage >= this.maxUsage) {
-    throw new Error(
-      'La promotion a atteint son nombre maximum d\'utilisations'
-    );
+promotionSchema.methods.incrementUsage = async function ({ user, order, session } = {}) {
+  const limits = [];
+  if (this.maxUsage) {
+    limits.push({ $lt: ['$currentUsage', '$maxUsage'] });
+  }
+  if (user && this.usageLimitPerUser) {
+    limits.push({ $lt: [
+      { $size: { $filter: {
+        input: { $ifNull: ['$redemptions', []] },
+        cond: { $eq: ['$$this.user', new mongoose.Types.ObjectId(String(user))] },
+      } } },
+      '$usageLimitPerUser',
+    ] });
+  }
+
+  const filter = { _id: this._id, active: true };
+  if (limits.length > 0) {
+    filter.$expr = { $and: limits };
   }
-  this.currentUsage += 1;
-  await this.save();
+  const update = { $inc: { currentUsage: 1 } };
+  if (user) {
+    update.$push = { redemptions: { user, order, redeemedAt: new Date() } };
+  }
+
+  const updated = await this.constructor.findOneAndUpdate(filter, update, { new: true, session });
+  if (!updated) {
+    const fresh = await this.constructor.findById(this._id).session(session || null);
+    const ineligible = (fresh && (await fresh.checkEligibility({ userId: user, session })))
+      || { reason: 'usage_limit_reached', message: 'La promotion a atteint son nombre maximum d\'utilisations' };
+    throw new ErrorResponse(ineligible.message, 409, { coupon: this.code, reason: ineligible.reason });
+  }
+  this.currentUsage = updated.currentUsage;
+};
+
+/**
+ * Annule l'utilisation d'un coupon par une commande (ex : commande annulée).
+ * @param {string} code - Le code promo
+ * @param {string} order - L'ID de la commande
+ * @param {object} [session] - La session MongoDB en cours
+ * @returns {Promise<void>}
+ */
+promotionSchema.statics.releaseUsage = async function (code, order, session) {
+  await this.updateOne(
+    { code, 'redemptions.order': order },
+    { $inc: { currentUsage: -1 }, $pull: { redemptions: { order } } },
+    { session }
+  );
+};
+
+/**
+ * Champs utilisables dans les paramètres de liste (filtres, tri, sélection) : voir Utils/apiFeatures.js.
+ * L'historique des utilisations (redemptions) n'est pas exposé.
+ */
+promotionSchema.statics.queryFields = {
+  filter: {
+    name: 'string',
+    code: 'string',
+    scope: { type: 'string', values: PROMOTION_SCOPES },
+    type: { type: 'string', values: promotionSchema.path('type').enumValues },
+    value: 'number',
+    productId: 'objectId',
+    category: 'objectId',
+    brand: 'objectId',
+    active: 'boolean',
+    startDate: 'date',
+    endDate: 'date',
+    currentUsage: 'number',
+  },
+  sort: ['name', 'code', 'value', 'startDate', 'endDate', 'currentUsage', 'createdAt'],
+  select: ['name', 'description', 'code', 'scope', 'type', 'value', 'productId', 'category', 'brand', 'startDate', 'endDate', 'active', 'minPurchase', 'maxUsage', 'currentUsage', 'usageLimitPerUser', 'singleUse', 'conditions', 'createdAt', 'updatedAt'],
 };
 
 const Promotion = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,171 @@
+import mongoose from 'mongoose';
+import ErrorResponse from '../Utils/errorResponse.js';
+
+/**
+ * Transitions de statut autorisées pour une demande de retour.
+ * requested → approved → received → refunded ; une demande peut être rejetée ou annulée avant réception.
+ */
+export const RETURN_TRANSITIONS = Object.freeze({
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['received', 'cancelled'],
+  received: ['refunded'],
+  rejected: [],
+  cancelled: [],
+  refunded: [],
+});
+
+export const RETURN_STATUSES = Object.keys(RETURN_TRANSITIONS);
+
+export const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+/**
+ * Schéma Mongoose pour les demandes de retour (RMA).
+ * Chaque article retourné référence une ligne de la commande d'origine.
+ */
+const returnRequestSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Order',
+      required: [true, 'Une demande de retour doit concerner une commande'],
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Une demande de retour doit appartenir à un utilisateur'],
+    },
+    items: {
+      type: [
+        {
+          orderItem: {
+            type: mongoose.Schema.ObjectId,
+            required: [true, 'Un article retourné doit référencer une ligne de commande'],
+          },
+          product: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Product',
+            required: true,
+          },
+          variant: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'ProductVariant',
+          },
+          name: String,
+          quantity: {
+            type: Number,
+            required: [true, 'La quantité retournée est requise'],
+            min: [1, 'La quantité retournée doit être au moins 1'],
+          },
+          reason: {
+            type: String,
+            required: [true, 'Le motif du retour est requis'],
+            enum: {
+              values: RETURN_REASONS,
+              message: 'Motif de retour non valide',
+            },
+          },
+          comment: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Le commentaire ne peut pas dépasser 1000 caractères'],
+          },
+        },
+      ],
+      validate: [(items) => items.length > 0, 'Une demande de retour doit contenir au moins un article'],
+    },
+    status: {
+      type: String,
+      enum: RETURN_STATUSES,
+      default: 'requested',
+    },
+    statusHistory: [
+      {
+        from: String,
+        to: {
+          type: String,
+          enum: RETURN_STATUSES,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+        },
+        reason: {
+          type: String,
+          trim: true,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    refundAmount: {
+      type: Number,
+      min: [0, 'Le montant remboursé ne peut pas être négatif'],
+    },
+    payment: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Payment',
+    },
+    refundId: String, // Identifiant du remboursement chez le prestataire de paiement
+    receivedAt: Date,
+    refundedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+/**
+ * Middleware pour initialiser l'historique des statuts.
+ */
+returnRequestSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status });
+  }
+  next();
+});
+
+/**
+ * Méthode pour changer le statut de la demande en respectant la machine à états.
+ * Le document n'est pas sauvegardé.
+ * @param {string} status - Le statut cible
+ * @param {object} [options] - Options de la transition
+ * @param {string} [options.changedBy] - L'ID de l'utilisateur à l'origine du changement
+ * @param {string} [options.reason] - Le motif du changement
+ * @throws {ErrorResponse} - 409 si la transition n'est pas autorisée
+ * @returns {object} - La demande modifiée
+ */
+returnRequestSchema.methods.transitionTo = function (status, { changedBy, reason } = {}) {
+  if (!(RETURN_TRANSITIONS[this.status] || []).includes(status)) {
+    throw new ErrorResponse(
+      `Transition de statut non autorisée : ${this.status} → ${status}`,
+      409,
+      { from: this.status, to: status, allowed: RETURN_TRANSITIONS[this.status] || [] }
+    );
+  }
+
+  const now = new Date();
+  this.statusHistory.push({ from: this.status, to: status, changedBy, reason, changedAt: now });
+  this.status = status;
+
+  if (status === 'received') {
+    this.receivedAt = now;
+  }
+  if (status === 'refunded') {
+    this.refundedAt = now;
+  }
+  return this;
+};
+
+const returnRequestModel = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default returnRequestModel;
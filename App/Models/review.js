@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schéma Mongoose pour les avis produits.
+ * Un utilisateur ne peut laisser qu'un avis par produit ; seuls les avis approuvés
+ * sont pris en compte dans la note du produit.
+ */
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product',
+      required: [true, 'Un avis doit concerner un produit'],
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Un avis doit appartenir à un utilisateur'],
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Un avis doit avoir une note'],
+      min: [1, 'La note doit être supérieure ou égale à 1'],
+      max: [5, 'La note doit être inférieure ou égale à 5'],
+      validate: [Number.isInteger, 'La note doit être un nombre entier'],
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [120, 'Le titre ne peut pas dépasser 120 caractères'],
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Le commentaire ne peut pas dépasser 2000 caractères'],
+    },
+    isVerifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      // Avec REVIEW_MODERATION=true, les avis doivent être approuvés par un admin avant publication
+      default: () => (process.env.REVIEW_MODERATION === 'true' ? 'pending' : 'approved'),
+    },
+    moderatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    moderatedAt: Date,
+    moderationNote: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Un seul avis par utilisateur et par produit
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+/**
+ * Middleware pour peupler l'auteur de l'avis lors des requêtes find.
+ */
+reviewSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: 'user',
+    select: 'name',
+  });
+  next();
+});
+
+/**
+ * Recalcule les champs de notation du produit à partir de ses avis approuvés.
+ * @param {string} productId - L'ID du produit
+ * @returns {Promise<void>}
+ */
+reviewSchema.statics.calcAverageRatings = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+    { $group: { _id: '$product', count: { $sum: 1 }, average: { $avg: '$rating' } } },
+  ]);
+
+  const count = stats ? stats.count : 0;
+  const average = stats ? Math.round(stats.average * 10) / 10 : 0;
+  await mongoose.model('Product').updateOne(
+    { _id: productId },
+    { ratingsAverage: average, ratingsQuantity: count, rating: average, numReviews: count }
+  );
+};
+
+/**
+ * Middlewares pour maintenir la note du produit après création, modification ou suppression d'un avis.
+ */
+reviewSchema.post('save', async function () {
+  await this.constructor.calcAverageRatings(this.product);
+});
+
+reviewSchema.post(/^findOneAnd/, async function (doc) {
+  if (doc) {
+    await doc.constructor.calcAverageRatings(doc.product);
+  }
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function () {
+  await this.constructor.calcAverageRatings(this.product);
+});
+
+const reviewModel = mongoose.model('Review', reviewSchema);
+
+export default reviewModel;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schéma Mongoose des rôles : un rôle est un ensemble nommé de permissions
+ * ("ressource:action", éventuellement limitée aux documents de l'utilisateur avec le suffixe ":own").
+ * Le catalogue des permissions et les rôles par défaut sont définis dans Utils/Permissions.js.
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Le nom du rôle est requis'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]{1,31}$/, 'Le nom du rôle ne peut contenir que des lettres, chiffres, tirets et underscores'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (permissions) => permissions.every((permission) => /^(\*|[a-z]+:(\*|[a-z]+(:own)?))$/.test(permission)),
+        message: 'Format de permission invalide (attendu : ressource:action)',
+      },
+    },
+    isSystem: {
+      type: Boolean,
+      default: false, // Rôles fournis par l'application (client, storekeeper, admin) : non supprimables
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const roleModel = mongoose.model('Role', roleSchema);
+
+export default roleModel;
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+/**
+ * Schéma Mongoose pour les sessions d'authentification.
+ * Chaque session correspond à un refresh token (stocké haché). À chaque rafraîchissement,
+ * la session est révoquée et remplacée par une nouvelle de la même famille : la réutilisation
+ * d'un token déjà remplacé signale un vol et révoque toute la famille.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Une session doit appartenir à un utilisateur'],
+      index: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true, // Identifiant commun à toutes les rotations issues d'une même connexion
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_changed', 'account_deactivated'],
+    },
+    replacedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Session',
+    },
+    lastUsedAt: Date,
+    userAgent: String,
+    ip: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Les sessions expirées sont purgées automatiquement par MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Indique si la session peut encore servir à obtenir un access token.
+ */
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Hache un refresh token pour le stockage et la recherche.
+ * @param {string} token - Le refresh token en clair.
+ * @returns {string}
+ */
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Révoque toutes les sessions actives correspondant au filtre.
+ * @param {Object} filter - Le filtre (ex : { user } ou { family }).
+ * @param {string} reason - La raison de la révocation.
+ * @returns {Promise<number>} - Le nombre de sessions révoquées.
+ */
+sessionSchema.statics.revokeWhere = async function (filter, reason) {
+  const { modifiedCount } = await this.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return modifiedCount;
+};
+
+const sessionModel = mongoose.model('Session', sessionSchema);
+
+export default sessionModel;
@@ -30,6 +30,15 @@ const supplierSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+/**
+ * Champs utilisables dans les paramètres de liste (filtres, tri, sélection) : voir Utils/apiFeatures.js.
+ */
+supplierSchema.statics.queryFields = {
+  filter: { name: 'string', createdAt: 'date' },
+  sort: ['name', 'createdAt'],
+  select: ['name', 'description', 'image', 'createdAt', 'updatedAt'],
+};
+
 const supplierModel = mongoose.model('Supplier', supplierSchema);
 
 export default supplierModel;
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import validator from 'validator';
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
 
 /**
  * Schéma utilisateur pour la base de données MongoDB.
@@ -22,6 +23,16 @@ const userSchema = new mongoose.Schema(
       validate: [validator.isEmail, 'Veuillez entrer un email valide'],
       index: true, // Index pour optimiser les requêtes par email
     },
+    phone: {
+      type: String,
+      trim: true,
+      validate: {
+        // Format international (E.164) ou national : séparateurs usuels ignorés
+        validator: (value) => !value || /^\+?\d{6,15}$/.test(value.replace(/[\s.()-]/g, '')),
+        message: 'Veuillez entrer un numéro de téléphone valide',
+      },
+    },
+    avatar: String, // URL ou chemin local (uploads/) de la photo de profil
     password: {
       type: String,
       required: [true, 'Veuillez entrer un mot de passe'],
@@ -30,8 +41,8 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["client", "admin", "storekeeper"],
-      default: "client",
+      default: "client", // Nom d'un rôle de la collection Role (voir Utils/Permissions.js)
+      lowercase: true,
       index: true, // Index pour optimiser les requêtes par rôle
     },
     isActive: {
@@ -39,9 +50,80 @@ const userSchema = new mongoose.Schema(
       default: true,
       select: false, // Ne pas inclure par défaut dans les résultats de requête
     },
+    deactivatedAt: Date, // Date de désactivation du compte par son titulaire
+    isEmailVerified: {
+      type: Boolean,
+      default: false, // Passe à true via le lien envoyé par e-mail à l'inscription
+    },
+    emailVerifiedAt: Date,
+    emailVerificationSentAt: {
+      type: Date,
+      select: false, // Date du dernier envoi, pour limiter les renvois
+    },
+    lastLoginAt: Date,
+    identities: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          required: true, // Fournisseur d'identité (voir Utils/IdentityProvider.js)
+        },
+        subject: {
+          type: String,
+          required: true, // Identifiant de l'utilisateur chez le fournisseur
+        },
+        email: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      // Secrets TOTP chiffrés (voir Utils/Totp.js) : celui en cours d'enrôlement et celui activé
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      backupCodes: {
+        type: [String], // Hashs des codes de secours restants
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false, // Dernier pas de temps accepté, pour refuser le rejeu d'un code
+      },
+    },
+    lockUntil: {
+      type: Date,
+      select: false, // Verrouillage temporaire après trop d'échecs de connexion (voir Utils/LoginGuard.js)
+    },
+    unlockToken: {
+      type: String,
+      select: false,
+    },
+    unlockTokenExpires: {
+      type: Date,
+      select: false,
+    },
     passwordChangedAt: Date,
-    passwordResetToken: String,
-    passwordResetExpires: Date,
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
   },
   {
     toJSON: { virtuals: true },
@@ -50,6 +132,12 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Une identité externe ne peut être liée qu'à un seul compte
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 /**
  * Middleware pour hasher le mot de passe avant de sauvegarder un nouvel utilisateur
  * ou de modifier un mot de passe existant.
@@ -69,6 +157,19 @@ userSchema.pre('save', async function (next) {
   }
 });
 
+/**
+ * Middleware pour dater le changement de mot de passe (hors création du compte).
+ * Les tokens et sessions émis avant cette date ne sont plus acceptés.
+ */
+userSchema.pre('save', function (next) {
+  if (!this.isModified('password') || this.isNew) {
+    return next();
+  }
+  // Recul d'une seconde : le champ iat des JWT est arrondi à la seconde
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  next();
+});
+
 /**
  * Méthode pour vérifier si le mot de passe fourni correspond au mot de passe haché
  * stocké dans la base de données.
@@ -80,6 +181,78 @@ userSchema.methods.correctPassword = async function (candidatePassword, userPass
   return bcrypt.compare(candidatePassword, userPassword);
 };
 
+/**
+ * Indique si le mot de passe a été modifié après une date donnée
+ * (émission d'un token ou ouverture d'une session).
+ * @param {Date|number} timestamp - La date de référence.
+ * @returns {boolean}
+ */
+userSchema.methods.changedPasswordAfter = function (timestamp) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return this.passwordChangedAt.getTime() > new Date(timestamp).getTime();
+};
+
+/**
+ * Génère un token de réinitialisation du mot de passe.
+ * Seul son hash est conservé (passwordResetToken), avec sa date d'expiration.
+ * @param {number} expiresInMinutes - La durée de validité du token.
+ * @returns {string} - Le token en clair, à envoyer par e-mail.
+ */
+userSchema.methods.createPasswordResetToken = function (expiresInMinutes = 10) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return resetToken;
+};
+
+/**
+ * Indique si le compte est temporairement verrouillé.
+ */
+userSchema.virtual('isLocked').get(function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+/**
+ * Verrouille temporairement le compte et génère le token du lien de déverrouillage envoyé par e-mail.
+ * @param {number} minutes - La durée du verrouillage.
+ * @returns {string} - Le token en clair (seul son hash est conservé).
+ */
+userSchema.methods.lock = function (minutes) {
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  this.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+  this.unlockToken = crypto.createHash('sha256').update(unlockToken).digest('hex');
+  this.unlockTokenExpires = this.lockUntil;
+  return unlockToken;
+};
+
+/**
+ * Lève le verrouillage du compte.
+ */
+userSchema.methods.unlock = function () {
+  this.lockUntil = undefined;
+  this.unlockToken = undefined;
+  this.unlockTokenExpires = undefined;
+};
+
+/**
+ * Champs utilisables dans les paramètres de liste (filtres, tri, sélection) : voir Utils/apiFeatures.js.
+ * Les champs sensibles (mot de passe, jetons, second facteur, verrouillage) ne sont jamais exposés.
+ */
+userSchema.statics.queryFields = {
+  filter: {
+    name: 'string',
+    email: 'string',
+    role: 'string',
+    isEmailVerified: 'boolean',
+    lastLoginAt: 'date',
+    createdAt: 'date',
+  },
+  sort: ['name', 'email', 'role', 'lastLoginAt', 'createdAt'],
+  select: ['name', 'email', 'phone', 'avatar', 'role', 'isEmailVerified', 'lastLoginAt', 'createdAt', 'updatedAt'],
+};
+
 // Crée le modèle User à partir du schéma
 const userModel = mongoose.model('User', userSchema);
 
@@ -0,0 +1,17 @@
+import { Router } from "express";
+import Address from "../Controllers/addressController.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+
+const router = new Router();
+const addressController = new Address();
+
+// Le carnet d'adresses est toujours celui de l'utilisateur connecté
+router.use(AuthMiddleware.authenticate);
+
+router.get('/', addressController.getAll.bind(addressController))
+  .post('/', addressController.create.bind(addressController))
+  .get('/:id', addressController.getOne.bind(addressController))
+  .put('/:id', addressController.update.bind(addressController))
+  .delete('/:id', addressController.delete.bind(addressController));
+
+export default router;
@@ -0,0 +1,16 @@
+import { Router } from "express";
+import ApiKey from "../Controllers/apiKeyController.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+
+const router = new Router();
+const apiKeyController = new ApiKey();
+
+// Clés d'API des intégrations (une clé ne peut jamais recevoir le scope apikey:manage)
+router.use(AuthMiddleware.authenticate, AuthMiddleware.requirePermission('apikey:manage'));
+
+router.get('/', apiKeyController.getAll.bind(apiKeyController))
+  .post('/', apiKeyController.create.bind(apiKeyController))
+  .get('/:id', apiKeyController.getOne.bind(apiKeyController))
+  .delete('/:id', apiKeyController.revoke.bind(apiKeyController));
+
+export default router;
@@ -1,13 +1,31 @@
 import { Router } from "express";
 import Authentication from "../Controllers/authController.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
 
 const router = new Router();
 const authController = new Authentication();
+// Routes restant accessibles aux comptes qui doivent encore activer la double authentification
+const enrollment = [AuthMiddleware.allowTwoFactorEnrollment, AuthMiddleware.authenticate];
 
 router.post('/login', authController.login.bind(authController))
     .post('/register', authController.register.bind(authController))
-    .post('/reset-password', authController.resetPassword.bind(authController))
-    .get('/forgot-password', authController.forgotPassword.bind(authController))
-    .get('/me', authController.getMe.bind(authController));
+    .get('/unlock/:token', authController.unlockAccount.bind(authController))
+    .post('/refresh', authController.refresh.bind(authController))
+    .post('/logout', enrollment, authController.logout.bind(authController))
+    .post('/2fa/challenge', authController.twoFactorChallenge.bind(authController))
+    .post('/2fa/setup', enrollment, authController.setupTwoFactor.bind(authController))
+    .post('/2fa/verify', enrollment, authController.verifyTwoFactor.bind(authController))
+    .post('/2fa/disable', AuthMiddleware.authenticate, authController.disableTwoFactor.bind(authController))
+    .post('/2fa/backup-codes', AuthMiddleware.authenticate, authController.regenerateBackupCodes.bind(authController))
+    .get('/verify-email/:token', authController.verifyEmail.bind(authController))
+    .post('/verify-email/resend', AuthMiddleware.authenticate, authController.resendVerification.bind(authController))
+    .post('/forgot-password', authController.forgotPassword.bind(authController))
+    .patch('/reset-password/:token', authController.resetPassword.bind(authController))
+    .get('/oauth/providers', authController.listProviders.bind(authController))
+    .get('/oauth/:provider', authController.oauthStart.bind(authController))
+    .get('/oauth/:provider/callback', authController.oauthCallback.bind(authController))
+    .post('/oauth/:provider/link', AuthMiddleware.authenticate, authController.oauthLink.bind(authController))
+    .delete('/oauth/:provider', AuthMiddleware.authenticate, authController.oauthUnlink.bind(authController))
+    .get('/me', enrollment, authController.getMe.bind(authController));
 
 export default router;
\ No newline at end of file
@@ -1,14 +1,18 @@
 import { Router } from "express";
 import Brand from "../Controllers/brandController.js";
 import upload from '../Middlewares/uploadMiddleware.js';
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
 
 const router = Router();
 const brandController = new Brand();
 
+// Seuls les admins et les magasiniers peuvent modifier le catalogue
+const staffOnly = [AuthMiddleware.authenticate, AuthMiddleware.requirePermission('brand:write')];
+
 router.get('/', brandController.getAll.bind(brandController))
    .get('/:id', brandController.getOne.bind(brandController))
-   .post('/', upload.single('brandLogo'), brandController.create.bind(brandController))
-   .put('/:id', upload.single('brandLogo'), brandController.update.bind(brandController))
-   .delete('/:id', brandController.delete.bind(brandController));
+   .post('/', staffOnly, upload.single('brandLogo'), brandController.create.bind(brandController))
+   .put('/:id', staffOnly, upload.single('brandLogo'), brandController.update.bind(brandController))
+   .delete('/:id', staffOnly, brandController.delete.bind(brandController));
 
 export default router;
\ No newline at end of file
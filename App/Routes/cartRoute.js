@@ -0,0 +1,19 @@
+import { Router } from "express";
+import Cart from "../Controllers/cartController.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+
+const router = new Router();
+const cartController = new Cart();
+
+// Le panier est accessible aux visiteurs (jeton X-Cart-Token) comme aux utilisateurs connectés
+router.use(AuthMiddleware.optionalAuthenticate);
+
+router.get('/', cartController.getCart.bind(cartController))
+  .post('/items', cartController.addItem.bind(cartController))
+  .patch('/items/:itemId', cartController.updateItem.bind(cartController))
+  .delete('/items/:itemId', cartController.removeItem.bind(cartController))
+  .post('/coupon', cartController.applyCoupon.bind(cartController))
+  .delete('/coupon', cartController.removeCoupon.bind(cartController))
+  .post('/checkout', AuthMiddleware.requireVerifiedEmail, cartController.checkoutCart.bind(cartController)); // Exige un utilisateur connecté
+
+export default router;
@@ -1,14 +1,20 @@
 import { Router } from "express";
 import Category from "../Controllers/categoryController.js";
 import upload from '../Middlewares/uploadMiddleware.js';
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
 
 const router = new Router();
 const categoryController = new Category();
 
+// Seuls les admins et les magasiniers peuvent modifier le catalogue
+const staffOnly = [AuthMiddleware.authenticate, AuthMiddleware.requirePermission('category:write')];
+
 router.get('/', categoryController.getAll.bind(categoryController))
+  .get('/tree', categoryController.getTree.bind(categoryController)) // Déclarée avant /:id
+  .get('/:slug/products', categoryController.getProducts.bind(categoryController))
   .get('/:id', categoryController.getOne.bind(categoryController))
-  .post('/', upload.single('categoryImage'), categoryController.create.bind(categoryController))
-  .put('/:id', upload.single('categoryImage'), categoryController.update.bind(categoryController))
-  .delete('/:id', categoryController.delete.bind(categoryController));
+  .post('/', staffOnly, upload.single('categoryImage'), categoryController.create.bind(categoryController))
+  .put('/:id', staffOnly, upload.single('categoryImage'), categoryController.update.bind(categoryController))
+  .delete('/:id', staffOnly, categoryController.delete.bind(categoryController));
 
 export default router;
\ No newline at end of file
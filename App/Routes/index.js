@@ -7,6 +7,11 @@ import userRoutes from './userRoute.js';
 import orderRoutes from './orderRoute.js';
 import promotionRoutes from './promotionRoute.js';
 import supplierRoutes from './supplierRoute.js';
+import cartRoutes from './cartRoute.js';
+import paymentRoutes from './paymentRoute.js';
+import returnRoutes from './returnRoute.js';
+import roleRoutes from './roleRoute.js';
+import apiKeyRoutes from './apiKeyRoute.js';
 
 const router = Router();
 
@@ -18,6 +23,11 @@ router.use('/users', userRoutes);
 router.use('/orders', orderRoutes);
 router.use('/promotions', promotionRoutes);
 router.use('/suppliers', supplierRoutes);
+router.use('/cart', cartRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/returns', returnRoutes);
+router.use('/roles', roleRoutes);
+router.use('/api-keys', apiKeyRoutes);
 
 
 export default router;
\ No newline at end of file
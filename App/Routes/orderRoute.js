@@ -1,13 +1,28 @@
 import { Router } from "express";
 import Order from "../Controllers/orderController.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
 
 const router = new Router();
 const orderController = new Order();
+const canManage = AuthMiddleware.requirePermission('order:manage');
+const canArchive = AuthMiddleware.requirePermission('order:archive');
 
+// Le devis est accessible aux visiteurs ; tout le reste exige d'être connecté
+router.post('/quote', AuthMiddleware.optionalAuthenticate, orderController.quote.bind(orderController));
+
+router.use(AuthMiddleware.authenticate);
+
+// Les clients ne voient et ne créent que leurs propres commandes (vérifié dans le contrôleur)
 router.get('/', orderController.getAll.bind(orderController))
+  .get('/export', AuthMiddleware.requirePermission('order:export'), orderController.export.bind(orderController))
   .get('/:id', orderController.getOne.bind(orderController))
-  .post('/', orderController.create.bind(orderController))
-  .put('/:id', orderController.update.bind(orderController))
- .delete('/:id', orderController.delete.bind(orderController));
+  .post('/', AuthMiddleware.requireVerifiedEmail, orderController.create.bind(orderController))
+  .put('/:id', canManage, orderController.update.bind(orderController))
+  .post('/:id/process', canManage, orderController.transition('processing'))
+  .post('/:id/ship', canManage, orderController.transition('shipped'))
+  .post('/:id/deliver', canManage, orderController.transition('delivered'))
+  .post('/:id/cancel', orderController.cancel.bind(orderController))
+  .post('/:id/restore', canArchive, orderController.restore.bind(orderController))
+ .delete('/:id', canArchive, orderController.archive.bind(orderController)); // Archivage : les commandes ne sont jamais supprimées
 
 export default router;
\ No newline at end of file
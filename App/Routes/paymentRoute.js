@@ -0,0 +1,20 @@
+import { Router } from "express";
+import Payment from "../Controllers/paymentController.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+
+const router = new Router();
+const paymentController = new Payment();
+
+// Notifications des prestataires : authentifiées par leur signature, pas par un jeton utilisateur
+router.post('/webhooks/:provider', paymentController.webhook.bind(paymentController));
+
+router.use(AuthMiddleware.authenticate);
+
+router.get('/', paymentController.getAll.bind(paymentController))
+  .post('/', paymentController.create.bind(paymentController))
+  .get('/:id', paymentController.getOne.bind(paymentController))
+  .post('/:id/confirm', paymentController.confirm.bind(paymentController))
+  .post('/:id/capture', AuthMiddleware.requirePermission('payment:manage'), paymentController.capture.bind(paymentController))
+  .post('/:id/refund', AuthMiddleware.requirePermission('order:refund'), paymentController.refund.bind(paymentController));
+
+export default router;
@@ -1,14 +1,26 @@
 import { Router } from "express";
 import Product from '../Controllers/productController.js';
 import upload from '../Middlewares/uploadMiddleware.js';
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+import reviewRoutes from './reviewRoute.js';
+import productVariantRoutes from './productVariantRoute.js';
 
 const router = Router();
 const productController = new Product();
 
+// Seuls les admins et les magasiniers peuvent modifier le catalogue
+const staffOnly = [AuthMiddleware.authenticate, AuthMiddleware.requirePermission('product:write')];
+
+// Avis d'un produit : /products/:id/reviews
+router.use('/:id/reviews', reviewRoutes);
+// Variantes d'un produit : /products/:id/variants
+router.use('/:id/variants', productVariantRoutes);
+
 router.get('/', productController.getAll.bind(productController))
+    .get('/search', productController.searchProducts.bind(productController)) // Déclarée avant /:id
     .get('/:id', productController.getOne.bind(productController))
-    .post('/', upload.single('productImage'), productController.create.bind(productController))
-    .put('/:id', upload.single('productImage'), productController.update.bind(productController))
-    .delete('/:id', productController.delete.bind(productController));
+    .post('/', staffOnly, upload.single('productImage'), productController.create.bind(productController))
+    .put('/:id', staffOnly, upload.single('productImage'), productController.update.bind(productController))
+    .delete('/:id', staffOnly, productController.delete.bind(productController));
 
 export default router;
\ No newline at end of file
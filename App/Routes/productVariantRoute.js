@@ -0,0 +1,18 @@
+import { Router } from "express";
+import ProductVariant from "../Controllers/productVariantController.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+
+// mergeParams : l'ID du produit (:id) vient de la route parente /products/:id/variants
+const router = Router({ mergeParams: true });
+const productVariantController = new ProductVariant();
+
+// Seuls les admins et les magasiniers peuvent modifier le catalogue
+const staffOnly = [AuthMiddleware.authenticate, AuthMiddleware.requirePermission('product:write')];
+
+router.get('/', productVariantController.getAll.bind(productVariantController))
+  .get('/:variantId', productVariantController.getOne.bind(productVariantController))
+  .post('/', staffOnly, productVariantController.create.bind(productVariantController))
+  .put('/:variantId', staffOnly, productVariantController.update.bind(productVariantController))
+  .delete('/:variantId', staffOnly, productVariantController.delete.bind(productVariantController));
+
+export default router;
@@ -1,13 +1,18 @@
 import { Router } from "express";
 import Promotion from "../Controllers/promotionController.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
 
 const router = new Router();
 const promotionController = new Promotion();
 
+// Seuls les admins et les magasiniers peuvent modifier le catalogue
+const staffOnly = [AuthMiddleware.authenticate, AuthMiddleware.requirePermission('promotion:write')];
+
 router.get('/', promotionController.getAll.bind(promotionController))
-  .post('/', promotionController.create.bind(promotionController))
+  .post('/', staffOnly, promotionController.create.bind(promotionController))
+  .post('/validate', AuthMiddleware.optionalAuthenticate, promotionController.validate.bind(promotionController))
   .get('/:id', promotionController.getOne.bind(promotionController))
-  .put('/:id', promotionController.update.bind(promotionController))
-  .delete('/:id', promotionController.delete.bind(promotionController));
+  .put('/:id', staffOnly, promotionController.update.bind(promotionController))
+  .delete('/:id', staffOnly, promotionController.delete.bind(promotionController));
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+import { Router } from "express";
+import ReturnRequest from "../Controllers/returnController.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+
+const router = new Router();
+const returnController = new ReturnRequest();
+const canManage = AuthMiddleware.requirePermission('return:manage');
+
+router.use(AuthMiddleware.authenticate);
+
+router.get('/', returnController.getAll.bind(returnController))
+  .post('/', returnController.create.bind(returnController))
+  .get('/:id', returnController.getOne.bind(returnController))
+  .post('/:id/cancel', returnController.transition('cancel'))
+  .post('/:id/approve', canManage, returnController.transition('approve'))
+  .post('/:id/reject', canManage, returnController.transition('reject'))
+  .post('/:id/receive', canManage, returnController.transition('receive'))
+  .post('/:id/refund', AuthMiddleware.requirePermission('order:refund'), returnController.transition('refund'));
+
+export default router;
@@ -0,0 +1,18 @@
+import { Router } from "express";
+import Review from "../Controllers/reviewController.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+import reviewModel from "../Models/review.js";
+
+// mergeParams : l'ID du produit (:id) vient de la route parente /products/:id/reviews
+const router = Router({ mergeParams: true });
+const reviewController = new Review();
+// Sans la permission complète, seul l'auteur de l'avis peut le modifier ou le supprimer (variante ":own")
+const ownReview = { model: reviewModel, param: 'reviewId' };
+
+router.get('/', AuthMiddleware.optionalAuthenticate, reviewController.getAll.bind(reviewController))
+  .post('/', AuthMiddleware.authenticate, reviewController.create.bind(reviewController))
+  .put('/:reviewId', AuthMiddleware.authenticate, AuthMiddleware.requirePermission('review:update', ownReview), reviewController.update.bind(reviewController))
+  .delete('/:reviewId', AuthMiddleware.authenticate, AuthMiddleware.requirePermission('review:delete', ownReview), reviewController.delete.bind(reviewController))
+  .patch('/:reviewId/moderation', AuthMiddleware.authenticate, AuthMiddleware.requirePermission('review:moderate'), reviewController.moderate.bind(reviewController));
+
+export default router;
@@ -0,0 +1,18 @@
+import { Router } from "express";
+import Role from "../Controllers/roleController.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+
+const router = new Router();
+const roleController = new Role();
+
+// Gestion des rôles et de leurs permissions
+router.use(AuthMiddleware.authenticate, AuthMiddleware.requirePermission('role:manage'));
+
+router.get('/', roleController.getAll.bind(roleController))
+  .get('/permissions', roleController.getPermissions.bind(roleController))
+  .post('/', roleController.create.bind(roleController))
+  .get('/:name', roleController.getOne.bind(roleController))
+  .put('/:name', roleController.update.bind(roleController))
+  .delete('/:name', roleController.delete.bind(roleController));
+
+export default router;
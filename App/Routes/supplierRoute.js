@@ -9,12 +9,12 @@ const supplierController = new Supplier();
 // Appliquer l'authentification à toutes les routes des fournisseurs
 router.use(AuthMiddleware.authenticate);
 
-router.get('/', supplierController.getAll.bind(supplierController));
-router.get('/:id', supplierController.getOne.bind(supplierController));
+router.get('/', AuthMiddleware.requirePermission('supplier:read'), supplierController.getAll.bind(supplierController));
+router.get('/:id', AuthMiddleware.requirePermission('supplier:read'), supplierController.getOne.bind(supplierController));
 
-// Seuls les admins et les magasiniers peuvent créer, mettre à jour ou supprimer des fournisseurs
-router.post('/', AuthMiddleware.authorize(['admin', 'storekeeper']), upload.single('supplierImage'), supplierController.create.bind(supplierController));
-router.put('/:id', AuthMiddleware.authorize(['admin', 'storekeeper']), upload.single('supplierImage'), supplierController.update.bind(supplierController));
-router.delete('/:id', AuthMiddleware.authorize(['admin', 'storekeeper']), supplierController.delete.bind(supplierController));
+// Création, mise à jour et suppression des fournisseurs (admins et magasiniers par défaut)
+router.post('/', AuthMiddleware.requirePermission('supplier:write'), upload.single('supplierImage'), supplierController.create.bind(supplierController));
+router.put('/:id', AuthMiddleware.requirePermission('supplier:write'), upload.single('supplierImage'), supplierController.update.bind(supplierController));
+router.delete('/:id', AuthMiddleware.requirePermission('supplier:write'), supplierController.delete.bind(supplierController));
 
 export default router;
\ No newline at end of file
@@ -1,12 +1,29 @@
 import { Router } from "express";
 import User from "../Controllers/userController.js";
+import addressRoutes from "./addressRoute.js";
+import AuthMiddleware from "../Middlewares/authMiddleware.js";
+import upload from "../Middlewares/uploadMiddleware.js";
 
 const router = new Router();
 const userController = new User();
 
-router.get('/', userController.getAll.bind(userController))
-   .get('/:id', userController.getOne.bind(userController))
-   .put('/:id', userController.update.bind(userController))
-   .delete('/:id', userController.delete.bind(userController));
+// Carnet d'adresses de l'utilisateur connecté (déclaré avant /:id)
+router.use('/me/addresses', addressRoutes);
+
+// Profil de l'utilisateur connecté, quel que soit son rôle (déclaré avant /:id)
+router.get('/me', AuthMiddleware.authenticate, userController.getMe.bind(userController))
+   .patch('/me', AuthMiddleware.authenticate, upload.single('avatar'), userController.updateMe.bind(userController))
+   .patch('/me/password', AuthMiddleware.authenticate, userController.changeMyPassword.bind(userController))
+   .delete('/me', AuthMiddleware.authenticate, userController.deactivateMe.bind(userController));
+
+// Gestion des comptes (permissions user:read et user:manage)
+router.use(AuthMiddleware.authenticate);
+const canManage = AuthMiddleware.requirePermission('user:manage');
+
+router.get('/', AuthMiddleware.requirePermission('user:read'), userController.getAll.bind(userController))
+   .get('/:id', AuthMiddleware.requirePermission('user:read'), userController.getOne.bind(userController))
+   .put('/:id', canManage, userController.update.bind(userController))
+   .put('/:id/role', canManage, userController.assignRole.bind(userController))
+   .delete('/:id', canManage, userController.delete.bind(userController));
 
 export default router;
\ No newline at end of file
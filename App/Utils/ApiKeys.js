@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import apiKeyModel from '../Models/apiKey.js';
+import userModel from '../Models/user.js';
+import { toNumber } from './numbers.js';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Service des clés d'API : émission (la clé en clair n'est renvoyée qu'une fois), authentification
+ * via l'en-tête X-API-Key, limitation du nombre de requêtes par clé et suivi de la dernière utilisation.
+ * Les compteurs de limitation sont tenus en mémoire, par instance, comme ceux de express-rate-limit.
+ */
+class ApiKeys {
+    static PREFIX = 'esk_';
+
+    constructor(options = {}) {
+        this.defaultRateLimit = toNumber(options.rateLimitPerMinute ?? process.env.API_KEY_RATE_LIMIT_PER_MINUTE, 60);
+        // Intervalle minimal entre deux enregistrements de la dernière utilisation (évite une écriture par requête)
+        this.touchIntervalSeconds = toNumber(options.touchIntervalSeconds ?? process.env.API_KEY_TOUCH_INTERVAL_SECONDS, 60);
+        this.model = options.model || apiKeyModel;
+        this.userModel = options.userModel || userModel;
+        this.windows = new Map();
+    }
+
+    /**
+     * Génère une nouvelle clé en clair.
+     * @returns {string}
+     */
+    static generateKey() {
+        return `${ApiKeys.PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    }
+
+    /**
+     * Émet une clé d'API.
+     * @param {Object} params
+     * @param {string} params.name - Le nom de l'intégration.
+     * @param {string} params.user - L'utilisateur au nom duquel la clé agit.
+     * @param {string} params.createdBy - L'administrateur qui émet la clé.
+     * @param {string[]} params.scopes - Les permissions accordées.
+     * @param {Date} [params.expiresAt] - La date d'expiration.
+     * @param {number} [params.rateLimitPerMinute] - La limite de requêtes propre à la clé.
+     * @returns {Promise<{apiKey: Object, key: string}>} - Le document et la clé en clair (à communiquer une seule fois).
+     */
+    async issue({ name, user, createdBy, scopes, expiresAt, rateLimitPerMinute }) {
+        const key = ApiKeys.generateKey();
+        const apiKey = await this.model.create({
+            name,
+            prefix: key.slice(0, ApiKeys.PREFIX.length + 8),
+            keyHash: this.model.hashKey(key),
+            user,
+            createdBy,
+            scopes,
+            expiresAt,
+            rateLimitPerMinute,
+        });
+        return { apiKey, key };
+    }
+
+    /**
+     * Authentifie une requête par sa clé d'API et décompte la requête de la limite de la clé.
+     * @param {string} key - La clé reçue dans l'en-tête X-API-Key.
+     * @param {Object} [client]
+     * @param {string} [client.ip] - L'adresse IP du client.
+     * @throws {ErrorResponse} - 401 si la clé est inconnue, révoquée, expirée ou si son utilisateur est désactivé,
+     *                           429 si la limite de requêtes est atteinte.
+     * @returns {Promise<{apiKey: Object, user: Object, rateLimit: {limit: number, remaining: number, resetAt: Date}}>}
+     */
+    async authenticate(key, { ip } = {}) {
+        const apiKey = typeof key === 'string' && key.startsWith(ApiKeys.PREFIX)
+            ? await this.model.findOne({ keyHash: this.model.hashKey(key) })
+            : null;
+        if (!apiKey) {
+            throw new ErrorResponse('Clé d\'API invalide', 401, { code: 'INVALID_API_KEY' });
+        }
+        if (apiKey.revokedAt) {
+            throw new ErrorResponse('Cette clé d\'API a été révoquée', 401, { code: 'API_KEY_REVOKED' });
+        }
+        if (apiKey.expiresAt && apiKey.expiresAt <= Date.now()) {
+            throw new ErrorResponse('Cette clé d\'API a expiré', 401, { code: 'API_KEY_EXPIRED' });
+        }
+
+        const user = await this.userModel.findById(apiKey.user).select('+isActive');
+        if (!user || user.isActive === false) {
+            throw new ErrorResponse('Le compte associé à cette clé d\'API est désactivé', 401, { code: 'USER_NOT_FOUND' });
+        }
+
+        const rateLimit = this.consume(apiKey);
+        await this.touch(apiKey, ip);
+        return { apiKey, user, rateLimit };
+    }
+
+    /**
+     * Décompte une requête dans la fenêtre d'une minute de la clé.
+     * @param {Object} apiKey - Le document clé d'API.
+     * @param {number} [now] - L'instant de la requête (ms).
+     * @throws {ErrorResponse} - 429 si la limite est atteinte (retryAfter en secondes).
+     * @returns {{limit: number, remaining: number, resetAt: Date}}
+     */
+    consume(apiKey, now = Date.now()) {
+        const id = String(apiKey._id);
+        const limit = apiKey.rateLimitPerMinute || this.defaultRateLimit;
+        let window = this.windows.get(id);
+        if (!window || window.resetAt <= now) {
+            this.prune(now);
+            window = { count: 0, resetAt: now + 60 * 1000 };
+            this.windows.set(id, window);
+        }
+
+        if (window.count >= limit) {
+            const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+            throw new ErrorResponse('Limite de requêtes atteinte pour cette clé d\'API', 429, {
+                code: 'API_KEY_RATE_LIMITED',
+                limit,
+                retryAfter,
+            });
+        }
+        window.count += 1;
+        return { limit, remaining: limit - window.count, resetAt: new Date(window.resetAt) };
+    }
+
+    /**
+     * Supprime les fenêtres de limitation expirées.
+     * @param {number} now - L'instant courant (ms).
+     */
+    prune(now) {
+        for (const [id, window] of this.windows) {
+            if (window.resetAt <= now) {
+                this.windows.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Enregistre la dernière utilisation de la clé, au plus une fois par intervalle.
+     * @param {Object} apiKey - Le document clé d'API.
+     * @param {string} [ip] - L'adresse IP du client.
+     * @returns {Promise<void>}
+     */
+    async touch(apiKey, ip) {
+        const now = new Date();
+        if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < this.touchIntervalSeconds * 1000) {
+            return;
+        }
+        await this.model.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: ip });
+        apiKey.lastUsedAt = now;
+        apiKey.lastUsedIp = ip;
+    }
+
+    /**
+     * Révoque une clé d'API.
+     * @param {string} id - L'ID de la clé.
+     * @param {string} revokedBy - L'utilisateur qui révoque la clé.
+     * @throws {ErrorResponse} - 404 si la clé n'existe pas, 409 si elle est déjà révoquée.
+     * @returns {Promise<Object>} - La clé révoquée.
+     */
+    async revoke(id, revokedBy) {
+        const apiKey = await this.model.findOneAndUpdate(
+            { _id: id, revokedAt: null },
+            { revokedAt: new Date(), revokedBy },
+            { new: true }
+        );
+        if (!apiKey) {
+            const exists = await this.model.exists({ _id: id });
+            throw exists
+                ? new ErrorResponse('Cette clé d\'API est déjà révoquée', 409)
+                : new ErrorResponse('Aucune clé d\'API trouvée avec cet ID', 404);
+        }
+        this.windows.delete(String(apiKey._id));
+        return apiKey;
+    }
+}
+
+export default ApiKeys;
@@ -0,0 +1,228 @@
+import mongoose from 'mongoose';
+import categoryModel from '../Models/category.js';
+import productModel from '../Models/product.js';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Arbre des catégories : chaque catégorie référence son parent et conserve le chemin de ses
+ * ancêtres (ancestors), ce qui permet de retrouver tous ses descendants en une requête.
+ * Les déplacements refusent les cycles et mettent à jour le chemin de tout le sous-arbre ;
+ * la suppression ne laisse ni sous-catégorie ni produit orphelin. Les mises à jour et suppressions
+ * s'exécutent dans une transaction : la catégorie et son sous-arbre changent ensemble, ou pas du tout.
+ */
+class CategoryTree {
+    constructor(options = {}) {
+        this.model = options.categoryModel || categoryModel;
+        this.productModel = options.productModel || productModel;
+        this.startSession = options.startSession || (() => mongoose.startSession());
+    }
+
+    /**
+     * Exécute des écritures dans une transaction MongoDB.
+     * withTransaction la rejoue en cas de conflit d'écriture : work doit donc relire ce qu'il modifie.
+     * @param {function(ClientSession): Promise<*>} work - Les écritures, qui reçoivent la session.
+     * @returns {Promise<*>} - Le résultat de work.
+     */
+    async transaction(work) {
+        const session = await this.startSession();
+        try {
+            let result;
+            await session.withTransaction(async () => {
+                result = await work(session);
+            });
+            return result;
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    /**
+     * Entrée du chemin des ancêtres pour une catégorie.
+     * @param {Object} category
+     * @returns {{_id: Object, name: string, slug: string}}
+     */
+    static pathEntry(category) {
+        return { _id: category._id, name: category.name, slug: category.slug };
+    }
+
+    /**
+     * Calcule le chemin des ancêtres d'une catégorie placée sous un parent.
+     * @param {string|null} parentId - L'ID du parent (null pour une racine).
+     * @param {ClientSession} [session] - La session de la transaction en cours.
+     * @throws {ErrorResponse} - 404 si le parent n'existe pas.
+     * @returns {Promise<Array<{_id: Object, name: string, slug: string}>>}
+     */
+    async ancestorsFor(parentId, session) {
+        if (!parentId) {
+            return [];
+        }
+        const parent = await this.model.findById(parentId).select('name slug ancestors').session(session || null);
+        if (!parent) {
+            throw new ErrorResponse('Aucune catégorie parente trouvée avec cet ID', 404);
+        }
+        return [...parent.ancestors.map(CategoryTree.pathEntry), CategoryTree.pathEntry(parent)];
+    }
+
+    /**
+     * IDs d'une catégorie et de tous ses descendants.
+     * @param {string|Object} categoryId
+     * @returns {Promise<Object[]>}
+     */
+    async subtreeIds(categoryId) {
+        const descendants = await this.model.find({ 'ancestors._id': categoryId }).select('_id');
+        return [categoryId, ...descendants.map((descendant) => descendant._id)];
+    }
+
+    /**
+     * Déplace une catégorie sous un nouveau parent et met à jour le chemin de ses descendants.
+     * @param {Object} category - Le document catégorie.
+     * @param {string|null} parentId - L'ID du nouveau parent (null pour en faire une racine).
+     * @param {ClientSession} [session] - La session de la transaction en cours.
+     * @throws {ErrorResponse} - 409 si le déplacement créerait un cycle, 404 si le parent n'existe pas.
+     * @returns {Promise<Object>} - La catégorie déplacée (non enregistrée).
+     */
+    async move(category, parentId, session) {
+        if (parentId && String(parentId) === String(category._id)) {
+            throw new ErrorResponse('Une catégorie ne peut pas être son propre parent', 409);
+        }
+        const ancestors = await this.ancestorsFor(parentId, session);
+        if (ancestors.some((ancestor) => String(ancestor._id) === String(category._id))) {
+            throw new ErrorResponse('Impossible de déplacer une catégorie sous l\'une de ses sous-catégories', 409);
+        }
+        if (parentId) {
+            // Le parent est aussi écrit : deux déplacements croisés (A sous B, B sous A) entrent en conflit
+            // au lieu de valider chacun un chemin lu avant l'autre et de former un cycle
+            await this.model.updateOne({ _id: parentId }, { $currentDate: { updatedAt: true } }, { session });
+        }
+
+        category.parent = parentId || null;
+        category.ancestors = ancestors;
+
+        // Le chemin de chaque descendant commence par celui de la catégorie déplacée
+        const descendants = await this.model.find({ 'ancestors._id': category._id }).select('ancestors').session(session || null);
+        if (descendants.length > 0) {
+            const prefix = [...ancestors, CategoryTree.pathEntry(category)];
+            const depth = (descendant) => descendant.ancestors.findIndex((ancestor) => String(ancestor._id) === String(category._id));
+            await this.model.bulkWrite(descendants.map((descendant) => ({
+                updateOne: {
+                    filter: { _id: descendant._id },
+                    update: {
+                        $set: {
+                            ancestors: [
+                                ...prefix,
+                                ...descendant.ancestors.slice(depth(descendant) + 1).map(CategoryTree.pathEntry),
+                            ],
+                        },
+                    },
+                },
+            })), { session });
+        }
+        return category;
+    }
+
+    /**
+     * Répercute le nouveau nom (et slug) d'une catégorie dans le chemin de ses descendants.
+     * @param {Object} category - La catégorie renommée.
+     * @param {ClientSession} [session] - La session de la transaction en cours.
+     * @returns {Promise<void>}
+     */
+    async rename(category, session) {
+        await this.model.updateMany(
+            { 'ancestors._id': category._id },
+            { $set: { 'ancestors.$[node].name': category.name, 'ancestors.$[node].slug': category.slug } },
+            { arrayFilters: [{ 'node._id': category._id }], session }
+        );
+    }
+
+    /**
+     * Met à jour une catégorie : un changement de parent déplace son sous-arbre, un changement
+     * de nom est répercuté dans le chemin de ses descendants.
+     * @param {Object} category - Le document catégorie.
+     * @param {Object} changes - Les champs modifiés (dont parent).
+     * @throws {ErrorResponse} - 409 si le déplacement créerait un cycle, 404 si le parent n'existe pas.
+     * @returns {Promise<Object>} - La catégorie enregistrée, relue dans la transaction.
+     */
+    async update(category, { parent, ...fields }) {
+        return this.transaction(async (session) => {
+            const current = await this.model.findById(category._id).session(session);
+            if (!current) {
+                throw new ErrorResponse('Aucune catégorie trouvée avec cet ID', 404);
+            }
+            if (parent !== undefined && String(parent) !== String(current.parent)) {
+                await this.move(current, parent, session);
+            }
+            const renamed = fields.name !== undefined && fields.name !== current.name;
+            current.set(fields);
+            await current.save({ session }); // Recalcule le slug
+            if (renamed) {
+                await this.rename(current, session);
+            }
+            return current;
+        });
+    }
+
+    /**
+     * Supprime une catégorie. Ses sous-catégories sont rattachées à son parent ; ses produits
+     * doivent être réaffectés à une autre catégorie.
+     * @param {Object} category - Le document catégorie.
+     * @param {Object} [options]
+     * @param {string} [options.reassignTo] - La catégorie qui reçoit les produits.
+     * @throws {ErrorResponse} - 409 si des produits resteraient sans catégorie, 422 si la catégorie cible est invalide.
+     * @returns {Promise<{children: number, products: number}>} - Le nombre de sous-catégories et de produits déplacés.
+     */
+    async remove(category, { reassignTo } = {}) {
+        const productsCount = await this.productModel.countDocuments({ category: category._id });
+        if (productsCount > 0) {
+            if (!reassignTo) {
+                throw new ErrorResponse(
+                    `Cette catégorie contient ${productsCount} produit(s) : indiquez la catégorie qui doit les recevoir (reassignTo)`,
+                    409,
+                    { products: productsCount }
+                );
+            }
+            if (String(reassignTo) === String(category._id) || !(await this.model.exists({ _id: reassignTo }))) {
+                throw new ErrorResponse('La catégorie qui doit recevoir les produits est invalide', 422);
+            }
+        }
+
+        return this.transaction(async (session) => {
+            const children = await this.model.find({ parent: category._id }).session(session);
+            for (const child of children) {
+                await this.move(child, category.parent, session);
+                await child.save({ session });
+            }
+            if (productsCount > 0) {
+                await this.productModel.updateMany({ category: category._id }, { category: reassignTo }, { session });
+            }
+            await category.deleteOne({ session });
+            return { children: children.length, products: productsCount };
+        });
+    }
+
+    /**
+     * Construit l'arbre complet des catégories.
+     * @returns {Promise<Array<Object>>} - Les catégories racines, chacune avec ses enfants (children).
+     */
+    async tree() {
+        const categories = await this.model.find().select('name slug image parent').sort('name').lean();
+        return CategoryTree.build(categories);
+    }
+
+    /**
+     * Assemble une liste de catégories en arbre.
+     * Une catégorie dont le parent est absent de la liste est traitée comme une racine.
+     * @param {Array<Object>} categories - Les catégories (objets simples avec parent).
+     * @returns {Array<Object>}
+     */
+    static build(categories) {
+        const nodes = new Map(categories.map((category) => [String(category._id), { ...category, children: [] }]));
+        const roots = [];
+        for (const node of nodes.values()) {
+            const parent = node.parent && nodes.get(String(node.parent));
+            (parent ? parent.children : roots).push(node);
+        }
+        return roots;
+    }
+}
+
+export default CategoryTree;
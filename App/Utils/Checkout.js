@@ -0,0 +1,458 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import orderModel from '../Models/order.js';
+import addressModel from '../Models/address.js';
+import productModel from '../Models/product.js';
+import productVariantModel from '../Models/productVariant.js';
+import promotionModel from '../Models/promotion.js';
+import Inventory from './Inventory.js';
+import ErrorResponse from './errorResponse.js';
+import { toNumber, round } from './numbers.js';
+
+/**
+ * Service de passage de commande : calcul des prix, réservation du stock et création de la commande.
+ * Les prix sont toujours recalculés à partir du catalogue (Product, ProductVariant, Promotion) :
+ * les prix envoyés par le client ne sont jamais utilisés.
+ */
+class Checkout {
+    constructor(options = {}) {
+        this.taxRate = toNumber(options.taxRate ?? process.env.TAX_RATE, 0);
+        this.shippingPrice = toNumber(options.shippingPrice ?? process.env.SHIPPING_PRICE, 0);
+        this.freeShippingThreshold = toNumber(options.freeShippingThreshold ?? process.env.FREE_SHIPPING_THRESHOLD, 0);
+        this.currency = options.currency || process.env.CURRENCY || 'XOF';
+        this.quoteTtl = toNumber(options.quoteTtl ?? process.env.CHECKOUT_QUOTE_TTL, 15 * 60); // en secondes
+        this.secret = options.secret || process.env.CHECKOUT_SECRET || process.env.JWT_SECRET;
+        this.inventory = options.inventory || new Inventory();
+    }
+
+    /**
+     * Calcule le détail des prix d'une liste d'articles et le signe.
+     * @param {Array<{product: string, variant?: string, quantity: number}>} items - Les articles demandés.
+     * @param {Object} [options] - Options de calcul.
+     * @param {string} [options.couponCode] - Le code promo saisi par le client.
+     * @param {string} [options.userId] - L'ID du client, pour les limites d'utilisation par client.
+     * @throws {ErrorResponse} - 400 avec { coupon, reason } si le code promo est refusé.
+     * @returns {Promise<Object>} - Le détail signé des prix.
+     */
+    async price(items, { couponCode, userId } = {}) {
+        const { lines, products } = await this.buildLines(items);
+        const itemsPrice = round(lines.reduce((acc, line) => acc + line.unitPrice * line.quantity, 0));
+        await this.applyPromotions(lines, itemsPrice);
+
+        let coupon = null;
+        if (couponCode) {
+            const result = await this.applyCoupon(couponCode, lines, { itemsPrice, userId, products });
+            if (result.reason) {
+                throw new ErrorResponse(result.message, 400, { coupon: result.code, reason: result.reason });
+            }
+            coupon = result.coupon;
+        }
+
+        return this.sign({ ...this.totals(lines), couponCode: coupon ? coupon.code : undefined });
+    }
+
+    /**
+     * Vérifie un code promo pour une liste d'articles sans lever d'erreur s'il est refusé.
+     * @param {Array<Object>} items - Les articles demandés.
+     * @param {string} couponCode - Le code promo saisi par le client.
+     * @param {Object} [options]
+     * @param {string} [options.userId] - L'ID du client, pour les limites d'utilisation par client.
+     * @returns {Promise<Object>} - { valid, code, reason?, message?, discount?, totals? }
+     */
+    async validateCoupon(items, couponCode, { userId } = {}) {
+        const { lines, products } = await this.buildLines(items);
+        const itemsPrice = round(lines.reduce((acc, line) => acc + line.unitPrice * line.quantity, 0));
+        await this.applyPromotions(lines, itemsPrice);
+
+        const result = await this.applyCoupon(couponCode, lines, { itemsPrice, userId, products });
+        if (result.reason) {
+            return { valid: false, code: result.code, reason: result.reason, message: result.message };
+        }
+
+        const discount = round(lines
+            .filter((line) => String(line.promotion) === String(result.coupon._id))
+            .reduce((acc, line) => acc + line.discount, 0));
+        return { valid: true, code: result.code, discount, totals: this.totals(lines) };
+    }
+
+    /**
+     * Construit les lignes de commande à partir du catalogue.
+     * @param {Array<Object>} items - Les articles demandés.
+     * @returns {Promise<{lines: Array<Object>, products: Map}>}
+     */
+    async buildLines(items) {
+        const { products, variants } = await this.loadCatalog(items);
+
+        const lines = items.map((item) => {
+            const product = products.get(String(item.product));
+            if (!product) {
+                throw new ErrorResponse(`Produit introuvable : ${item.product}`, 404);
+            }
+            if (product.isAvailable === false) {
+                throw new ErrorResponse(`Le produit "${product.name}" n'est pas disponible`, 400);
+            }
+
+            let variant = null;
+            if (!item.variant && (product.variants || []).length > 0) {
+                // Le stock d'un produit à variantes est celui de ses variantes
+                throw new ErrorResponse(`Choisissez une variante du produit "${product.name}"`, 400);
+            }
+            if (item.variant) {
+                variant = variants.get(String(item.variant));
+                const belongsToProduct = (product.variants || []).some((v) => String(v._id || v) === String(item.variant));
+                if (!variant || !belongsToProduct) {
+                    throw new ErrorResponse(`Variante ${item.variant} introuvable pour le produit "${product.name}"`, 400);
+                }
+            }
+
+            return {
+                product: product._id,
+                variant: variant ? variant._id : undefined,
+                name: product.name,
+                quantity: item.quantity,
+                unitPrice: this.unitPrice(product, variant),
+                discount: 0,
+                promotion: undefined,
+            };
+        });
+
+        return { lines, products };
+    }
+
+    /**
+     * Crée une commande dans une transaction : les prix sont recalculés, le stock est réservé
+     * puis la commande est enregistrée. En cas de rupture, rien n'est écrit.
+     * @param {Object} params - Les paramètres de la commande.
+     * @param {string} params.user - L'ID de l'utilisateur.
+     * @param {Array<Object>} params.items - Les articles demandés.
+     * @param {string} params.shippingAddress - L'ID de l'adresse de livraison dans le carnet de l'utilisateur.
+     * @param {string} params.paymentMethod - Le mode de paiement.
+     * @param {Object} [params.quote] - Le devis signé accepté par le client.
+     * @param {string} [params.couponCode] - Le code promo saisi par le client.
+     * @returns {Promise<Object>} - La commande créée.
+     */
+    async placeOrder({ user, items, shippingAddress, paymentMethod, quote, couponCode }) {
+        const breakdown = await this.price(items, { couponCode, userId: user });
+        if (quote) {
+            this.assertQuote(quote, breakdown);
+        }
+
+        const address = await addressModel.findOne({ _id: shippingAddress, user });
+        if (!address) {
+            throw new ErrorResponse('Adresse de livraison introuvable', 404);
+        }
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            await this.inventory.reserve(breakdown.items, session);
+            const [order] = await orderModel.create([{
+                user,
+                items: breakdown.items.map((line) => ({
+                    product: line.product,
+                    variant: line.variant,
+                    name: line.name,
+                    quantity: line.quantity,
+                    price: line.unitPrice,
+                    discount: line.discount,
+                    promotion: line.promotion,
+                })),
+                shippingAddress: address.toSnapshot(),
+                paymentMethod,
+                couponCode: breakdown.couponCode,
+                taxPrice: breakdown.taxPrice,
+                shippingPrice: breakdown.shippingPrice,
+                inventoryReserved: true,
+            }], { session });
+            if (breakdown.couponCode) {
+                // Incrément conditionnel : échoue (et annule la commande) si le coupon vient d'atteindre sa limite
+                const coupon = await promotionModel.findOne({ code: breakdown.couponCode }).session(session);
+                if (!coupon) {
+                    // Coupon supprimé depuis le calcul du devis
+                    throw new ErrorResponse(`Le code promo "${breakdown.couponCode}" n'existe plus`, 409, { coupon: breakdown.couponCode, reason: 'not_found' });
+                }
+                await coupon.incrementUsage({ user, order: order._id, session });
+            }
+            await session.commitTransaction();
+            return order;
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }
+
+    /**
+     * Annule une commande et restitue son stock dans une même transaction.
+     * @param {Object} order - Le document commande.
+     * @param {Object} [options] - Options de la transition (changedBy, reason).
+     * @returns {Promise<Object>} - La commande annulée.
+     */
+    async cancelOrder(order, options = {}) {
+        order.transitionTo('cancelled', options);
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            if (order.inventoryReserved) {
+                await this.inventory.release(order.items, session);
+                order.inventoryReserved = false;
+            }
+            if (order.couponCode) {
+                await promotionModel.releaseUsage(order.couponCode, order._id, session);
+            }
+            await order.save({ session });
+            await session.commitTransaction();
+            return order;
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }
+
+    /**
+     * Détermine le prix unitaire d'un article : prix de la variante, sinon prix soldé, sinon prix régulier.
+     * @param {Object} product - Le document produit.
+     * @param {Object|null} variant - Le document variante.
+     * @returns {number}
+     */
+    unitPrice(product, variant) {
+        if (variant && variant.price !== undefined && variant.price !== null) {
+            return round(variant.price);
+        }
+        if (product.priceDiscount !== undefined && product.priceDiscount !== null) {
+            return round(product.priceDiscount);
+        }
+        return round(product.price);
+    }
+
+    /**
+     * Charge en une seule requête par collection les produits et variantes référencés.
+     * @param {Array<Object>} items - Les articles demandés.
+     * @returns {Promise<{products: Map, variants: Map}>}
+     */
+    async loadCatalog(items) {
+        const productIds = [...new Set(items.map((item) => String(item.product)))];
+        const variantIds = [...new Set(items.filter((item) => item.variant).map((item) => String(item.variant)))];
+
+        const [products, variants] = await Promise.all([
+            productModel.find({ _id: { $in: productIds } }).select('+isAvailable'),
+            variantIds.length ? productVariantModel.find({ _id: { $in: variantIds } }) : [],
+        ]);
+
+        return {
+            products: new Map(products.map((product) => [String(product._id), product])),
+            variants: new Map(variants.map((variant) => [String(variant._id), variant])),
+        };
+    }
+
+    /**
+     * Applique à chaque ligne la promotion automatique (sans code) la plus avantageuse pour son produit.
+     * @param {Array<Object>} lines - Les lignes de commande calculées.
+     * @param {number} itemsPrice - Le sous-total avant remise, utilisé pour minPurchase.
+     * @returns {Promise<void>}
+     */
+    async applyPromotions(lines, itemsPrice) {
+        const now = new Date();
+        const promotions = await promotionModel.find({
+            productId: { $in: lines.map((line) => line.product) },
+            active: true,
+            startDate: { $lte: now },
+            endDate: { $gte: now },
+            code: null,
+        });
+
+        lines.forEach((line) => {
+            const candidates = promotions.filter((promotion) =>
+                String(promotion.productId) === String(line.product)
+                && promotion.isValid()
+                && itemsPrice >= (promotion.minPurchase || 0));
+
+            candidates.forEach((promotion) => {
+                const discount = round((line.unitPrice - promotion.apply(line.unitPrice)) * line.quantity);
+                if (discount > line.discount) {
+                    line.discount = discount;
+                    line.promotion = promotion._id;
+                }
+            });
+        });
+    }
+
+    /**
+     * Applique un code promo aux lignes qu'il concerne.
+     * Les remises ne se cumulent pas : sur chaque ligne, la plus avantageuse est retenue.
+     * @param {string} couponCode - Le code promo saisi par le client.
+     * @param {Array<Object>} lines - Les lignes de commande calculées.
+     * @param {Object} context
+     * @param {number} context.itemsPrice - Le sous-total avant remise.
+     * @param {string} [context.userId] - L'ID du client.
+     * @param {Map} context.products - Les produits du catalogue, par ID.
+     * @returns {Promise<Object>} - { code, coupon } ou { code, reason, message } si le code est refusé.
+     */
+    async applyCoupon(couponCode, lines, { itemsPrice, userId, products }) {
+        const code = String(couponCode).trim().toUpperCase();
+        const coupon = await promotionModel.findOne({ code });
+        if (!coupon) {
+            return { code, reason: 'not_found', message: `Le code promo "${code}" n'existe pas` };
+        }
+
+        const ineligible = await coupon.checkEligibility({ userId, subtotal: itemsPrice });
+        if (ineligible) {
+            return { code, ...ineligible };
+        }
+
+        const eligible = lines.filter((line) => coupon.appliesTo(products.get(String(line.product))));
+        if (eligible.length === 0) {
+            return { code, reason: 'not_applicable', message: `Le code promo "${code}" ne s'applique à aucun article du panier` };
+        }
+
+        const discounts = this.couponDiscounts(coupon, eligible);
+        let applied = false;
+        eligible.forEach((line, index) => {
+            if (discounts[index] > line.discount) {
+                line.discount = discounts[index];
+                line.promotion = coupon._id;
+                applied = true;
+            }
+        });
+        if (!applied) {
+            return { code, reason: 'better_promotion_applied', message: 'Une promotion plus avantageuse est déjà appliquée aux articles concernés' };
+        }
+        return { code, coupon };
+    }
+
+    /**
+     * Calcule la remise d'un coupon pour chacune des lignes concernées.
+     * Un montant fixe s'applique par unité pour un coupon produit, et une seule fois
+     * (réparti au prorata des lignes) pour un coupon panier, catégorie ou marque.
+     * @param {Object} coupon - Le document promotion.
+     * @param {Array<Object>} lines - Les lignes concernées par le coupon.
+     * @returns {Array<number>} - La remise de chaque ligne.
+     */
+    couponDiscounts(coupon, lines) {
+        if (coupon.scope === 'product' || coupon.type === 'percentage') {
+            return lines.map((line) => round((line.unitPrice - coupon.apply(line.unitPrice)) * line.quantity));
+        }
+
+        const subtotals = lines.map((line) => line.unitPrice * line.quantity);
+        const eligibleTotal = subtotals.reduce((acc, subtotal) => acc + subtotal, 0);
+        const amount = round(Math.min(coupon.value, eligibleTotal));
+        let remaining = amount;
+        return subtotals.map((subtotal, index) => {
+            if (index === subtotals.length - 1) {
+                return round(remaining);
+            }
+            const share = eligibleTotal > 0 ? round(amount * subtotal / eligibleTotal) : 0;
+            remaining -= share;
+            return share;
+        });
+    }
+
+    /**
+     * Calcule les totaux (sous-total, remises, taxes, livraison) d'un ensemble de lignes.
+     * @param {Array<Object>} lines - Les lignes de commande calculées.
+     * @returns {Object} - Le détail des prix non signé.
+     */
+    totals(lines) {
+        const itemsPrice = round(lines.reduce((acc, line) => acc + line.unitPrice * line.quantity, 0));
+        const discountPrice = round(lines.reduce((acc, line) => acc + line.discount, 0));
+        const taxableAmount = Math.max(0, itemsPrice - discountPrice);
+        const taxPrice = round(taxableAmount * this.taxRate);
+        const shippingPrice = this.freeShippingThreshold > 0 && taxableAmount >= this.freeShippingThreshold
+            ? 0
+            : round(this.shippingPrice);
+
+        return {
+            items: lines.map((line) => ({
+                ...line,
+                total: round(line.unitPrice * line.quantity - line.discount),
+            })),
+            currency: this.currency,
+            itemsPrice,
+            discountPrice,
+            taxPrice,
+            shippingPrice,
+            totalPrice: round(taxableAmount + taxPrice + shippingPrice),
+        };
+    }
+
+    /**
+     * Ajoute une date d'expiration et une signature HMAC au détail des prix.
+     * @param {Object} breakdown - Le détail des prix.
+     * @returns {Object} - Le détail des prix signé.
+     */
+    sign(breakdown) {
+        const quote = {
+            ...breakdown,
+            expiresAt: new Date(Date.now() + this.quoteTtl * 1000).toISOString(),
+        };
+        quote.signature = this.signature(quote);
+        return quote;
+    }
+
+    /**
+     * Calcule la signature d'un devis à partir de ses champs significatifs.
+     * @param {Object} quote - Le devis à signer.
+     * @returns {string}
+     */
+    signature(quote) {
+        if (!this.secret) {
+            throw new ErrorResponse('CHECKOUT_SECRET (ou JWT_SECRET) doit être défini pour signer les devis', 500);
+        }
+        const payload = JSON.stringify({
+            items: (quote.items || []).map((line) => [
+                String(line.product),
+                line.variant ? String(line.variant) : null,
+                line.quantity,
+                line.unitPrice,
+                line.discount,
+            ]),
+            currency: quote.currency,
+            couponCode: quote.couponCode || null,
+            itemsPrice: quote.itemsPrice,
+            discountPrice: quote.discountPrice,
+            taxPrice: quote.taxPrice,
+            shippingPrice: quote.shippingPrice,
+            totalPrice: quote.totalPrice,
+            expiresAt: quote.expiresAt,
+        });
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+    }
+
+    /**
+     * Vérifie qu'un devis a bien été émis par le serveur et n'a pas expiré.
+     * @param {Object} quote - Le devis renvoyé par le client.
+     * @returns {boolean}
+     */
+    verify(quote) {
+        if (!quote || typeof quote.signature !== 'string' || !quote.expiresAt) {
+            return false;
+        }
+        if (new Date(quote.expiresAt).getTime() < Date.now()) {
+            return false;
+        }
+        const expected = Buffer.from(this.signature(quote), 'hex');
+        const received = Buffer.from(quote.signature, 'hex');
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Vérifie qu'un devis accepté par le client correspond toujours aux prix actuels du catalogue.
+     * @param {Object} quote - Le devis renvoyé par le client.
+     * @param {Object} breakdown - Le détail des prix recalculé.
+     * @throws {ErrorResponse} - 400 si le devis est invalide, 409 si les prix ont changé.
+     */
+    assertQuote(quote, breakdown) {
+        if (!this.verify(quote)) {
+            throw new ErrorResponse('Devis invalide ou expiré', 400);
+        }
+        if (quote.totalPrice !== breakdown.totalPrice) {
+            throw new ErrorResponse('Les prix ont changé depuis le devis, veuillez le renouveler', 409);
+        }
+    }
+}
+
+export default Checkout;
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import IdentityProvider from './IdentityProvider.js';
+import OidcProvider from './OidcProvider.js';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Fournisseur OpenID Connect simulé, en mémoire, pour les tests et le développement.
+ * Il rejoue le flux complet sans réseau : la page d'autorisation est remplacée par authorize(),
+ * qui simule le consentement d'une identité et renvoie l'URL du callback ; l'échange du code vérifie
+ * le PKCE et renvoie un id_token signé (HS256) que OidcProvider vérifie comme pour un vrai fournisseur.
+ * Disponible avec NODE_ENV=test ou OAUTH_FAKE_PROVIDER=true.
+ */
+class FakeOidcProvider extends OidcProvider {
+    static isEnabled() {
+        return process.env.NODE_ENV === 'test' || process.env.OAUTH_FAKE_PROVIDER === 'true';
+    }
+
+    constructor(options = {}) {
+        super({
+            name: 'fake',
+            clientId: 'fake-client',
+            clientSecret: 'fake-secret',
+            authorizationEndpoint: 'https://oidc.fake.local/authorize',
+            tokenEndpoint: 'https://oidc.fake.local/token',
+            issuer: 'https://oidc.fake.local',
+            algorithms: ['HS256'],
+        });
+        this.signingSecret = options.signingSecret || crypto.randomBytes(32).toString('hex');
+        this.requests = new Map(); // Demandes d'autorisation en attente, par state
+        this.codes = new Map(); // Codes d'autorisation émis et non encore échangés
+    }
+
+    authorizationUrl(params) {
+        this.requests.set(params.state, { ...params });
+        return super.authorizationUrl(params);
+    }
+
+    /**
+     * Simule le consentement de l'utilisateur sur la page d'autorisation.
+     * @param {string} state - Le state de la demande d'autorisation.
+     * @param {Object} identity - L'identité simulée.
+     * @param {string} identity.sub - L'identifiant de l'utilisateur chez le fournisseur.
+     * @param {string} [identity.email] - Son adresse e-mail.
+     * @param {boolean} [identity.email_verified] - Si l'adresse est vérifiée.
+     * @param {string} [identity.name] - Son nom.
+     * @throws {ErrorResponse} - 400 si aucune demande n'est en attente pour ce state.
+     * @returns {string} - L'URL du callback avec le code et le state.
+     */
+    authorize(state, identity) {
+        const request = this.requests.get(state);
+        if (!request) {
+            throw new ErrorResponse('Aucune demande d\'autorisation en attente pour ce state', 400);
+        }
+        this.requests.delete(state);
+
+        const code = crypto.randomBytes(16).toString('hex');
+        this.codes.set(code, { identity, ...request });
+        const params = new URLSearchParams({ code, state });
+        return `${request.redirectUri}?${params}`;
+    }
+
+    async requestTokens({ code, redirectUri, codeVerifier }) {
+        const grant = this.codes.get(code);
+        this.codes.delete(code); // Un code ne s'échange qu'une fois
+
+        const challenge = crypto.createHash('sha256').update(String(codeVerifier)).digest('base64url');
+        if (!grant || grant.redirectUri !== redirectUri || grant.codeChallenge !== challenge) {
+            throw new ErrorResponse('Le fournisseur fake a refusé le code d\'autorisation', 401, { error: 'invalid_grant' });
+        }
+
+        const idToken = jwt.sign(
+            { ...grant.identity, nonce: grant.nonce },
+            this.signingSecret,
+            { algorithm: 'HS256', audience: this.clientId, issuer: this.issuer, expiresIn: '5m', keyid: 'fake' }
+        );
+        return { access_token: crypto.randomBytes(16).toString('hex'), id_token: idToken };
+    }
+
+    async signingKey() {
+        return this.signingSecret;
+    }
+}
+
+IdentityProvider.register('fake', FakeOidcProvider);
+
+export default FakeOidcProvider;
@@ -0,0 +1,84 @@
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Interface commune des fournisseurs d'identité (OAuth2 / OpenID Connect, flux "authorization code").
+ * Chaque fournisseur (Google, Facebook, fake...) étend cette classe et s'enregistre avec IdentityProvider.register().
+ * Le profil renvoyé est normalisé : { subject, email, emailVerified, name, picture }.
+ */
+class IdentityProvider {
+    static providers = new Map();
+    static instances = new Map();
+
+    /**
+     * Enregistre un fournisseur d'identité.
+     * @param {string} name - Le nom du fournisseur (ex : 'google').
+     * @param {Function} Provider - La classe du fournisseur, qui étend IdentityProvider.
+     */
+    static register(name, Provider) {
+        IdentityProvider.providers.set(name, Provider);
+        IdentityProvider.instances.delete(name);
+    }
+
+    /**
+     * Indique si le fournisseur est utilisable (ex : identifiants client configurés).
+     * La configuration est lue à l'usage : les variables d'environnement sont chargées après les imports.
+     * @returns {boolean}
+     */
+    static isEnabled() {
+        return true;
+    }
+
+    /**
+     * Retourne l'instance du fournisseur demandé.
+     * @param {string} name - Le nom du fournisseur.
+     * @throws {ErrorResponse} - 404 si le fournisseur est inconnu ou non configuré.
+     * @returns {IdentityProvider}
+     */
+    static use(name) {
+        const Provider = IdentityProvider.providers.get(name);
+        if (!Provider || !Provider.isEnabled()) {
+            throw new ErrorResponse(`Fournisseur d'identité inconnu ou non configuré : ${name}`, 404);
+        }
+        if (!IdentityProvider.instances.has(name)) {
+            IdentityProvider.instances.set(name, new Provider());
+        }
+        return IdentityProvider.instances.get(name);
+    }
+
+    /**
+     * Liste les fournisseurs utilisables.
+     * @returns {string[]}
+     */
+    static enabled() {
+        return [...IdentityProvider.providers].filter(([, Provider]) => Provider.isEnabled()).map(([name]) => name);
+    }
+
+    /**
+     * Construit l'URL de la page d'autorisation du fournisseur.
+     * @param {Object} params
+     * @param {string} params.redirectUri - L'URL de retour (callback).
+     * @param {string} params.state - La valeur anti-CSRF associée au flux.
+     * @param {string} params.nonce - La valeur liant l'id_token au flux.
+     * @param {string} params.codeChallenge - Le challenge PKCE (S256).
+     * @returns {string}
+     */
+    authorizationUrl(params) {
+        throw new Error(`${this.constructor.name}.authorizationUrl() n'est pas implémenté`);
+    }
+
+    /**
+     * Échange le code d'autorisation contre le profil de l'utilisateur.
+     * @param {Object} params
+     * @param {string} params.code - Le code reçu sur le callback.
+     * @param {string} params.redirectUri - L'URL de retour utilisée pour l'autorisation.
+     * @param {string} params.codeVerifier - Le vérificateur PKCE.
+     * @param {string} params.nonce - Le nonce du flux.
+     * @throws {ErrorResponse} - 401 si le code ou l'identité sont invalides.
+     * @returns {Promise<{subject: string, email?: string, emailVerified: boolean, name?: string, picture?: string}>}
+     */
+    async exchangeCode(params) {
+        throw new Error(`${this.constructor.name}.exchangeCode() n'est pas implémenté`);
+    }
+}
+
+export default IdentityProvider;
@@ -0,0 +1,99 @@
+import productModel from '../Models/product.js';
+import productVariantModel from '../Models/productVariant.js';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Gestion atomique du stock des produits et de leurs variantes.
+ * Chaque décrément est conditionnel (stock >= quantité) : exécuté dans une transaction,
+ * un seul article en rupture suffit à annuler la réservation complète.
+ */
+class Inventory {
+    /**
+     * Réserve (décrémente) le stock de chaque article.
+     * @param {Array<{product: string, variant?: string, quantity: number, name?: string}>} items - Les articles à réserver.
+     * @param {ClientSession} session - La session de la transaction MongoDB en cours.
+     * @throws {ErrorResponse} - 409 avec la liste des articles en rupture.
+     * @returns {Promise<void>}
+     */
+    async reserve(items, session) {
+        const shortages = [];
+
+        for (const item of items) {
+            const productResult = await productModel.updateOne(
+                { _id: item.product, stock: { $gte: item.quantity } },
+                { $inc: { stock: -item.quantity } },
+                { session }
+            );
+            if (productResult.modifiedCount === 0) {
+                const product = await productModel.findById(item.product).select('name stock').session(session);
+                shortages.push({
+                    product: item.product,
+                    name: product ? product.name : item.name,
+                    requested: item.quantity,
+                    available: product ? product.stock : 0,
+                });
+                continue;
+            }
+
+            if (item.variant) {
+                const variantResult = await productVariantModel.updateOne(
+                    { _id: item.variant, stock: { $gte: item.quantity } },
+                    { $inc: { stock: -item.quantity } },
+                    { session }
+                );
+                if (variantResult.modifiedCount === 0) {
+                    const variant = await productVariantModel.findById(item.variant).select('stock').session(session);
+                    shortages.push({
+                        product: item.product,
+                        variant: item.variant,
+                        name: item.name,
+                        requested: item.quantity,
+                        available: variant ? variant.stock : 0,
+                    });
+                }
+            }
+        }
+
+        if (shortages.length > 0) {
+            throw new ErrorResponse('Stock insuffisant pour certains articles', 409, { items: shortages });
+        }
+
+        // Les mises à jour atomiques contournent le hook pre('save') qui synchronise isAvailable
+        await productModel.updateMany(
+            { _id: { $in: items.map((item) => item.product) }, stock: { $lte: 0 } },
+            { isAvailable: false },
+            { session }
+        );
+    }
+
+    /**
+     * Restitue au stock la quantité de chaque article (annulation, retour).
+     * @param {Array<{product: string, variant?: string, quantity: number}>} items - Les articles à restituer.
+     * @param {ClientSession} session - La session de la transaction MongoDB en cours.
+     * @returns {Promise<void>}
+     */
+    async release(items, session) {
+        for (const item of items) {
+            await productModel.updateOne(
+                { _id: item.product },
+                { $inc: { stock: item.quantity } },
+                { session }
+            );
+            if (item.variant) {
+                await productVariantModel.updateOne(
+                    { _id: item.variant },
+                    { $inc: { stock: item.quantity } },
+                    { session }
+                );
+            }
+        }
+
+        await productModel.updateMany(
+            { _id: { $in: items.map((item) => item.product) }, stock: { $gt: 0 }, isAvailable: false },
+            { isAvailable: true },
+            { session }
+        );
+    }
+}
+
+export default Inventory;
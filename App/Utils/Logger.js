@@ -132,6 +132,19 @@ class Logger {
         });
     }
 
+    /**
+     * Journal d'audit des événements de sécurité (verrouillage de compte, schémas de connexion suspects...).
+     * @param {string} event - Le type d'événement.
+     * @param {Object} context - Le contexte (IP, utilisateur, compteurs...).
+     */
+    logSecurityEvent(event, context = {}) {
+        this.logger.warn(`[SECURITY] ${event}`, {
+            event,
+            ...context,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     logErrorWithContext(error, context = {}) {
         this.logger.error(`${error.message}`, {
             stack: error.stack,
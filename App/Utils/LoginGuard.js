@@ -0,0 +1,166 @@
+import loginThrottleModel from '../Models/loginThrottle.js';
+import { toNumber } from './numbers.js';
+import ErrorResponse from './errorResponse.js';
+import Logger from './Logger.js';
+
+/**
+ * Protection contre la force brute sur la connexion : compteurs d'échecs par IP et par compte,
+ * délai progressif entre deux tentatives, verrouillage temporaire du compte et journal d'audit
+ * des comportements suspects.
+ */
+class LoginGuard {
+    constructor(options = {}) {
+        this.maxAttempts = toNumber(options.maxAttempts ?? process.env.LOGIN_MAX_ATTEMPTS, 5);
+        this.maxIpAttempts = toNumber(options.maxIpAttempts ?? process.env.LOGIN_MAX_IP_ATTEMPTS, 50);
+        this.lockMinutes = toNumber(options.lockMinutes ?? process.env.LOGIN_LOCK_MINUTES, 15);
+        this.windowMinutes = toNumber(options.windowMinutes ?? process.env.LOGIN_WINDOW_MINUTES, 15);
+        this.maxDelaySeconds = toNumber(options.maxDelaySeconds ?? process.env.LOGIN_MAX_DELAY_SECONDS, 60);
+        this.suspiciousAccounts = toNumber(options.suspiciousAccounts ?? process.env.LOGIN_SUSPICIOUS_ACCOUNTS, 5);
+        this.model = options.model || loginThrottleModel;
+        this.logger = options.logger || new Logger();
+    }
+
+    static ipKey(ip) {
+        return `ip:${ip}`;
+    }
+
+    static emailKey(email) {
+        return `email:${String(email).toLowerCase()}`;
+    }
+
+    /**
+     * Délai imposé après un nombre d'échecs : aucun après le premier, puis 1 s, 2 s, 4 s... plafonné.
+     * @param {number} failures - Le nombre d'échecs consécutifs.
+     * @returns {number} - Le délai en secondes.
+     */
+    delayFor(failures) {
+        if (failures < 2) {
+            return 0;
+        }
+        return Math.min(2 ** (failures - 2), this.maxDelaySeconds);
+    }
+
+    /**
+     * Vérifie qu'une tentative de connexion est autorisée pour cette IP et cette adresse.
+     * @param {Object} attempt
+     * @param {string} attempt.ip - L'adresse IP du client.
+     * @param {string} attempt.email - L'adresse e-mail saisie.
+     * @throws {ErrorResponse} - 429 si l'IP est bloquée ou si le délai progressif n'est pas écoulé.
+     * @returns {Promise<void>}
+     */
+    async assertAllowed({ ip, email }) {
+        const now = new Date();
+        const counters = await this.model.find({
+            key: { $in: [LoginGuard.ipKey(ip), LoginGuard.emailKey(email)] },
+            expiresAt: { $gt: now },
+        });
+
+        for (const counter of counters) {
+            if (counter.key.startsWith('ip:') && counter.failures >= this.maxIpAttempts) {
+                const retryAfter = Math.ceil((counter.expiresAt - now) / 1000);
+                throw new ErrorResponse('Trop de tentatives de connexion depuis cette adresse, réessayez plus tard', 429, { retryAfter });
+            }
+            if (counter.nextAttemptAt && counter.nextAttemptAt > now) {
+                const retryAfter = Math.ceil((counter.nextAttemptAt - now) / 1000);
+                throw new ErrorResponse(`Veuillez patienter ${retryAfter} secondes avant une nouvelle tentative`, 429, { retryAfter });
+            }
+        }
+    }
+
+    /**
+     * Enregistre un échec de connexion et verrouille le compte au-delà de maxAttempts.
+     * @param {Object} attempt
+     * @param {string} attempt.ip - L'adresse IP du client.
+     * @param {string} attempt.email - L'adresse e-mail saisie.
+     * @param {Object} [attempt.user] - Le document utilisateur, si l'adresse correspond à un compte.
+     * @returns {Promise<{failures: number, locked: boolean, unlockToken?: string}>}
+     */
+    async recordFailure({ ip, email, user }) {
+        const emailCounter = await this.increment(LoginGuard.emailKey(email));
+        const ipCounter = await this.increment(LoginGuard.ipKey(ip), String(email).toLowerCase());
+
+        if (ipCounter.failures === this.maxIpAttempts) {
+            this.logger.logSecurityEvent('login_ip_blocked', { ip, failures: ipCounter.failures });
+        }
+        if (ipCounter.accounts.length === this.suspiciousAccounts) {
+            this.logger.logSecurityEvent('login_many_accounts_from_ip', { ip, accounts: ipCounter.accounts });
+        }
+
+        if (user && emailCounter.failures >= this.maxAttempts) {
+            const unlockToken = user.lock(this.lockMinutes);
+            await user.save({ validateBeforeSave: false });
+            await this.model.deleteOne({ key: LoginGuard.emailKey(email) }); // Le verrou prend le relais du compteur
+            this.logger.logSecurityEvent('account_locked', {
+                userId: String(user._id),
+                ip,
+                failures: emailCounter.failures,
+                lockUntil: user.lockUntil,
+            });
+            return { failures: emailCounter.failures, locked: true, unlockToken };
+        }
+
+        return { failures: emailCounter.failures, locked: false };
+    }
+
+    /**
+     * Remet à zéro le compteur du compte après une connexion réussie.
+     * Le compteur de l'IP est conservé : un compte valide ne doit pas servir à le réinitialiser.
+     * @param {Object} attempt
+     * @param {string} attempt.ip - L'adresse IP du client.
+     * @param {string} attempt.email - L'adresse e-mail saisie.
+     * @param {Object} attempt.user - Le document utilisateur.
+     * @returns {Promise<void>}
+     */
+    async recordSuccess({ ip, email, user }) {
+        const counter = await this.model.findOneAndDelete({ key: LoginGuard.emailKey(email) });
+        if (counter && counter.expiresAt > new Date() && counter.failures >= Math.max(2, this.maxAttempts - 2)) {
+            this.logger.logSecurityEvent('login_after_failures', {
+                userId: String(user._id),
+                ip,
+                failures: counter.failures,
+            });
+        }
+    }
+
+    /**
+     * Efface le compteur d'une adresse (déverrouillage du compte).
+     * @param {string} email - L'adresse e-mail du compte.
+     * @returns {Promise<void>}
+     */
+    async reset(email) {
+        await this.model.deleteOne({ key: LoginGuard.emailKey(email) });
+    }
+
+    /**
+     * Incrémente un compteur sur sa fenêtre (remis à 1 si la fenêtre est écoulée)
+     * et fixe la date de la prochaine tentative autorisée.
+     * @param {string} key - La clé du compteur.
+     * @param {string} [account] - L'adresse visée, mémorisée pour les compteurs d'IP.
+     * @returns {Promise<Object>} - Le compteur mis à jour.
+     */
+    async increment(key, account) {
+        const now = new Date();
+        const active = { $gt: ['$expiresAt', now] };
+        const accounts = account
+            ? { $cond: [active, { $slice: [{ $setUnion: [{ $ifNull: ['$accounts', []] }, [account]] }, 100] }, [account]] }
+            : [];
+
+        const counter = await this.model.findOneAndUpdate(
+            { key },
+            [{
+                $set: {
+                    failures: { $cond: [active, { $add: ['$failures', 1] }, 1] },
+                    expiresAt: { $cond: [active, '$expiresAt', new Date(now.getTime() + this.windowMinutes * 60 * 1000)] },
+                    accounts,
+                },
+            }],
+            { upsert: true, new: true }
+        );
+
+        counter.nextAttemptAt = new Date(now.getTime() + this.delayFor(counter.failures) * 1000);
+        await this.model.updateOne({ _id: counter._id }, { nextAttemptAt: counter.nextAttemptAt });
+        return counter;
+    }
+}
+
+export default LoginGuard;
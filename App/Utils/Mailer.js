@@ -1,5 +1,7 @@
 import nodemailer from 'nodemailer';
 import pug from 'pug';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { convert } from 'html-to-text';
 import Logger from "../Utils/Logger.js"; // Assurez-vous que le chemin d'accès est correct
 
@@ -21,6 +23,9 @@ const emailConfig = {
   }
 };
 
+// __dirname n'existe pas dans un module ES
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
 class Mailer {
   constructor() {
     this.from = `Ecommerce <${process.env.EMAIL_FROM}>`;
@@ -51,7 +56,7 @@ class Mailer {
   async send(template, subject, templateData = {}) { // Ajout de templateData
     try {
       // 1) Rendre le HTML à partir d'un modèle Pug
-      const html = pug.renderFile(`${__dirname}/../Views/email/${template}.pug`, {
+      const html = pug.renderFile(path.join(__dirname, '..', 'Views', 'email', `${template}.pug`), {
         firstName: this.firstName,
         url: this.url,
         subject,
@@ -80,8 +85,16 @@ class Mailer {
     await this.send('welcome', 'Bienvenue sur notre plateforme e-commerce!');
   }
 
-  async sendPasswordReset() {
-    await this.send('passwordReset', 'Votre token de réinitialisation de mot de passe (valide 10 minutes)');
+  async sendEmailVerification() {
+    await this.send('emailVerification', 'Confirmez votre adresse e-mail');
+  }
+
+  async sendAccountLocked(lockMinutes) {
+    await this.send('accountLocked', 'Votre compte a été temporairement verrouillé', { lockMinutes });
+  }
+
+  async sendPasswordReset(expiresInMinutes = 10) {
+    await this.send('passwordReset', `Votre lien de réinitialisation de mot de passe (valide ${expiresInMinutes} minutes)`, { expiresInMinutes });
   }
 
   async sendOrderConfirmation(order) {
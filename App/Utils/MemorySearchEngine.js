@@ -0,0 +1,252 @@
+import productModel from '../Models/product.js';
+import { toNumber } from './numbers.js';
+import SearchEngine from './SearchEngine.js';
+
+/**
+ * Moteur de recherche en mémoire : index inversé du catalogue tenu dans le processus, sans service externe.
+ * Il tolère les fautes de frappe (distance d'édition de 1, ou 2 pour les termes de 8 caractères et plus)
+ * et complète le dernier terme saisi. L'index est reconstruit à la demande après invalidate()
+ * ou au plus tard toutes les SEARCH_INDEX_TTL_SECONDS (renommage d'une marque ou d'une catégorie).
+ */
+class MemorySearchEngine extends SearchEngine {
+    // Poids des champs dans le score de pertinence
+    static WEIGHTS = { name: 3, brand: 2, category: 1.5, description: 1 };
+
+    // Qualité d'une correspondance selon son type
+    static QUALITY = { exact: 1, prefix: 0.8, fuzzy: 0.6 };
+
+    constructor(options = {}) {
+        super();
+        this.name = 'memory';
+        this.ttlSeconds = toNumber(options.ttlSeconds ?? process.env.SEARCH_INDEX_TTL_SECONDS, 300);
+        this.loadProducts = options.loadProducts || (() => productModel.find());
+        this.index = null;
+        this.building = null;
+    }
+
+    invalidate() {
+        this.index = null;
+    }
+
+    /**
+     * Construit l'index : termes de chaque champ, par produit.
+     * @param {Array<Object>} products - Les produits, avec marque, catégorie et variantes peuplées.
+     * @returns {{entries: Array<Object>, terms: Map<string, Set<number>>}}
+     */
+    static build(products) {
+        const entries = [];
+        const terms = new Map(); // terme -> produits qui le contiennent
+        products.forEach((product, position) => {
+            const fields = {
+                name: SearchEngine.tokenize(product.name),
+                brand: SearchEngine.tokenize(product.brand?.name),
+                category: SearchEngine.tokenize([
+                    ...(product.category?.ancestors || []).map((ancestor) => ancestor.name),
+                    product.category?.name,
+                ].join(' ')),
+                description: SearchEngine.tokenize(product.description),
+            };
+            const counts = {};
+            for (const [field, tokens] of Object.entries(fields)) {
+                counts[field] = new Map();
+                for (const token of tokens) {
+                    counts[field].set(token, (counts[field].get(token) || 0) + 1);
+                    if (!terms.has(token)) terms.set(token, new Set());
+                    terms.get(token).add(position);
+                }
+            }
+            entries.push({ product, counts });
+        });
+        return { entries, terms, builtAt: Date.now() };
+    }
+
+    /**
+     * Retourne l'index, reconstruit s'il a été invalidé ou s'il est expiré.
+     * @returns {Promise<Object>}
+     */
+    async getIndex() {
+        if (this.index && Date.now() - this.index.builtAt < this.ttlSeconds * 1000) {
+            return this.index;
+        }
+        // Une seule reconstruction à la fois pour les requêtes simultanées
+        if (!this.building) {
+            this.building = Promise.resolve(this.loadProducts())
+                .then((products) => {
+                    this.index = MemorySearchEngine.build(products);
+                    return this.index;
+                })
+                .finally(() => {
+                    this.building = null;
+                });
+        }
+        return this.building;
+    }
+
+    /**
+     * Termes de l'index qui correspondent à un terme recherché, avec la qualité de la correspondance.
+     * @param {Map<string, Set<number>>} terms - Le vocabulaire de l'index.
+     * @param {string} queryTerm - Le terme recherché.
+     * @param {boolean} isLast - Le dernier terme saisi est aussi complété (recherche en cours de frappe).
+     * @returns {Map<string, number>}
+     */
+    static expand(terms, queryTerm, isLast) {
+        const matches = new Map();
+        const maxEdits = SearchEngine.maxEdits(queryTerm);
+        for (const term of terms.keys()) {
+            let quality = 0;
+            if (term === queryTerm) {
+                quality = MemorySearchEngine.QUALITY.exact;
+            } else if (queryTerm.length >= (isLast ? 2 : 3) && term.startsWith(queryTerm)) {
+                quality = MemorySearchEngine.QUALITY.prefix;
+            } else if (maxEdits > 0 && SearchEngine.distance(queryTerm, term, maxEdits) <= maxEdits) {
+                quality = MemorySearchEngine.QUALITY.fuzzy;
+            }
+            if (quality > 0) {
+                matches.set(term, quality);
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Indique si un produit satisfait les filtres de la recherche.
+     * @param {Object} product
+     * @param {Object} params
+     * @returns {boolean}
+     */
+    static matchesFilters(product, params) {
+        const { brand, category, minPrice, maxPrice, color, size, inStock } = params;
+        if (brand && String(product.brand?._id) !== String(brand)) return false;
+        if (category) {
+            const path = [product.category?._id, ...(product.category?.ancestors || []).map((ancestor) => ancestor._id)];
+            if (!path.some((id) => id && String(id) === String(category))) return false;
+        }
+        if (minPrice !== undefined && product.price < minPrice) return false;
+        if (maxPrice !== undefined && product.price > maxPrice) return false;
+        if (inStock !== undefined && (product.stock > 0) !== inStock) return false;
+        const variants = product.variants || [];
+        if (color && !variants.some((variant) => SearchEngine.optionValue(variant, 'color') === color)) return false;
+        if (size && !variants.some((variant) => SearchEngine.optionValue(variant, 'size') === size)) return false;
+        return true;
+    }
+
+    /**
+     * Compte les facettes des produits trouvés.
+     * @param {Array<Object>} products
+     * @returns {Object}
+     */
+    static facets(products) {
+        const boundaries = SearchEngine.priceBoundaries();
+        const brands = new Map();
+        const categories = new Map();
+        const prices = new Map();
+        const colors = new Map();
+        const sizes = new Map();
+        const availability = { inStock: 0, outOfStock: 0 };
+        const increment = (map, key, value) => {
+            const entry = map.get(key) || { ...value, count: 0 };
+            entry.count += 1;
+            map.set(key, entry);
+        };
+
+        for (const product of products) {
+            if (product.brand) increment(brands, String(product.brand._id), { _id: product.brand._id, name: product.brand.name });
+            if (product.category) {
+                increment(categories, String(product.category._id), {
+                    _id: product.category._id,
+                    name: product.category.name,
+                    slug: product.category.slug,
+                });
+            }
+            const bucket = SearchEngine.priceBucket(product.price, boundaries);
+            if (bucket) increment(prices, bucket.min, bucket);
+            const variants = product.variants || [];
+            for (const value of new Set(variants.map((variant) => SearchEngine.optionValue(variant, 'color')).filter(Boolean))) increment(colors, value, { value });
+            for (const value of new Set(variants.map((variant) => SearchEngine.optionValue(variant, 'size')).filter(Boolean))) increment(sizes, value, { value });
+            availability[product.stock > 0 ? 'inStock' : 'outOfStock'] += 1;
+        }
+
+        const byCount = (a, b) => b.count - a.count || String(a.name ?? a.value).localeCompare(String(b.name ?? b.value));
+        return {
+            brands: [...brands.values()].sort(byCount),
+            categories: [...categories.values()].sort(byCount),
+            prices: [...prices.values()].sort((a, b) => a.min - b.min),
+            colors: [...colors.values()].sort(byCount),
+            sizes: [...sizes.values()].sort(byCount),
+            availability,
+        };
+    }
+
+    /**
+     * Comparateur des résultats selon le tri demandé.
+     * @param {string} sort
+     * @returns {Function}
+     */
+    static comparator(sort) {
+        const createdAt = (hit) => new Date(hit.product.createdAt || 0).getTime();
+        switch (sort) {
+            case 'price': return (a, b) => a.product.price - b.product.price;
+            case '-price': return (a, b) => b.product.price - a.product.price;
+            case 'newest': return (a, b) => createdAt(b) - createdAt(a);
+            case 'rating': return (a, b) => (b.product.ratingsAverage || 0) - (a.product.ratingsAverage || 0);
+            default: return (a, b) => b.score - a.score || createdAt(b) - createdAt(a);
+        }
+    }
+
+    async search(params) {
+        const { entries, terms } = await this.getIndex();
+        const queryTerms = SearchEngine.tokenize(params.q);
+
+        let hits;
+        if (queryTerms.length === 0) {
+            hits = entries.map(({ product }) => ({ product, score: 0, terms: [] }));
+        } else {
+            // Score : somme, pour chaque terme recherché, de sa meilleure correspondance pondérée par le champ et sa rareté
+            const scores = new Map();
+            queryTerms.forEach((queryTerm, position) => {
+                const expansions = MemorySearchEngine.expand(terms, queryTerm, position === queryTerms.length - 1);
+                const best = new Map();
+                for (const [term, quality] of expansions) {
+                    const idf = Math.log(1 + entries.length / terms.get(term).size);
+                    for (const index of terms.get(term)) {
+                        const { counts } = entries[index];
+                        let weight = 0;
+                        for (const [field, fieldWeight] of Object.entries(MemorySearchEngine.WEIGHTS)) {
+                            if (counts[field].has(term)) weight += fieldWeight * (1 + Math.log(counts[field].get(term)));
+                        }
+                        const score = quality * idf * weight;
+                        const current = best.get(index);
+                        if (!current || score > current.score) best.set(index, { score, term });
+                    }
+                }
+                for (const [index, { score, term }] of best) {
+                    const hit = scores.get(index) || { product: entries[index].product, score: 0, terms: [] };
+                    hit.score += score;
+                    hit.terms.push(term);
+                    scores.set(index, hit);
+                }
+            });
+            hits = [...scores.values()];
+        }
+
+        hits = hits.filter((hit) => MemorySearchEngine.matchesFilters(hit.product, params));
+        const facets = MemorySearchEngine.facets(hits.map((hit) => hit.product));
+        const sort = params.sort || (queryTerms.length > 0 ? 'relevance' : 'newest');
+        hits.sort(MemorySearchEngine.comparator(sort));
+
+        const start = (params.page - 1) * params.limit;
+        return {
+            total: hits.length,
+            hits: hits.slice(start, start + params.limit).map(({ product, score, terms: matched }) => ({
+                product,
+                score: Math.round(score * 1000) / 1000,
+                highlights: SearchEngine.highlights(product, matched), // Les termes corrigés, et non ceux saisis
+            })),
+            facets,
+        };
+    }
+}
+
+SearchEngine.register('memory', MemorySearchEngine);
+
+export default MemorySearchEngine;
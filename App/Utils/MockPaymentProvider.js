@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import PaymentGateway from './PaymentGateway.js';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Prestataire de paiement simulé, en mémoire, pour les tests et le développement.
+ * Son comportement est déterministe et dépend du jeton de paiement fourni à la confirmation :
+ * - 'tok_success' (par défaut) : paiement accepté ;
+ * - 'tok_decline' : paiement refusé (card_declined) ;
+ * - 'tok_insufficient_funds' : paiement refusé (insufficient_funds).
+ * Disponible avec NODE_ENV=test ou development, ou PAYMENT_MOCK_PROVIDER=true.
+ */
+class MockPaymentProvider extends PaymentGateway {
+    static DECLINES = {
+        tok_decline: 'card_declined',
+        tok_insufficient_funds: 'insufficient_funds',
+    };
+
+    static isEnabled() {
+        return ['test', 'development'].includes(process.env.NODE_ENV) || process.env.PAYMENT_MOCK_PROVIDER === 'true';
+    }
+
+    constructor(options = {}) {
+        super();
+        this.name = 'mock';
+        // En test, un secret aléatoire suffit : les notifications sont signées par buildWebhook()
+        this.webhookSecret = options.webhookSecret || process.env.MOCK_PAYMENT_WEBHOOK_SECRET
+            || (process.env.NODE_ENV === 'test' ? crypto.randomBytes(32).toString('hex') : undefined);
+        if (!this.webhookSecret) {
+            throw new ErrorResponse('MOCK_PAYMENT_WEBHOOK_SECRET doit être défini pour vérifier les notifications du prestataire simulé', 500);
+        }
+        this.intents = new Map();
+        this.sequence = 0;
+    }
+
+    /**
+     * Génère un identifiant séquentiel (déterministe) préfixé.
+     * @param {string} prefix - Le préfixe de l'identifiant.
+     * @returns {string}
+     */
+    nextId(prefix) {
+        this.sequence += 1;
+        return `${prefix}_mock_${String(this.sequence).padStart(6, '0')}`;
+    }
+
+    /**
+     * Retourne une intention existante.
+     * @param {string} intentId - L'ID de l'intention.
+     * @throws {ErrorResponse} - 404 si l'intention est inconnue.
+     * @returns {Object}
+     */
+    getIntent(intentId) {
+        const intent = this.intents.get(intentId);
+        if (!intent) {
+            throw new ErrorResponse(`Intention de paiement introuvable : ${intentId}`, 404);
+        }
+        return intent;
+    }
+
+    async createIntent({ amount, currency, reference, captureMethod = 'automatic' }) {
+        const intent = {
+            id: this.nextId('pi'),
+            amount,
+            currency,
+            reference,
+            captureMethod,
+            status: 'requires_confirmation',
+            amountCaptured: 0,
+            amountRefunded: 0,
+        };
+        intent.clientSecret = `${intent.id}_secret`;
+        this.intents.set(intent.id, intent);
+        return { ...intent };
+    }
+
+    async confirm(intentId, { paymentToken = 'tok_success' } = {}) {
+        const intent = this.getIntent(intentId);
+        if (intent.status !== 'requires_confirmation') {
+            throw new ErrorResponse(`Le paiement ne peut pas être confirmé (statut : ${intent.status})`, 409);
+        }
+
+        const failureReason = MockPaymentProvider.DECLINES[paymentToken];
+        if (failureReason) {
+            intent.status = 'failed';
+            intent.failureReason = failureReason;
+        } else if (intent.captureMethod === 'manual') {
+            intent.status = 'requires_capture';
+        } else {
+            intent.status = 'succeeded';
+            intent.amountCaptured = intent.amount;
+        }
+        return { ...intent };
+    }
+
+    async capture(intentId, amount) {
+        const intent = this.getIntent(intentId);
+        if (intent.status !== 'requires_capture') {
+            throw new ErrorResponse(`Le paiement ne peut pas être capturé (statut : ${intent.status})`, 409);
+        }
+        const toCapture = amount ?? intent.amount;
+        if (toCapture <= 0 || toCapture > intent.amount) {
+            throw new ErrorResponse('Montant à capturer invalide', 400);
+        }
+        intent.status = 'succeeded';
+        intent.amountCaptured = toCapture;
+        return { ...intent };
+    }
+
+    async refund(intentId, amount) {
+        const intent = this.getIntent(intentId);
+        if (intent.status !== 'succeeded') {
+            throw new ErrorResponse(`Le paiement ne peut pas être remboursé (statut : ${intent.status})`, 409);
+        }
+        if (amount <= 0 || intent.amountRefunded + amount > intent.amountCaptured) {
+            throw new ErrorResponse('Le montant du remboursement dépasse le montant encaissé', 400);
+        }
+        intent.amountRefunded += amount;
+        return { id: this.nextId('re'), status: 'succeeded', amount };
+    }
+
+    /**
+     * Calcule la signature d'une notification, comme le ferait le prestataire.
+     * @param {string} rawBody - Le corps brut de la notification.
+     * @returns {string}
+     */
+    sign(rawBody) {
+        return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+    }
+
+    /**
+     * Construit une notification signée pour une intention, afin de simuler un webhook.
+     * @param {string} intentId - L'ID de l'intention.
+     * @returns {{rawBody: string, signature: string}}
+     */
+    buildWebhook(intentId) {
+        const intent = this.getIntent(intentId);
+        const rawBody = JSON.stringify({
+            id: this.nextId('evt'),
+            type: `payment_intent.${intent.status}`,
+            data: { id: intent.id, status: intent.status, failureReason: intent.failureReason },
+        });
+        return { rawBody, signature: this.sign(rawBody) };
+    }
+
+    verifyWebhook(rawBody, signature) {
+        const expected = Buffer.from(this.sign(rawBody || ''), 'hex');
+        const received = Buffer.from(String(signature || ''), 'hex');
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw new ErrorResponse('Signature de la notification invalide', 400);
+        }
+        const event = JSON.parse(rawBody);
+        return {
+            id: event.id,
+            type: event.type,
+            intentId: event.data.id,
+            status: event.data.status,
+            failureReason: event.data.failureReason,
+        };
+    }
+}
+
+PaymentGateway.register('mock', MockPaymentProvider);
+
+export default MockPaymentProvider;
@@ -0,0 +1,292 @@
+import mongoose from 'mongoose';
+import productModel from '../Models/product.js';
+import brandModel from '../Models/brand.js';
+import categoryModel from '../Models/category.js';
+import productVariantModel from '../Models/productVariant.js';
+import SearchEngine from './SearchEngine.js';
+import { toNumber } from './numbers.js';
+
+/**
+ * Moteur de recherche MongoDB : index texte des produits (nom et description, en français) pour la pertinence,
+ * complété par les produits des marques et catégories (sous-catégories comprises) dont le nom correspond.
+ * Résultats et facettes sont calculés en une seule agrégation ($facet). Une recherche sans résultat
+ * est relancée avec ses termes corrigés d'après le vocabulaire du catalogue (fautes de frappe),
+ * tenu en mémoire et rechargé après invalidate() ou au plus tard toutes les SEARCH_INDEX_TTL_SECONDS.
+ */
+class MongoSearchEngine extends SearchEngine {
+    // Bonus de pertinence d'un produit dont la marque ou la catégorie correspond à la recherche
+    static BOOSTS = { brand: 1.5, category: 1 };
+
+    constructor(options = {}) {
+        super();
+        this.name = 'mongo';
+        this.productModel = options.productModel || productModel;
+        this.brandModel = options.brandModel || brandModel;
+        this.categoryModel = options.categoryModel || categoryModel;
+        this.variantModel = options.variantModel || productVariantModel;
+        this.ttlSeconds = toNumber(options.ttlSeconds ?? process.env.SEARCH_INDEX_TTL_SECONDS, 300);
+        this.loadVocabulary = options.loadVocabulary || (() => this.catalogTexts());
+        this.vocabulary = null;
+        this.loading = null;
+    }
+
+    invalidate() {
+        this.vocabulary = null;
+    }
+
+    /**
+     * Textes indexés du catalogue : noms et descriptions des produits, noms des marques et des catégories.
+     * @returns {Promise<string[]>}
+     */
+    async catalogTexts() {
+        const [products, brands, categories] = await Promise.all([
+            this.productModel.aggregate([{ $project: { _id: 0, name: 1, description: 1 } }]),
+            this.brandModel.distinct('name'),
+            this.categoryModel.distinct('name'),
+        ]);
+        return [...products.flatMap((product) => [product.name, product.description]), ...brands, ...categories];
+    }
+
+    /**
+     * Vocabulaire du catalogue (terme -> nombre d'occurrences), rechargé s'il a été invalidé ou s'il est expiré.
+     * @returns {Promise<Map<string, number>>}
+     */
+    async getVocabulary() {
+        if (this.vocabulary && Date.now() - this.vocabulary.builtAt < this.ttlSeconds * 1000) {
+            return this.vocabulary.terms;
+        }
+        // Un seul chargement à la fois pour les requêtes simultanées
+        if (!this.loading) {
+            this.loading = Promise.resolve(this.loadVocabulary())
+                .then((texts) => {
+                    const terms = new Map();
+                    for (const token of texts.flatMap((text) => SearchEngine.tokenize(text))) {
+                        terms.set(token, (terms.get(token) || 0) + 1);
+                    }
+                    this.vocabulary = { terms, builtAt: Date.now() };
+                    return terms;
+                })
+                .finally(() => {
+                    this.loading = null;
+                });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Expression régulière qui trouve les noms contenant un mot commençant par l'un des termes.
+     * @param {string[]} terms
+     * @returns {RegExp}
+     */
+    static namePattern(terms) {
+        const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`(^|[^\\p{L}\\p{N}])(${escaped.join('|')})`, 'iu');
+    }
+
+    /**
+     * Expression régulière des noms d'options d'un filtre (color ou size), sans tenir compte de la casse.
+     * @param {string} key - La clé de SearchEngine.OPTION_NAMES.
+     * @returns {RegExp}
+     */
+    static optionNamePattern(key) {
+        return new RegExp(`^(${SearchEngine.OPTION_NAMES[key].join('|')})$`, 'i');
+    }
+
+    /**
+     * Traduit les filtres de la recherche en condition MongoDB.
+     * @param {Object} params
+     * @returns {Promise<Object>}
+     */
+    async buildFilter({ brand, category, minPrice, maxPrice, color, size, inStock }) {
+        const filter = {};
+        if (brand) filter.brand = new mongoose.Types.ObjectId(String(brand));
+        if (category) {
+            const descendants = await this.categoryModel.find({ 'ancestors._id': category }).distinct('_id');
+            filter.category = { $in: [new mongoose.Types.ObjectId(String(category)), ...descendants] };
+        }
+        if (minPrice !== undefined || maxPrice !== undefined) {
+            filter.price = {};
+            if (minPrice !== undefined) filter.price.$gte = minPrice;
+            if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+        }
+        if (inStock !== undefined) filter.stock = inStock ? { $gt: 0 } : 0;
+        if (color || size) {
+            const option = (key, value) => ({
+                options: { $elemMatch: { name: MongoSearchEngine.optionNamePattern(key), value } },
+            });
+            const variants = await this.variantModel.find({
+                $and: [...(color ? [option('color', color)] : []), ...(size ? [option('size', size)] : [])],
+            }).distinct('_id');
+            filter.variants = { $in: variants };
+        }
+        return filter;
+    }
+
+    /**
+     * Ordre des résultats selon le tri demandé.
+     * @param {string} sort
+     * @returns {Object}
+     */
+    static sortStage(sort) {
+        switch (sort) {
+            case 'price': return { price: 1, _id: 1 };
+            case '-price': return { price: -1, _id: 1 };
+            case 'newest': return { createdAt: -1, _id: 1 };
+            case 'rating': return { ratingsAverage: -1, _id: 1 };
+            default: return { score: -1, createdAt: -1, _id: 1 };
+        }
+    }
+
+    /**
+     * Étapes $facet des compteurs (marques, catégories, tranches de prix, couleurs, tailles, disponibilité).
+     * @returns {Object}
+     */
+    facetStages() {
+        const boundaries = SearchEngine.priceBoundaries();
+        const lookup = (model, field, project) => [
+            { $match: { [field]: { $ne: null } } },
+            { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+            { $lookup: { from: model.collection.name, localField: '_id', foreignField: '_id', as: 'doc' } },
+            { $unwind: '$doc' },
+            { $project: { _id: 1, count: 1, ...project } },
+            { $sort: { count: -1, name: 1 } },
+        ];
+        const variantValues = (key) => [
+            { $lookup: { from: this.variantModel.collection.name, localField: 'variants', foreignField: '_id', as: 'doc' } },
+            { $unwind: '$doc' },
+            { $unwind: '$doc.options' },
+            { $match: { 'doc.options.name': MongoSearchEngine.optionNamePattern(key) } },
+            { $group: { _id: '$_id', values: { $addToSet: '$doc.options.value' } } }, // Une seule fois par produit
+            { $unwind: '$values' },
+            { $group: { _id: '$values', count: { $sum: 1 } } },
+            { $project: { _id: 0, value: '$_id', count: 1 } },
+            { $sort: { count: -1, value: 1 } },
+        ];
+        return {
+            brands: lookup(this.brandModel, 'brand', { name: '$doc.name' }),
+            categories: lookup(this.categoryModel, 'category', { name: '$doc.name', slug: '$doc.slug' }),
+            prices: [{
+                $bucket: {
+                    groupBy: '$price',
+                    boundaries: [...boundaries, Number.MAX_VALUE], // La dernière tranche est ouverte
+                    default: 'other', // Prix inférieurs à la première borne
+                    output: { count: { $sum: 1 } },
+                },
+            }],
+            colors: variantValues('color'),
+            sizes: variantValues('size'),
+            availability: [{
+                $group: {
+                    _id: null,
+                    inStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } },
+                    outOfStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 0, 1] } },
+                },
+            }],
+        };
+    }
+
+    async search(params) {
+        const terms = SearchEngine.tokenize(params.q);
+        const result = await this.run(params, terms);
+        if (result.total > 0 || terms.length === 0) {
+            return result;
+        }
+
+        // Aucun résultat : nouvelle recherche avec les termes corrigés (ex : "iphnoe" -> "iphone")
+        const corrected = SearchEngine.correct(terms, await this.getVocabulary());
+        if (corrected.every((term, index) => term === terms[index])) {
+            return result;
+        }
+        return { ...(await this.run(params, corrected)), correctedQuery: corrected.join(' ') };
+    }
+
+    /**
+     * Exécute la recherche pour des termes donnés.
+     * @param {Object} params
+     * @param {string[]} terms - Les termes normalisés.
+     * @returns {Promise<{total: number, hits: Array<Object>, facets: Object}>}
+     */
+    async run(params, terms) {
+        const match = await this.buildFilter(params);
+        let score = { $literal: 0 };
+
+        if (terms.length > 0) {
+            const pattern = MongoSearchEngine.namePattern(terms);
+            const brands = await this.brandModel.find({ name: pattern }).distinct('_id');
+            const categories = await this.categoryModel.find({ name: pattern }).distinct('_id');
+            const subcategories = categories.length > 0
+                ? await this.categoryModel.find({ 'ancestors._id': { $in: categories } }).distinct('_id')
+                : [];
+            const matchedCategories = [...categories, ...subcategories];
+
+            // $text accepte d'autres branches dans un $or tant qu'elles sont indexées (brand, category)
+            match.$or = [
+                { $text: { $search: terms.join(' ') } },
+                ...(brands.length > 0 ? [{ brand: { $in: brands } }] : []),
+                ...(matchedCategories.length > 0 ? [{ category: { $in: matchedCategories } }] : []),
+            ];
+            score = {
+                $add: [
+                    { $ifNull: [{ $meta: 'textScore' }, 0] },
+                    { $cond: [{ $in: ['$brand', brands] }, MongoSearchEngine.BOOSTS.brand, 0] },
+                    { $cond: [{ $in: ['$category', matchedCategories] }, MongoSearchEngine.BOOSTS.category, 0] },
+                ],
+            };
+        }
+
+        const sort = params.sort || (terms.length > 0 ? 'relevance' : 'newest');
+        const [result] = await this.productModel.aggregate([
+            { $match: match },
+            { $addFields: { score } },
+            {
+                $facet: {
+                    results: [
+                        { $sort: MongoSearchEngine.sortStage(sort) },
+                        { $skip: (params.page - 1) * params.limit },
+                        { $limit: params.limit },
+                        { $project: { _id: 1, score: 1 } },
+                    ],
+                    total: [{ $count: 'count' }],
+                    ...this.facetStages(),
+                },
+            },
+        ]);
+
+        // Les documents complets (références peuplées, virtuels) sont relus dans l'ordre des résultats
+        const ids = result.results.map((hit) => hit._id);
+        const products = new Map((await this.productModel.find({ _id: { $in: ids } }))
+            .map((product) => [String(product._id), product]));
+        const boundaries = SearchEngine.priceBoundaries();
+
+        return {
+            total: result.total[0]?.count || 0,
+            hits: result.results
+                .filter((hit) => products.has(String(hit._id)))
+                .map((hit) => {
+                    const product = products.get(String(hit._id));
+                    return {
+                        product,
+                        score: Math.round(hit.score * 1000) / 1000,
+                        highlights: SearchEngine.highlights(product, terms),
+                    };
+                }),
+            facets: {
+                brands: result.brands,
+                categories: result.categories,
+                prices: result.prices
+                    .filter((bucket) => bucket._id !== 'other')
+                    .map((bucket) => ({ ...SearchEngine.priceBucket(bucket._id, boundaries), count: bucket.count })),
+                colors: result.colors,
+                sizes: result.sizes,
+                availability: {
+                    inStock: result.availability[0]?.inStock || 0,
+                    outOfStock: result.availability[0]?.outOfStock || 0,
+                },
+            },
+        };
+    }
+}
+
+SearchEngine.register('mongo', MongoSearchEngine);
+
+export default MongoSearchEngine;
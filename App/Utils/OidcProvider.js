@@ -0,0 +1,227 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import IdentityProvider from './IdentityProvider.js';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Fournisseur OAuth2 / OpenID Connect générique (flux "authorization code" avec PKCE).
+ * L'identité est lue dans l'id_token, dont la signature est vérifiée avec les clés publiques (JWKS)
+ * du fournisseur, ou à défaut auprès du point d'accès userinfo (fournisseurs OAuth2 sans OIDC).
+ */
+class OidcProvider extends IdentityProvider {
+    /**
+     * @param {Object} config
+     * @param {string} config.name - Le nom du fournisseur.
+     * @param {string} config.clientId - L'identifiant client.
+     * @param {string} config.clientSecret - Le secret client.
+     * @param {string} config.authorizationEndpoint - L'URL de la page d'autorisation.
+     * @param {string} config.tokenEndpoint - L'URL d'échange du code.
+     * @param {string} [config.userinfoEndpoint] - L'URL du profil (OAuth2 sans id_token).
+     * @param {string} [config.jwksUri] - L'URL des clés publiques de signature des id_token.
+     * @param {string|string[]} [config.issuer] - L'émetteur attendu des id_token.
+     * @param {string} [config.scope] - Les scopes demandés.
+     * @param {string[]} [config.algorithms] - Les algorithmes de signature acceptés pour les id_token.
+     */
+    constructor(config = {}) {
+        super();
+        this.name = config.name;
+        this.clientId = config.clientId;
+        this.clientSecret = config.clientSecret;
+        this.authorizationEndpoint = config.authorizationEndpoint;
+        this.tokenEndpoint = config.tokenEndpoint;
+        this.userinfoEndpoint = config.userinfoEndpoint;
+        this.jwksUri = config.jwksUri;
+        this.issuer = config.issuer;
+        this.scope = config.scope || 'openid email profile';
+        this.algorithms = config.algorithms || ['RS256', 'ES256'];
+        this.keys = new Map();
+    }
+
+    authorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: redirectUri,
+            scope: this.scope,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256',
+        });
+        return `${this.authorizationEndpoint}?${params}`;
+    }
+
+    async exchangeCode({ code, redirectUri, codeVerifier, nonce }) {
+        const tokens = await this.requestTokens({ code, redirectUri, codeVerifier });
+
+        let claims;
+        if (tokens.id_token) {
+            claims = await this.verifyIdToken(tokens.id_token, nonce);
+        } else if (this.userinfoEndpoint && tokens.access_token) {
+            claims = await this.fetchUserinfo(tokens.access_token);
+        } else {
+            throw new ErrorResponse(`Réponse du fournisseur ${this.name} sans identité`, 401);
+        }
+        return this.mapProfile(claims);
+    }
+
+    /**
+     * Échange le code contre les tokens du fournisseur.
+     * @param {Object} params - code, redirectUri et codeVerifier.
+     * @throws {ErrorResponse} - 401 si le fournisseur refuse le code.
+     * @returns {Promise<{access_token?: string, id_token?: string}>}
+     */
+    async requestTokens({ code, redirectUri, codeVerifier }) {
+        const response = await fetch(this.tokenEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: redirectUri,
+                client_id: this.clientId,
+                client_secret: this.clientSecret,
+                code_verifier: codeVerifier,
+            }),
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new ErrorResponse(`Le fournisseur ${this.name} a refusé le code d'autorisation`, 401, { error: body.error });
+        }
+        return body;
+    }
+
+    /**
+     * Vérifie la signature et les revendications d'un id_token.
+     * @param {string} idToken - L'id_token reçu.
+     * @param {string} nonce - Le nonce attendu.
+     * @throws {ErrorResponse} - 401 si l'id_token est invalide.
+     * @returns {Promise<Object>} - Les revendications.
+     */
+    async verifyIdToken(idToken, nonce) {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw new ErrorResponse('id_token illisible', 401);
+        }
+        try {
+            const claims = jwt.verify(idToken, await this.signingKey(decoded.header), {
+                algorithms: this.algorithms,
+                audience: this.clientId,
+                issuer: this.issuer,
+            });
+            if (claims.nonce !== nonce) {
+                throw new Error('nonce invalide');
+            }
+            return claims;
+        } catch (error) {
+            throw new ErrorResponse(`id_token invalide : ${error.message}`, 401);
+        }
+    }
+
+    /**
+     * Retourne la clé de vérification d'un id_token (clé publique JWKS désignée par son kid).
+     * Les clés sont mises en cache et rechargées lorsqu'un kid est inconnu (rotation).
+     * @param {Object} header - L'en-tête de l'id_token.
+     * @returns {Promise<crypto.KeyObject|string>}
+     */
+    async signingKey(header) {
+        if (!this.keys.has(header.kid)) {
+            const response = await fetch(this.jwksUri);
+            const { keys = [] } = await response.json();
+            this.keys = new Map(keys.map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+        }
+        const key = this.keys.get(header.kid);
+        if (!key) {
+            throw new ErrorResponse('Clé de signature de l\'id_token inconnue', 401);
+        }
+        return key;
+    }
+
+    /**
+     * Lit le profil de l'utilisateur auprès du point d'accès userinfo.
+     * @param {string} accessToken - Le token d'accès du fournisseur.
+     * @returns {Promise<Object>}
+     */
+    async fetchUserinfo(accessToken) {
+        const response = await fetch(this.userinfoEndpoint, {
+            headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' },
+        });
+        if (!response.ok) {
+            throw new ErrorResponse(`Profil du fournisseur ${this.name} indisponible`, 401);
+        }
+        return response.json();
+    }
+
+    /**
+     * Convertit les revendications du fournisseur en profil normalisé.
+     * @param {Object} claims - Les revendications (id_token ou userinfo).
+     * @returns {{subject: string, email?: string, emailVerified: boolean, name?: string, picture?: string}}
+     */
+    mapProfile(claims) {
+        return {
+            subject: String(claims.sub),
+            email: claims.email ? String(claims.email).toLowerCase() : undefined,
+            emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+            name: claims.name,
+            picture: claims.picture,
+        };
+    }
+}
+
+/**
+ * Google (OpenID Connect). Configuré par GOOGLE_CLIENT_ID et GOOGLE_CLIENT_SECRET.
+ */
+export class GoogleProvider extends OidcProvider {
+    static isEnabled() {
+        return Boolean(process.env.GOOGLE_CLIENT_ID);
+    }
+
+    constructor() {
+        super({
+            name: 'google',
+            clientId: process.env.GOOGLE_CLIENT_ID,
+            clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+            authorizationEndpoint: 'https://accounts.google.com/o/oauth2/v2/auth',
+            tokenEndpoint: 'https://oauth2.googleapis.com/token',
+            jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+            issuer: ['https://accounts.google.com', 'accounts.google.com'],
+        });
+    }
+}
+
+/**
+ * Facebook (OAuth2, profil lu via l'API Graph). Configuré par FACEBOOK_CLIENT_ID et FACEBOOK_CLIENT_SECRET.
+ * Facebook ne transmet que des adresses e-mail confirmées.
+ */
+export class FacebookProvider extends OidcProvider {
+    static isEnabled() {
+        return Boolean(process.env.FACEBOOK_CLIENT_ID);
+    }
+
+    constructor() {
+        super({
+            name: 'facebook',
+            clientId: process.env.FACEBOOK_CLIENT_ID,
+            clientSecret: process.env.FACEBOOK_CLIENT_SECRET,
+            authorizationEndpoint: 'https://www.facebook.com/v19.0/dialog/oauth',
+            tokenEndpoint: 'https://graph.facebook.com/v19.0/oauth/access_token',
+            userinfoEndpoint: 'https://graph.facebook.com/me?fields=id,name,email,picture',
+            scope: 'email public_profile',
+        });
+    }
+
+    mapProfile(claims) {
+        return {
+            subject: String(claims.id),
+            email: claims.email ? String(claims.email).toLowerCase() : undefined,
+            emailVerified: Boolean(claims.email),
+            name: claims.name,
+            picture: claims.picture?.data?.url,
+        };
+    }
+}
+
+IdentityProvider.register('google', GoogleProvider);
+IdentityProvider.register('facebook', FacebookProvider);
+
+export default OidcProvider;
@@ -0,0 +1,119 @@
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Interface commune des prestataires de paiement.
+ * Chaque prestataire (mock, Stripe, PayPal, ...) étend cette classe et s'enregistre avec PaymentGateway.register().
+ * Les statuts renvoyés sont normalisés : requires_confirmation, requires_capture, succeeded, failed, cancelled.
+ */
+class PaymentGateway {
+    static providers = new Map();
+    static instances = new Map();
+
+    /**
+     * Enregistre un prestataire de paiement.
+     * @param {string} name - Le nom du prestataire (ex : 'mock').
+     * @param {Function} Provider - La classe du prestataire, qui étend PaymentGateway.
+     */
+    static register(name, Provider) {
+        PaymentGateway.providers.set(name, Provider);
+        PaymentGateway.instances.delete(name);
+    }
+
+    /**
+     * Indique si le prestataire est utilisable dans cet environnement.
+     * La configuration est lue à l'usage : les variables d'environnement sont chargées après les imports.
+     * @returns {boolean}
+     */
+    static isEnabled() {
+        return true;
+    }
+
+    /**
+     * Retourne l'instance du prestataire demandé (PAYMENT_PROVIDER par défaut).
+     * @param {string} [name] - Le nom du prestataire.
+     * @throws {ErrorResponse} - 400 si le prestataire n'est pas enregistré ou pas disponible.
+     * @returns {PaymentGateway}
+     */
+    static use(name = process.env.PAYMENT_PROVIDER || 'mock') {
+        const Provider = PaymentGateway.providers.get(name);
+        if (!Provider || !Provider.isEnabled()) {
+            throw new ErrorResponse(`Prestataire de paiement inconnu ou non disponible : ${name}`, 400);
+        }
+        if (!PaymentGateway.instances.has(name)) {
+            PaymentGateway.instances.set(name, new Provider());
+        }
+        return PaymentGateway.instances.get(name);
+    }
+
+    /**
+     * Vérifie au démarrage le prestataire par défaut : PAYMENT_PROVIDER est obligatoire en production
+     * et, s'il est défini, le prestataire est instancié pour signaler tout de suite une configuration incomplète.
+     * @throws {Error}
+     */
+    static assertConfigured() {
+        const name = process.env.PAYMENT_PROVIDER;
+        if (!name) {
+            if (process.env.NODE_ENV === 'production') {
+                throw new Error('PAYMENT_PROVIDER doit être défini en production');
+            }
+            return;
+        }
+        PaymentGateway.use(name);
+    }
+
+    /**
+     * Crée une intention de paiement.
+     * @param {Object} params
+     * @param {number} params.amount - Le montant à encaisser.
+     * @param {string} params.currency - La devise.
+     * @param {string} params.reference - La référence interne (ID de la commande).
+     * @param {string} [params.captureMethod] - 'automatic' (par défaut) ou 'manual' pour une capture ultérieure.
+     * @returns {Promise<{id: string, status: string, clientSecret?: string}>}
+     */
+    async createIntent(params) {
+        throw new Error(`${this.constructor.name}.createIntent() n'est pas implémenté`);
+    }
+
+    /**
+     * Confirme une intention de paiement avec le moyen de paiement du client.
+     * @param {string} intentId - L'ID de l'intention chez le prestataire.
+     * @param {Object} [params] - Les données du moyen de paiement (ex : { paymentToken }).
+     * @returns {Promise<{id: string, status: string, failureReason?: string}>}
+     */
+    async confirm(intentId, params) {
+        throw new Error(`${this.constructor.name}.confirm() n'est pas implémenté`);
+    }
+
+    /**
+     * Capture une intention de paiement autorisée.
+     * @param {string} intentId - L'ID de l'intention chez le prestataire.
+     * @param {number} [amount] - Le montant à capturer (tout le montant autorisé par défaut).
+     * @returns {Promise<{id: string, status: string, amountCaptured: number}>}
+     */
+    async capture(intentId, amount) {
+        throw new Error(`${this.constructor.name}.capture() n'est pas implémenté`);
+    }
+
+    /**
+     * Rembourse tout ou partie d'un paiement.
+     * @param {string} intentId - L'ID de l'intention chez le prestataire.
+     * @param {number} amount - Le montant à rembourser.
+     * @returns {Promise<{id: string, status: string, amount: number}>}
+     */
+    async refund(intentId, amount) {
+        throw new Error(`${this.constructor.name}.refund() n'est pas implémenté`);
+    }
+
+    /**
+     * Vérifie la signature d'une notification (webhook) et la convertit en événement.
+     * @param {string} rawBody - Le corps brut de la requête.
+     * @param {string} signature - La signature transmise par le prestataire.
+     * @throws {ErrorResponse} - 400 si la signature est invalide.
+     * @returns {{id: string, type: string, intentId: string, status: string}}
+     */
+    verifyWebhook(rawBody, signature) {
+        throw new Error(`${this.constructor.name}.verifyWebhook() n'est pas implémenté`);
+    }
+}
+
+export default PaymentGateway;
@@ -0,0 +1,266 @@
+import mongoose from 'mongoose';
+import orderModel from '../Models/order.js';
+import paymentModel from '../Models/payment.js';
+import PaymentGateway from './PaymentGateway.js';
+import './MockPaymentProvider.js';
+import ErrorResponse from './errorResponse.js';
+import { round } from './numbers.js';
+
+/**
+ * Service de paiement : crée les paiements des commandes auprès d'un prestataire (PaymentGateway)
+ * et répercute leur issue sur la commande (isPaid, paidAt, paymentResult).
+ */
+class Payments {
+    constructor(options = {}) {
+        this.currency = options.currency || process.env.CURRENCY || 'XOF';
+        this.defaultProvider = options.provider || process.env.PAYMENT_PROVIDER || 'mock';
+        this.startSession = options.startSession || (() => mongoose.startSession());
+    }
+
+    /**
+     * Retourne le prestataire de paiement demandé.
+     * @param {string} [name] - Le nom du prestataire.
+     * @returns {PaymentGateway}
+     */
+    gateway(name) {
+        return PaymentGateway.use(name || this.defaultProvider);
+    }
+
+    /**
+     * Crée un paiement pour une commande et l'intention correspondante chez le prestataire.
+     * Les paiements encore en attente pour cette commande sont annulés.
+     * @param {Object} order - Le document commande.
+     * @param {Object} [options]
+     * @param {string} [options.provider] - Le nom du prestataire.
+     * @param {string} [options.captureMethod] - 'automatic' ou 'manual'.
+     * @throws {ErrorResponse} - 409 si la commande est déjà payée ou ne peut plus l'être.
+     * @returns {Promise<{payment: Object, clientSecret: string}>}
+     */
+    async createPayment(order, { provider, captureMethod = 'automatic' } = {}) {
+        if (order.isPaid) {
+            throw new ErrorResponse('Cette commande est déjà payée', 409);
+        }
+        if (!['pending', 'processing'].includes(order.status)) {
+            throw new ErrorResponse(`Une commande au statut "${order.status}" ne peut pas être payée`, 409);
+        }
+
+        const providerName = provider || this.defaultProvider;
+        const intent = await this.gateway(providerName).createIntent({
+            amount: order.totalPrice,
+            currency: this.currency,
+            reference: String(order._id),
+            captureMethod,
+        });
+
+        await paymentModel.updateMany({ order: order._id, status: 'pending' }, { status: 'cancelled' });
+        const payment = await paymentModel.create({
+            order: order._id,
+            user: order.user,
+            provider: providerName,
+            paymentMethod: order.paymentMethod,
+            transactionId: intent.id,
+            amount: order.totalPrice,
+            currency: this.currency,
+        });
+        return { payment, clientSecret: intent.clientSecret };
+    }
+
+    /**
+     * Confirme un paiement avec le moyen de paiement du client.
+     * @param {Object} payment - Le document paiement.
+     * @param {Object} [params] - Les données du moyen de paiement (ex : { paymentToken }).
+     * @returns {Promise<Object>} - Le paiement mis à jour.
+     */
+    async confirmPayment(payment, params = {}) {
+        if (payment.status !== 'pending') {
+            throw new ErrorResponse(`Le paiement ne peut pas être confirmé (statut : ${payment.status})`, 409);
+        }
+        const result = await this.gateway(payment.provider).confirm(payment.transactionId, params);
+        return this.applyResult(payment, result);
+    }
+
+    /**
+     * Capture un paiement autorisé.
+     * @param {Object} payment - Le document paiement.
+     * @param {number} [amount] - Le montant à capturer.
+     * @returns {Promise<Object>} - Le paiement mis à jour.
+     */
+    async capturePayment(payment, amount) {
+        if (payment.status !== 'requires_capture') {
+            throw new ErrorResponse(`Le paiement ne peut pas être capturé (statut : ${payment.status})`, 409);
+        }
+        const result = await this.gateway(payment.provider).capture(payment.transactionId, amount);
+        return this.applyResult(payment, result);
+    }
+
+    /**
+     * Rembourse tout ou partie d'un paiement réussi et reporte le remboursement sur la commande.
+     * Le montant est réservé sur le paiement ($inc conditionnel) avant l'appel au prestataire :
+     * deux remboursements simultanés ne peuvent pas dépasser ensemble le montant encaissé.
+     * @param {Object} payment - Le document paiement.
+     * @param {number} [amount] - Le montant à rembourser (le solde remboursable par défaut).
+     * @param {string} [reason] - Le motif du remboursement.
+     * @param {Object} [options]
+     * @param {string} [options.changedBy] - L'ID de l'utilisateur qui rembourse.
+     * @param {function(ClientSession, Object): Promise<void>} [options.work] - Écritures liées au remboursement
+     * (ex : la demande de retour), dans la même transaction. Elles reçoivent la session et le remboursement.
+     * @throws {ErrorResponse} - 409 si le paiement n'est pas remboursable, 400 si le montant dépasse le solde.
+     * @returns {Promise<Object>} - Le paiement mis à jour.
+     */
+    async refundPayment(payment, amount, reason, { changedBy, work } = {}) {
+        const refundable = ['succeeded', 'partially_refunded'];
+        if (!refundable.includes(payment.status)) {
+            throw new ErrorResponse(`Le paiement ne peut pas être remboursé (statut : ${payment.status})`, 409);
+        }
+        const toRefund = amount ?? payment.refundableAmount;
+        if (toRefund <= 0 || toRefund > payment.refundableAmount) {
+            throw new ErrorResponse(`Le montant remboursable est de ${payment.refundableAmount}`, 400);
+        }
+
+        const claimed = await paymentModel.updateOne(
+            {
+                _id: payment._id,
+                status: { $in: refundable },
+                $expr: { $lte: ['$amountRefunded', { $subtract: ['$amountCaptured', toRefund] }] },
+            },
+            { $inc: { amountRefunded: toRefund } }
+        );
+        if (claimed.modifiedCount === 0) {
+            throw new ErrorResponse('Le montant remboursable de ce paiement vient de changer, veuillez réessayer', 409);
+        }
+
+        let refund;
+        try {
+            refund = await this.gateway(payment.provider).refund(payment.transactionId, toRefund);
+        } catch (error) {
+            // Le prestataire n'a rien remboursé : le montant réservé est libéré
+            await paymentModel.updateOne({ _id: payment._id }, { $inc: { amountRefunded: -toRefund } });
+            throw error;
+        }
+
+        const session = await this.startSession();
+        try {
+            await session.withTransaction(async () => {
+                await paymentModel.updateOne(
+                    { _id: payment._id },
+                    { $push: { refunds: { refundId: refund.id, amount: toRefund, reason } } },
+                    { session }
+                );
+                await paymentModel.updateOne({ _id: payment._id }, [{
+                    $set: { status: { $cond: [{ $gte: ['$amountRefunded', '$amountCaptured'] }, 'refunded', 'partially_refunded'] } },
+                }], { session });
+                await this.recordOrderRefund(payment.order, toRefund, { changedBy, session });
+                if (work) {
+                    await work(session, refund);
+                }
+            });
+        } finally {
+            await session.endSession();
+        }
+        return paymentModel.findById(payment._id);
+    }
+
+    /**
+     * Reporte un remboursement sur la commande : montant remboursé et, une fois la commande
+     * intégralement remboursée, passage au statut "refunded" si la machine à états l'autorise.
+     * @param {string} orderId - L'ID de la commande.
+     * @param {number} amount - Le montant remboursé.
+     * @param {Object} options
+     * @param {string} [options.changedBy] - L'ID de l'utilisateur qui rembourse.
+     * @param {ClientSession} options.session - La session de la transaction en cours.
+     * @returns {Promise<Object>} - La commande mise à jour.
+     */
+    async recordOrderRefund(orderId, amount, { changedBy, session }) {
+        const order = await orderModel.findByIdAndUpdate(orderId, { $inc: { refundedPrice: amount } }, { new: true, session });
+        if (!order) {
+            throw new ErrorResponse('Commande du paiement introuvable', 404);
+        }
+        if (round(order.refundedPrice) >= order.totalPrice && order.canTransitionTo('refunded')) {
+            order.transitionTo('refunded', { changedBy, reason: 'Commande intégralement remboursée' });
+            await order.save({ session });
+        }
+        return order;
+    }
+
+    /**
+     * Traite une notification de prestataire. Chaque événement n'est appliqué qu'une fois.
+     * @param {string} providerName - Le nom du prestataire.
+     * @param {string} rawBody - Le corps brut de la notification.
+     * @param {string} signature - La signature de la notification.
+     * @returns {Promise<{payment: Object|null, duplicate: boolean}>}
+     */
+    async handleWebhook(providerName, rawBody, signature) {
+        const event = this.gateway(providerName).verifyWebhook(rawBody, signature);
+
+        const payment = await paymentModel.findOne({ provider: providerName, transactionId: event.intentId });
+        if (!payment) {
+            return { payment: null, duplicate: false };
+        }
+        const claimed = await paymentModel.updateOne(
+            { _id: payment._id, processedEvents: { $ne: event.id } },
+            { $push: { processedEvents: event.id } }
+        );
+        if (claimed.modifiedCount === 0) {
+            return { payment, duplicate: true };
+        }
+        // Une notification ne fait pas revenir en arrière un paiement déjà finalisé
+        if (['succeeded', 'partially_refunded', 'refunded'].includes(payment.status)) {
+            return { payment, duplicate: false };
+        }
+        return { payment: await this.applyResult(payment, event), duplicate: false };
+    }
+
+    /**
+     * Répercute la réponse du prestataire sur le paiement, et sur la commande si le paiement a réussi.
+     * @param {Object} payment - Le document paiement.
+     * @param {Object} result - La réponse normalisée du prestataire.
+     * @returns {Promise<Object>} - Le paiement mis à jour.
+     */
+    async applyResult(payment, result) {
+        payment.status = result.status === 'requires_confirmation' ? 'pending' : result.status;
+        payment.failureReason = result.failureReason;
+        if (result.status === 'succeeded') {
+            payment.amountCaptured = result.amountCaptured ?? payment.amount;
+        }
+        if (payment.status !== 'succeeded') {
+            await payment.save();
+            return payment;
+        }
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            await payment.save({ session });
+            await this.markOrderPaid(payment, session);
+            await session.commitTransaction();
+            return payment;
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }
+
+    /**
+     * Marque la commande d'un paiement réussi comme payée (paidAt est horodaté par le modèle).
+     * @param {Object} payment - Le document paiement.
+     * @param {ClientSession} session - La session de la transaction en cours.
+     * @returns {Promise<void>}
+     */
+    async markOrderPaid(payment, session) {
+        const order = await orderModel.findById(payment.order).session(session);
+        if (!order) {
+            throw new ErrorResponse('Commande du paiement introuvable', 404);
+        }
+        order.isPaid = true;
+        order.paymentResult = {
+            id: payment.transactionId,
+            status: payment.status,
+            update_time: new Date().toISOString(),
+        };
+        await order.save({ session });
+    }
+}
+
+export default Payments;
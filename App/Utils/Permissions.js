@@ -0,0 +1,181 @@
+import roleModel from '../Models/role.js';
+import { toNumber } from './numbers.js';
+
+/**
+ * Service de permissions : résout les permissions d'un rôle (stocké dans la collection Role)
+ * et vérifie qu'elles couvrent une permission demandée.
+ * Une permission "ressource:action" couvre aussi "ressource:action:own" ; "ressource:*" couvre
+ * toutes les actions d'une ressource et "*" toutes les permissions.
+ * Les rôles sont mis en cache quelques secondes : une modification faite par une autre instance
+ * est prise en compte à l'expiration du cache.
+ */
+class Permissions {
+    /**
+     * Catalogue des permissions disponibles.
+     */
+    static CATALOG = {
+        'product:write': 'Créer, modifier et supprimer des produits',
+        'category:write': 'Créer, modifier et supprimer des catégories',
+        'brand:write': 'Créer, modifier et supprimer des marques',
+        'promotion:write': 'Créer, modifier et supprimer des promotions',
+        'supplier:read': 'Consulter les fournisseurs',
+        'supplier:write': 'Créer, modifier et supprimer des fournisseurs',
+        'order:read': 'Consulter toutes les commandes',
+        'order:manage': 'Modifier les commandes, les préparer, les expédier et passer commande pour un client',
+        'order:export': 'Exporter les commandes',
+        'order:archive': 'Archiver et restaurer des commandes',
+        'order:refund': 'Rembourser des paiements et des retours',
+        'payment:read': 'Consulter tous les paiements',
+        'payment:manage': 'Créer un paiement pour la commande d\'un client et capturer les paiements autorisés',
+        'return:read': 'Consulter toutes les demandes de retour',
+        'return:manage': 'Approuver, refuser et réceptionner les retours',
+        'review:moderate': 'Modérer les avis',
+        'review:update:own': 'Modifier ses propres avis',
+        'review:delete': 'Supprimer n\'importe quel avis',
+        'review:delete:own': 'Supprimer ses propres avis',
+        'user:read': 'Consulter les comptes utilisateurs',
+        'user:manage': 'Modifier, supprimer les comptes et leur attribuer un rôle',
+        'role:manage': 'Gérer les rôles et leurs permissions',
+        'apikey:manage': 'Émettre, consulter et révoquer les clés d\'API',
+    };
+
+    /**
+     * Rôles fournis par l'application, créés au démarrage s'ils n'existent pas.
+     */
+    static DEFAULT_ROLES = {
+        client: {
+            description: 'Client de la boutique',
+            permissions: ['review:update:own', 'review:delete:own'],
+        },
+        storekeeper: {
+            description: 'Magasinier : catalogue, fournisseurs et préparation des commandes',
+            permissions: [
+                'product:write', 'category:write', 'brand:write', 'promotion:write',
+                'supplier:read', 'supplier:write', 'order:read', 'order:manage',
+                'review:update:own', 'review:delete:own',
+            ],
+        },
+        admin: {
+            description: 'Administrateur',
+            permissions: Object.keys(Permissions.CATALOG),
+        },
+    };
+
+    /**
+     * Rôle dont les permissions ne peuvent pas être modifiées (évite de perdre l'accès à l'administration) :
+     * il dispose toujours de tout le catalogue.
+     */
+    static LOCKED_ROLE = 'admin';
+
+    constructor(options = {}) {
+        this.cacheTtlSeconds = toNumber(options.cacheTtlSeconds ?? process.env.PERMISSIONS_CACHE_TTL_SECONDS, 60);
+        this.model = options.roleModel || roleModel;
+        this.cache = new Map();
+    }
+
+    /**
+     * Indique si une permission accordée couvre la permission demandée.
+     * @param {string} granted - La permission accordée (ex : 'order:*').
+     * @param {string} permission - La permission demandée (ex : 'order:read:own').
+     * @returns {boolean}
+     */
+    static matches(granted, permission) {
+        if (granted === '*' || granted === permission || `${granted}:own` === permission) {
+            return true;
+        }
+        return granted.endsWith(':*') && permission.startsWith(granted.slice(0, -1));
+    }
+
+    /**
+     * Indique si une permission figure au catalogue ou en est un joker valide.
+     * @param {string} permission
+     * @returns {boolean}
+     */
+    static isKnown(permission) {
+        if (permission === '*' || permission in Permissions.CATALOG) {
+            return true;
+        }
+        return permission.endsWith(':*')
+            && Object.keys(Permissions.CATALOG).some((known) => known.startsWith(permission.slice(0, -1)));
+    }
+
+    /**
+     * Liste les permissions du catalogue couvertes par une permission (joker compris).
+     * @param {string} permission
+     * @returns {string[]}
+     */
+    static expand(permission) {
+        return Object.keys(Permissions.CATALOG).filter((known) => Permissions.matches(permission, known));
+    }
+
+    /**
+     * Retourne les permissions d'un rôle.
+     * Le rôle verrouillé n'est pas lu en base ; un rôle par défaut absent de la base
+     * (avant son initialisation) garde ses permissions par défaut.
+     * @param {string} name - Le nom du rôle.
+     * @returns {Promise<string[]>}
+     */
+    async forRole(name) {
+        if (name === Permissions.LOCKED_ROLE) {
+            return Permissions.DEFAULT_ROLES[name].permissions;
+        }
+        const cached = this.cache.get(name);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.permissions;
+        }
+
+        const role = await this.model.findOne({ name }).lean();
+        const permissions = role ? role.permissions : Permissions.DEFAULT_ROLES[name]?.permissions || [];
+        this.cache.set(name, { permissions, expiresAt: Date.now() + this.cacheTtlSeconds * 1000 });
+        return permissions;
+    }
+
+    /**
+     * Indique si un rôle dispose d'une permission.
+     * @param {string} name - Le nom du rôle.
+     * @param {string} permission - La permission demandée.
+     * @returns {Promise<boolean>}
+     */
+    async can(name, permission) {
+        const permissions = await this.forRole(name);
+        return permissions.some((granted) => Permissions.matches(granted, permission));
+    }
+
+    /**
+     * Indique si un rôle existe (en base ou parmi les rôles par défaut).
+     * @param {string} name - Le nom du rôle.
+     * @returns {Promise<boolean>}
+     */
+    async exists(name) {
+        return name in Permissions.DEFAULT_ROLES || Boolean(await this.model.exists({ name }));
+    }
+
+    /**
+     * Vide le cache d'un rôle (ou de tous les rôles) après une modification.
+     * @param {string} [name] - Le nom du rôle.
+     */
+    invalidate(name) {
+        if (name) {
+            this.cache.delete(name);
+        } else {
+            this.cache.clear();
+        }
+    }
+
+    /**
+     * Crée les rôles par défaut manquants ; les rôles existants (éventuellement modifiés) sont conservés.
+     * @returns {Promise<void>}
+     */
+    async seedDefaults() {
+        await this.model.bulkWrite(Object.entries(Permissions.DEFAULT_ROLES).map(([name, role]) => ({
+            updateOne: {
+                filter: { name },
+                update: { $setOnInsert: { name, ...role, isSystem: true } },
+                upsert: true,
+            },
+        })));
+        this.invalidate();
+    }
+}
+
+export default Permissions;
@@ -0,0 +1,164 @@
+import mongoose from 'mongoose';
+import productModel from '../Models/product.js';
+import productVariantModel from '../Models/productVariant.js';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Variantes d'un produit : contrôle des options par rapport aux types d'options du produit
+ * (ex : [{ name: 'Couleur', values: ['Rouge', 'Bleu'] }, { name: 'Taille', values: ['M', 'L'] }])
+ * et synchronisation du produit, dont le stock est la somme du stock de ses variantes.
+ * Chaque écriture d'une variante et le recalcul du produit partagent une transaction : une réservation
+ * de stock concurrente (Utils/Inventory.js) entre en conflit avec elle au lieu d'être écrasée.
+ */
+class ProductVariants {
+    // Champs des index uniques et message renvoyé en cas de doublon
+    static DUPLICATES = {
+        sku: 'Une variante avec cette référence (SKU) existe déjà',
+        barcode: 'Une variante avec ce code-barres existe déjà',
+        optionsKey: 'Ce produit a déjà une variante avec ces options',
+    };
+
+    constructor(options = {}) {
+        this.productModel = options.productModel || productModel;
+        this.variantModel = options.variantModel || productVariantModel;
+        this.startSession = options.startSession || (() => mongoose.startSession());
+    }
+
+    /**
+     * Vérifie qu'une combinaison d'options donne une valeur autorisée à chacun des types d'options du produit.
+     * Les noms et valeurs sont comparés sans tenir compte de la casse, puis repris tels que définis sur le produit.
+     * @param {Array<{name: string, values: string[]}>} optionTypes - Les types d'options du produit.
+     * @param {Array<{name: string, value: string}>} options - Les options de la variante.
+     * @throws {ErrorResponse} - 400 avec la liste des erreurs.
+     * @returns {Array<{name: string, value: string}>} - Les options, dans l'ordre des types d'options.
+     */
+    static checkOptions(optionTypes = [], options = []) {
+        const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+        const errors = [];
+
+        for (const option of options) {
+            if (!optionTypes.some((type) => same(type.name, option.name))) {
+                errors.push(`Option inconnue pour ce produit : ${option.name}`);
+            }
+        }
+        const checked = [];
+        for (const type of optionTypes) {
+            const matching = options.filter((option) => same(option.name, type.name));
+            if (matching.length === 0) {
+                errors.push(`L'option "${type.name}" est requise`);
+            } else if (matching.length > 1) {
+                errors.push(`L'option "${type.name}" ne peut avoir qu'une valeur`);
+            } else {
+                const value = type.values.find((allowed) => same(allowed, matching[0].value));
+                if (value === undefined) {
+                    errors.push(`Valeur non valide pour "${type.name}" : ${matching[0].value}. Valeurs possibles : ${type.values.join(', ')}`);
+                } else {
+                    checked.push({ name: type.name, value });
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new ErrorResponse(errors[0], 400, { errors });
+        }
+        return checked;
+    }
+
+    /**
+     * Traduit une erreur d'index unique (code 11000) en erreur 409 ; les autres erreurs sont renvoyées telles quelles.
+     * @param {Error} error
+     * @returns {Error}
+     */
+    static duplicateError(error) {
+        if (error?.code !== 11000) {
+            return error;
+        }
+        const field = Object.keys(error.keyPattern || {}).find((key) => ProductVariants.DUPLICATES[key]);
+        return new ErrorResponse(ProductVariants.DUPLICATES[field] || 'Cette variante existe déjà', 409, { field });
+    }
+
+    /**
+     * Vérifie que les variantes existantes d'un produit restent valides avec de nouveaux types d'options.
+     * @param {string} productId
+     * @param {Array<{name: string, values: string[]}>} optionTypes
+     * @throws {ErrorResponse} - 409 avec les références des variantes incompatibles.
+     * @returns {Promise<void>}
+     */
+    async assertCompatible(productId, optionTypes) {
+        const variants = await this.variantModel.find({ product: productId }).select('sku options');
+        const conflicts = variants.filter((variant) => {
+            try {
+                ProductVariants.checkOptions(optionTypes, variant.options);
+                return false;
+            } catch (error) {
+                return true;
+            }
+        });
+        if (conflicts.length > 0) {
+            throw new ErrorResponse('Des variantes existantes ne correspondent pas à ces types d\'options', 409, {
+                variants: conflicts.map((variant) => variant.sku),
+            });
+        }
+    }
+
+    /**
+     * Écrit une ou plusieurs variantes d'un produit puis le synchronise, dans une même transaction.
+     * withTransaction la rejoue en cas de conflit d'écriture : work doit donc relire ce qu'il modifie.
+     * @param {string} productId
+     * @param {function(ClientSession): Promise<*>} work - Les écritures, qui reçoivent la session.
+     * @returns {Promise<{result: *, variants: Object[], stock: number}>}
+     */
+    async write(productId, work) {
+        const session = await this.startSession();
+        try {
+            let outcome;
+            await session.withTransaction(async () => {
+                const result = await work(session);
+                outcome = { result, ...(await this.sync(productId, session)) };
+            });
+            return outcome;
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    /**
+     * Recalcule la liste des variantes, le stock et la disponibilité d'un produit à partir de ses variantes.
+     * Sans session, le recalcul ouvre sa propre transaction : le stock lu n'est jamais écrit hors de celle-ci.
+     * @param {string} productId
+     * @param {ClientSession} [session] - La session de la transaction MongoDB en cours.
+     * @returns {Promise<{variants: Object[], stock: number}>}
+     */
+    async sync(productId, session) {
+        if (!session) {
+            const { variants, stock } = await this.write(productId, async () => null);
+            return { variants, stock };
+        }
+        const variants = await this.variantModel.find({ product: productId })
+            .select('_id stock')
+            .sort('createdAt')
+            .session(session);
+        const stock = variants.reduce((sum, variant) => sum + variant.stock, 0);
+        const ids = variants.map((variant) => variant._id);
+
+        // updateOne contourne le hook pre('save') qui synchronise isAvailable
+        await this.productModel.updateOne(
+            { _id: productId },
+            { variants: ids, stock, isAvailable: stock > 0 },
+            { session }
+        );
+        return { variants: ids, stock };
+    }
+
+    /**
+     * Supprime toutes les variantes d'un produit (suppression du produit).
+     * @param {string} productId
+     * @returns {Promise<number>} - Le nombre de variantes supprimées.
+     */
+    async removeAll(productId) {
+        const { deletedCount } = await this.variantModel.deleteMany({ product: productId });
+        return deletedCount;
+    }
+}
+
+export default ProductVariants;
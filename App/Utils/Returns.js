@@ -0,0 +1,202 @@
+import mongoose from 'mongoose';
+import orderModel from '../Models/order.js';
+import paymentModel from '../Models/payment.js';
+import returnRequestModel from '../Models/returnRequest.js';
+import { toNumber, round } from './numbers.js';
+import Inventory from './Inventory.js';
+import Payments from './Payments.js';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Service de gestion des retours (RMA) : demande, validation, réception avec remise en stock,
+ * puis remboursement via la couche de paiement. La commande suit les quantités retournées,
+ * le montant remboursé et passe aux statuts "returned" puis "refunded".
+ */
+class Returns {
+    constructor(options = {}) {
+        this.returnWindowDays = toNumber(options.returnWindowDays ?? process.env.RETURN_WINDOW_DAYS, 30);
+        this.inventory = options.inventory || new Inventory();
+        this.payments = options.payments || new Payments();
+    }
+
+    /**
+     * Crée une demande de retour pour des lignes d'une commande livrée.
+     * @param {Object} order - Le document commande.
+     * @param {Array<{item: string, quantity: number, reason: string, comment?: string}>} items - Les articles à retourner.
+     * @param {Object} options
+     * @param {string} options.user - L'ID de l'utilisateur qui demande le retour.
+     * @throws {ErrorResponse} - 409 si la commande n'est pas retournable ou si une quantité dépasse le retournable.
+     * @returns {Promise<Object>} - La demande de retour créée.
+     */
+    async requestReturn(order, items, { user }) {
+        if (order.status !== 'delivered') {
+            throw new ErrorResponse('Seules les commandes livrées peuvent faire l\'objet d\'un retour', 409);
+        }
+        const deadline = new Date(order.deliveredAt || order.createdAt);
+        deadline.setDate(deadline.getDate() + this.returnWindowDays);
+        if (deadline < new Date()) {
+            throw new ErrorResponse(`Le délai de retour de ${this.returnWindowDays} jours est dépassé`, 409);
+        }
+
+        // Quantités déjà engagées dans des demandes en cours
+        const openReturns = await returnRequestModel.find({ order: order._id, status: { $in: ['requested', 'approved'] } });
+        const pending = new Map();
+        openReturns.forEach((request) => request.items.forEach((item) => {
+            pending.set(String(item.orderItem), (pending.get(String(item.orderItem)) || 0) + item.quantity);
+        }));
+
+        const lines = items.map((item) => {
+            const line = order.items.id(item.item);
+            if (!line) {
+                throw new ErrorResponse(`Ligne de commande introuvable : ${item.item}`, 400);
+            }
+            const returnable = line.quantity - (line.returnedQuantity || 0) - (pending.get(String(line._id)) || 0);
+            if (item.quantity > returnable) {
+                throw new ErrorResponse(
+                    `Quantité retournable dépassée pour "${line.name}" (${returnable} au maximum)`,
+                    409,
+                    { item: line._id, returnable }
+                );
+            }
+            return {
+                orderItem: line._id,
+                product: line.product,
+                variant: line.variant,
+                name: line.name,
+                quantity: item.quantity,
+                reason: item.reason,
+                comment: item.comment,
+            };
+        });
+
+        return returnRequestModel.create({ order: order._id, user, items: lines });
+    }
+
+    /**
+     * Applique une transition simple (approbation, rejet, annulation) à une demande de retour.
+     * @param {Object} returnRequest - La demande de retour.
+     * @param {string} status - Le statut cible.
+     * @param {Object} [options] - Options de la transition (changedBy, reason).
+     * @returns {Promise<Object>} - La demande mise à jour.
+     */
+    async transition(returnRequest, status, options = {}) {
+        returnRequest.transitionTo(status, options);
+        await returnRequest.save();
+        return returnRequest;
+    }
+
+    /**
+     * Enregistre la réception des articles retournés : remise en stock et mise à jour de la commande,
+     * dans une même transaction. La commande passe à "returned" lorsque tous ses articles sont revenus.
+     * @param {Object} returnRequest - La demande de retour.
+     * @param {Object} [options]
+     * @param {string} [options.changedBy] - L'ID de l'utilisateur qui réceptionne.
+     * @param {string} [options.reason] - Une note sur la réception.
+     * @param {boolean} [options.restock=true] - Remettre les articles en stock (false pour des articles défectueux).
+     * @returns {Promise<Object>} - La demande mise à jour.
+     */
+    async receive(returnRequest, { changedBy, reason, restock = true } = {}) {
+        returnRequest.transitionTo('received', { changedBy, reason });
+        const order = await orderModel.findById(returnRequest.order);
+
+        returnRequest.items.forEach((item) => {
+            const line = order.items.id(item.orderItem);
+            line.returnedQuantity = (line.returnedQuantity || 0) + item.quantity;
+        });
+        if (order.isFullyReturned() && order.canTransitionTo('returned')) {
+            order.transitionTo('returned', { changedBy, reason: 'Tous les articles ont été retournés' });
+        }
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            if (restock) {
+                await this.inventory.release(returnRequest.items, session);
+                returnRequest.restocked = true;
+            }
+            await order.save({ session });
+            await returnRequest.save({ session });
+            await session.commitTransaction();
+            return returnRequest;
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }
+
+    /**
+     * Calcule le montant à rembourser pour une demande de retour : prix net des articles (remises déduites)
+     * et quote-part des taxes. Le dernier retour d'une commande entièrement retournée solde le reste (livraison incluse).
+     * @param {Object} returnRequest - La demande de retour.
+     * @param {Object} order - Le document commande.
+     * @param {Object} [options]
+     * @param {boolean} [options.settleBalance] - Rembourser tout le solde restant de la commande.
+     * @returns {number}
+     */
+    refundAmount(returnRequest, order, { settleBalance = false } = {}) {
+        const balance = round(order.totalPrice - (order.refundedPrice || 0));
+        if (settleBalance) {
+            return balance;
+        }
+
+        const itemsNet = returnRequest.items.reduce((acc, item) => {
+            const line = order.items.id(item.orderItem);
+            const unitNet = (line.price * line.quantity - (line.discount || 0)) / line.quantity;
+            return acc + unitNet * item.quantity;
+        }, 0);
+        const orderNet = order.itemsPrice - order.discountPrice;
+        const tax = orderNet > 0 ? order.taxPrice * itemsNet / orderNet : 0;
+        return round(Math.min(balance, itemsNet + tax));
+    }
+
+    /**
+     * Rembourse une demande de retour réceptionnée via le dernier paiement réussi de la commande.
+     * @param {Object} returnRequest - La demande de retour.
+     * @param {Object} [options]
+     * @param {string} [options.changedBy] - L'ID de l'utilisateur qui rembourse.
+     * @param {number} [options.amount] - Le montant à rembourser (calculé par défaut).
+     * @param {string} [options.reason] - Le motif du remboursement.
+     * @throws {ErrorResponse} - 409 si aucun paiement n'est remboursable, 400 si le montant dépasse le solde.
+     * @returns {Promise<Object>} - La demande mise à jour.
+     */
+    async refund(returnRequest, { changedBy, amount, reason } = {}) {
+        returnRequest.transitionTo('refunded', { changedBy, reason });
+        const order = await orderModel.findById(returnRequest.order);
+
+        const otherOpenReturns = await returnRequestModel.exists({
+            order: order._id,
+            _id: { $ne: returnRequest._id },
+            status: { $in: ['requested', 'approved', 'received'] },
+        });
+        const toRefund = amount ?? this.refundAmount(returnRequest, order, {
+            settleBalance: order.isFullyReturned() && !otherOpenReturns,
+        });
+        const balance = round(order.totalPrice - (order.refundedPrice || 0));
+        if (toRefund <= 0 || toRefund > balance) {
+            throw new ErrorResponse(`Le montant remboursable pour cette commande est de ${balance}`, 400);
+        }
+
+        const payment = await paymentModel
+            .findOne({ order: order._id, status: { $in: ['succeeded', 'partially_refunded'] } })
+            .sort('-createdAt');
+        if (!payment) {
+            throw new ErrorResponse('Aucun paiement remboursable pour cette commande', 409);
+        }
+
+        // La commande (montant remboursé, statut) est mise à jour par Payments, comme pour un remboursement direct
+        returnRequest.refundAmount = toRefund;
+        returnRequest.payment = payment._id;
+        await this.payments.refundPayment(payment, toRefund, reason || `Retour ${returnRequest._id}`, {
+            changedBy,
+            work: async (session, refund) => {
+                returnRequest.refundId = refund.id;
+                await returnRequest.save({ session });
+            },
+        });
+        return returnRequest;
+    }
+}
+
+export default Returns;
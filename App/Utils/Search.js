@@ -0,0 +1,46 @@
+import SearchEngine from './SearchEngine.js';
+import './MongoSearchEngine.js';
+import './MemorySearchEngine.js';
+import ErrorResponse from './errorResponse.js';
+import Logger from './Logger.js';
+
+/**
+ * Service de recherche de produits : interroge le moteur configuré (SEARCH_ENGINE, 'mongo' par défaut)
+ * et, s'il échoue (index texte absent, base indisponible...), le moteur de secours en mémoire
+ * (SEARCH_FALLBACK_ENGINE, 'memory' par défaut ; une valeur vide désactive le secours).
+ */
+class Search {
+    constructor(options = {}) {
+        this.engineName = options.engine || process.env.SEARCH_ENGINE || 'mongo';
+        this.fallbackName = options.fallback ?? process.env.SEARCH_FALLBACK_ENGINE ?? 'memory';
+        this.logger = options.logger || new Logger();
+    }
+
+    /**
+     * Recherche des produits (voir SearchEngine.search pour les paramètres).
+     * @param {Object} params
+     * @returns {Promise<{engine: string, total: number, hits: Array<Object>, facets: Object}>}
+     */
+    async search(params) {
+        try {
+            return { engine: this.engineName, ...(await SearchEngine.use(this.engineName).search(params)) };
+        } catch (error) {
+            if (error instanceof ErrorResponse || !this.fallbackName || this.fallbackName === this.engineName) {
+                throw error;
+            }
+            this.logger.logger.warn(`Search engine "${this.engineName}" failed, falling back to "${this.fallbackName}": ${error.message}`);
+            return { engine: this.fallbackName, ...(await SearchEngine.use(this.fallbackName).search(params)) };
+        }
+    }
+
+    /**
+     * Signale une modification du catalogue à tous les moteurs instanciés.
+     */
+    invalidate() {
+        for (const engine of SearchEngine.instances.values()) {
+            engine.invalidate();
+        }
+    }
+}
+
+export default Search;
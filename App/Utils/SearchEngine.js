@@ -0,0 +1,277 @@
+import { toNumber } from './numbers.js';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Interface commune des moteurs de recherche de produits.
+ * Chaque moteur (mongo, memory, ...) étend cette classe et s'enregistre avec SearchEngine.register().
+ * Le résultat renvoyé est normalisé : { total, hits: [{ product, score, highlights }], facets }.
+ */
+class SearchEngine {
+    static providers = new Map();
+    static instances = new Map();
+
+    // Tri des résultats accepté par tous les moteurs
+    static SORTS = ['relevance', 'price', '-price', 'newest', 'rating'];
+
+    // Tranches de prix des facettes par défaut (en XOF)
+    static PRICE_BOUNDARIES = [0, 5000, 10000, 25000, 50000, 100000];
+
+    // Noms des types d'options des variantes (en minuscules) qui alimentent les filtres et facettes color et size
+    static OPTION_NAMES = { color: ['couleur', 'color'], size: ['taille', 'size'] };
+
+    /**
+     * Enregistre un moteur de recherche.
+     * @param {string} name - Le nom du moteur (ex : 'memory').
+     * @param {Function} Engine - La classe du moteur, qui étend SearchEngine.
+     */
+    static register(name, Engine) {
+        SearchEngine.providers.set(name, Engine);
+        SearchEngine.instances.delete(name);
+    }
+
+    /**
+     * Retourne l'instance du moteur demandé.
+     * @param {string} name - Le nom du moteur.
+     * @throws {ErrorResponse} - 400 si le moteur n'est pas enregistré.
+     * @returns {SearchEngine}
+     */
+    static use(name) {
+        if (!SearchEngine.instances.has(name)) {
+            const Engine = SearchEngine.providers.get(name);
+            if (!Engine) {
+                throw new ErrorResponse(`Moteur de recherche inconnu : ${name}`, 400);
+            }
+            SearchEngine.instances.set(name, new Engine());
+        }
+        return SearchEngine.instances.get(name);
+    }
+
+    /**
+     * Recherche des produits.
+     * @param {Object} params
+     * @param {string} [params.q] - Le texte recherché (nom, description, marque, catégorie).
+     * @param {string} [params.brand] - L'ID de la marque.
+     * @param {string} [params.category] - L'ID de la catégorie (ses sous-catégories sont incluses).
+     * @param {number} [params.minPrice] - Le prix minimal.
+     * @param {number} [params.maxPrice] - Le prix maximal.
+     * @param {string} [params.color] - La couleur d'une des variantes (voir SearchEngine.OPTION_NAMES).
+     * @param {string} [params.size] - La taille d'une des variantes (voir SearchEngine.OPTION_NAMES).
+     * @param {boolean} [params.inStock] - true : produits en stock, false : produits en rupture.
+     * @param {string} [params.sort] - Un des SearchEngine.SORTS (pertinence par défaut).
+     * @param {number} params.page - La page demandée.
+     * @param {number} params.limit - Le nombre de résultats par page.
+     * @returns {Promise<{total: number, hits: Array<{product: Object, score: number, highlights: Object}>, facets: Object, correctedQuery?: string}>}
+     * correctedQuery : la recherche effectuée, quand les termes saisis ont été corrigés.
+     */
+    async search(params) {
+        throw new Error(`${this.constructor.name}.search() n'est pas implémenté`);
+    }
+
+    /**
+     * Signale que le catalogue a changé (les moteurs qui tiennent un index le reconstruisent).
+     */
+    invalidate() {}
+
+    /**
+     * Normalise un texte pour la recherche : minuscules, sans accents.
+     * @param {string} text
+     * @returns {string}
+     */
+    static normalize(text) {
+        return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Découpe un texte en termes normalisés.
+     * @param {string} text
+     * @returns {string[]}
+     */
+    static tokenize(text) {
+        return SearchEngine.normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    /**
+     * Bornes des tranches de prix des facettes (SEARCH_PRICE_BUCKETS, séparées par des virgules).
+     * @returns {number[]}
+     */
+    static priceBoundaries() {
+        const boundaries = String(process.env.SEARCH_PRICE_BUCKETS || '')
+            .split(',')
+            .map((value) => toNumber(value, NaN))
+            .filter((value) => Number.isFinite(value));
+        return boundaries.length > 0
+            ? [...new Set(boundaries)].sort((a, b) => a - b)
+            : SearchEngine.PRICE_BOUNDARIES;
+    }
+
+    /**
+     * Valeur d'une variante pour l'option correspondant à un filtre (color ou size).
+     * @param {Object} variant - La variante, avec ses options.
+     * @param {string} key - La clé de SearchEngine.OPTION_NAMES.
+     * @returns {string|undefined}
+     */
+    static optionValue(variant, key) {
+        const names = SearchEngine.OPTION_NAMES[key] || [];
+        return (variant.options || []).find((option) => names.includes(String(option.name).toLowerCase()))?.value;
+    }
+
+    /**
+     * Tranche de prix d'un produit ; la dernière tranche n'a pas de borne supérieure.
+     * @param {number} price
+     * @param {number[]} boundaries
+     * @returns {{min: number, max: number|null}|null}
+     */
+    static priceBucket(price, boundaries) {
+        for (let i = boundaries.length - 1; i >= 0; i--) {
+            if (price >= boundaries[i]) {
+                return { min: boundaries[i], max: boundaries[i + 1] ?? null };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Distance d'édition entre deux termes (Damerau-Levenshtein restreinte : une inversion de deux
+     * lettres voisines compte pour une seule faute), interrompue au-delà de max.
+     * @param {string} a
+     * @param {string} b
+     * @param {number} max
+     * @returns {number}
+     */
+    static distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let best = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+                best = Math.min(best, current[j]);
+            }
+            if (best > max) {
+                return max + 1;
+            }
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Nombre de fautes tolérées pour un terme recherché.
+     * @param {string} term
+     * @returns {number}
+     */
+    static maxEdits(term) {
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * Corrige les termes absents du vocabulaire par le terme le plus proche (SearchEngine.maxEdits fautes
+     * au plus), le plus fréquent en cas d'égalité. Les termes sans correction sont conservés.
+     * @param {string[]} terms - Les termes normalisés.
+     * @param {Map<string, number>} vocabulary - Les termes du catalogue et leur nombre d'occurrences.
+     * @returns {string[]}
+     */
+    static correct(terms, vocabulary) {
+        return terms.map((term) => {
+            const maxEdits = SearchEngine.maxEdits(term);
+            if (maxEdits === 0 || vocabulary.has(term)) {
+                return term;
+            }
+            let best = null;
+            for (const [candidate, count] of vocabulary) {
+                const distance = SearchEngine.distance(term, candidate, maxEdits);
+                if (distance <= maxEdits && (!best || distance < best.distance || (distance === best.distance && count > best.count))) {
+                    best = { candidate, distance, count };
+                }
+            }
+            return best ? best.candidate : term;
+        });
+    }
+
+    /**
+     * Échappe un texte pour l'insérer dans du HTML.
+     * @param {string} text
+     * @returns {string}
+     */
+    static escapeHtml(text) {
+        return text.replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[char]));
+    }
+
+    /**
+     * Met en évidence (<mark>) les mots d'un texte qui correspondent aux termes recherchés
+     * (égaux, ou commençant par un terme d'au moins 3 caractères). Le reste du texte est échappé.
+     * @param {string} text - Le texte d'origine.
+     * @param {string[]} terms - Les termes normalisés.
+     * @param {number} [length] - Longueur maximale de l'extrait, centré sur la première correspondance.
+     * @returns {string|null} - Le texte mis en évidence, ou null si aucun mot ne correspond.
+     */
+    static highlight(text, terms, length) {
+        if (!text || terms.length === 0) {
+            return null;
+        }
+        const matches = (word) => {
+            const normalized = SearchEngine.normalize(word);
+            return terms.some((term) => normalized === term || (term.length >= 3 && normalized.startsWith(term)));
+        };
+
+        let source = String(text);
+        let first = -1;
+        for (const match of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+            if (matches(match[0])) {
+                first = match.index;
+                break;
+            }
+        }
+        if (first === -1) {
+            return null;
+        }
+
+        let prefix = '';
+        let suffix = '';
+        if (length && source.length > length) {
+            const start = Math.max(0, Math.min(first - Math.floor(length / 4), source.length - length));
+            prefix = start > 0 ? '…' : '';
+            suffix = start + length < source.length ? '…' : '';
+            source = source.slice(start, start + length);
+        }
+
+        const highlighted = source.split(/([\p{L}\p{N}]+)/u).map((part, index) => (
+            index % 2 === 1 && matches(part)
+                ? `<mark>${SearchEngine.escapeHtml(part)}</mark>`
+                : SearchEngine.escapeHtml(part)
+        )).join('');
+        return `${prefix}${highlighted}${suffix}`;
+    }
+
+    /**
+     * Mises en évidence d'un produit pour les termes recherchés (seuls les champs qui correspondent sont renvoyés).
+     * @param {Object} product - Le produit, avec sa marque et sa catégorie peuplées.
+     * @param {string[]} terms - Les termes normalisés.
+     * @returns {Object}
+     */
+    static highlights(product, terms) {
+        const fields = {
+            name: SearchEngine.highlight(product.name, terms),
+            description: SearchEngine.highlight(product.description, terms, 160),
+            brand: SearchEngine.highlight(product.brand?.name, terms),
+            category: SearchEngine.highlight(product.category?.name, terms),
+        };
+        return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+    }
+}
+
+export default SearchEngine;
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import sessionModel from '../Models/session.js';
+import userModel from '../Models/user.js';
+import AuthMiddleware from '../Middlewares/authMiddleware.js';
+import { toNumber } from './numbers.js';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Service de sessions : émet un access token de courte durée accompagné d'un refresh token
+ * rotatif (stocké haché dans la collection Session), gère la rotation, la détection de
+ * réutilisation et la révocation (déconnexion d'un appareil ou de tous les appareils).
+ */
+class Sessions {
+    constructor(options = {}) {
+        this.refreshTokenTtlDays = toNumber(options.refreshTokenTtlDays ?? process.env.REFRESH_TOKEN_TTL_DAYS, 30);
+        this.model = options.model || sessionModel;
+        this.userModel = options.userModel || userModel;
+    }
+
+    /**
+     * Génère un refresh token aléatoire.
+     * @returns {string}
+     */
+    static generateRefreshToken() {
+        return crypto.randomBytes(48).toString('hex');
+    }
+
+    /**
+     * Ouvre une session pour un utilisateur et émet la paire de tokens.
+     * @param {Object} user - Le document utilisateur.
+     * @param {Object} [options]
+     * @param {string} [options.family] - La famille de tokens à prolonger (rotation).
+     * @param {string} [options.userAgent] - L'agent utilisateur du client.
+     * @param {string} [options.ip] - L'adresse IP du client.
+     * @returns {Promise<{accessToken: string, refreshToken: string, expiresAt: Date, session: Object}>}
+     */
+    async issue(user, { family, userAgent, ip } = {}) {
+        const refreshToken = Sessions.generateRefreshToken();
+        const expiresAt = new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+        const session = await this.model.create({
+            user: user._id,
+            family: family || crypto.randomUUID(),
+            tokenHash: this.model.hashToken(refreshToken),
+            expiresAt,
+            userAgent,
+            ip,
+        });
+
+        return {
+            accessToken: AuthMiddleware.generateToken(user, { sessionId: session._id }),
+            refreshToken,
+            expiresAt,
+            session,
+        };
+    }
+
+    /**
+     * Échange un refresh token contre une nouvelle paire de tokens.
+     * Le token présenté est révoqué ; s'il l'avait déjà été par une rotation, il a été volé :
+     * toute sa famille est révoquée.
+     * @param {string} refreshToken - Le refresh token en clair.
+     * @param {Object} [meta] - userAgent et ip du client.
+     * @throws {ErrorResponse} - 401 si le token est inconnu, expiré, révoqué ou réutilisé.
+     * @returns {Promise<{accessToken: string, refreshToken: string, expiresAt: Date, session: Object, user: Object}>}
+     */
+    async rotate(refreshToken, meta = {}) {
+        const session = await this.model.findOne({ tokenHash: this.model.hashToken(refreshToken) });
+        if (!session) {
+            throw new ErrorResponse('Refresh token invalide', 401, { reason: 'invalid_token' });
+        }
+        if (session.revokedAt) {
+            if (session.revokedReason === 'rotated') {
+                await this.reuseDetected(session);
+            }
+            throw new ErrorResponse('Session révoquée', 401, { reason: 'revoked' });
+        }
+        if (session.expiresAt <= new Date()) {
+            throw new ErrorResponse('Session expirée', 401, { reason: 'expired' });
+        }
+
+        const user = await this.userModel.findById(session.user).select('+isActive');
+        if (!user || user.isActive === false) {
+            await this.model.revokeWhere({ _id: session._id }, 'logout');
+            throw new ErrorResponse('Compte utilisateur introuvable', 401, { reason: 'user_not_found' });
+        }
+        if (user.changedPasswordAfter(session.createdAt)) {
+            await this.model.revokeWhere({ user: user._id }, 'password_changed');
+            throw new ErrorResponse('Le mot de passe a été modifié, veuillez vous reconnecter', 401, { reason: 'password_changed' });
+        }
+
+        // Révocation conditionnelle : deux rafraîchissements concurrents du même token valent réutilisation
+        const now = new Date();
+        const claimed = await this.model.findOneAndUpdate(
+            { _id: session._id, revokedAt: null },
+            { revokedAt: now, revokedReason: 'rotated', lastUsedAt: now },
+            { new: true }
+        );
+        if (!claimed) {
+            await this.reuseDetected(session);
+            throw new ErrorResponse('Session révoquée', 401, { reason: 'revoked' });
+        }
+
+        const issued = await this.issue(user, { ...meta, family: session.family });
+        await this.model.updateOne({ _id: session._id }, { replacedBy: issued.session._id });
+        return { ...issued, user };
+    }
+
+    /**
+     * Révoque toute la famille d'un token réutilisé.
+     * @param {Object} session - La session dont le token a été réutilisé.
+     * @throws {ErrorResponse} - 401 systématiquement.
+     * @returns {Promise<never>}
+     */
+    async reuseDetected(session) {
+        const revoked = await this.model.revokeWhere({ family: session.family }, 'reuse_detected');
+        throw new ErrorResponse('Réutilisation d\'un refresh token détectée, toutes les sessions liées ont été révoquées', 401, {
+            reason: 'reuse_detected',
+            user: String(session.user),
+            family: session.family,
+            revoked,
+        });
+    }
+
+    /**
+     * Déconnecte la session courante, identifiée par son refresh token ou par son ID.
+     * @param {string} userId - L'ID de l'utilisateur connecté.
+     * @param {Object} target
+     * @param {string} [target.refreshToken] - Le refresh token de la session.
+     * @param {string} [target.sessionId] - L'ID de la session (porté par l'access token).
+     * @returns {Promise<number>} - Le nombre de sessions révoquées.
+     */
+    async revoke(userId, { refreshToken, sessionId }) {
+        if (!refreshToken && !sessionId) {
+            return 0;
+        }
+        const filter = refreshToken
+            ? { tokenHash: this.model.hashToken(refreshToken) }
+            : { _id: sessionId };
+        return this.model.revokeWhere({ ...filter, user: userId }, 'logout');
+    }
+
+    /**
+     * Déconnecte l'utilisateur de tous ses appareils.
+     * @param {string} userId - L'ID de l'utilisateur.
+     * @param {string} [reason] - La raison de la révocation.
+     * @returns {Promise<number>} - Le nombre de sessions révoquées.
+     */
+    async revokeAll(userId, reason = 'logout_all') {
+        return this.model.revokeWhere({ user: userId }, reason);
+    }
+}
+
+export default Sessions;
@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import oauthStateModel from '../Models/oauthState.js';
+import userModel from '../Models/user.js';
+import IdentityProvider from './IdentityProvider.js';
+import './OidcProvider.js';
+import './FakeOidcProvider.js';
+import { toNumber } from './numbers.js';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Service de connexion via un fournisseur d'identité (OAuth2 / OpenID Connect) : démarre le flux
+ * "authorization code" avec PKCE, le termine au retour du fournisseur et retrouve, lie ou crée le
+ * compte correspondant. Un compte existant n'est lié automatiquement que si le fournisseur
+ * garantit que l'adresse e-mail est vérifiée.
+ */
+class SocialLogin {
+    constructor(options = {}) {
+        this.stateTtlMinutes = toNumber(options.stateTtlMinutes ?? process.env.OAUTH_STATE_TTL_MINUTES, 10);
+        this.stateModel = options.stateModel || oauthStateModel;
+        this.userModel = options.userModel || userModel;
+    }
+
+    /**
+     * Démarre un flux d'autorisation.
+     * @param {string} providerName - Le nom du fournisseur.
+     * @param {Object} params
+     * @param {string} params.redirectUri - L'URL du callback.
+     * @param {string} [params.linkUserId] - L'utilisateur connecté auquel lier l'identité.
+     * @throws {ErrorResponse} - 404 si le fournisseur est inconnu.
+     * @returns {Promise<string>} - L'URL de la page d'autorisation du fournisseur.
+     */
+    async start(providerName, { redirectUri, linkUserId }) {
+        const provider = IdentityProvider.use(providerName);
+        const state = crypto.randomBytes(32).toString('hex');
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+        await this.stateModel.create({
+            state,
+            provider: providerName,
+            nonce,
+            codeVerifier,
+            redirectUri,
+            user: linkUserId,
+            expiresAt: new Date(Date.now() + this.stateTtlMinutes * 60 * 1000),
+        });
+
+        return provider.authorizationUrl({
+            redirectUri,
+            state,
+            nonce,
+            codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+        });
+    }
+
+    /**
+     * Termine un flux d'autorisation au retour du fournisseur.
+     * @param {string} providerName - Le nom du fournisseur.
+     * @param {Object} params
+     * @param {string} params.code - Le code d'autorisation.
+     * @param {string} params.state - Le state renvoyé par le fournisseur.
+     * @throws {ErrorResponse} - 400 si le state est inconnu, expiré ou déjà utilisé.
+     * @returns {Promise<{user: Object, created: boolean, linked: boolean, linkedTo?: string}>}
+     */
+    async complete(providerName, { code, state }) {
+        const provider = IdentityProvider.use(providerName);
+        const flow = await this.stateModel.findOneAndDelete({
+            state,
+            provider: providerName,
+            expiresAt: { $gt: new Date() },
+        });
+        if (!flow) {
+            throw new ErrorResponse('Flux d\'authentification invalide ou expiré, veuillez recommencer', 400);
+        }
+
+        const profile = await provider.exchangeCode({
+            code,
+            redirectUri: flow.redirectUri,
+            codeVerifier: flow.codeVerifier,
+            nonce: flow.nonce,
+        });
+
+        if (flow.user) {
+            const user = await this.link(flow.user, providerName, profile);
+            return { user, created: false, linked: true, linkedTo: String(flow.user) };
+        }
+        return this.resolveUser(providerName, profile);
+    }
+
+    /**
+     * Retrouve le compte d'une identité externe, ou le lie / le crée.
+     * @param {string} providerName - Le nom du fournisseur.
+     * @param {Object} profile - Le profil normalisé.
+     * @throws {ErrorResponse} - 400 sans adresse e-mail, 409 si un compte existe avec une adresse non vérifiée par le fournisseur.
+     * @returns {Promise<{user: Object, created: boolean, linked: boolean}>}
+     */
+    async resolveUser(providerName, profile) {
+        const known = await this.findByIdentity(providerName, profile.subject);
+        if (known) {
+            return { user: known, created: false, linked: false };
+        }
+
+        if (!profile.email) {
+            throw new ErrorResponse('Le fournisseur n\'a pas communiqué d\'adresse e-mail', 400);
+        }
+
+        const existing = await this.userModel.findOne({ email: profile.email });
+        if (existing) {
+            if (!profile.emailVerified) {
+                throw new ErrorResponse(
+                    'Un compte existe déjà avec cette adresse e-mail : connectez-vous puis liez ce fournisseur depuis votre compte',
+                    409
+                );
+            }
+            const user = await this.link(existing._id, providerName, profile);
+            return { user, created: false, linked: true };
+        }
+
+        try {
+            const user = await this.userModel.create({
+                name: profile.name || profile.email.split('@')[0],
+                email: profile.email,
+                password: crypto.randomBytes(32).toString('hex'), // Inutilisable : le compte se connecte via le fournisseur
+                isEmailVerified: profile.emailVerified,
+                emailVerifiedAt: profile.emailVerified ? new Date() : undefined,
+                identities: [this.identity(providerName, profile)],
+            });
+            return { user, created: true, linked: false };
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new ErrorResponse('Ce compte vient d\'être créé, veuillez recommencer la connexion', 409);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Lie une identité externe à un compte.
+     * Le fournisseur ayant vérifié l'adresse e-mail du compte, celle-ci est marquée vérifiée.
+     * @param {string} userId - L'ID du compte.
+     * @param {string} providerName - Le nom du fournisseur.
+     * @param {Object} profile - Le profil normalisé.
+     * @throws {ErrorResponse} - 409 si l'identité appartient à un autre compte ou si le compte est déjà lié à ce fournisseur.
+     * @returns {Promise<Object>} - Le compte mis à jour.
+     */
+    async link(userId, providerName, profile) {
+        const owner = await this.findByIdentity(providerName, profile.subject);
+        if (owner) {
+            if (String(owner._id) !== String(userId)) {
+                throw new ErrorResponse('Cette identité est déjà liée à un autre compte', 409);
+            }
+            return owner;
+        }
+
+        const update = { $push: { identities: this.identity(providerName, profile) } };
+        const user = await this.userModel.findOneAndUpdate(
+            { _id: userId, 'identities.provider': { $ne: providerName } },
+            update,
+            { new: true }
+        );
+        if (!user) {
+            throw new ErrorResponse(`Ce compte est déjà lié à un autre compte ${providerName}`, 409);
+        }
+        if (profile.emailVerified && profile.email === user.email && !user.isEmailVerified) {
+            user.isEmailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save({ validateBeforeSave: false });
+        }
+        return user;
+    }
+
+    /**
+     * Retire le lien entre un compte et un fournisseur.
+     * @param {string} userId - L'ID du compte.
+     * @param {string} providerName - Le nom du fournisseur.
+     * @throws {ErrorResponse} - 404 si le compte n'est pas lié à ce fournisseur.
+     * @returns {Promise<void>}
+     */
+    async unlink(userId, providerName) {
+        const { modifiedCount } = await this.userModel.updateOne(
+            { _id: userId },
+            { $pull: { identities: { provider: providerName } } }
+        );
+        if (modifiedCount === 0) {
+            throw new ErrorResponse(`Ce compte n'est pas lié à ${providerName}`, 404);
+        }
+    }
+
+    /**
+     * Retrouve le compte lié à une identité externe.
+     * @param {string} providerName - Le nom du fournisseur.
+     * @param {string} subject - L'identifiant chez le fournisseur.
+     * @returns {Promise<Object|null>}
+     */
+    async findByIdentity(providerName, subject) {
+        return this.userModel.findOne({ identities: { $elemMatch: { provider: providerName, subject } } });
+    }
+
+    /**
+     * Entrée du tableau identities d'un compte.
+     * @param {string} providerName - Le nom du fournisseur.
+     * @param {Object} profile - Le profil normalisé.
+     * @returns {Object}
+     */
+    identity(providerName, profile) {
+        return { provider: providerName, subject: profile.subject, email: profile.email, linkedAt: new Date() };
+    }
+}
+
+export default SocialLogin;
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Mots de passe à usage unique basés sur le temps (TOTP, RFC 6238) pour la double authentification,
+ * compatibles avec les applications d'authentification (Google Authenticator, Authy...).
+ * Fournit aussi le chiffrement des secrets au repos et les codes de secours.
+ */
+class Totp {
+    constructor(options = {}) {
+        this.step = options.step || 30; // Durée de validité d'un code, en secondes
+        this.digits = options.digits || 6;
+        this.window = options.window ?? 1; // Tolérance de décalage d'horloge, en pas
+        this.issuer = options.issuer || process.env.TWO_FACTOR_ISSUER || 'eShopping';
+        this.encryptionKey = crypto
+            .createHash('sha256')
+            .update(options.encryptionKey || process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+            .digest();
+    }
+
+    /**
+     * Encode un buffer en base32 (RFC 4648, sans remplissage).
+     * @param {Buffer} buffer
+     * @returns {string}
+     */
+    static base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return output;
+    }
+
+    /**
+     * Décode une chaîne base32 (insensible à la casse, espaces et remplissage ignorés).
+     * @param {string} input
+     * @returns {Buffer}
+     */
+    static base32Decode(input) {
+        const clean = input.toUpperCase().replace(/[\s=]/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Caractère base32 invalide : ${char}`);
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Génère un nouveau secret TOTP (160 bits, encodé en base32).
+     * @returns {string}
+     */
+    generateSecret() {
+        return Totp.base32Encode(crypto.randomBytes(20));
+    }
+
+    /**
+     * Calcule le code d'un pas de temps donné (HOTP, RFC 4226).
+     * @param {string} secret - Le secret en base32.
+     * @param {number} counter - Le numéro du pas de temps.
+     * @returns {string}
+     */
+    generateForStep(secret, counter) {
+        const buffer = Buffer.alloc(8);
+        buffer.writeBigUInt64BE(BigInt(counter));
+        const hmac = crypto.createHmac('sha1', Totp.base32Decode(secret)).update(buffer).digest();
+        const offset = hmac[hmac.length - 1] & 15;
+        const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** this.digits;
+        return String(code).padStart(this.digits, '0');
+    }
+
+    /**
+     * Calcule le code courant.
+     * @param {string} secret - Le secret en base32.
+     * @param {number} [time] - L'instant de référence (ms).
+     * @returns {string}
+     */
+    generate(secret, time = Date.now()) {
+        return this.generateForStep(secret, this.stepAt(time));
+    }
+
+    /**
+     * Numéro du pas de temps pour un instant donné.
+     * @param {number} time - L'instant (ms).
+     * @returns {number}
+     */
+    stepAt(time) {
+        return Math.floor(time / 1000 / this.step);
+    }
+
+    /**
+     * Vérifie un code saisi, avec une tolérance de `window` pas de part et d'autre.
+     * Un code d'un pas déjà utilisé est refusé (rejeu).
+     * @param {string} code - Le code saisi.
+     * @param {string} secret - Le secret en base32.
+     * @param {Object} [options]
+     * @param {number} [options.lastUsedStep] - Le dernier pas accepté pour ce secret.
+     * @param {number} [options.time] - L'instant de référence (ms).
+     * @returns {number|null} - Le pas correspondant au code, ou null s'il est invalide.
+     */
+    verify(code, secret, { lastUsedStep, time = Date.now() } = {}) {
+        if (!/^\d+$/.test(String(code)) || String(code).length !== this.digits) {
+            return null;
+        }
+        const current = this.stepAt(time);
+        for (let step = current - this.window; step <= current + this.window; step += 1) {
+            if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) {
+                continue;
+            }
+            const expected = Buffer.from(this.generateForStep(secret, step));
+            if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * URI otpauth:// à afficher sous forme de QR code pour l'enrôlement.
+     * @param {string} secret - Le secret en base32.
+     * @param {string} account - Le libellé du compte (adresse e-mail).
+     * @returns {string}
+     */
+    keyUri(secret, account) {
+        const label = encodeURIComponent(`${this.issuer}:${account}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.issuer,
+            algorithm: 'SHA1',
+            digits: String(this.digits),
+            period: String(this.step),
+        });
+        return `otpauth://totp/${label}?${params}`;
+    }
+
+    /**
+     * Chiffre un secret pour le stockage (AES-256-GCM).
+     * @param {string} secret - Le secret en clair.
+     * @returns {string} - iv, tag et contenu chiffré encodés en base64, séparés par des points.
+     */
+    encrypt(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+    }
+
+    /**
+     * Déchiffre un secret stocké.
+     * @param {string} payload - Le secret chiffré (voir encrypt).
+     * @returns {string}
+     */
+    decrypt(payload) {
+        const [iv, tag, encrypted] = payload.split('.').map((part) => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Génère des codes de secours à usage unique (format XXXXX-XXXXX).
+     * @param {number} [count] - Le nombre de codes.
+     * @returns {string[]}
+     */
+    static generateBackupCodes(count = 10) {
+        return Array.from({ length: count }, () => {
+            const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+            return `${code.slice(0, 5)}-${code.slice(5)}`;
+        });
+    }
+
+    /**
+     * Hache un code de secours pour le stockage et la comparaison.
+     * @param {string} code - Le code saisi (tirets et casse ignorés).
+     * @returns {string}
+     */
+    static hashBackupCode(code) {
+        const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+}
+
+export default Totp;
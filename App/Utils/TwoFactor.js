@@ -0,0 +1,168 @@
+import userModel from '../Models/user.js';
+import AuthMiddleware from '../Middlewares/authMiddleware.js';
+import ErrorResponse from './errorResponse.js';
+import Totp from './Totp.js';
+
+/**
+ * Service de double authentification : enrôlement TOTP, vérification des codes (TOTP ou codes
+ * de secours à usage unique), désactivation et régénération des codes de secours.
+ */
+class TwoFactor {
+    /**
+     * Champs sensibles à charger pour vérifier un code.
+     */
+    static SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+    constructor(options = {}) {
+        this.totp = options.totp || new Totp();
+        this.model = options.userModel || userModel;
+        this.backupCodeCount = options.backupCodeCount || 10;
+    }
+
+    /**
+     * Charge un utilisateur avec ses secrets de double authentification.
+     * @param {string} userId - L'ID de l'utilisateur.
+     * @param {string} [extraFields] - Champs supplémentaires à sélectionner.
+     * @returns {Promise<Object|null>}
+     */
+    async load(userId, extraFields = '') {
+        return this.model.findById(userId).select(`${TwoFactor.SECRET_FIELDS} ${extraFields}`.trim());
+    }
+
+    /**
+     * Démarre l'enrôlement : génère un secret à scanner dans une application d'authentification.
+     * @param {Object} user - Le document utilisateur.
+     * @throws {ErrorResponse} - 409 si la double authentification est déjà activée.
+     * @returns {Promise<{secret: string, otpauthUrl: string}>}
+     */
+    async setup(user) {
+        if (user.twoFactor?.enabled) {
+            throw new ErrorResponse('La double authentification est déjà activée', 409);
+        }
+        const secret = this.totp.generateSecret();
+        await this.model.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': this.totp.encrypt(secret) });
+        return { secret, otpauthUrl: this.totp.keyUri(secret, user.email) };
+    }
+
+    /**
+     * Termine l'enrôlement en vérifiant un premier code, puis génère les codes de secours.
+     * @param {string} userId - L'ID de l'utilisateur.
+     * @param {string} code - Le code affiché par l'application.
+     * @throws {ErrorResponse} - 409 si déjà activée, 400 sans enrôlement en cours ou si le code est invalide.
+     * @returns {Promise<string[]>} - Les codes de secours en clair (affichés une seule fois).
+     */
+    async enable(userId, code) {
+        const user = await this.load(userId);
+        if (user.twoFactor.enabled) {
+            throw new ErrorResponse('La double authentification est déjà activée', 409);
+        }
+        if (!user.twoFactor.pendingSecret) {
+            throw new ErrorResponse('Aucun enrôlement en cours, commencez par générer un secret', 400);
+        }
+
+        const step = this.totp.verify(code, this.totp.decrypt(user.twoFactor.pendingSecret));
+        if (step === null) {
+            throw new ErrorResponse('Code de vérification invalide', 400);
+        }
+
+        const backupCodes = Totp.generateBackupCodes(this.backupCodeCount);
+        user.twoFactor = {
+            enabled: true,
+            enabledAt: new Date(),
+            secret: user.twoFactor.pendingSecret,
+            pendingSecret: undefined,
+            backupCodes: backupCodes.map(Totp.hashBackupCode),
+            lastUsedStep: step,
+        };
+        await user.save({ validateBeforeSave: false });
+        return backupCodes;
+    }
+
+    /**
+     * Vérifie un second facteur : code TOTP ou code de secours (consommé).
+     * Les mises à jour conditionnelles empêchent d'utiliser deux fois le même code.
+     * @param {Object} user - Le document utilisateur chargé avec SECRET_FIELDS.
+     * @param {Object} factor
+     * @param {string} [factor.code] - Le code TOTP.
+     * @param {string} [factor.backupCode] - Un code de secours.
+     * @returns {Promise<{valid: boolean, method?: string, remainingBackupCodes?: number}>}
+     */
+    async verify(user, { code, backupCode }) {
+        if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+            return { valid: false };
+        }
+
+        if (code) {
+            const step = this.totp.verify(code, this.totp.decrypt(user.twoFactor.secret), {
+                lastUsedStep: user.twoFactor.lastUsedStep,
+            });
+            if (step === null) {
+                return { valid: false };
+            }
+            const { modifiedCount } = await this.model.updateOne(
+                {
+                    _id: user._id,
+                    $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+                },
+                { 'twoFactor.lastUsedStep': step }
+            );
+            return { valid: modifiedCount === 1, method: 'totp' };
+        }
+
+        if (backupCode) {
+            const hash = Totp.hashBackupCode(backupCode);
+            const { modifiedCount } = await this.model.updateOne(
+                { _id: user._id, 'twoFactor.backupCodes': hash },
+                { $pull: { 'twoFactor.backupCodes': hash } }
+            );
+            const remainingBackupCodes = (user.twoFactor.backupCodes || []).filter((stored) => stored !== hash).length;
+            return { valid: modifiedCount === 1, method: 'backup_code', remainingBackupCodes };
+        }
+
+        return { valid: false };
+    }
+
+    /**
+     * Désactive la double authentification après vérification d'un second facteur.
+     * @param {Object} user - Le document utilisateur chargé avec SECRET_FIELDS.
+     * @param {Object} factor - Code TOTP ou code de secours.
+     * @throws {ErrorResponse} - 403 si le rôle de l'utilisateur l'exige, 400 si le code est invalide.
+     * @returns {Promise<void>}
+     */
+    async disable(user, factor) {
+        if (AuthMiddleware.requiresTwoFactor(user)) {
+            throw new ErrorResponse('La double authentification est obligatoire pour votre rôle', 403);
+        }
+        if (!(await this.verify(user, factor)).valid) {
+            throw new ErrorResponse('Code de vérification invalide', 400);
+        }
+        await this.model.updateOne({ _id: user._id }, {
+            'twoFactor.enabled': false,
+            $unset: {
+                'twoFactor.enabledAt': 1,
+                'twoFactor.secret': 1,
+                'twoFactor.pendingSecret': 1,
+                'twoFactor.backupCodes': 1,
+                'twoFactor.lastUsedStep': 1,
+            },
+        });
+    }
+
+    /**
+     * Remplace les codes de secours (les anciens deviennent inutilisables).
+     * @param {Object} user - Le document utilisateur chargé avec SECRET_FIELDS.
+     * @param {string} code - Un code TOTP valide.
+     * @throws {ErrorResponse} - 400 si la double authentification est inactive ou si le code est invalide.
+     * @returns {Promise<string[]>} - Les nouveaux codes en clair.
+     */
+    async regenerateBackupCodes(user, code) {
+        if (!(await this.verify(user, { code })).valid) {
+            throw new ErrorResponse('Code de vérification invalide', 400);
+        }
+        const backupCodes = Totp.generateBackupCodes(this.backupCodeCount);
+        await this.model.updateOne({ _id: user._id }, { 'twoFactor.backupCodes': backupCodes.map(Totp.hashBackupCode) });
+        return backupCodes;
+    }
+}
+
+export default TwoFactor;
@@ -1,68 +1,372 @@
+import mongoose from 'mongoose';
+import { toNumber } from './numbers.js';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Paramètres de liste (recherche, filtres, tri, sélection des champs, pagination) appliqués à une requête Mongoose.
+ * Seuls les champs déclarés dans la liste blanche de la ressource (queryFields du modèle) sont utilisables :
+ * { filter: { champ: type | { type, values } }, sort: [champs], select: [champs] },
+ * les types étant string, number, boolean, date et objectId.
+ * Filtres : champ=valeur ou champ[opérateur]=valeur, avec les opérateurs de APIFeatures.OPERATORS
+ * (in/nin : valeurs séparées par des virgules, between : "min,max", exists : true/false).
+ * Un paramètre non pris en charge ou une valeur invalide renvoie une erreur 400.
+ * Pagination par page (page, limit) ou, pour les grandes collections, par curseur opaque (cursor, limit) ;
+ * la taille de page est plafonnée à MAX_PAGE_SIZE (100 par défaut).
+ */
 class APIFeatures {
-    constructor(query, queryString) {
+    // Paramètres de liste qui ne sont pas des filtres
+    static RESERVED = ['page', 'sort', 'limit', 'fields', 'search', 'keyword', 'cursor'];
+
+    // Opérateurs de filtre, et types auxquels ils s'appliquent
+    static OPERATORS = {
+      eq: ['string', 'number', 'boolean', 'date', 'objectId'],
+      ne: ['string', 'number', 'boolean', 'date', 'objectId'],
+      in: ['string', 'number', 'objectId'],
+      nin: ['string', 'number', 'objectId'],
+      gt: ['number', 'date'],
+      gte: ['number', 'date'],
+      lt: ['number', 'date'],
+      lte: ['number', 'date'],
+      between: ['number', 'date'],
+      exists: ['string', 'number', 'boolean', 'date', 'objectId'],
+    };
+
+    // Nombre maximal de valeurs d'un filtre in/nin
+    static MAX_VALUES = 50;
+
+    constructor(query, queryString, fields) {
       this.query = query;
       this.queryString = queryString;
+      this.fields = fields || query.model?.queryFields || {};
+    }
+
+    // Recherche simple (insensible à la casse) dans les champs indiqués ; le texte est échappé.
+    // Les contrôleurs valident le paramètre "search" ; "keyword" reste accepté pour les anciens clients.
+    search(fields = ['name']) {
+      const keyword = this.queryString.search ?? this.queryString.keyword;
+      if (keyword) {
+        const pattern = String(keyword).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        this.query = this.query.and([{
+          $or: fields.map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))
+        }]);
+      }
+      return this;
     }
 
-    search() {
-      const keyword = this.queryString.keyword
-        ? {
-            name: {
-              $regex: this.queryString.keyword,
-              $options: 'i'
+    /**
+     * Convertit une valeur de filtre dans le type du champ.
+     * @param {string} value - La valeur reçue.
+     * @param {{type: string, values?: Array}} spec - La déclaration du champ.
+     * @returns {*} - La valeur convertie, ou undefined si elle est invalide.
+     */
+    static coerce(value, { type, values }) {
+      if (typeof value !== 'string') {
+        return undefined; // Objets et tableaux imbriqués refusés : pas d'opérateur Mongo injecté
+      }
+      let coerced;
+      switch (type) {
+        case 'number':
+          coerced = value.trim() === '' ? NaN : Number(value);
+          coerced = Number.isFinite(coerced) ? coerced : undefined;
+          break;
+        case 'boolean':
+          coerced = { true: true, false: false, 1: true, 0: false }[value.toLowerCase()];
+          break;
+        case 'date':
+          coerced = new Date(value);
+          coerced = Number.isNaN(coerced.getTime()) ? undefined : coerced;
+          break;
+        case 'objectId':
+          coerced = /^[a-f\d]{24}$/i.test(value) ? new mongoose.Types.ObjectId(value) : undefined;
+          break;
+        default:
+          coerced = value;
+      }
+      return values && !values.includes(coerced) ? undefined : coerced;
+    }
+
+    /**
+     * Description lisible du type attendu, pour les messages d'erreur.
+     * @param {{type: string, values?: Array}} spec
+     * @returns {string}
+     */
+    static expected({ type, values }) {
+      if (values) return `une des valeurs ${values.join(', ')}`;
+      return {
+        number: 'un nombre',
+        boolean: 'true ou false',
+        date: 'une date (ex : 2025-01-31)',
+        objectId: 'un identifiant de 24 caractères hexadécimaux',
+      }[type] || 'une chaîne';
+    }
+
+    /**
+     * Traduit les paramètres de filtre en condition MongoDB, d'après la liste blanche de la ressource.
+     * @throws {ErrorResponse} - 400 si un filtre n'est pas pris en charge ou si une valeur est invalide.
+     * @returns {Object}
+     */
+    buildFilter() {
+      const allowed = this.fields.filter || {};
+      const conditions = {};
+      const errors = [];
+
+      for (const [key, raw] of Object.entries(this.queryString)) {
+        if (APIFeatures.RESERVED.includes(key) || raw === undefined) continue;
+
+        // price[gte]=10 (analyseur "simple" d'Express 5) ou { price: { gte: 10 } } (analyseur "extended")
+        const match = /^([A-Za-z][\w.]*)(?:\[(\w+)\])?$/.exec(key);
+        const entries = match && !match[2] && raw && typeof raw === 'object' && !Array.isArray(raw)
+          ? Object.entries(raw)
+          : [[match?.[2] || (Array.isArray(raw) ? 'in' : 'eq'), Array.isArray(raw) ? raw.join(',') : raw]];
+        const field = match?.[1];
+        const declared = field && Object.hasOwn(allowed, field) ? allowed[field] : undefined;
+        if (!declared) {
+          errors.push(`Filtre non pris en charge : "${field || key}".${Object.keys(allowed).length > 0 ? ` Filtres disponibles : ${Object.keys(allowed).join(', ')}.` : ''}`);
+          continue;
+        }
+        const spec = typeof declared === 'string' ? { type: declared } : declared;
+
+        for (const [operator, value] of entries) {
+          const label = `${field}[${operator}]`;
+          if (!APIFeatures.OPERATORS[operator]?.includes(spec.type)) {
+            errors.push(`Opérateur non pris en charge pour "${field}" : ${operator}. Opérateurs disponibles : ${Object.keys(APIFeatures.OPERATORS).filter((name) => APIFeatures.OPERATORS[name].includes(spec.type)).join(', ')}.`);
+            continue;
+          }
+
+          let condition;
+          if (operator === 'exists') {
+            const exists = APIFeatures.coerce(value, { type: 'boolean' });
+            condition = exists === undefined ? undefined : { $exists: exists };
+          } else if (['in', 'nin', 'between'].includes(operator)) {
+            const list = typeof value === 'string' ? value.split(',').map((item) => APIFeatures.coerce(item.trim(), spec)) : [undefined];
+            if (operator === 'between') {
+              condition = list.length === 2 && !list.includes(undefined) && list[0] <= list[1]
+                ? { $gte: list[0], $lte: list[1] }
+                : undefined;
+              if (!condition) {
+                errors.push(`Valeur invalide pour "${label}" : deux bornes croissantes séparées par une virgule attendues (${APIFeatures.expected(spec)}).`);
+                continue;
+              }
+            } else if (list.length <= APIFeatures.MAX_VALUES && !list.includes(undefined)) {
+              condition = { [`$${operator}`]: list };
             }
+          } else {
+            const coerced = APIFeatures.coerce(value, spec);
+            condition = coerced === undefined ? undefined : { [`$${operator}`]: coerced };
           }
-        : {};
 
-      this.query = this.query.find({ ...keyword });
-      return this;
+          if (!condition) {
+            errors.push(`Valeur invalide pour "${label}" : ${APIFeatures.expected(spec)} attendu(e)${['in', 'nin'].includes(operator) ? `, ${APIFeatures.MAX_VALUES} valeurs au plus` : ''}.`);
+            continue;
+          }
+          conditions[field] = { ...conditions[field], ...condition };
+        }
+      }
+
+      if (errors.length > 0) {
+        throw new ErrorResponse(errors.join(' '), 400, { errors });
+      }
+      for (const [field, condition] of Object.entries(conditions)) {
+        if (Object.keys(condition).length === 1 && '$eq' in condition) {
+          conditions[field] = condition.$eq; // champ=valeur
+        }
+      }
+      return conditions;
     }
-  
+
+    // Les filtres s'ajoutent ($and) aux conditions de la requête de base, qu'ils ne peuvent que restreindre
+    // (ex : un client ne peut pas remplacer le filtre sur ses propres commandes).
     filter() {
-      const queryObj = { ...this.queryString };
-      const excludedFields = ['page', 'sort', 'limit', 'fields'];
-      excludedFields.forEach(el => delete queryObj[el]);
-  
-      // Filtrage avancé
-      let queryStr = JSON.stringify(queryObj);
-      queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
-  
-      this.query = this.query.find(JSON.parse(queryStr));
-  
+      const conditions = this.buildFilter();
+      if (Object.keys(conditions).length > 0) {
+        this.query = this.query.and([conditions]);
+      }
       return this;
     }
-  
-    sort() {
-      if (this.queryString.sort) {
-        const sortBy = this.queryString.sort.split(',').join(' ');
-        this.query = this.query.sort(sortBy);
-      } else {
-        this.query = this.query.sort('-createdAt');
+
+    /**
+     * Vérifie une liste de champs (paramètres sort et fields) par rapport à la liste blanche.
+     * @param {string} param - Le nom du paramètre.
+     * @param {string} value - La valeur reçue (champs séparés par des virgules).
+     * @param {string[]} allowed - Les champs autorisés.
+     * @param {boolean} descending - Le préfixe "-" (ordre décroissant) est accepté.
+     * @throws {ErrorResponse} - 400 si un champ n'est pas autorisé.
+     * @returns {string} - Les champs séparés par des espaces, au format Mongoose.
+     */
+    static fieldList(param, value, allowed = [], descending = false) {
+      const items = String(value).split(',').map((item) => item.trim()).filter(Boolean);
+      const invalid = items.filter((item) => !allowed.includes(descending ? item.replace(/^-/, '') : item));
+      if (invalid.length > 0 || items.length === 0) {
+        const message = `Champ(s) non pris en charge pour "${param}" : ${invalid.join(', ') || String(value)}.`
+          + (allowed.length > 0 ? ` Champs disponibles : ${allowed.join(', ')}.` : '');
+        throw new ErrorResponse(message, 400, { errors: [message] });
       }
-  
+      return items.join(' ');
+    }
+
+    sort(defaultSort = '-createdAt') {
+      const sortBy = this.queryString.sort
+        ? APIFeatures.fieldList('sort', this.queryString.sort, this.fields.sort, true)
+        : defaultSort;
+      this.query = this.query.sort(sortBy);
+
       return this;
     }
-  
+
     limitFields() {
       if (this.queryString.fields) {
-        const fields = this.queryString.fields.split(',').join(' ');
-        this.query = this.query.select(fields);
+        this.query = this.query.select(APIFeatures.fieldList('fields', this.queryString.fields, this.fields.select));
       } else {
         this.query = this.query.select('-__v');
       }
-  
+
       return this;
     }
-  
-    paginate() {
-      const page = this.queryString.page * 1 || 1;
-      const limit = this.queryString.limit * 1 || 100;
+
+    /**
+     * Taille de page demandée (ou par défaut), plafonnée à MAX_PAGE_SIZE.
+     * @param {number} [defaultLimit] - La taille de page de la ressource.
+     * @returns {number}
+     */
+    pageSize(defaultLimit) {
+      const max = toNumber(process.env.MAX_PAGE_SIZE, 100);
+      const limit = Math.floor(this.queryString.limit * 1) || defaultLimit || max;
+      return Math.max(1, Math.min(limit, max));
+    }
+
+    paginate(defaultLimit) {
+      const page = Math.max(1, Math.floor(this.queryString.page * 1) || 1);
+      const limit = this.pageSize(defaultLimit);
       const skip = (page - 1) * limit;
-  
+
       this.query = this.query.skip(skip).limit(limit);
-  
+      this.pagination = { page, limit };
+
       return this;
     }
+
+    /**
+     * Encode la position d'un document dans l'ordre (champ décroissant, puis _id décroissant).
+     * @param {Object} doc - Le dernier document de la page.
+     * @param {string} field - Le champ de tri.
+     * @returns {string}
+     */
+    static encodeCursor(doc, field) {
+      const value = doc[field] instanceof Date ? doc[field].toISOString() : doc[field];
+      return Buffer.from(JSON.stringify({ v: value, id: String(doc._id) })).toString('base64url');
+    }
+
+    /**
+     * Décode un curseur reçu du client.
+     * @param {string} cursor
+     * @param {string} type - Le type du champ de tri ('date' ou 'number').
+     * @throws {ErrorResponse} - 400 si le curseur est invalide.
+     * @returns {{value: *, id: Object}}
+     */
+    static decodeCursor(cursor, type) {
+      try {
+        const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const value = APIFeatures.coerce(String(v), { type });
+        if (value !== undefined && /^[a-f\d]{24}$/i.test(id)) {
+          return { value, id: new mongoose.Types.ObjectId(id) };
+        }
+      } catch {
+        // Curseur illisible : erreur ci-dessous
+      }
+      throw new ErrorResponse('Curseur de pagination invalide', 400);
+    }
+
+    /**
+     * Pagination par curseur : les documents sont triés par champ puis _id décroissants et la page suivante
+     * reprend après le dernier document renvoyé, sans skip (performances constantes) ni décalage en cas d'ajout.
+     * Un curseur vide (cursor=) demande la première page.
+     * @param {number} [defaultLimit] - La taille de page de la ressource.
+     * @param {string} [field] - Le champ de tri (date ou nombre).
+     * @throws {ErrorResponse} - 400 si le curseur est invalide ou combiné à un tri.
+     */
+    cursorPaginate(defaultLimit, field = 'createdAt') {
+      if (this.queryString.sort) {
+        throw new ErrorResponse('Le paramètre sort n\'est pas disponible avec la pagination par curseur', 400);
+      }
+      const limit = this.pageSize(defaultLimit);
+      if (this.queryString.cursor) {
+        const type = this.query.model?.schema.path(field)?.instance === 'Number' ? 'number' : 'date';
+        const { value, id } = APIFeatures.decodeCursor(this.queryString.cursor, type);
+        this.query = this.query.and([{ $or: [{ [field]: { $lt: value } }, { [field]: value, _id: { $lt: id } }] }]);
+      }
+
+      // Un document de plus que la page indique s'il existe une page suivante
+      this.query = this.query.sort({ [field]: -1, _id: -1 }).limit(limit + 1);
+      this.pagination = { limit, cursorField: field };
+
+      return this;
+    }
+
+    /**
+     * Exécute la requête et calcule les métadonnées de pagination.
+     * Le total compte les documents qui satisfont les conditions de la requête (filtres compris).
+     * @returns {Promise<{results: Array<Object>, pagination: Object}>}
+     */
+    async execute() {
+      if (this.pagination?.cursorField) {
+        const { limit, cursorField } = this.pagination;
+        // Le curseur est formé du champ de tri et de _id : ils restent sélectionnés malgré fields
+        if (this.query.selectedInclusively()) {
+          this.query = this.query.select(`${cursorField} _id`);
+        }
+        const docs = await this.query;
+        const results = docs.slice(0, limit);
+        const hasMore = docs.length > limit;
+        return {
+          results,
+          pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? APIFeatures.encodeCursor(results[results.length - 1], cursorField) : null,
+          },
+        };
+      }
+
+      const [results, total] = await Promise.all([
+        this.query,
+        this.query.model.countDocuments(this.query.getFilter()),
+      ]);
+      const { page, limit } = this.pagination || { page: 1, limit: results.length };
+      return {
+        results,
+        pagination: { page, limit, total, pages: limit > 0 ? Math.ceil(total / limit) : 0 },
+      };
+    }
+
+    /**
+     * En-têtes de pagination de la réponse : Link (RFC 5988 : first, prev, next, last) et X-Total-Count.
+     * @param {Object} request - L'objet de requête Express.
+     * @param {Object} response - L'objet de réponse Express.
+     * @param {Object} pagination - Les métadonnées renvoyées par execute().
+     */
+    static setPaginationHeaders(request, response, pagination) {
+      const link = (params) => {
+        const url = new URL(request.originalUrl, `${request.protocol}://${request.get('host')}`);
+        for (const [name, value] of Object.entries(params)) {
+          url.searchParams.set(name, value);
+        }
+        return url.toString();
+      };
+
+      const links = {};
+      if (pagination.nextCursor !== undefined) {
+        links.first = link({ cursor: '', limit: pagination.limit });
+        if (pagination.nextCursor) links.next = link({ cursor: pagination.nextCursor, limit: pagination.limit });
+      } else {
+        const { page, limit, total, pages } = pagination;
+        links.first = link({ page: 1, limit });
+        if (page > 1) links.prev = link({ page: Math.min(page - 1, Math.max(pages, 1)), limit });
+        if (page < pages) links.next = link({ page: page + 1, limit });
+        links.last = link({ page: Math.max(pages, 1), limit });
+        response.set('X-Total-Count', String(total));
+      }
+      response.set('Link', Object.entries(links).map(([rel, url]) => `<${url}>; rel="${rel}"`).join(', '));
+    }
   }
-  
+
 export default APIFeatures;
\ No newline at end of file
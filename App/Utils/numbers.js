@@ -0,0 +1,21 @@
+/**
+ * Fonctions numériques partagées : lecture des valeurs de configuration et arrondi des montants.
+ */
+
+/**
+ * Convertit une valeur de configuration en nombre.
+ * @param {*} value - La valeur à convertir.
+ * @param {number} fallback - La valeur par défaut si la conversion échoue.
+ * @returns {number}
+ */
+export const toNumber = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Arrondit un montant à deux décimales.
+ * @param {number} amount - Le montant à arrondir.
+ * @returns {number}
+ */
+export const round = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
@@ -18,6 +18,8 @@ import swaggerUi from 'swagger-ui-express';
 import Database from './Config/database.js';
 import apiRoutes from './Routes/index.js';
 import errorHandler from './Middlewares/errorHandler.js';
+import AuthMiddleware from './Middlewares/authMiddleware.js';
+import PaymentGateway from './Utils/PaymentGateway.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -174,7 +176,9 @@ class App {
 
     async Launch() {
         try {
+            PaymentGateway.assertConfigured(); // Refuse de démarrer sans prestataire de paiement en production
             await this.db.connect();
+            await AuthMiddleware.permissions.seedDefaults(); // Crée les rôles par défaut manquants
             if (ENABLE_CLUSTER && cluster.isPrimary) {
                 this.runCluster();
             } else {
@@ -262,7 +266,8 @@ class App {
         return {
             origin: origins,
             methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization'],
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Token'],
+            exposedHeaders: ['X-Cart-Token', 'Link', 'X-Total-Count'],
             credentials: true
         };
     }
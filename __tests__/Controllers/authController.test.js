@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Auth from '../../App/Controllers/authController.js';
+import AuthMiddleware from '../../App/Middlewares/authMiddleware.js';
+
+const fakeResponse = () => {
+  const response = { set: jest.fn(), json: jest.fn() };
+  response.status = jest.fn(() => response);
+  return response;
+};
+
+describe('Email verification', () => {
+  let controller;
+  let user;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Awa',
+      email: 'awa@example.com',
+      isEmailVerified: false,
+      save: jest.fn(async () => {}),
+    };
+    controller = new Auth();
+    controller.logger = { logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } };
+    controller.sendWelcome = jest.fn(async () => {});
+    controller.sendEmailVerification = jest.fn(async () => {});
+    controller.userModel = {
+      findById: jest.fn(() => Object.assign(Promise.resolve(user), {
+        select: async () => ({ emailVerificationSentAt: new Date(Date.now() - 20 * 1000) }),
+      })),
+      updateOne: jest.fn(async () => ({ modifiedCount: 1 })),
+    };
+  });
+
+  afterEach(() => {
+    delete process.env.EMAIL_VERIFICATION_RESEND_SECONDS;
+  });
+
+  it('verifies the address once and sends the welcome email', async () => {
+    const token = AuthMiddleware.generateEmailVerificationToken(user);
+    const next = jest.fn();
+
+    await controller.verifyEmail({ params: { token } }, fakeResponse(), next);
+    await controller.verifyEmail({ params: { token } }, fakeResponse(), next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(user.isEmailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+    expect(user.save).toHaveBeenCalledTimes(1);
+    expect(controller.sendWelcome).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects links sent to a previous address or expired', async () => {
+    const previous = AuthMiddleware.generateEmailVerificationToken({ ...user, email: 'ancienne@example.com' });
+    const expired = jwt.sign(
+      { _id: String(user._id), email: user.email, iss: 'eshopping-api', aud: 'email-verification', exp: Math.floor(Date.now() / 1000) - 60 },
+      'test-secret'
+    );
+
+    for (const token of [previous, expired]) {
+      const next = jest.fn();
+      await controller.verifyEmail({ params: { token } }, fakeResponse(), next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+    }
+    expect(user.isEmailVerified).toBe(false);
+  });
+
+  it('claims a resend only when the last email is older than the resend delay', async () => {
+    process.env.EMAIL_VERIFICATION_RESEND_SECONDS = '120';
+    const before = Date.now();
+
+    await expect(controller.claimVerificationEmail(user._id)).resolves.toBe(true);
+    const [filter, update] = controller.userModel.updateOne.mock.calls[0];
+    const threshold = filter.$or[1].emailVerificationSentAt.$lte.getTime();
+    expect(threshold).toBeGreaterThanOrEqual(before - 120 * 1000);
+    expect(threshold).toBeLessThanOrEqual(Date.now() - 120 * 1000);
+    expect(filter.$or[0]).toEqual({ emailVerificationSentAt: null });
+    expect(update.emailVerificationSentAt).toBeInstanceOf(Date);
+
+    controller.userModel.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+    await expect(controller.claimVerificationEmail(user._id)).resolves.toBe(false);
+  });
+
+  it('throttles resends with a 429 and a Retry-After header', async () => {
+    controller.userModel.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+    const response = fakeResponse();
+    const next = jest.fn();
+
+    await controller.resendVerification({ user }, response, next);
+
+    // Dernier envoi il y a 20 s avec le délai par défaut de 60 s
+    expect(response.set).toHaveBeenCalledWith('Retry-After', '40');
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 429, data: { retryAfter: 40 } }));
+    expect(controller.sendEmailVerification).not.toHaveBeenCalled();
+
+    await controller.resendVerification({ user }, fakeResponse(), jest.fn());
+    expect(controller.sendEmailVerification).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not resend to an already verified address', async () => {
+    const next = jest.fn();
+
+    await controller.resendVerification({ user: { ...user, isEmailVerified: true } }, fakeResponse(), next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 409 }));
+    expect(controller.userModel.updateOne).not.toHaveBeenCalled();
+  });
+});
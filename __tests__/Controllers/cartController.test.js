@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Cart from '../../App/Controllers/cartController.js';
+import cartModel from '../../App/Models/cart.js';
+import ErrorResponse from '../../App/Utils/errorResponse.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const fakeResponse = () => {
+  const response = { set: jest.fn(), json: jest.fn() };
+  response.status = jest.fn(() => response);
+  return response;
+};
+
+describe('Cart controller', () => {
+  const shirt = { _id: id(), name: 'Chemise', stock: 2, isAvailable: true, variants: [] };
+  const belt = { _id: id(), name: 'Ceinture', stock: 10, isAvailable: false, variants: [] };
+  const cap = { _id: id(), name: 'Casquette', stock: 5, isAvailable: true, variants: [] };
+  let controller;
+
+  beforeEach(() => {
+    controller = new Cart();
+    controller.logger = { logger: { info: jest.fn(), error: jest.fn() } };
+    controller.checkout = {
+      loadCatalog: jest.fn(async () => ({
+        products: new Map([shirt, belt, cap].map((product) => [String(product._id), product])),
+        variants: new Map(),
+      })),
+      price: jest.fn(async (items) => ({ items, totalPrice: items.length })),
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports unavailable and out-of-stock lines and prices only the purchasable ones', async () => {
+    const cart = new cartModel({ user: id(), items: [{ product: shirt._id, quantity: 3 }, { product: belt._id, quantity: 1 }, { product: cap._id, quantity: 1 }] });
+
+    const summary = await controller.summarize(cart);
+
+    expect(summary.issues).toEqual([
+      { item: cart.items[0]._id, reason: 'insufficient_stock', available: 2 },
+      { item: cart.items[1]._id, reason: 'unavailable' },
+    ]);
+    expect(controller.checkout.price.mock.calls[0][0]).toEqual([cart.items[2]]);
+  });
+
+  it('still shows the cart when its coupon no longer applies', async () => {
+    const cart = new cartModel({ user: id(), couponCode: 'SOLDES', items: [{ product: cap._id, quantity: 1 }] });
+    controller.checkout.price.mockRejectedValueOnce(new ErrorResponse('Le code promo a expiré', 400, { coupon: 'SOLDES', reason: 'expired' }));
+
+    const summary = await controller.summarize(cart);
+
+    expect(summary.issues).toEqual([{ reason: 'coupon_not_applicable', coupon: 'SOLDES', couponReason: 'expired' }]);
+    expect(summary.totals).toEqual({ items: [cart.items[0]], totalPrice: 1 });
+  });
+
+  it('returns an empty cart to a new visitor without creating one or handing out a token', async () => {
+    const save = jest.spyOn(cartModel.prototype, 'save');
+    const response = fakeResponse();
+
+    await controller.getCart({ get: () => undefined }, response, jest.fn());
+
+    expect(response.set).not.toHaveBeenCalled();
+    expect(save).not.toHaveBeenCalled();
+    expect(response.json.mock.calls[0][0].cart).toMatchObject({ token: undefined, items: [], totals: null });
+  });
+
+  it('sends back the token of a saved guest cart', async () => {
+    const guestCart = cartModel.hydrate({ _id: id(), token: 'guest-token', items: [] });
+    jest.spyOn(cartModel, 'findOne').mockResolvedValue(guestCart);
+    const response = fakeResponse();
+
+    await controller.getCart({ get: (header) => (header === 'x-cart-token' ? 'guest-token' : undefined) }, response, jest.fn());
+
+    expect(cartModel.findOne).toHaveBeenCalledWith({ token: 'guest-token', user: null });
+    expect(response.set).toHaveBeenCalledWith('X-Cart-Token', 'guest-token');
+  });
+});
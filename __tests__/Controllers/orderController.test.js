@@ -0,0 +1,22 @@
+import Order from '../../App/Controllers/orderController.js';
+
+describe('Order controller accounting export', () => {
+  const controller = new Order();
+
+  it('writes a CSV header from the row keys and escapes values', () => {
+    const csv = controller.toCsv([
+      { id: '1', city: 'Abidjan', note: 'Livré, "en main propre"' },
+      { id: '2', city: 'Dakar', note: '' },
+    ]);
+
+    expect(csv.split('\r\n')).toEqual([
+      'id,city,note',
+      '1,Abidjan,"Livré, ""en main propre"""',
+      '2,Dakar,',
+    ]);
+  });
+
+  it('returns an empty export when no order matches', () => {
+    expect(controller.toCsv([])).toBe('');
+  });
+});
@@ -0,0 +1,199 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import AuthMiddleware from '../../App/Middlewares/authMiddleware.js';
+import User from '../../App/Models/user.js';
+import sessionModel from '../../App/Models/session.js';
+import Sessions from '../../App/Utils/Sessions.js';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('AuthMiddleware', () => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Awa',
+    email: 'awa@example.com',
+    role: 'storekeeper',
+    isActive: true,
+    twoFactor: { enabled: true },
+    changedPasswordAfter: () => false,
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('signs tokens with the Mongoose user id', () => {
+    const decoded = jwt.verify(AuthMiddleware.generateToken(user), 'test-secret');
+
+    expect(decoded._id).toBe(String(user._id));
+    expect(decoded.role).toBe('storekeeper');
+  });
+
+  it('loads the user with findById and populates req.user and req.auth', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+    const req = { headers: { authorization: `Bearer ${AuthMiddleware.generateToken(user)}` } };
+    const next = jest.fn();
+
+    await AuthMiddleware.authenticate(req, mockResponse(), next);
+
+    expect(User.findById).toHaveBeenCalledWith(String(user._id));
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBe(user);
+    expect(req.auth).toEqual({ userId: String(user._id), name: 'Awa', email: 'awa@example.com', role: 'storekeeper' });
+  });
+
+  it('rejects deactivated accounts', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve({ ...user, isActive: false }) });
+    const req = { headers: { authorization: `Bearer ${AuthMiddleware.generateToken(user)}` } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await AuthMiddleware.authenticate(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('rejects tokens issued before the last password change', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve({ ...user, changedPasswordAfter: () => true }) });
+    const req = { headers: { authorization: `Bearer ${AuthMiddleware.generateToken(user)}` } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await AuthMiddleware.authenticate(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: expect.objectContaining({ code: 'PASSWORD_CHANGED' }) }));
+  });
+
+  it('rejects the access token once its session is logged out', async () => {
+    const session = { _id: new mongoose.Types.ObjectId(), user: user._id, revokedAt: null, expiresAt: new Date(Date.now() + 60 * 1000) };
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+    jest.spyOn(sessionModel, 'findById').mockReturnValue({ select: () => Promise.resolve(session) });
+    const sessions = new Sessions({
+      model: {
+        hashToken: sessionModel.hashToken,
+        async revokeWhere(filter, reason) {
+          Object.assign(session, { revokedAt: new Date(), revokedReason: reason });
+          return 1;
+        },
+      },
+    });
+    const token = AuthMiddleware.generateToken(user, { sessionId: session._id });
+    const next = jest.fn();
+
+    await AuthMiddleware.authenticate({ headers: { authorization: `Bearer ${token}` } }, mockResponse(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(sessionModel.findById).toHaveBeenCalledWith(String(session._id));
+
+    await sessions.revoke(String(user._id), { sessionId: session._id });
+    const res = mockResponse();
+    await AuthMiddleware.authenticate({ headers: { authorization: `Bearer ${token}` } }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: expect.objectContaining({ code: 'SESSION_REVOKED' }) }));
+  });
+
+  it('requires privileged roles to enable two-factor authentication first', async () => {
+    const withoutTwoFactor = { ...user, twoFactor: { enabled: false } };
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(withoutTwoFactor) });
+    const token = AuthMiddleware.generateToken(user);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await AuthMiddleware.authenticate({ headers: { authorization: `Bearer ${token}` } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: expect.objectContaining({ code: 'TWO_FACTOR_REQUIRED' }) }));
+
+    // Les routes d'enrôlement restent accessibles
+    await AuthMiddleware.authenticate({ headers: { authorization: `Bearer ${token}` }, twoFactorEnrollment: true }, mockResponse(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets staff roles through and forbids clients', async () => {
+    const guard = AuthMiddleware.authorize(AuthMiddleware.STAFF_ROLES);
+    const next = jest.fn();
+    const res = mockResponse();
+
+    await guard({ auth: { userId: '1', role: 'storekeeper' } }, mockResponse(), next);
+    await guard({ auth: { userId: '2', role: 'client' } }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('grants the ":own" variant of a permission only on documents owned by the user', async () => {
+    jest.spyOn(AuthMiddleware.permissions, 'forRole').mockImplementation(async (role) => (
+      role === 'admin' ? ['review:delete'] : ['review:delete:own']
+    ));
+    const review = { _id: new mongoose.Types.ObjectId(), user: user._id };
+    const model = { findById: jest.fn(async (id) => (String(id) === String(review._id) ? review : null)) };
+    const guard = AuthMiddleware.requirePermission('review:delete', { model, param: 'reviewId' });
+    const next = jest.fn();
+
+    const owner = { auth: { userId: String(user._id), role: 'client' }, params: { reviewId: String(review._id) } };
+    await guard(owner, mockResponse(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(owner.resource).toBe(review);
+
+    const stranger = mockResponse();
+    await guard({ auth: { userId: 'someone-else', role: 'client' }, params: { reviewId: String(review._id) } }, stranger, next);
+    expect(stranger.json).toHaveBeenCalledWith(expect.objectContaining({ error: expect.objectContaining({ code: 'OWNERSHIP_REQUIRED' }) }));
+
+    const missing = mockResponse();
+    await guard({ auth: { userId: String(user._id), role: 'client' }, params: { reviewId: 'not-an-id' } }, missing, next);
+    expect(missing.status).toHaveBeenCalledWith(404);
+
+    // La permission complète dispense de la vérification de propriété
+    await guard({ auth: { userId: 'moderator', role: 'admin' }, params: { reviewId: String(review._id) } }, mockResponse(), next);
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(model.findById).toHaveBeenCalledTimes(2);
+  });
+
+  it('forbids roles lacking a permission without an ownership option', async () => {
+    jest.spyOn(AuthMiddleware.permissions, 'forRole').mockResolvedValue(['review:delete:own']);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await AuthMiddleware.requirePermission('review:delete')({ auth: { userId: '1', role: 'client' }, params: {} }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('issues email verification links that cannot be used as access tokens', async () => {
+    const token = AuthMiddleware.generateEmailVerificationToken(user);
+
+    expect(AuthMiddleware.verifyEmailVerificationToken(token)).toMatchObject({ _id: String(user._id), email: user.email });
+    expect(() => AuthMiddleware.verifyEmailVerificationToken(AuthMiddleware.generateToken(user))).toThrow();
+
+    const res = mockResponse();
+    await AuthMiddleware.authenticate({ headers: { authorization: `Bearer ${token}` } }, res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('blocks checkout for unverified clients when the option is enabled', () => {
+    process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT = 'true';
+    const next = jest.fn();
+    const res = mockResponse();
+
+    AuthMiddleware.requireVerifiedEmail({ user: { isEmailVerified: false }, auth: { role: 'client' } }, res, next);
+    AuthMiddleware.requireVerifiedEmail({ user: { isEmailVerified: true }, auth: { role: 'client' } }, mockResponse(), next);
+    delete process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT;
+    AuthMiddleware.requireVerifiedEmail({ user: { isEmailVerified: false }, auth: { role: 'client' } }, mockResponse(), next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
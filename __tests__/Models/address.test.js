@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import addressModel from '../../App/Models/address.js';
+
+const buildAddress = (fields) => new addressModel({
+  user: new mongoose.Types.ObjectId(),
+  fullName: 'Awa Koné',
+  line1: 'Rue des Jardins',
+  city: 'Abidjan',
+  country: 'CI',
+  phone: '+225 07 08 09 10 11',
+  ...fields,
+});
+
+describe('Address validation by country', () => {
+  beforeEach(() => {
+    jest.spyOn(addressModel, 'countDocuments').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts an address without postal code in a country that does not use them', async () => {
+    await expect(buildAddress().validate()).resolves.toBeUndefined();
+  });
+
+  it('requires a postal code valid for the country where postal codes exist', async () => {
+    const missing = buildAddress({ city: 'Paris', country: 'fr', phone: '+33 6 12 34 56 78' });
+    await expect(missing.validate()).rejects.toMatchObject({
+      errors: { postalCode: expect.objectContaining({ message: 'Le code postal est requis pour ce pays' }) },
+    });
+    expect(missing.country).toBe('FR');
+
+    missing.postalCode = '7500';
+    expect(missing.validateSync().errors.postalCode.message).toBe('Le code postal (7500) n\'est pas valide pour ce pays');
+
+    missing.postalCode = '75001';
+    await expect(missing.validate()).resolves.toBeUndefined();
+  });
+
+  it('checks the phone number against the mobile formats of the country', () => {
+    const address = buildAddress({ city: 'Paris', country: 'FR', postalCode: '75001', phone: '+225 07 08 09 10 11' });
+    expect(address.validateSync().errors.phone.message).toBe('Le numéro de téléphone (+225 07 08 09 10 11) n\'est pas valide pour ce pays');
+
+    address.phone = '06 12 34 56 78';
+    expect(address.validateSync()).toBeUndefined();
+
+    // Sans format connu pour le pays, le numéro doit être au format international ou national
+    expect(buildAddress({ phone: '07.08.09.10.11' }).validateSync()).toBeUndefined();
+    expect(buildAddress({ phone: 'pas un numéro' }).validateSync().errors.phone).toBeDefined();
+  });
+
+  it('rejects unknown country codes', () => {
+    expect(buildAddress({ country: 'XX' }).validateSync().errors.country.message)
+      .toBe('Le pays doit être un code ISO 3166-1 alpha-2 (ex : CI, FR)');
+  });
+
+  it('makes the first address of a user the default one', async () => {
+    addressModel.countDocuments.mockResolvedValueOnce(0);
+    const first = buildAddress();
+    await first.validate();
+
+    expect(first.isDefaultShipping).toBe(true);
+    expect(first.isDefaultBilling).toBe(true);
+
+    const second = buildAddress();
+    await second.validate();
+    expect(second.isDefaultShipping).toBe(false);
+  });
+});
+
+describe('Address snapshot', () => {
+  it('copies the delivery fields into the order', () => {
+    const address = buildAddress({ label: 'Bureau', line2: 'Bâtiment B' });
+
+    expect(address.toSnapshot()).toEqual({
+      address: address._id,
+      fullName: 'Awa Koné',
+      line1: 'Rue des Jardins',
+      line2: 'Bâtiment B',
+      city: 'Abidjan',
+      state: undefined,
+      postalCode: undefined,
+      country: 'CI',
+      phone: '+225 07 08 09 10 11',
+    });
+  });
+});
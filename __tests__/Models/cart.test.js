@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import cartModel from '../../App/Models/cart.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Cart lines', () => {
+  it('adds up quantities of the same product and variant on a single line', () => {
+    const cart = new cartModel({ user: id() });
+    const product = id();
+    const [red, blue] = [id(), id()];
+
+    cart.addItem(product, red, 1);
+    cart.addItem(product, red, 2);
+    cart.addItem(product, blue, 1);
+
+    expect(cart.items).toHaveLength(2);
+    expect(cart.findLine(product, red).quantity).toBe(3);
+    expect(cart.findLine(product, blue).quantity).toBe(1);
+    expect(cart.findLine(product)).toBeUndefined();
+  });
+
+  it('empties the cart and its coupon after checkout', () => {
+    const cart = new cartModel({ user: id(), couponCode: 'soldes', items: [{ product: id(), quantity: 2 }] });
+    expect(cart.couponCode).toBe('SOLDES');
+
+    cart.clear();
+
+    expect(cart.items).toHaveLength(0);
+    expect(cart.couponCode).toBeUndefined();
+  });
+});
+
+describe('Cart.mergeGuestCart', () => {
+  const userId = id();
+  const product = id();
+  let guestCart;
+  let userCart;
+
+  beforeEach(() => {
+    guestCart = new cartModel({ token: 'guest-token', couponCode: 'BIENVENUE', items: [{ product, quantity: 2 }, { product: id(), quantity: 1 }] });
+    userCart = new cartModel({ user: userId, items: [{ product, quantity: 1 }] });
+    jest.spyOn(cartModel, 'findOne').mockImplementation(async (filter) => (filter.token ? guestCart : userCart));
+    jest.spyOn(cartModel.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+    jest.spyOn(cartModel.prototype, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves the guest lines into the user cart and deletes the guest cart', async () => {
+    const merged = await cartModel.mergeGuestCart('guest-token', userId);
+
+    expect(merged).toBe(userCart);
+    expect(merged.items).toHaveLength(2);
+    expect(merged.findLine(product).quantity).toBe(3);
+    expect(merged.couponCode).toBe('BIENVENUE');
+    expect(cartModel.findOne).toHaveBeenCalledWith({ token: 'guest-token', user: null });
+    expect(cartModel.prototype.save.mock.contexts).toEqual([userCart]);
+    expect(cartModel.prototype.deleteOne.mock.contexts).toEqual([guestCart]);
+  });
+
+  it('keeps the coupon already applied to the user cart', async () => {
+    userCart.couponCode = 'FIDELITE';
+
+    expect((await cartModel.mergeGuestCart('guest-token', userId)).couponCode).toBe('FIDELITE');
+  });
+
+  it('creates the user cart when the user had none', async () => {
+    userCart = null;
+
+    const merged = await cartModel.mergeGuestCart('guest-token', userId);
+
+    expect(String(merged.user)).toBe(String(userId));
+    expect(merged.items.map((item) => item.quantity)).toEqual([2, 1]);
+  });
+
+  it('does nothing without a token or a guest cart', async () => {
+    expect(await cartModel.mergeGuestCart(undefined, userId)).toBeNull();
+
+    guestCart = null;
+    expect(await cartModel.mergeGuestCart('unknown-token', userId)).toBeNull();
+    expect(cartModel.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import orderModel from '../../App/Models/order.js';
+
+const buildOrder = (status) => new orderModel({
+  user: new mongoose.Types.ObjectId(),
+  items: [{ product: new mongoose.Types.ObjectId(), quantity: 1, price: 1000 }],
+  shippingAddress: { fullName: 'Awa Koné', line1: 'Rue des Jardins', city: 'Abidjan', country: 'CI' },
+  paymentMethod: 'card',
+  status,
+});
+
+describe('Order status state machine', () => {
+  it('allows the regular fulfilment path', () => {
+    const order = buildOrder('pending');
+    const changedBy = new mongoose.Types.ObjectId();
+
+    order.transitionTo('processing', { changedBy });
+    order.transitionTo('shipped');
+    order.transitionTo('delivered');
+
+    expect(order.status).toBe('delivered');
+    expect(order.isDelivered).toBe(true);
+    expect(order.deliveredAt).toBeInstanceOf(Date);
+    expect(order.shippedAt).toBeInstanceOf(Date);
+    expect(order.statusHistory.map((entry) => entry.to)).toEqual(['processing', 'shipped', 'delivered']);
+    expect(String(order.statusHistory[0].changedBy)).toBe(String(changedBy));
+  });
+
+  it('rejects going back from delivered to pending', () => {
+    const order = buildOrder('delivered');
+
+    expect(order.canTransitionTo('pending')).toBe(false);
+    expect(() => order.transitionTo('pending')).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(order.status).toBe('delivered');
+  });
+
+  it('does not allow shipping a cancelled order', () => {
+    const order = buildOrder('cancelled');
+
+    expect(order.canTransitionTo('shipped')).toBe(false);
+    expect(order.canTransitionTo('refunded')).toBe(true);
+  });
+});
+
+describe('Order archival', () => {
+  it('archives finished orders instead of deleting them', () => {
+    const order = buildOrder('delivered');
+    const archivedBy = new mongoose.Types.ObjectId();
+
+    order.archive({ archivedBy, reason: 'Clôture de l\'exercice' });
+
+    expect(order.isArchived).toBe(true);
+    expect(order.archivedAt).toBeInstanceOf(Date);
+    expect(String(order.archivedBy)).toBe(String(archivedBy));
+  });
+
+  it('refuses to archive an order that is still in progress', () => {
+    const order = buildOrder('processing');
+
+    expect(() => order.archive()).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(order.isArchived).toBe(false);
+  });
+
+  it('refuses every in-progress status and accepts finished ones', () => {
+    ['pending', 'processing', 'shipped'].forEach((status) => {
+      expect(() => buildOrder(status).archive()).toThrow('doit être annulée ou terminée');
+    });
+    ['delivered', 'returned', 'cancelled', 'refunded'].forEach((status) => {
+      expect(buildOrder(status).archive().isArchived).toBe(true);
+    });
+  });
+
+  it('refuses to archive an order twice', () => {
+    const order = buildOrder('cancelled');
+    order.archive({ reason: 'Doublon' });
+    const { archivedAt } = order;
+
+    expect(() => order.archive({ reason: 'Autre motif' })).toThrow('Cette commande est déjà archivée');
+    expect(order.archivedAt).toBe(archivedAt);
+    expect(order.archiveReason).toBe('Doublon');
+  });
+});
+
+describe('Order accounting export', () => {
+  it('exports one row per order with the accounting columns in order', () => {
+    const order = buildOrder('refunded');
+    order.set({ couponCode: 'SOLDES', isPaid: true, paidAt: new Date('2026-03-02T10:00:00Z'), createdAt: new Date('2026-03-01T09:30:00Z') });
+    order.set({ itemsPrice: 1000, discountPrice: 100, taxPrice: 162, shippingPrice: 500, totalPrice: 1562, refundedPrice: 1562 });
+    order.archive();
+
+    const row = orderModel.accountingRow(order.toObject());
+
+    expect(Object.keys(row)).toEqual([
+      'id', 'createdAt', 'user', 'status', 'paymentMethod', 'isPaid', 'paidAt', 'couponCode',
+      'itemsPrice', 'discountPrice', 'taxPrice', 'shippingPrice', 'totalPrice', 'refundedPrice', 'isArchived',
+    ]);
+    expect(row).toMatchObject({
+      id: String(order._id),
+      createdAt: '2026-03-01T09:30:00.000Z',
+      user: String(order.user),
+      status: 'refunded',
+      paidAt: '2026-03-02T10:00:00.000Z',
+      couponCode: 'SOLDES',
+      totalPrice: 1562,
+      refundedPrice: 1562,
+      isArchived: true,
+    });
+  });
+
+  it('leaves optional columns empty and counts nothing refunded by default', () => {
+    const row = orderModel.accountingRow(buildOrder('delivered').toObject());
+
+    expect(row).toMatchObject({ isPaid: false, paidAt: '', couponCode: '', refundedPrice: 0, isArchived: false });
+  });
+});
\ No newline at end of file
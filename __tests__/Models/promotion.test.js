@@ -0,0 +1,48 @@
+import Promotion from '../../App/Models/promotion.js';
+
+describe('Promotion coupons', () => {
+  const category = '64b7f0c2a1b2c3d4e5f60720';
+  const brand = '64b7f0c2a1b2c3d4e5f60721';
+  const product = { _id: '64b7f0c2a1b2c3d4e5f60718', category: { _id: category, name: 'Chaussures' }, brand };
+
+  const coupon = (fields = {}) => new Promotion({
+    name: 'Coupon',
+    code: 'welcome10',
+    scope: 'cart',
+    type: 'percentage',
+    value: 10,
+    startDate: new Date(Date.now() - 60 * 1000),
+    endDate: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields,
+  });
+
+  it('matches products according to its scope', () => {
+    expect(coupon().appliesTo(product)).toBe(true);
+    expect(coupon({ scope: 'category', category }).appliesTo(product)).toBe(true);
+    expect(coupon({ scope: 'brand', brand: category }).appliesTo(product)).toBe(false);
+    expect(coupon({ scope: 'product', productId: product._id }).appliesTo(product)).toBe(true);
+  });
+
+  it('explains why a coupon is rejected', async () => {
+    expect(await coupon().checkEligibility({ subtotal: 1000 })).toBeNull();
+    expect((await coupon({ active: false }).checkEligibility()).reason).toBe('inactive');
+    expect((await coupon({ endDate: new Date(Date.now() - 1000) }).checkEligibility()).reason).toBe('expired');
+    expect((await coupon({ maxUsage: 5, currentUsage: 5 }).checkEligibility()).reason).toBe('usage_limit_reached');
+    expect((await coupon({ minPurchase: 5000 }).checkEligibility({ subtotal: 1000 })).reason).toBe('min_purchase_not_met');
+  });
+
+  it('requires a code and a target for non-product scopes', () => {
+    const error = coupon({ code: undefined, scope: 'brand' }).validateSync();
+
+    expect(error.errors.code).toBeDefined();
+    expect(error.errors.brand).toBeDefined();
+    expect(error.errors.productId).toBeUndefined();
+  });
+
+  it('caps single-use coupons to one redemption', async () => {
+    const singleUse = coupon({ singleUse: true, startDate: new Date(Date.now() + 60 * 1000) });
+    await singleUse.validate();
+
+    expect(singleUse.maxUsage).toBe(1);
+  });
+});
@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import reviewModel from '../../App/Models/review.js';
+import productModel from '../../App/Models/product.js';
+import '../../App/Models/user.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Review ratings', () => {
+  const product = id();
+  let aggregate;
+
+  beforeEach(() => {
+    aggregate = jest.spyOn(reviewModel, 'aggregate').mockResolvedValue([{ _id: product, count: 3, average: 13 / 3 }]);
+    jest.spyOn(productModel, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('averages the approved reviews into the product rating fields', async () => {
+    await reviewModel.calcAverageRatings(product);
+
+    expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: { product, status: 'approved' } });
+    expect(productModel.updateOne).toHaveBeenCalledWith(
+      { _id: product },
+      { ratingsAverage: 4.3, ratingsQuantity: 3, rating: 4.3, numReviews: 3 }
+    );
+  });
+
+  it('resets the rating of a product without approved reviews', async () => {
+    aggregate.mockResolvedValueOnce([]);
+
+    await reviewModel.calcAverageRatings(product);
+
+    expect(productModel.updateOne).toHaveBeenCalledWith(
+      { _id: product },
+      { ratingsAverage: 0, ratingsQuantity: 0, rating: 0, numReviews: 0 }
+    );
+  });
+
+  it('recomputes the product rating when a review is created, updated or deleted', async () => {
+    const calc = jest.spyOn(reviewModel, 'calcAverageRatings').mockResolvedValue();
+    const review = new reviewModel({ product, user: id(), rating: 4 });
+    jest.spyOn(reviewModel.collection, 'insertOne').mockResolvedValue({ acknowledged: true, insertedId: review._id });
+    // Sans auteur dans le document renvoyé, le populate du hook pre(/^find/) n'interroge pas la base
+    jest.spyOn(reviewModel.collection, 'findOneAndUpdate').mockResolvedValue({ _id: review._id, product, rating: 2 });
+    jest.spyOn(reviewModel.collection, 'deleteOne').mockResolvedValue({ acknowledged: true, deletedCount: 1 });
+
+    await review.save();
+    expect(calc).toHaveBeenLastCalledWith(product);
+
+    await reviewModel.findOneAndUpdate({ _id: review._id }, { rating: 2 }, { new: true });
+    expect(calc).toHaveBeenCalledTimes(2);
+    expect(String(calc.mock.calls[1][0])).toBe(String(product));
+
+    await review.deleteOne();
+    expect(calc).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('Review rules', () => {
+  it('allows a single review per user and product', () => {
+    expect(reviewModel.schema.indexes()).toContainEqual([{ product: 1, user: 1 }, expect.objectContaining({ unique: true })]);
+  });
+
+  it('only accepts whole ratings from 1 to 5', () => {
+    const review = new reviewModel({ product: id(), user: id(), rating: 4.5 });
+    expect(review.validateSync().errors.rating.message).toBe('La note doit être un nombre entier');
+
+    review.rating = 6;
+    expect(review.validateSync().errors.rating.message).toBe('La note doit être inférieure ou égale à 5');
+
+    review.rating = 5;
+    expect(review.validateSync()).toBeUndefined();
+  });
+});
@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+import userModel from '../../App/Models/user.js';
+
+describe('User password reset', () => {
+  const buildUser = () => new userModel({ name: 'Awa Koné', email: 'awa@example.com', password: 'motdepasse' });
+
+  it('stores only the hash of the reset token with its expiry', () => {
+    const user = buildUser();
+    const before = Date.now();
+
+    const resetToken = user.createPasswordResetToken(15);
+
+    expect(resetToken).toMatch(/^[a-f0-9]{64}$/);
+    expect(user.passwordResetToken).toBe(crypto.createHash('sha256').update(resetToken).digest('hex'));
+    expect(user.passwordResetExpires.getTime()).toBeGreaterThanOrEqual(before + 15 * 60 * 1000);
+  });
+
+  it('detects tokens issued before a password change', () => {
+    const user = buildUser();
+    expect(user.changedPasswordAfter(Date.now())).toBe(false);
+
+    user.passwordChangedAt = new Date();
+    expect(user.changedPasswordAfter(Date.now() - 60 * 1000)).toBe(true);
+    expect(user.changedPasswordAfter(Date.now() + 60 * 1000)).toBe(false);
+  });
+});
+
+describe('User profile', () => {
+  it('accepts international phone numbers and rejects malformed ones', () => {
+    const user = new userModel({ name: 'Awa Koné', email: 'awa@example.com', password: 'motdepasse', phone: '+225 07 08 09 10 11' });
+    expect(user.validateSync()).toBeUndefined();
+
+    user.phone = 'appelez-moi';
+    expect(user.validateSync().errors.phone.message).toBe('Veuillez entrer un numéro de téléphone valide');
+  });
+});
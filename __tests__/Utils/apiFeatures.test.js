@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import productModel from '../../App/Models/product.js';
+import orderModel from '../../App/Models/order.js';
+import userModel from '../../App/Models/user.js';
+import APIFeatures from '../../App/Utils/apiFeatures.js';
+
+// Les requêtes sont construites sans être exécutées : seules leurs conditions et options sont vérifiées
+const features = (model, queryString, base = {}) => new APIFeatures(model.find(base), queryString);
+
+describe('APIFeatures', () => {
+  it('coerces allow-listed filters and supports in, ne, between and exists', () => {
+    const category = new mongoose.Types.ObjectId();
+    const { query } = features(productModel, {
+      'price[between]': '10,50',
+      'stock[gt]': '0',
+      'category[in]': `${category},${category}`,
+      'priceDiscount[exists]': 'true',
+      'name[ne]': 'Pagne',
+      page: '2',
+    }).filter();
+
+    expect(query.getFilter()).toEqual({
+      $and: [{
+        price: { $gte: 10, $lte: 50 },
+        stock: { $gt: 0 },
+        category: { $in: [category, category] },
+        priceDiscount: { $exists: true },
+        name: { $ne: 'Pagne' },
+      }],
+    });
+  });
+
+  it('rejects unknown fields, private fields, operator injection and invalid values with a 400', () => {
+    const attempts = [
+      { password: 'secret' },
+      { 'price[$where]': '1' },
+      { price: { $gt: '' } },
+      { 'price[gte]': 'abc' },
+      { 'price[between]': '50,10' },
+      { 'name[gt]': 'a' },
+    ];
+    for (const queryString of attempts) {
+      expect(() => features(queryString.password ? userModel : productModel, queryString).filter())
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    }
+
+    let error;
+    try {
+      features(productModel, { color: 'Rouge', 'stock[gte]': 'x' }).filter();
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.data.errors).toHaveLength(2);
+    expect(error.message).toContain('Filtre non pris en charge : "color"');
+  });
+
+  it('only narrows the base conditions of the query', () => {
+    const own = new mongoose.Types.ObjectId();
+    const other = new mongoose.Types.ObjectId();
+    const { query } = features(orderModel, { user: String(other), search: 'a.*' }, { user: own }).search(['trackingNumber']).filter();
+
+    expect(query.getFilter()).toEqual({
+      user: own,
+      $and: [{ $or: [{ trackingNumber: { $regex: 'a\\.\\*', $options: 'i' } }] }, { user: other }],
+    });
+  });
+
+  it('checks sort and selected fields against the allow-list', () => {
+    const { query } = features(productModel, { sort: '-price,name', fields: 'name,price' }).sort().limitFields();
+    expect(query.getOptions().sort).toEqual({ price: -1, name: 1 });
+    expect(query._fields).toEqual({ name: 1, price: 1 });
+
+    expect(() => features(userModel, { sort: 'password' }).sort()).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => features(userModel, { fields: 'email,password' }).limitFields()).toThrow('password');
+  });
+});
+
+describe('APIFeatures pagination', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.MAX_PAGE_SIZE;
+  });
+
+  it('uses the resource page size and caps the requested limit', () => {
+    expect(features(productModel, {}).paginate(4).query.getOptions()).toMatchObject({ skip: 0, limit: 4 });
+    expect(features(productModel, { page: '3', limit: '10' }).paginate(4).query.getOptions()).toMatchObject({ skip: 20, limit: 10 });
+
+    process.env.MAX_PAGE_SIZE = '25';
+    expect(features(productModel, { limit: '1000' }).paginate(4).pagination).toEqual({ page: 1, limit: 25 });
+  });
+
+  it('counts the documents matching the filters, not the whole collection', async () => {
+    jest.spyOn(mongoose.Query.prototype, 'exec').mockResolvedValue([{ name: 'Pagne' }]);
+    const countDocuments = jest.spyOn(productModel, 'countDocuments').mockResolvedValue(9);
+
+    const { results, pagination } = await features(productModel, { 'price[gte]': '10', page: '2' }).filter().paginate(4).execute();
+
+    expect(results).toHaveLength(1);
+    expect(pagination).toEqual({ page: 2, limit: 4, total: 9, pages: 3 });
+    expect(countDocuments).toHaveBeenCalledWith({ $and: [{ price: { $gte: 10 } }] });
+  });
+
+  it('pages through orders with an opaque cursor', async () => {
+    const orders = [3, 2, 1].map((day) => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(Date.UTC(2026, 0, day)) }));
+    jest.spyOn(mongoose.Query.prototype, 'exec').mockResolvedValue(orders);
+
+    const first = features(orderModel, { cursor: '', limit: '2' }).cursorPaginate(4);
+    expect(first.query.getOptions()).toMatchObject({ sort: { createdAt: -1, _id: -1 }, limit: 3 });
+    const { results, pagination } = await first.execute();
+    expect(results).toEqual(orders.slice(0, 2));
+    expect(pagination).toMatchObject({ limit: 2, hasMore: true });
+
+    const next = features(orderModel, { cursor: pagination.nextCursor, limit: '2' }).cursorPaginate(4);
+    expect(next.query.getFilter()).toEqual({
+      $and: [{ $or: [{ createdAt: { $lt: orders[1].createdAt } }, { createdAt: orders[1].createdAt, _id: { $lt: orders[1]._id } }] }],
+    });
+
+    expect(() => features(orderModel, { cursor: 'not-a-cursor' }).cursorPaginate(4)).toThrow('Curseur de pagination invalide');
+    expect(() => features(orderModel, { cursor: '', sort: 'totalPrice' }).cursorPaginate(4)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('keeps the cursor field and _id selected when fields are chosen', async () => {
+    const orders = [3, 2].map((day) => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(Date.UTC(2026, 0, day)), totalPrice: day }));
+    jest.spyOn(mongoose.Query.prototype, 'exec').mockResolvedValue(orders);
+
+    const page = features(orderModel, { cursor: '', limit: '1', fields: 'totalPrice' }).limitFields().cursorPaginate(4);
+    const { pagination } = await page.execute();
+
+    expect(page.query.projection()).toEqual({ totalPrice: 1, createdAt: 1, _id: 1 });
+    const next = features(orderModel, { cursor: pagination.nextCursor, limit: '1', fields: 'totalPrice' }).limitFields().cursorPaginate(4);
+    expect(next.query.getFilter()).toEqual({
+      $and: [{ $or: [{ createdAt: { $lt: orders[0].createdAt } }, { createdAt: orders[0].createdAt, _id: { $lt: orders[0]._id } }] }],
+    });
+  });
+
+  it('sets RFC 5988 Link and X-Total-Count headers', () => {
+    const request = { originalUrl: '/e-shopping-api/v1/products?price%5Bgte%5D=10&page=2', protocol: 'https', get: () => 'shop.example' };
+    const response = { set: jest.fn() };
+
+    APIFeatures.setPaginationHeaders(request, response, { page: 2, limit: 4, total: 9, pages: 3 });
+
+    expect(response.set).toHaveBeenCalledWith('X-Total-Count', '9');
+    expect(response.set).toHaveBeenCalledWith('Link', [
+      '<https://shop.example/e-shopping-api/v1/products?price%5Bgte%5D=10&page=1&limit=4>; rel="first"',
+      '<https://shop.example/e-shopping-api/v1/products?price%5Bgte%5D=10&page=1&limit=4>; rel="prev"',
+      '<https://shop.example/e-shopping-api/v1/products?price%5Bgte%5D=10&page=3&limit=4>; rel="next"',
+      '<https://shop.example/e-shopping-api/v1/products?price%5Bgte%5D=10&page=3&limit=4>; rel="last"',
+    ].join(', '));
+  });
+});
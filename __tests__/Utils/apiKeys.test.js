@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import apiKeyModel from '../../App/Models/apiKey.js';
+import ApiKeys from '../../App/Utils/ApiKeys.js';
+
+// Collection ApiKey en mémoire : seules les opérations utilisées par le service sont simulées
+const memoryStore = () => {
+  const docs = [];
+  return {
+    docs,
+    hashKey: apiKeyModel.hashKey,
+    async create(data) {
+      const doc = { _id: new mongoose.Types.ObjectId(), ...data };
+      docs.push(doc);
+      return doc;
+    },
+    async findOne({ keyHash }) {
+      return docs.find((doc) => doc.keyHash === keyHash) || null;
+    },
+    updateOne: jest.fn(async ({ _id }, update) => {
+      Object.assign(docs.find((doc) => String(doc._id) === String(_id)), update);
+    }),
+    async findOneAndUpdate({ _id }, update) {
+      const doc = docs.find((item) => String(item._id) === String(_id) && !item.revokedAt);
+      return doc ? Object.assign(doc, update) : null;
+    },
+    async exists({ _id }) {
+      return docs.some((doc) => String(doc._id) === String(_id));
+    },
+  };
+};
+
+describe('ApiKeys', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'storekeeper', isActive: true };
+  let store;
+  let apiKeys;
+
+  beforeEach(() => {
+    store = memoryStore();
+    apiKeys = new ApiKeys({
+      model: store,
+      userModel: { findById: () => ({ select: async () => user }) },
+      rateLimitPerMinute: 2,
+      touchIntervalSeconds: 60,
+    });
+  });
+
+  it('stores only the hash of the key and authenticates with the plain key', async () => {
+    const { apiKey, key } = await apiKeys.issue({ name: 'ERP', user: user._id, createdBy: user._id, scopes: ['product:write'] });
+
+    expect(key).toMatch(/^esk_[\w-]{43}$/);
+    expect(apiKey.keyHash).toBe(apiKeyModel.hashKey(key));
+    expect(apiKey.prefix).toBe(key.slice(0, 12));
+
+    const result = await apiKeys.authenticate(key, { ip: '10.0.0.1' });
+    expect(result.user).toBe(user);
+    expect(result.apiKey.lastUsedIp).toBe('10.0.0.1');
+    await expect(apiKeys.authenticate('esk_unknown')).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('records the last use at most once per interval', async () => {
+    const { key } = await apiKeys.issue({ name: 'ERP', user: user._id, createdBy: user._id, scopes: [] });
+    apiKeys.consume = () => ({});
+
+    await apiKeys.authenticate(key);
+    await apiKeys.authenticate(key);
+
+    expect(store.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects revoked and expired keys', async () => {
+    const { apiKey, key } = await apiKeys.issue({ name: 'ERP', user: user._id, createdBy: user._id, scopes: [] });
+    const expired = await apiKeys.issue({ name: 'Old', user: user._id, createdBy: user._id, scopes: [], expiresAt: new Date(Date.now() - 1000) });
+
+    await expect(apiKeys.authenticate(expired.key)).rejects.toMatchObject({ statusCode: 401, data: { code: 'API_KEY_EXPIRED' } });
+
+    await apiKeys.revoke(apiKey._id, user._id);
+    await expect(apiKeys.authenticate(key)).rejects.toMatchObject({ statusCode: 401, data: { code: 'API_KEY_REVOKED' } });
+    await expect(apiKeys.revoke(apiKey._id, user._id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('enforces the per-key rate limit over a one-minute window', () => {
+    const now = Date.now();
+    const apiKey = { _id: new mongoose.Types.ObjectId() };
+    const generous = { _id: new mongoose.Types.ObjectId(), rateLimitPerMinute: 5 };
+
+    expect(apiKeys.consume(apiKey, now)).toMatchObject({ limit: 2, remaining: 1 });
+    apiKeys.consume(apiKey, now + 1000);
+    expect(() => apiKeys.consume(apiKey, now + 30 * 1000)).toThrow(expect.objectContaining({ statusCode: 429, data: expect.objectContaining({ retryAfter: 30 }) }));
+    expect(apiKeys.consume(generous, now)).toMatchObject({ limit: 5, remaining: 4 });
+
+    // Nouvelle fenêtre
+    expect(apiKeys.consume(apiKey, now + 61 * 1000)).toMatchObject({ remaining: 1 });
+  });
+});
@@ -0,0 +1,169 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import CategoryTree from '../../App/Utils/CategoryTree.js';
+
+const entry = (category) => ({ _id: category._id, name: category.name, slug: category.slug });
+
+// Requête simulée : select() et session() sont chaînables, la session utilisée est relevée
+const query = (result, sessions) => {
+  const chain = {
+    select: () => chain,
+    session: (session) => {
+      sessions.push(session);
+      return chain;
+    },
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+// Collection Category en mémoire : seules les opérations utilisées par le service sont simulées
+const memoryStore = (categories) => {
+  const docs = categories;
+  const readSessions = [];
+  const inSubtree = (filter) => (doc) => doc.ancestors.some((ancestor) => String(ancestor._id) === String(filter['ancestors._id']));
+  return {
+    docs,
+    readSessions,
+    findById(id) {
+      return query(docs.find((item) => String(item._id) === String(id)) || null, readSessions);
+    },
+    find(filter) {
+      const result = filter['ancestors._id']
+        ? docs.filter(inSubtree(filter))
+        : docs.filter((doc) => String(doc.parent) === String(filter.parent));
+      return query(result, readSessions);
+    },
+    updateOne: jest.fn(async () => ({ modifiedCount: 1 })),
+    async bulkWrite(operations) {
+      for (const { updateOne } of operations) {
+        Object.assign(docs.find((doc) => String(doc._id) === String(updateOne.filter._id)), updateOne.update.$set);
+      }
+    },
+    async exists({ _id }) {
+      return docs.some((doc) => String(doc._id) === String(_id));
+    },
+  };
+};
+
+const category = (name, parent = null) => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    slug: name.toLowerCase(),
+    parent: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, entry(parent)] : [],
+    set(fields) {
+      Object.assign(this, fields);
+    },
+    async save() {},
+    async deleteOne() {},
+  };
+  return doc;
+};
+
+// Session simulée : withTransaction rejoue work autant de fois que demandé (conflits d'écriture),
+// rollback() annulant les écritures de chaque tentative abandonnée
+const fakeSession = (attempts = 1, rollback = () => {}) => ({
+  withTransaction: jest.fn(async (work) => {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      if (attempt > 0) rollback();
+      await work();
+    }
+  }),
+  endSession: jest.fn(async () => {}),
+});
+
+describe('CategoryTree', () => {
+  // Mode > Homme > Chemises, et Maison à la racine
+  let mode, homme, chemises, maison, store, tree, session;
+
+  beforeEach(() => {
+    mode = category('Mode');
+    homme = category('Homme', mode);
+    chemises = category('Chemises', homme);
+    maison = category('Maison');
+    store = memoryStore([mode, homme, chemises, maison]);
+    session = fakeSession();
+    tree = new CategoryTree({ categoryModel: store, productModel: { countDocuments: async () => 0 }, startSession: async () => session });
+  });
+
+  it('builds the tree from parent references', () => {
+    const roots = CategoryTree.build([mode, homme, chemises, maison]);
+
+    expect(roots.map((root) => root.name)).toEqual(['Mode', 'Maison']);
+    expect(roots[0].children[0].name).toBe('Homme');
+    expect(roots[0].children[0].children[0].name).toBe('Chemises');
+  });
+
+  it('refuses to move a category under itself or one of its descendants', async () => {
+    await expect(tree.move(mode, mode._id)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(tree.move(mode, chemises._id)).rejects.toMatchObject({ statusCode: 409 });
+    expect(mode.parent).toBeNull();
+  });
+
+  it('rewrites the ancestor path of the whole subtree on move', async () => {
+    await tree.move(homme, maison._id);
+
+    expect(homme.parent).toEqual(maison._id);
+    expect(homme.ancestors.map((ancestor) => ancestor.name)).toEqual(['Maison']);
+    expect(chemises.ancestors.map((ancestor) => ancestor.name)).toEqual(['Maison', 'Homme']);
+    expect(await tree.subtreeIds(maison._id)).toEqual([maison._id, homme._id, chemises._id]);
+  });
+
+  it('moves, renames and saves a category in a single transaction', async () => {
+    const bulkWrite = jest.spyOn(store, 'bulkWrite');
+    homme.save = jest.fn(async () => {});
+
+    await tree.update(homme, { parent: maison._id, description: 'Vêtements' });
+
+    expect(bulkWrite).toHaveBeenCalledWith(expect.any(Array), { session });
+    expect(homme.save).toHaveBeenCalledWith({ session });
+    expect(homme.description).toBe('Vêtements');
+    expect(session.withTransaction).toHaveBeenCalledTimes(1);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('reads the new parent and the subtree within the transaction and writes the parent', async () => {
+    await tree.update(homme, { parent: maison._id });
+
+    expect(store.readSessions.length).toBeGreaterThan(0);
+    expect(store.readSessions.every((used) => used === session)).toBe(true);
+    expect(store.updateOne).toHaveBeenCalledWith({ _id: maison._id }, { $currentDate: { updatedAt: true } }, { session });
+  });
+
+  it('replays a move from a fresh read after a write conflict', async () => {
+    const snapshot = store.docs.map((doc) => ({ doc, parent: doc.parent, ancestors: doc.ancestors }));
+    session = fakeSession(2, () => snapshot.forEach(({ doc, parent, ancestors }) => Object.assign(doc, { parent, ancestors })));
+    tree = new CategoryTree({ categoryModel: store, productModel: { countDocuments: async () => 0 }, startSession: async () => session });
+    const bulkWrite = jest.spyOn(store, 'bulkWrite');
+
+    await tree.update(homme, { parent: maison._id });
+
+    expect(bulkWrite).toHaveBeenCalledTimes(2);
+    expect(homme.ancestors.map((ancestor) => ancestor.name)).toEqual(['Maison']);
+    expect(chemises.ancestors.map((ancestor) => ancestor.name)).toEqual(['Maison', 'Homme']);
+  });
+
+  it('aborts the move of the subtree when the category cannot be saved', async () => {
+    homme.save = jest.fn(async () => {
+      throw new Error('E11000 duplicate key error');
+    });
+
+    await expect(tree.update(homme, { parent: maison._id, name: 'Mode' })).rejects.toThrow('duplicate key');
+    expect(session.withTransaction).toHaveBeenCalledTimes(1);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('refuses to delete a category with products unless they are reassigned', async () => {
+    tree.productModel = { countDocuments: async () => 3, updateMany: async () => {} };
+
+    await expect(tree.remove(homme)).rejects.toMatchObject({ statusCode: 409, data: { products: 3 } });
+    await expect(tree.remove(homme, { reassignTo: homme._id })).rejects.toMatchObject({ statusCode: 422 });
+
+    const moved = await tree.remove(homme, { reassignTo: maison._id });
+    expect(moved).toEqual({ children: 1, products: 3 });
+    expect(chemises.parent).toEqual(mode._id);
+    expect(chemises.ancestors.map((ancestor) => ancestor.name)).toEqual(['Mode']);
+  });
+});
@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Checkout from '../../App/Utils/Checkout.js';
+import addressModel from '../../App/Models/address.js';
+import orderModel from '../../App/Models/order.js';
+import promotionModel from '../../App/Models/promotion.js';
+
+describe('Checkout', () => {
+  const checkout = new Checkout({
+    taxRate: 0.18,
+    shippingPrice: 1500,
+    freeShippingThreshold: 50000,
+    secret: 'test-secret',
+  });
+
+  const lines = [
+    { product: '64b7f0c2a1b2c3d4e5f60718', quantity: 2, unitPrice: 10000, discount: 2000 },
+    { product: '64b7f0c2a1b2c3d4e5f60719', quantity: 1, unitPrice: 5000, discount: 0 },
+  ];
+
+  it('computes totals from server-side unit prices', () => {
+    const breakdown = checkout.totals(lines);
+
+    expect(breakdown.itemsPrice).toBe(25000);
+    expect(breakdown.discountPrice).toBe(2000);
+    expect(breakdown.taxPrice).toBe(4140);
+    expect(breakdown.shippingPrice).toBe(1500);
+    expect(breakdown.totalPrice).toBe(28640);
+    expect(breakdown.items[0].total).toBe(18000);
+  });
+
+  it('offers free shipping above the threshold', () => {
+    const breakdown = checkout.totals([{ ...lines[0], quantity: 6, discount: 0 }]);
+
+    expect(breakdown.shippingPrice).toBe(0);
+  });
+
+  it('signs quotes and rejects tampered ones', () => {
+    const quote = checkout.sign(checkout.totals(lines));
+
+    expect(checkout.verify(quote)).toBe(true);
+    expect(checkout.verify({ ...quote, totalPrice: 1 })).toBe(false);
+    expect(checkout.verify({ ...quote, items: [{ ...quote.items[0], unitPrice: 1 }, quote.items[1]] })).toBe(false);
+  });
+
+  it('rejects expired quotes', () => {
+    const expired = new Checkout({ secret: 'test-secret', quoteTtl: -1 });
+    const quote = expired.sign(expired.totals(lines));
+
+    expect(expired.verify(quote)).toBe(false);
+  });
+
+  it('spreads a fixed cart coupon across lines and applies product coupons per unit', () => {
+    const cartCoupon = { scope: 'cart', type: 'fixed', value: 3000 };
+    expect(checkout.couponDiscounts(cartCoupon, lines)).toEqual([2400, 600]);
+
+    const productCoupon = { scope: 'product', type: 'fixed', value: 1000, apply: (price) => price - 1000 };
+    expect(checkout.couponDiscounts(productCoupon, [lines[0]])).toEqual([2000]);
+  });
+
+  describe('placeOrder', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('aborts with a 409 when the coupon was deleted after the quote', async () => {
+      const session = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(async () => {}),
+        endSession: jest.fn(),
+      };
+      const inventory = { reserve: jest.fn(async () => {}) };
+      const placing = new Checkout({ secret: 'test-secret', inventory });
+      jest.spyOn(placing, 'price').mockResolvedValue({ ...placing.totals(lines), couponCode: 'SOLDES' });
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      jest.spyOn(addressModel, 'findOne').mockResolvedValue({ toSnapshot: () => ({}) });
+      jest.spyOn(orderModel, 'create').mockResolvedValue([{ _id: new mongoose.Types.ObjectId() }]);
+      jest.spyOn(promotionModel, 'findOne').mockReturnValue({ session: async () => null });
+
+      const placed = placing.placeOrder({ user: new mongoose.Types.ObjectId(), items: [], shippingAddress: 'a', paymentMethod: 'cash' });
+      await expect(placed).rejects.toMatchObject({ statusCode: 409, data: { coupon: 'SOLDES', reason: 'not_found' } });
+      expect(session.abortTransaction).toHaveBeenCalled();
+      expect(session.commitTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
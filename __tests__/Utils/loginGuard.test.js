@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import userModel from '../../App/Models/user.js';
+import LoginGuard from '../../App/Utils/LoginGuard.js';
+
+describe('LoginGuard', () => {
+  const logger = { logSecurityEvent: jest.fn() };
+  const counter = (key, values) => ({ key, failures: 0, accounts: [], expiresAt: new Date(Date.now() + 60000), ...values });
+
+  const buildGuard = (model = {}) => new LoginGuard({ maxAttempts: 3, maxIpAttempts: 10, lockMinutes: 15, maxDelaySeconds: 30, model, logger });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('grows the delay between attempts exponentially up to a ceiling', () => {
+    const guard = buildGuard();
+
+    expect([1, 2, 3, 4, 5].map((failures) => guard.delayFor(failures))).toEqual([0, 1, 2, 4, 8]);
+    expect(guard.delayFor(20)).toBe(30);
+  });
+
+  it('refuses attempts made before the progressive delay has elapsed', async () => {
+    // Horloge figée : le délai restant ne dépend pas de la durée du test
+    jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z') });
+    const guard = buildGuard({
+      find: async () => [counter('email:awa@example.com', { failures: 3, nextAttemptAt: new Date(Date.now() + 4000) })],
+    });
+
+    await expect(guard.assertAllowed({ ip: '10.0.0.1', email: 'awa@example.com' }))
+      .rejects.toMatchObject({ statusCode: 429, data: { retryAfter: 4 } });
+  });
+
+  it('blocks an IP once it reaches its failure budget', async () => {
+    const guard = buildGuard({ find: async () => [counter('ip:10.0.0.1', { failures: 10 })] });
+
+    await expect(guard.assertAllowed({ ip: '10.0.0.1', email: 'awa@example.com' })).rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  it('locks the account and audits it after too many failures', async () => {
+    const guard = buildGuard({ deleteOne: jest.fn() });
+    const user = new userModel({ name: 'Awa Koné', email: 'awa@example.com', password: 'motdepasse' });
+    user.save = jest.fn();
+    jest.spyOn(guard, 'increment').mockImplementation(async (key) => counter(key, { failures: 3, accounts: ['awa@example.com'] }));
+
+    const result = await guard.recordFailure({ ip: '10.0.0.1', email: 'awa@example.com', user });
+
+    expect(result.locked).toBe(true);
+    expect(result.unlockToken).toMatch(/^[a-f0-9]{64}$/);
+    expect(user.isLocked).toBe(true);
+    expect(logger.logSecurityEvent).toHaveBeenCalledWith('account_locked', expect.objectContaining({ ip: '10.0.0.1', failures: 3 }));
+  });
+
+  it('audits an IP trying many different accounts', async () => {
+    const guard = new LoginGuard({ suspiciousAccounts: 2, model: {}, logger });
+    jest.spyOn(guard, 'increment').mockImplementation(async (key) => counter(key, { failures: 1, accounts: ['a@example.com', 'b@example.com'] }));
+
+    await guard.recordFailure({ ip: '10.0.0.1', email: 'b@example.com' });
+
+    expect(logger.logSecurityEvent).toHaveBeenCalledWith('login_many_accounts_from_ip', expect.objectContaining({ ip: '10.0.0.1' }));
+  });
+});
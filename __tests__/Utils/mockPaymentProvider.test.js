@@ -0,0 +1,88 @@
+import MockPaymentProvider from '../../App/Utils/MockPaymentProvider.js';
+import PaymentGateway from '../../App/Utils/PaymentGateway.js';
+
+describe('MockPaymentProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new MockPaymentProvider({ webhookSecret: 'test-secret' });
+  });
+
+  it('is registered as the default payment gateway', () => {
+    expect(PaymentGateway.use('mock')).toBeInstanceOf(MockPaymentProvider);
+    expect(() => PaymentGateway.use('unknown')).toThrow('Prestataire de paiement inconnu');
+  });
+
+  describe('outside tests', () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+      PaymentGateway.instances.clear();
+    });
+
+    afterEach(() => {
+      process.env = { ...env };
+      PaymentGateway.instances.clear();
+    });
+
+    it('is only available in development or when explicitly enabled', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'prod-secret';
+      expect(() => PaymentGateway.use('mock')).toThrow('non disponible');
+
+      process.env.PAYMENT_MOCK_PROVIDER = 'true';
+      expect(PaymentGateway.use('mock')).toBeInstanceOf(MockPaymentProvider);
+    });
+
+    it('requires a webhook secret', () => {
+      process.env.NODE_ENV = 'development';
+      delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+      expect(() => new MockPaymentProvider()).toThrow('MOCK_PAYMENT_WEBHOOK_SECRET');
+    });
+
+    it('refuses to start in production without PAYMENT_PROVIDER', () => {
+      process.env.NODE_ENV = 'production';
+      delete process.env.PAYMENT_PROVIDER;
+      expect(() => PaymentGateway.assertConfigured()).toThrow('PAYMENT_PROVIDER');
+
+      process.env.PAYMENT_PROVIDER = 'mock';
+      expect(() => PaymentGateway.assertConfigured()).toThrow('non disponible');
+    });
+  });
+
+  it('accepts or declines payments depending on the payment token', async () => {
+    const accepted = await provider.createIntent({ amount: 5000, currency: 'XOF', reference: 'order-1' });
+    const declined = await provider.createIntent({ amount: 5000, currency: 'XOF', reference: 'order-2' });
+
+    expect((await provider.confirm(accepted.id)).status).toBe('succeeded');
+    const result = await provider.confirm(declined.id, { paymentToken: 'tok_decline' });
+    expect(result.status).toBe('failed');
+    expect(result.failureReason).toBe('card_declined');
+  });
+
+  it('authorizes manual payments until they are captured', async () => {
+    const intent = await provider.createIntent({ amount: 5000, currency: 'XOF', reference: 'order-1', captureMethod: 'manual' });
+
+    expect((await provider.confirm(intent.id)).status).toBe('requires_capture');
+    const captured = await provider.capture(intent.id, 4000);
+    expect(captured.status).toBe('succeeded');
+    expect(captured.amountCaptured).toBe(4000);
+  });
+
+  it('refuses refunds above the captured amount', async () => {
+    const intent = await provider.createIntent({ amount: 5000, currency: 'XOF', reference: 'order-1' });
+    await provider.confirm(intent.id);
+
+    await provider.refund(intent.id, 3000);
+    await expect(provider.refund(intent.id, 3000)).rejects.toThrow('dépasse le montant encaissé');
+  });
+
+  it('verifies webhook signatures', async () => {
+    const intent = await provider.createIntent({ amount: 5000, currency: 'XOF', reference: 'order-1' });
+    await provider.confirm(intent.id);
+    const { rawBody, signature } = provider.buildWebhook(intent.id);
+
+    expect(provider.verifyWebhook(rawBody, signature)).toMatchObject({ intentId: intent.id, status: 'succeeded' });
+    expect(() => provider.verifyWebhook(rawBody, 'deadbeef')).toThrow('Signature de la notification invalide');
+  });
+});
@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Order from '../../App/Models/order.js';
+import Payment from '../../App/Models/payment.js';
+import Payments from '../../App/Utils/Payments.js';
+
+describe('Payments.refundPayment', () => {
+  const session = { withTransaction: async (work) => work(), endSession: jest.fn() };
+  const payments = new Payments({ startSession: async () => session });
+  let gateway;
+  let payment;
+  let order;
+
+  beforeEach(() => {
+    order = new Order({
+      user: '64b7f0c2a1b2c3d4e5f60701',
+      items: [{ product: '64b7f0c2a1b2c3d4e5f60718', name: 'Chemise', quantity: 1, price: 10000 }],
+      shippingAddress: { fullName: 'Awa Koné', line1: 'Rue 12', city: 'Abidjan', country: 'CI' },
+      paymentMethod: 'card',
+      totalPrice: 10000,
+      refundedPrice: 10000,
+      status: 'delivered',
+    });
+    payment = new Payment({
+      order: order._id,
+      user: order.user,
+      provider: 'mock',
+      paymentMethod: 'card',
+      transactionId: 'pi_mock_000001',
+      amount: 10000,
+      currency: 'XOF',
+      status: 'succeeded',
+      amountCaptured: 10000,
+    });
+    gateway = { refund: jest.fn(async (intentId, amount) => ({ id: 're_mock_000001', status: 'succeeded', amount })) };
+    jest.spyOn(payments, 'gateway').mockReturnValue(gateway);
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    jest.spyOn(Order, 'findByIdAndUpdate').mockResolvedValue(order);
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims the amount before refunding and records the refund on the order', async () => {
+    const changedBy = new mongoose.Types.ObjectId();
+    const work = jest.fn(async () => {});
+
+    await payments.refundPayment(payment, 10000, 'Colis endommagé', { changedBy, work });
+
+    const [claimFilter, claimUpdate] = Payment.updateOne.mock.calls[0];
+    expect(claimFilter.$expr).toEqual({ $lte: ['$amountRefunded', { $subtract: ['$amountCaptured', 10000] }] });
+    expect(claimUpdate).toEqual({ $inc: { amountRefunded: 10000 } });
+    expect(Payment.updateOne.mock.invocationCallOrder[0]).toBeLessThan(gateway.refund.mock.invocationCallOrder[0]);
+
+    expect(Order.findByIdAndUpdate).toHaveBeenCalledWith(order._id, { $inc: { refundedPrice: 10000 } }, { new: true, session });
+    expect(order.status).toBe('refunded');
+    expect(order.statusHistory[0]).toMatchObject({ from: 'delivered', to: 'refunded', changedBy });
+    expect(order.save).toHaveBeenCalledWith({ session });
+    expect(work).toHaveBeenCalledWith(session, expect.objectContaining({ id: 're_mock_000001' }));
+  });
+
+  it('refuses a refund when a concurrent one already used the balance', async () => {
+    Payment.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await expect(payments.refundPayment(payment, 6000)).rejects.toMatchObject({ statusCode: 409 });
+    expect(gateway.refund).not.toHaveBeenCalled();
+    expect(Order.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('releases the claimed amount when the provider refuses the refund', async () => {
+    gateway.refund.mockRejectedValueOnce(new Error('provider unavailable'));
+
+    await expect(payments.refundPayment(payment, 6000)).rejects.toThrow('provider unavailable');
+    expect(Payment.updateOne).toHaveBeenLastCalledWith({ _id: payment._id }, { $inc: { amountRefunded: -6000 } });
+    expect(Order.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
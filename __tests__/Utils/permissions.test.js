@@ -0,0 +1,51 @@
+import { jest } from '@jest/globals';
+import Permissions from '../../App/Utils/Permissions.js';
+
+// Collection Role simulée : findOne(...).lean() renvoie le rôle stocké
+const roleStore = (roles) => ({
+  findOne: jest.fn(({ name }) => ({ lean: async () => roles[name] || null })),
+  exists: jest.fn(async ({ name }) => (roles[name] ? { _id: name } : null)),
+});
+
+describe('Permissions', () => {
+  it('matches exact permissions, wildcards and the ":own" variant', () => {
+    expect(Permissions.matches('order:read', 'order:read')).toBe(true);
+    expect(Permissions.matches('order:read', 'order:read:own')).toBe(true);
+    expect(Permissions.matches('order:read:own', 'order:read')).toBe(false);
+    expect(Permissions.matches('order:*', 'order:refund')).toBe(true);
+    expect(Permissions.matches('order:*', 'payment:read')).toBe(false);
+    expect(Permissions.matches('*', 'role:manage')).toBe(true);
+  });
+
+  it('only accepts catalog permissions and wildcards on known resources', () => {
+    expect(Permissions.isKnown('product:write')).toBe(true);
+    expect(Permissions.isKnown('review:*')).toBe(true);
+    expect(Permissions.isKnown('spaceship:*')).toBe(false);
+    expect(Permissions.isKnown('product:launch')).toBe(false);
+  });
+
+  it('resolves roles from MongoDB and caches them', async () => {
+    const model = roleStore({ support: { name: 'support', permissions: ['order:read', 'return:*'] } });
+    const permissions = new Permissions({ roleModel: model, cacheTtlSeconds: 60 });
+
+    expect(await permissions.can('support', 'return:manage')).toBe(true);
+    expect(await permissions.can('support', 'order:refund')).toBe(false);
+    expect(model.findOne).toHaveBeenCalledTimes(1);
+
+    permissions.invalidate('support');
+    await permissions.can('support', 'order:read');
+    expect(model.findOne).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to the default roles and never reads the locked admin role', async () => {
+    const model = roleStore({ admin: { name: 'admin', permissions: [] } });
+    const permissions = new Permissions({ roleModel: model });
+
+    expect(await permissions.can('storekeeper', 'product:write')).toBe(true);
+    expect(await permissions.can('client', 'product:write')).toBe(false);
+    expect(await permissions.can('admin', 'role:manage')).toBe(true);
+    expect(await permissions.can('ghost', 'review:update:own')).toBe(false);
+    expect(await permissions.exists('client')).toBe(true);
+    expect(await permissions.exists('ghost')).toBe(false);
+  });
+});
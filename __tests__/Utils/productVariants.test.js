@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import ProductVariants from '../../App/Utils/ProductVariants.js';
+import productVariantModel from '../../App/Models/productVariant.js';
+
+const optionTypes = [
+  { name: 'Couleur', values: ['Rouge', 'Bleu'] },
+  { name: 'Taille', values: ['M', 'L'] },
+];
+
+describe('ProductVariants.checkOptions', () => {
+  it('returns the options in the product order with the product spelling', () => {
+    const options = ProductVariants.checkOptions(optionTypes, [{ name: 'taille', value: 'm' }, { name: 'COULEUR', value: 'rouge' }]);
+
+    expect(options).toEqual([{ name: 'Couleur', value: 'Rouge' }, { name: 'Taille', value: 'M' }]);
+    expect(ProductVariants.checkOptions([], [])).toEqual([]);
+  });
+
+  it('rejects unknown, missing, repeated and disallowed options', () => {
+    const errorFor = (options) => {
+      try {
+        ProductVariants.checkOptions(optionTypes, options);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    const error = errorFor([{ name: 'Couleur', value: 'Vert' }, { name: 'Matière', value: 'Lin' }]);
+    expect(error.statusCode).toBe(400);
+    expect(error.data.errors).toEqual([
+      'Option inconnue pour ce produit : Matière',
+      'Valeur non valide pour "Couleur" : Vert. Valeurs possibles : Rouge, Bleu',
+      'L\'option "Taille" est requise',
+    ]);
+    expect(errorFor([{ name: 'Couleur', value: 'Rouge' }, { name: 'Couleur', value: 'Bleu' }, { name: 'Taille', value: 'M' }]).data.errors)
+      .toEqual(['L\'option "Couleur" ne peut avoir qu\'une valeur']);
+  });
+});
+
+describe('ProductVariant model', () => {
+  it('keys the option combination regardless of order and case', () => {
+    const key = productVariantModel.optionsKey([{ name: 'Taille', value: 'M' }, { name: 'Couleur', value: 'Rouge' }]);
+
+    expect(key).toBe('couleur=rouge|taille=m');
+    expect(productVariantModel.optionsKey([{ name: 'couleur', value: 'ROUGE' }, { name: 'taille', value: 'm' }])).toBe(key);
+  });
+
+  it('normalizes the SKU and validates the barcode', () => {
+    const variant = new productVariantModel({ product: new mongoose.Types.ObjectId(), sku: ' tee-rouge-m ', barcode: '12AB', stock: 2 });
+    const error = variant.validateSync();
+
+    expect(variant.sku).toBe('TEE-ROUGE-M');
+    expect(Object.keys(error.errors)).toEqual(['barcode']);
+  });
+});
+
+describe('ProductVariants', () => {
+  // Session simulée : withTransaction exécute le travail (attempts fois, comme lors d'un conflit d'écriture)
+  const fakeSession = (attempts = 1) => ({
+    async withTransaction(work) {
+      for (let attempt = 0; attempt < attempts; attempt++) await work();
+    },
+    endSession: async () => {},
+  });
+
+  it('derives the product stock and variant list from the variants, within a transaction', async () => {
+    const productId = new mongoose.Types.ObjectId();
+    const variants = [{ _id: new mongoose.Types.ObjectId(), stock: 3 }, { _id: new mongoose.Types.ObjectId(), stock: 0 }, { _id: new mongoose.Types.ObjectId(), stock: 4 }];
+    const updates = [];
+    const session = fakeSession();
+    const readSessions = [];
+    const chain = { select: () => chain, sort: () => chain, session: async (used) => readSessions.push(used) && variants };
+    const service = new ProductVariants({
+      variantModel: { find: () => chain },
+      productModel: { updateOne: async (filter, update, options) => updates.push({ filter, update, options }) },
+      startSession: async () => session,
+    });
+
+    await expect(service.sync(productId)).resolves.toEqual({ variants: variants.map((variant) => variant._id), stock: 7 });
+    expect(readSessions).toEqual([session]);
+    expect(updates).toEqual([{ filter: { _id: productId }, update: { variants: variants.map((variant) => variant._id), stock: 7, isAvailable: true }, options: { session } }]);
+
+    variants.length = 0;
+    await service.sync(productId);
+    expect(updates[1].update).toEqual({ variants: [], stock: 0, isAvailable: false });
+  });
+
+  it('replays the variant write and the stock sync together on a write conflict', async () => {
+    const stock = [];
+    const chain = { select: () => chain, sort: () => chain, session: async () => stock.map((quantity) => ({ _id: quantity, stock: quantity })) };
+    const service = new ProductVariants({
+      variantModel: { find: () => chain },
+      productModel: { updateOne: async () => {} },
+      startSession: async () => fakeSession(2),
+    });
+
+    const outcome = await service.write('product', async () => {
+      stock.splice(0, stock.length, 5); // Chaque tentative repart de l'état relu
+      return 'variant';
+    });
+
+    expect(outcome).toEqual({ result: 'variant', variants: [5], stock: 5 });
+  });
+
+  it('translates duplicate key errors into conflicts', () => {
+    const duplicate = (keyPattern) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+
+    expect(ProductVariants.duplicateError(duplicate({ sku: 1 }))).toMatchObject({ statusCode: 409, message: 'Une variante avec cette référence (SKU) existe déjà' });
+    expect(ProductVariants.duplicateError(duplicate({ product: 1, optionsKey: 1 }))).toMatchObject({ statusCode: 409, data: { field: 'optionsKey' } });
+
+    const other = new Error('boom');
+    expect(ProductVariants.duplicateError(other)).toBe(other);
+  });
+});
@@ -0,0 +1,43 @@
+import Order from '../../App/Models/order.js';
+import Returns from '../../App/Utils/Returns.js';
+
+describe('Returns', () => {
+  const returns = new Returns({ returnWindowDays: 30 });
+
+  const order = new Order({
+    user: '64b7f0c2a1b2c3d4e5f60701',
+    items: [
+      { product: '64b7f0c2a1b2c3d4e5f60718', name: 'Chemise', quantity: 2, price: 10000, discount: 2000 },
+      { product: '64b7f0c2a1b2c3d4e5f60719', name: 'Ceinture', quantity: 1, price: 5000 },
+    ],
+    shippingAddress: { fullName: 'Awa Koné', line1: 'Rue 12', city: 'Abidjan', country: 'CI' },
+    paymentMethod: 'card',
+    itemsPrice: 25000,
+    discountPrice: 2000,
+    taxPrice: 4140,
+    shippingPrice: 1500,
+    totalPrice: 28640,
+    status: 'delivered',
+  });
+
+  const returnOf = (line, quantity) => ({ items: [{ orderItem: line._id, quantity }] });
+
+  it('refunds the net unit price and its share of taxes', () => {
+    // (2 x 10000 - 2000) / 2 = 9000 net, plus 9000 x 4140 / 23000 = 1620 of taxes
+    expect(returns.refundAmount(returnOf(order.items[0], 1), order)).toBe(10620);
+  });
+
+  it('settles the remaining balance, shipping included, on the last return', () => {
+    const partiallyRefunded = new Order({ ...order.toObject(), refundedPrice: 10620 });
+
+    expect(returns.refundAmount(returnOf(partiallyRefunded.items[1], 1), partiallyRefunded, { settleBalance: true })).toBe(18020);
+  });
+
+  it('detects when every item has been returned', () => {
+    const returned = new Order(order.toObject());
+    expect(returned.isFullyReturned()).toBe(false);
+
+    returned.items.forEach((item) => { item.returnedQuantity = item.quantity; });
+    expect(returned.isFullyReturned()).toBe(true);
+  });
+});
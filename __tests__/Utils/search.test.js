@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import MemorySearchEngine from '../../App/Utils/MemorySearchEngine.js';
+import MongoSearchEngine from '../../App/Utils/MongoSearchEngine.js';
+import SearchEngine from '../../App/Utils/SearchEngine.js';
+import Search from '../../App/Utils/Search.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const variant = (color, size) => ({ options: [{ name: 'Couleur', value: color }, { name: 'taille', value: size }] });
+
+describe('MemorySearchEngine', () => {
+  const nike = { _id: id(), name: 'Nike' };
+  const wax = { _id: id(), name: 'Vlisco' };
+  const mode = { _id: id(), name: 'Mode', slug: 'mode', ancestors: [] };
+  const chemises = { _id: id(), name: 'Chemises', slug: 'chemises', ancestors: [{ _id: mode._id, name: 'Mode', slug: 'mode' }] };
+  const products = [
+    {
+      _id: id(), name: 'Chemise en lin', description: 'Chemise légère pour l\'été', price: 12000, stock: 4,
+      brand: wax, category: chemises, variants: [variant('Blanche', 'M'), variant('Bleu', 'L')],
+      createdAt: new Date('2026-01-01'),
+    },
+    {
+      _id: id(), name: 'Basket Air', description: 'Chaussure de sport, se porte avec une chemise <b>ouverte</b>', price: 45000, stock: 0,
+      brand: nike, category: mode, variants: [variant('Blanche', 'L')],
+      createdAt: new Date('2026-02-01'),
+    },
+    {
+      _id: id(), name: 'Pagne wax', description: 'Tissu imprimé', price: 8000, stock: 10,
+      brand: wax, category: mode, variants: [],
+      createdAt: new Date('2026-03-01'),
+    },
+  ];
+  const params = (extra) => ({ page: 1, limit: 10, ...extra });
+  let engine;
+
+  beforeEach(() => {
+    engine = new MemorySearchEngine({ loadProducts: async () => products });
+  });
+
+  it('ranks a match in the name above a match in the description and tolerates typos', async () => {
+    const exact = await engine.search(params({ q: 'chemise' }));
+    expect(exact.hits.map((hit) => hit.product.name)).toEqual(['Chemise en lin', 'Basket Air']);
+    expect(exact.hits[0].score).toBeGreaterThan(exact.hits[1].score);
+
+    const typo = await engine.search(params({ q: 'chemsie' }));
+    expect(typo.hits[0].product.name).toBe('Chemise en lin');
+    expect(typo.hits[0].highlights.name).toBe('<mark>Chemise</mark> en lin');
+  });
+
+  it('searches brand and category names, ancestors included', async () => {
+    const byBrand = await engine.search(params({ q: 'vlisco' }));
+    expect(byBrand.hits.map((hit) => hit.product.name).sort()).toEqual(['Chemise en lin', 'Pagne wax']);
+
+    const byAncestor = await engine.search(params({ q: 'mode', category: chemises._id }));
+    expect(byAncestor.hits.map((hit) => hit.product.name)).toEqual(['Chemise en lin']);
+  });
+
+  it('applies filters and counts facets on the matching products', async () => {
+    const result = await engine.search(params({ color: 'Blanche' }));
+
+    expect(result.total).toBe(2);
+    expect(result.facets.brands.map((brand) => [brand.name, brand.count])).toEqual([['Nike', 1], ['Vlisco', 1]]);
+    expect(result.facets.colors).toEqual([{ value: 'Blanche', count: 2 }, { value: 'Bleu', count: 1 }]);
+    expect(result.facets.sizes).toEqual([{ value: 'L', count: 2 }, { value: 'M', count: 1 }]);
+    expect(result.facets.prices).toEqual([{ min: 10000, max: 25000, count: 1 }, { min: 25000, max: 50000, count: 1 }]);
+    expect(result.facets.availability).toEqual({ inStock: 1, outOfStock: 1 });
+
+    const inStock = await engine.search(params({ inStock: true, maxPrice: 10000 }));
+    expect(inStock.hits.map((hit) => hit.product.name)).toEqual(['Pagne wax']);
+  });
+
+  it('rebuilds its index only after invalidation', async () => {
+    const loadProducts = jest.fn(async () => products);
+    engine = new MemorySearchEngine({ loadProducts });
+
+    await engine.search(params({ q: 'wax' }));
+    await engine.search(params({ q: 'lin' }));
+    expect(loadProducts).toHaveBeenCalledTimes(1);
+
+    engine.invalidate();
+    await engine.search(params({ q: 'lin' }));
+    expect(loadProducts).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('SearchEngine.highlight', () => {
+  it('escapes the text and trims long descriptions around the first match', () => {
+    expect(SearchEngine.highlight('Chemise <b>ouverte</b> & col', ['ouvert'])).toBe('Chemise &lt;b&gt;<mark>ouverte</mark>&lt;/b&gt; &amp; col');
+    expect(SearchEngine.highlight('Élégante robe', ['elegante'])).toBe('<mark>Élégante</mark> robe');
+
+    const snippet = SearchEngine.highlight(`${'a '.repeat(100)}robe ${'b '.repeat(100)}`, ['robe'], 40);
+    expect(snippet).toMatch(/^….*<mark>robe<\/mark>.*…$/);
+    expect(SearchEngine.highlight('Pagne', ['chemise'])).toBeNull();
+  });
+});
+
+describe('Search', () => {
+  class FailingEngine extends SearchEngine {
+    async search() {
+      throw new Error('text index required for $text query');
+    }
+  }
+
+  it('falls back to the in-process engine when the primary engine fails', async () => {
+    SearchEngine.register('failing', FailingEngine);
+    SearchEngine.register('memory-test', class extends MemorySearchEngine {
+      constructor() {
+        super({ loadProducts: async () => [{ _id: id(), name: 'Pagne wax', description: 'Tissu', price: 1, stock: 1 }] });
+      }
+    });
+    const logger = { logger: { warn: jest.fn() } };
+    const search = new Search({ engine: 'failing', fallback: 'memory-test', logger });
+
+    const result = await search.search({ q: 'pagne', page: 1, limit: 10 });
+    expect(result.engine).toBe('memory-test');
+    expect(result.total).toBe(1);
+    expect(logger.logger.warn).toHaveBeenCalled();
+
+    await expect(new Search({ engine: 'failing', fallback: '', logger }).search({ page: 1, limit: 10 })).rejects.toThrow('text index');
+  });
+
+  it('retries a misspelled query with corrected terms on the default Mongo engine', async () => {
+    const iphone = { _id: id(), name: 'iPhone 15', description: 'Smartphone Apple' };
+    const related = { collection: { name: 'related' }, find: () => ({ distinct: async () => [] }) };
+    const productModel = {
+      collection: { name: 'products' },
+      aggregate: jest.fn(async ([{ $match }]) => {
+        const found = $match.$or[0].$text.$search === 'iphone';
+        return [{
+          results: found ? [{ _id: iphone._id, score: 1.5 }] : [],
+          total: found ? [{ count: 1 }] : [],
+          brands: [], categories: [], prices: [], colors: [], sizes: [], availability: [],
+        }];
+      }),
+      find: async () => [iphone],
+    };
+    const loadVocabulary = jest.fn(async () => ['iPhone 15', 'Smartphone Apple', 'Apple', 'Téléphones']);
+    const instances = new Map(SearchEngine.instances);
+    SearchEngine.instances.set('mongo', new MongoSearchEngine({
+      productModel, brandModel: related, categoryModel: related, variantModel: related, loadVocabulary,
+    }));
+
+    try {
+      const search = new Search({ fallback: '' });
+      const result = await search.search({ q: 'iphnoe', page: 1, limit: 10 });
+      expect(result.engine).toBe('mongo');
+      expect(result.correctedQuery).toBe('iphone');
+      expect(result.total).toBe(1);
+      expect(result.hits[0].highlights.name).toBe('<mark>iPhone</mark> 15');
+      expect(productModel.aggregate).toHaveBeenCalledTimes(2);
+
+      // Le vocabulaire est gardé en mémoire ; une requête sans correction possible reste sans résultat
+      const none = await search.search({ q: 'zzzz', page: 1, limit: 10 });
+      expect(none.total).toBe(0);
+      expect(none.correctedQuery).toBeUndefined();
+      expect(loadVocabulary).toHaveBeenCalledTimes(1);
+    } finally {
+      SearchEngine.instances.clear();
+      instances.forEach((engine, name) => SearchEngine.instances.set(name, engine));
+    }
+  });
+});
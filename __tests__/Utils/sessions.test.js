@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import sessionModel from '../../App/Models/session.js';
+import Sessions from '../../App/Utils/Sessions.js';
+
+// Collection Session en mémoire : seules les opérations utilisées par le service sont simulées
+const memoryStore = () => {
+  const docs = [];
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => (
+    value === null ? doc[key] == null : String(doc[key]) === String(value)
+  ));
+  return {
+    docs,
+    hashToken: sessionModel.hashToken,
+    async create(data) {
+      const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...data };
+      docs.push(doc);
+      return doc;
+    },
+    async findOne(filter) {
+      return docs.find((doc) => matches(doc, filter)) || null;
+    },
+    async findOneAndUpdate(filter, update) {
+      const doc = docs.find((item) => matches(item, filter));
+      return doc ? Object.assign(doc, update) : null;
+    },
+    async updateOne(filter, update) {
+      const doc = docs.find((item) => matches(item, filter));
+      if (doc) Object.assign(doc, update);
+    },
+    async revokeWhere(filter, reason) {
+      const targets = docs.filter((doc) => matches(doc, { ...filter, revokedAt: null }));
+      targets.forEach((doc) => Object.assign(doc, { revokedAt: new Date(), revokedReason: reason }));
+      return targets.length;
+    },
+  };
+};
+
+describe('Sessions', () => {
+  let store;
+  let sessions;
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    role: 'client',
+    isActive: true,
+    passwordChangedAt: undefined,
+    changedPasswordAfter(timestamp) {
+      return Boolean(this.passwordChangedAt) && this.passwordChangedAt > new Date(timestamp);
+    },
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    store = memoryStore();
+    user.passwordChangedAt = undefined;
+    sessions = new Sessions({
+      model: store,
+      userModel: { findById: () => ({ select: async () => user }) },
+    });
+  });
+
+  it('stores refresh tokens hashed and rotates them within the same family', async () => {
+    const { refreshToken, session } = await sessions.issue(user);
+    expect(session.tokenHash).not.toBe(refreshToken);
+
+    const rotated = await sessions.rotate(refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(rotated.session.family).toBe(session.family);
+    expect(session.revokedReason).toBe('rotated');
+    expect(String(session.replacedBy)).toBe(String(rotated.session._id));
+  });
+
+  it('revokes the whole family when a rotated token is reused', async () => {
+    const { refreshToken } = await sessions.issue(user);
+    const rotated = await sessions.rotate(refreshToken);
+
+    await expect(sessions.rotate(refreshToken)).rejects.toMatchObject({ statusCode: 401, data: { reason: 'reuse_detected' } });
+    expect(rotated.session.revokedReason).toBe('reuse_detected');
+    await expect(sessions.rotate(rotated.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('invalidates sessions opened before a password change', async () => {
+    const { refreshToken, session } = await sessions.issue(user);
+    const other = await sessions.issue(user);
+    user.passwordChangedAt = new Date(Date.now() + 1000);
+
+    await expect(sessions.rotate(refreshToken)).rejects.toMatchObject({ statusCode: 401, data: { reason: 'password_changed' } });
+    expect(session.revokedReason).toBe('password_changed');
+    expect(other.session.revokedReason).toBe('password_changed');
+  });
+
+  it('logs out the current device or every device', async () => {
+    const first = await sessions.issue(user);
+    await sessions.issue(user);
+
+    expect(await sessions.revoke(String(user._id), { sessionId: first.session._id })).toBe(1);
+    expect(await sessions.revokeAll(String(user._id))).toBe(1);
+    expect(store.docs.every((doc) => doc.revokedAt)).toBe(true);
+  });
+});
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import FakeOidcProvider from '../../App/Utils/FakeOidcProvider.js';
+import IdentityProvider from '../../App/Utils/IdentityProvider.js';
+import SocialLogin from '../../App/Utils/SocialLogin.js';
+
+// Collections en mémoire : seules les requêtes utilisées par le service sont simulées
+const stateStore = () => {
+  const flows = [];
+  return {
+    async create(flow) {
+      flows.push(flow);
+      return flow;
+    },
+    async findOneAndDelete({ state, provider }) {
+      const index = flows.findIndex((flow) => flow.state === state && flow.provider === provider && flow.expiresAt > new Date());
+      return index === -1 ? null : flows.splice(index, 1)[0];
+    },
+  };
+};
+
+const userStore = (users = []) => ({
+  users,
+  async findOne(query) {
+    if (query.identities) {
+      const { provider, subject } = query.identities.$elemMatch;
+      return users.find((user) => user.identities.some((id) => id.provider === provider && id.subject === subject)) || null;
+    }
+    return users.find((user) => user.email === query.email) || null;
+  },
+  async findOneAndUpdate(query, update) {
+    const user = users.find((item) => String(item._id) === String(query._id)
+      && !item.identities.some((id) => id.provider === query['identities.provider'].$ne));
+    if (!user) return null;
+    user.identities.push(update.$push.identities);
+    user.save = async () => user;
+    return user;
+  },
+  async create(data) {
+    const user = { _id: new mongoose.Types.ObjectId(), ...data };
+    users.push(user);
+    return user;
+  },
+});
+
+describe('SocialLogin with the fake OIDC provider', () => {
+  const redirectUri = 'http://localhost/e-shopping-api/v1/auth/oauth/fake/callback';
+  let provider;
+  let users;
+  let socialLogin;
+
+  const signIn = async (identity) => {
+    const authorizationUrl = await socialLogin.start('fake', { redirectUri });
+    const state = new URL(authorizationUrl).searchParams.get('state');
+    const callback = new URL(provider.authorize(state, identity));
+    return { state, result: await socialLogin.complete('fake', Object.fromEntries(callback.searchParams)) };
+  };
+
+  beforeEach(() => {
+    provider = IdentityProvider.use('fake');
+    users = userStore();
+    socialLogin = new SocialLogin({ stateModel: stateStore(), userModel: users });
+  });
+
+  it('is only available in tests or when explicitly enabled', () => {
+    expect(IdentityProvider.enabled()).toContain('fake');
+    expect(provider).toBeInstanceOf(FakeOidcProvider);
+  });
+
+  it('runs the authorization code flow with PKCE and creates the account', async () => {
+    const { state, result } = await signIn({ sub: 'fake-1', email: 'Awa@Example.com', email_verified: true, name: 'Awa Koné' });
+
+    expect(result.created).toBe(true);
+    expect(result.user.email).toBe('awa@example.com');
+    expect(result.user.isEmailVerified).toBe(true);
+    expect(result.user.identities[0]).toMatchObject({ provider: 'fake', subject: 'fake-1' });
+    await expect(socialLogin.complete('fake', { code: 'replayed', state })).rejects.toMatchObject({ statusCode: 400 });
+
+    const again = await signIn({ sub: 'fake-1', email: 'awa@example.com', email_verified: true });
+    expect(again.result).toMatchObject({ created: false, linked: false });
+    expect(users.users).toHaveLength(1);
+  });
+
+  it('links an existing account only when the provider verified the email', async () => {
+    users.users.push({ _id: new mongoose.Types.ObjectId(), email: 'awa@example.com', identities: [] });
+
+    await expect(signIn({ sub: 'fake-2', email: 'awa@example.com', email_verified: false })).rejects.toMatchObject({ statusCode: 409 });
+
+    const { result } = await signIn({ sub: 'fake-2', email: 'awa@example.com', email_verified: true });
+    expect(result).toMatchObject({ created: false, linked: true });
+    expect(users.users[0].identities).toEqual([expect.objectContaining({ provider: 'fake', subject: 'fake-2' })]);
+  });
+
+  it('rejects a code exchanged with the wrong PKCE verifier', async () => {
+    const authorizationUrl = await socialLogin.start('fake', { redirectUri });
+    const state = new URL(authorizationUrl).searchParams.get('state');
+    const code = new URL(provider.authorize(state, { sub: 'fake-3' })).searchParams.get('code');
+
+    await expect(provider.exchangeCode({ code, redirectUri, codeVerifier: 'forged', nonce: 'n' }))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+});
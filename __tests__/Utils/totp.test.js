@@ -0,0 +1,45 @@
+import Totp from '../../App/Utils/Totp.js';
+
+describe('Totp', () => {
+  // Vecteur de test de la RFC 6238 (SHA1, secret ASCII "12345678901234567890")
+  const rfcSecret = Totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('matches the RFC 6238 reference values', () => {
+    const totp = new Totp({ digits: 8 });
+
+    expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.generate(rfcSecret, 59 * 1000)).toBe('94287082');
+    expect(totp.generate(rfcSecret, 1111111109 * 1000)).toBe('07081804');
+  });
+
+  it('accepts adjacent steps but refuses replayed codes', () => {
+    const totp = new Totp();
+    const secret = totp.generateSecret();
+    const now = Date.now();
+    const previous = totp.generate(secret, now - 30 * 1000);
+
+    const step = totp.verify(previous, secret, { time: now });
+    expect(step).toBe(totp.stepAt(now) - 1);
+    expect(totp.verify(previous, secret, { time: now, lastUsedStep: step })).toBeNull();
+    expect(totp.verify('12345', secret, { time: now })).toBeNull();
+  });
+
+  it('encrypts secrets at rest', () => {
+    const totp = new Totp({ encryptionKey: 'test-key' });
+    const secret = totp.generateSecret();
+    const stored = totp.encrypt(secret);
+
+    expect(stored).not.toContain(secret);
+    expect(totp.decrypt(stored)).toBe(secret);
+    expect(() => new Totp({ encryptionKey: 'other-key' }).decrypt(stored)).toThrow();
+  });
+
+  it('builds an otpauth URI and hashes backup codes independently of formatting', () => {
+    const totp = new Totp({ issuer: 'eShopping' });
+    const [code] = Totp.generateBackupCodes(1);
+
+    expect(totp.keyUri('ABCDEF', 'awa@example.com')).toMatch(/^otpauth:\/\/totp\/eShopping%3Aawa%40example\.com\?secret=ABCDEF&issuer=eShopping/);
+    expect(code).toMatch(/^[0-9A-F]{5}-[0-9A-F]{5}$/);
+    expect(Totp.hashBackupCode(code.toLowerCase().replace('-', ''))).toBe(Totp.hashBackupCode(code));
+  });
+});